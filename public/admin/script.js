@@ -36,6 +36,11 @@ document.addEventListener('DOMContentLoaded', () => {
     const customQuotaDiv = document.getElementById('custom-quota-div');
     const modelQuotaInput = document.getElementById('model-quota');
     const modelIdInput = document.getElementById('model-id');
+    const modelAliasesListDiv = document.getElementById('model-aliases-list');
+    const addModelAliasForm = document.getElementById('add-model-alias-form');
+    const modelAliasTargetsDatalist = document.getElementById('model-alias-targets');
+    const tierQuotasListDiv = document.getElementById('tier-quotas-list');
+    const addTierQuotaForm = document.getElementById('add-tier-quota-form');
     const setCategoryQuotasBtn = document.getElementById('set-category-quotas-btn');
     const categoryQuotasModal = document.getElementById('category-quotas-modal');
     const closeCategoryQuotasModalBtn = document.getElementById('close-category-quotas-modal');
@@ -53,6 +58,20 @@ document.addEventListener('DOMContentLoaded', () => {
     const individualQuotaModelIdInput = document.getElementById('individual-quota-model-id');
     const individualQuotaValueInput = document.getElementById('individual-quota-value');
     const individualQuotaErrorDiv = document.getElementById('individual-quota-error');
+    const individualQuotaField = document.getElementById('individual-quota-field');
+    const modelRpmLimitInput = document.getElementById('model-rpm-limit');
+    const modelTpmLimitInput = document.getElementById('model-tpm-limit');
+    // Worker Key Limits Elements
+    const workerKeyLimitsModal = document.getElementById('worker-key-limits-modal');
+    const closeWorkerKeyLimitsModalBtn = document.getElementById('close-worker-key-limits-modal');
+    const cancelWorkerKeyLimitsBtn = document.getElementById('cancel-worker-key-limits');
+    const workerKeyLimitsForm = document.getElementById('worker-key-limits-form');
+    const workerKeyLimitsKeyInput = document.getElementById('worker-key-limits-key');
+    const workerKeyRpmLimitInput = document.getElementById('worker-key-rpm-limit');
+    const workerKeyRpdLimitInput = document.getElementById('worker-key-rpd-limit');
+    const workerKeyTpdLimitInput = document.getElementById('worker-key-tpd-limit');
+    const workerKeyAllowedModelsDiv = document.getElementById('worker-key-allowed-models');
+    const workerKeyLimitsErrorDiv = document.getElementById('worker-key-limits-error');
     const logoutButton = document.getElementById('logout-button');
     const darkModeToggle = document.getElementById('dark-mode-toggle');
     const sunIcon = document.getElementById('sun-icon');
@@ -67,11 +86,77 @@ document.addEventListener('DOMContentLoaded', () => {
     const testProgressBar = document.getElementById('test-progress-bar');
     const testProgressText = document.getElementById('test-progress-text');
     const testStatusText = document.getElementById('test-status-text');
+    // Usage Analytics Elements
+    const statsRangeSelect = document.getElementById('stats-range-select');
+    const statsGroupSelect = document.getElementById('stats-group-select');
+    const statsMetricSelect = document.getElementById('stats-metric-select');
+    const statsRefreshBtn = document.getElementById('stats-refresh-btn');
+    const statsChartCanvas = document.getElementById('stats-chart');
+    const statsBreakdownBody = document.getElementById('stats-breakdown-body');
+    // Audit Log Elements
+    const auditLogBody = document.getElementById('audit-log-body');
+    const auditLogModelFilter = document.getElementById('audit-log-model-filter');
+    const auditLogRefreshBtn = document.getElementById('audit-log-refresh-btn');
+    const auditLogPrevBtn = document.getElementById('audit-log-prev-btn');
+    const auditLogNextBtn = document.getElementById('audit-log-next-btn');
+    const auditLogPageInfo = document.getElementById('audit-log-page-info');
+    const healthChecksContainer = document.getElementById('health-checks');
+    const healthOverallStatus = document.getElementById('health-overall-status');
+    const healthRefreshBtn = document.getElementById('health-refresh-btn');
+    const liveLogOutput = document.getElementById('live-log-output');
+    const liveLogStatus = document.getElementById('live-log-status');
+    const liveLogLevelSelect = document.getElementById('live-log-level-select');
+    const liveLogModelFilter = document.getElementById('live-log-model-filter');
+    const liveLogKeyFilter = document.getElementById('live-log-key-filter');
+    const liveLogPauseBtn = document.getElementById('live-log-pause-btn');
+    const liveLogDownloadBtn = document.getElementById('live-log-download-btn');
+    const auditEntryModal = document.getElementById('audit-entry-modal');
+    // Proxy Pool Elements
+    const proxyListBody = document.getElementById('proxy-list-body');
+    const proxyCheckBtn = document.getElementById('proxy-check-btn');
+    const addProxyForm = document.getElementById('add-proxy-form');
+    const proxyUrlInput = document.getElementById('proxy-url-input');
+    const proxyGroupInput = document.getElementById('proxy-group-input');
+    // Upstream Elements
+    const upstreamListBody = document.getElementById('upstream-list-body');
+    const upstreamCheckBtn = document.getElementById('upstream-check-btn');
+    const addUpstreamForm = document.getElementById('add-upstream-form');
+    const upstreamNameInput = document.getElementById('upstream-name-input');
+    const upstreamUrlInput = document.getElementById('upstream-url-input');
+    const upstreamOrderInput = document.getElementById('upstream-order-input');
+    // Provider Elements
+    const providerListBody = document.getElementById('provider-list-body');
+    const providerForm = document.getElementById('provider-form');
+    const providerIdInput = document.getElementById('provider-id-input');
+    const providerNameInput = document.getElementById('provider-name-input');
+    const providerPrefixInput = document.getElementById('provider-prefix-input');
+    const providerBaseUrlInput = document.getElementById('provider-base-url-input');
+    const providerKeysInput = document.getElementById('provider-keys-input');
+    const providerModelsInput = document.getElementById('provider-models-input');
+    const providerPricingInput = document.getElementById('provider-pricing-input');
+    const providerUseProxyInput = document.getElementById('provider-use-proxy-input');
+    const providerCancelEditBtn = document.getElementById('provider-cancel-edit-btn');
+    const auditReplayBtn = document.getElementById('audit-replay-btn');
+
+    // Quota tiers a Gemini key can belong to (same as configService.KEY_TIERS)
+    const KEY_TIERS = ['free', 'tier1', 'tier2', 'tier3'];
 
     // --- Global Cache ---
     let cachedModels = [];
     let cachedGeminiModels = []; // Add cache for available Gemini models
     let cachedCategoryQuotas = { proQuota: 0, flashQuota: 0 };
+    let cachedWorkerKeys = [];
+    let cachedProxies = []; // Proxy pool, for the proxy binding options of the Gemini keys
+    let cachedUpstreams = []; // Upstreams, for the upstream options of the Gemini keys
+    let cachedProviders = []; // OpenAI-compatible providers, for filling the form when one is edited
+    let cachedStats = null; // Last loaded time series + breakdown, re-rendered when the metric changes
+    let statsChart = null; // Chart.js instance for the usage chart
+    let auditLogPage = 1;
+    let liveLogSource = null;
+    let liveLogEntries = [];
+    let liveLogPaused = false;
+    let liveLogPending = 0;
+    let currentAuditEntryId = null; // Entry shown in the audit entry modal
 
     // --- Global Test State ---
     let isRunningAllTests = false;
@@ -397,6 +482,25 @@ function hideError(container = errorMessageDiv) {
         return 'bg-green-500';
     }
 
+    /**
+     * Formats the time left until an ISO timestamp, e.g. '4m 05s'.
+     * @param {string} until
+     * @returns {string}
+     */
+    function formatCooldownRemaining(until) {
+        const remainingSeconds = Math.ceil((new Date(until).getTime() - Date.now()) / 1000);
+        if (remainingSeconds <= 0) return t('cooldown_over');
+        const minutes = Math.floor(remainingSeconds / 60);
+        const seconds = remainingSeconds % 60;
+        return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+    }
+
+    // Count down all visible cooldown timers once per second
+    setInterval(() => {
+        document.querySelectorAll('.cooldown-timer').forEach(timer => {
+            timer.textContent = formatCooldownRemaining(timer.dataset.until);
+        });
+    }, 1000);
 
 async function renderGeminiKeys(keys) {
         geminiKeysListDiv.innerHTML = ''; // Clear previous list
@@ -572,7 +676,12 @@ async function renderGeminiKeys(keys) {
             cardItem.className = 'card-item p-3 border rounded-md bg-white shadow-sm hover:shadow-md transition-shadow cursor-pointer select-none h-[80px] flex flex-col justify-between';
             cardItem.dataset.keyId = key.id;
 
-            // Show warning icon or usage badge
+            // Cooldowns after transient failures (429 / 5xx): the key as a whole and individual models
+            const modelCooldownEntries = Object.entries(key.modelCooldowns || {});
+            const cooldownEnds = [key.cooldownUntil, ...modelCooldownEntries.map(([, until]) => until)].filter(Boolean);
+            const latestCooldownEnd = cooldownEnds.sort().pop();
+
+            // Show warning icon, cooldown timer or usage badge
             let rightSideContent = '';
             if (key.errorStatus === 400 || key.errorStatus === 401 || key.errorStatus === 403) {
                 rightSideContent = `
@@ -582,6 +691,12 @@ async function renderGeminiKeys(keys) {
                         </svg>
                     </div>
                 `;
+            } else if (latestCooldownEnd) {
+                rightSideContent = `
+                    <div class="text-xs px-2 py-1 bg-orange-100 text-orange-800 rounded-full whitespace-nowrap" title="${t('cooldown')}">
+                        <span class="cooldown-timer" data-until="${latestCooldownEnd}">${formatCooldownRemaining(latestCooldownEnd)}</span>
+                    </div>
+                `;
             } else {
                 rightSideContent = `
                     <div class="text-xs px-2 py-1 bg-blue-100 text-blue-800 rounded-full whitespace-nowrap">
@@ -630,15 +745,51 @@ async function renderGeminiKeys(keys) {
                         </div>
                         <div>
                             <p class="text-sm text-gray-600">${t('total_usage_today')}: ${key.usage}</p>
-                            <p class="text-sm text-gray-600">${t('date')}: ${key.usageDate}</p>
+                            <p class="text-sm text-gray-600">${key.usageWindow === 'rolling_24h' ? t('quota_window_rolling_24h') : `${t('date')}: ${key.usageDate}`}</p>
+                            ${Object.entries(key.minuteUsage || {}).map(([modelId, usage]) => `<p class="text-sm text-gray-600">${t('minute_usage', modelId)}: ${usage.requests} RPM · ${usage.tokens} TPM</p>`).join('')}
                             ${key.errorStatus ? `<p class="text-sm text-red-600 font-medium">${t('error_status')}: ${key.errorStatus}</p>` : ''}
+                            ${key.cooldownUntil ? `<p class="text-sm text-orange-600 font-medium">${t('cooldown')}: <span class="cooldown-timer" data-until="${key.cooldownUntil}">${formatCooldownRemaining(key.cooldownUntil)}</span> (${t('failure_streak')}: ${key.failureStreak})</p>` : ''}
+                            ${modelCooldownEntries.map(([modelId, until]) => `<p class="text-sm text-orange-600">${t('model_cooldown', modelId)}: <span class="cooldown-timer" data-until="${until}">${formatCooldownRemaining(until)}</span></p>`).join('')}
+                            ${Object.entries(key.quotaHits || {}).map(([modelId, hit]) => `<p class="text-sm text-gray-600" title="${hit.quotaId || hit.quotaMetric || ''}">${t('quota_hit', modelId)}: ${t(`quota_kind_${hit.kind}`)} ${t(`quota_window_${hit.window}`)}${hit.quotaValue ? ` (${t('quota_limit_value', hit.quotaValue)})` : ''} · ${new Date(hit.at).toLocaleTimeString()}</p>`).join('')}
                         </div>
                     </div>
                     <div class="flex justify-end space-x-2 mb-4">
                         ${key.errorStatus ? `<button data-id="${key.id}" class="clear-gemini-key-error text-yellow-600 hover:text-yellow-800 font-medium px-3 py-1 border border-yellow-600 rounded">${t('ignore_error')}</button>` : ''}
+                        ${latestCooldownEnd ? `<button data-id="${key.id}" class="clear-gemini-key-cooldown text-orange-600 hover:text-orange-800 font-medium px-3 py-1 border border-orange-600 rounded">${t('clear_cooldown')}</button>` : ''}
                         <button data-id="${key.id}" class="test-gemini-key text-blue-500 hover:text-blue-700 font-medium px-3 py-1 border border-blue-500 rounded">${t('test')}</button>
                         <button data-id="${key.id}" class="delete-gemini-key text-red-500 hover:text-red-700 font-medium px-3 py-1 border border-red-500 rounded">${t('delete')}</button>
                     </div>
+                    <!-- Key selection weight and priority -->
+                    <div class="flex flex-wrap items-end gap-3 mb-4">
+                        <div>
+                            <label for="gemini-key-weight-${key.id}" class="block text-xs font-medium text-gray-600">${t('key_weight')}</label>
+                            <input type="number" id="gemini-key-weight-${key.id}" min="0" max="1000" value="${key.weight}" class="mt-1 w-24 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm">
+                        </div>
+                        <div>
+                            <label for="gemini-key-priority-${key.id}" class="block text-xs font-medium text-gray-600">${t('key_priority')}</label>
+                            <input type="number" id="gemini-key-priority-${key.id}" min="-100" max="100" value="${key.priority}" class="mt-1 w-24 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm">
+                        </div>
+                        <div>
+                            <label for="gemini-key-tier-${key.id}" class="block text-xs font-medium text-gray-600">${t('key_tier')}</label>
+                            <select id="gemini-key-tier-${key.id}" class="mt-1 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm">
+                                ${KEY_TIERS.map(tier => `<option value="${tier}" ${tier === key.tier ? 'selected' : ''}>${t(`tier_${tier}`)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label for="gemini-key-proxy-binding-${key.id}" class="block text-xs font-medium text-gray-600">${t('key_proxy_binding')}</label>
+                            <select id="gemini-key-proxy-binding-${key.id}" class="mt-1 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm">
+                                ${renderProxyBindingOptions(key.proxyBinding)}
+                            </select>
+                        </div>
+                        <div>
+                            <label for="gemini-key-upstream-${key.id}" class="block text-xs font-medium text-gray-600">${t('key_upstream')}</label>
+                            <select id="gemini-key-upstream-${key.id}" class="mt-1 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm">
+                                ${renderUpstreamOptions(key.upstreamId)}
+                            </select>
+                        </div>
+                        <button data-id="${key.id}" class="save-gemini-key-settings text-indigo-600 hover:text-indigo-800 font-medium px-3 py-1 border border-indigo-600 rounded">${t('save')}</button>
+                        <p class="w-full text-xs text-gray-500">${t('key_weight_priority_help')} ${t('key_proxy_binding_help')} ${t('key_upstream_help')}</p>
+                    </div>
                     <!-- Container for error messages within the modal -->
                     <div id="gemini-key-error-container-${key.id}" class="hidden bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded relative mb-4" role="alert">
                         <span class="block sm:inline"></span>
@@ -814,6 +965,37 @@ async function renderGeminiKeys(keys) {
                 `;
             }
 
+            // Tier Usage Section (models with a known daily limit for the key's tier)
+            if (key.tierUsage && key.tierUsage.length > 0) {
+                modalHTML += `
+                    <div class="border-t border-gray-200 pt-4 mb-4">
+                        <h3 class="text-lg font-medium text-gray-800 mb-3">${t('tier_usage', t(`tier_${key.tier}`))}</h3>
+                        <div class="space-y-4">
+                `;
+
+                key.tierUsage.forEach(({ modelId, count, quota, source }) => {
+                    const remaining = Math.max(0, quota - count);
+                    const remainingPercentage = calculateRemainingPercentage(count, quota);
+                    const progressColor = getProgressColor(remainingPercentage);
+
+                    modalHTML += `
+                        <div>
+                            <div class="flex justify-between mb-1">
+                                <span class="text-sm font-medium text-gray-700">${modelId} <span class="text-xs text-gray-500">(${t(`tier_quota_${source}`)})</span></span>
+                                <span class="text-sm font-medium text-gray-700">${formatQuota(remaining)}/${formatQuota(quota)}</span>
+                            </div>
+                            <div class="w-full bg-gray-200 rounded-full h-2.5">
+                                <div class="${progressColor} h-2.5 rounded-full" style="width: ${remainingPercentage}%"></div>
+                            </div>
+                        </div>
+                    `;
+                });
+
+                modalHTML += `
+                        </div>
+                    </div>
+                `;
+            }
 
             // Add test section (remains mostly the same, uses cachedModels)
             modalHTML += `
@@ -867,6 +1049,11 @@ async function renderGeminiKeys(keys) {
         // by global event delegation to prevent duplicate listeners and DOM reference issues
     }
 
+    // Helper to format a worker key limit (null means unlimited)
+    function formatLimit(limit) {
+        return limit ? limit.toLocaleString() : '∞';
+    }
+
     function renderWorkerKeys(keys) {
         workerKeysListDiv.innerHTML = ''; // Clear previous list
         if (!keys || keys.length === 0) {
@@ -904,6 +1091,29 @@ async function renderGeminiKeys(keys) {
                             ${isSafetyEnabled ? t('enabled') : t('disabled')}
                         </span>
                     </div>
+                    <div class="flex items-center ml-6">
+                        <label for="audit-toggle-${key.key}" class="text-sm font-medium text-gray-700 mr-2">${t('audit_mode')}:</label>
+                        <div class="relative inline-block w-10 mr-2 align-middle select-none">
+                            <input type="checkbox" id="audit-toggle-${key.key}"
+                                data-key="${key.key}"
+                                class="audit-toggle toggle-checkbox absolute block w-6 h-6 rounded-full bg-white border-4 appearance-none cursor-pointer transition-transform duration-200 ease-in-out"
+                                ${key.auditEnabled ? 'checked' : ''}
+                            />
+                            <label for="audit-toggle-${key.key}"
+                                class="toggle-label block overflow-hidden h-6 rounded-full bg-gray-300 cursor-pointer"
+                            ></label>
+                        </div>
+                        <span class="text-xs font-medium ${key.auditEnabled ? 'text-green-600' : 'text-gray-500'}">
+                            ${key.auditEnabled ? t('enabled') : t('disabled')}
+                        </span>
+                    </div>
+                </div>
+                <div class="flex items-center justify-between mt-2 border-t pt-2">
+                    <p class="text-xs text-gray-500">
+                        RPM: ${formatLimit(key.rpmLimit)} · RPD: ${formatLimit(key.rpdLimit)} · TPD: ${formatLimit(key.tpdLimit)} ·
+                        ${t('allowed_models')}: ${key.allowedModels ? key.allowedModels.join(', ') : t('all_models')}
+                    </p>
+                    <button data-key="${key.key}" class="edit-worker-key-limits text-sm text-indigo-600 hover:text-indigo-800 font-medium">${t('edit_limits')}</button>
                 </div>
             `;
 
@@ -927,6 +1137,11 @@ async function renderGeminiKeys(keys) {
         `;
         document.head.appendChild(style);
 
+        // Add event listeners for limit buttons
+        document.querySelectorAll('.edit-worker-key-limits').forEach(btn => {
+            btn.addEventListener('click', (e) => openWorkerKeyLimitsModal(e.target.dataset.key));
+        });
+
         // Add event listeners for safety toggles
         document.querySelectorAll('.safety-toggle').forEach(toggle => {
             toggle.addEventListener('change', function() {
@@ -940,6 +1155,25 @@ async function renderGeminiKeys(keys) {
                 console.log(`Safety settings for key ${key} set to ${isEnabled ? 'enabled' : 'disabled'}`);
             });
         });
+
+        // Add event listeners for audit toggles
+        document.querySelectorAll('.audit-toggle').forEach(toggle => {
+            toggle.addEventListener('change', async function() {
+                const key = this.dataset.key;
+                const isEnabled = this.checked;
+                const statusText = this.parentElement.nextElementSibling;
+                const result = await apiFetch('/worker-keys/audit-settings', {
+                    method: 'POST',
+                    body: JSON.stringify({ key, auditEnabled: isEnabled }),
+                });
+                if (result && result.success) {
+                    statusText.textContent = isEnabled ? t('enabled') : t('disabled');
+                    statusText.className = `text-xs font-medium ${isEnabled ? 'text-green-600' : 'text-gray-500'}`;
+                } else {
+                    this.checked = !isEnabled;
+                }
+            });
+        });
     }
 
      function renderModels(models) {
@@ -959,17 +1193,17 @@ async function renderGeminiKeys(keys) {
                 // Show individual quota if it exists for Pro/Flash models
                 quotaDisplay += ` (${t('individual_quota')}: ${model.individualQuota})`;
             }
-
-            let actionsHtml = '';
-            // Only show Set Individual Quota button for Pro and Flash models
-            if (model.category === 'Pro' || model.category === 'Flash') {
-                actionsHtml = `
-                    <button data-id="${model.id}" data-category="${model.category}" data-quota="${model.individualQuota || 0}"
-                        class="set-individual-quota mr-2 text-blue-500 hover:text-blue-700 font-medium">
-                        ${t('set_quota_btn')}
-                    </button>
-                `;
-            }
+            if (model.rpmLimit) quotaDisplay += ` · ${model.rpmLimit} RPM`;
+            if (model.tpmLimit) quotaDisplay += ` · ${model.tpmLimit} TPM`;
+
+            // Individual quotas apply to Pro and Flash models, per-minute limits to all models
+            let actionsHtml = `
+                <button data-id="${model.id}" data-category="${model.category}" data-quota="${model.individualQuota || 0}"
+                    data-rpm="${model.rpmLimit || 0}" data-tpm="${model.tpmLimit || 0}"
+                    class="set-individual-quota mr-2 text-blue-500 hover:text-blue-700 font-medium">
+                    ${t('set_quota_btn')}
+                </button>
+            `;
             actionsHtml += `<button data-id="${model.id}" class="delete-model text-red-500 hover:text-red-700 font-medium">${t('delete')}</button>`;
 
             item.innerHTML = `
@@ -994,6 +1228,9 @@ async function renderGeminiKeys(keys) {
                 // Set the form values
                 individualQuotaModelIdInput.value = modelId;
                 individualQuotaValueInput.value = currentQuota || 0;
+                individualQuotaField.classList.toggle('hidden', category === 'Custom');
+                modelRpmLimitInput.value = parseInt(e.target.dataset.rpm, 10) || 0;
+                modelTpmLimitInput.value = parseInt(e.target.dataset.tpm, 10) || 0;
                 
                 // Show the modal
                 hideError(individualQuotaErrorDiv);
@@ -1002,6 +1239,48 @@ async function renderGeminiKeys(keys) {
         });
     }
 
+    function renderModelAliases(aliases) {
+        modelAliasesListDiv.innerHTML = ''; // Clear previous list
+        if (!aliases || aliases.length === 0) {
+            modelAliasesListDiv.innerHTML = `<p class="text-gray-500">${t('no_model_aliases')}</p>`;
+            return;
+        }
+
+        aliases.forEach(({ alias, targetModel }) => {
+            const item = document.createElement('div');
+            item.className = 'flex items-center justify-between p-3 border rounded-md';
+            item.innerHTML = `
+                <p class="font-mono text-sm text-gray-700">${alias} → ${targetModel}</p>
+                <button data-alias="${alias}" class="delete-model-alias text-red-500 hover:text-red-700 font-medium">${t('delete')}</button>
+            `;
+            modelAliasesListDiv.appendChild(item);
+        });
+    }
+
+    function renderTierQuotas({ tiers, quotas }) {
+        tierQuotasListDiv.innerHTML = ''; // Clear previous list
+        const entries = tiers.flatMap(tier => Object.entries(quotas[tier] || {}).map(([modelId, quota]) => ({ tier, modelId, ...quota })));
+        if (entries.length === 0) {
+            tierQuotasListDiv.innerHTML = `<p class="text-gray-500">${t('no_tier_quotas')}</p>`;
+            return;
+        }
+
+        entries.forEach(({ tier, modelId, dailyQuota, source }) => {
+            const badgeClass = source === 'learned' ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-800';
+            const item = document.createElement('div');
+            item.className = 'flex items-center justify-between p-3 border rounded-md';
+            item.innerHTML = `
+                <p class="text-sm text-gray-700">
+                    <span class="font-medium">${t(`tier_${tier}`)}</span>
+                    <span class="font-mono">${modelId}</span>: ${dailyQuota}
+                    <span class="ml-2 px-2 py-0.5 rounded text-xs ${badgeClass}">${t(`tier_quota_${source}`)}</span>
+                </p>
+                <button data-tier="${tier}" data-model-id="${modelId}" class="delete-tier-quota text-red-500 hover:text-red-700 font-medium">${t('delete')}</button>
+            `;
+            tierQuotasListDiv.appendChild(item);
+        });
+    }
+
     // --- Data Loading Functions ---
     async function loadGeminiKeys() {
         const keys = await apiFetch('/gemini-keys');
@@ -1017,6 +1296,7 @@ async function renderGeminiKeys(keys) {
     async function loadWorkerKeys() {
         const keys = await apiFetch('/worker-keys');
         if (keys) {
+            cachedWorkerKeys = keys;
             renderWorkerKeys(keys);
         } else {
              workerKeysListDiv.innerHTML = '<p class="text-red-500">Failed to load Worker keys.</p>';
@@ -1028,11 +1308,30 @@ async function renderGeminiKeys(keys) {
         if (models) {
             cachedModels = models;
             renderModels(models);
+            modelAliasTargetsDatalist.innerHTML = models.map(model => `<option value="${model.id}"></option>`).join('');
         } else {
              modelsListDiv.innerHTML = '<p class="text-red-500">Failed to load models.</p>';
         }
     }
 
+    async function loadModelAliases() {
+        const aliases = await apiFetch('/model-aliases');
+        if (aliases) {
+            renderModelAliases(aliases);
+        } else {
+            modelAliasesListDiv.innerHTML = `<p class="text-red-500">${t('model_aliases_load_failed')}</p>`;
+        }
+    }
+
+    async function loadTierQuotas() {
+        const result = await apiFetch('/tier-quotas');
+        if (result) {
+            renderTierQuotas(result);
+        } else {
+            tierQuotasListDiv.innerHTML = `<p class="text-red-500">${t('tier_quotas_load_failed')}</p>`;
+        }
+    }
+
     // New function to load category quotas
     async function loadCategoryQuotas() {
         const quotas = await apiFetch('/category-quotas');
@@ -1044,6 +1343,643 @@ async function renderGeminiKeys(keys) {
         return quotas;
     }
 
+    // --- Service Health ---
+
+    const HEALTH_CHECK_LABELS = {
+        database: 'health_check_database',
+        geminiKeys: 'health_check_gemini_keys',
+        upstreams: 'health_check_upstreams',
+        vertex: 'health_check_vertex',
+        githubSync: 'health_check_github_sync',
+    };
+    const HEALTH_STATUS_CLASSES = {
+        ok: 'bg-green-100 text-green-800',
+        fail: 'bg-red-100 text-red-800',
+        disabled: 'bg-gray-100 text-gray-600',
+    };
+
+    async function loadHealthStatus() {
+        let readiness;
+        try {
+            // /readyz returns the individual checks for the admin session, and answers 503 with the same JSON when a check fails
+            const response = await fetch('/readyz', { cache: 'no-store' });
+            readiness = await response.json();
+        } catch (error) {
+            console.error('Failed to load service health:', error);
+            healthOverallStatus.textContent = '';
+            healthChecksContainer.innerHTML = `<p class="text-sm text-red-500">${t('health_load_failed')}</p>`;
+            return;
+        }
+        renderHealthStatus(readiness);
+    }
+
+    function renderHealthStatus(readiness) {
+        const isReady = readiness.status === 'ok';
+        healthOverallStatus.className = `text-xs font-medium px-2 py-1 rounded ${isReady ? HEALTH_STATUS_CLASSES.ok : HEALTH_STATUS_CLASSES.fail}`;
+        healthOverallStatus.textContent = t(isReady ? 'health_ready' : 'health_not_ready');
+
+        healthChecksContainer.innerHTML = '';
+        Object.entries(readiness.checks || {}).forEach(([name, check]) => {
+            const card = document.createElement('div');
+            card.className = 'p-3 border rounded-md';
+            const title = document.createElement('p');
+            title.className = 'text-xs text-gray-500';
+            title.textContent = HEALTH_CHECK_LABELS[name] ? t(HEALTH_CHECK_LABELS[name]) : name;
+            const status = document.createElement('span');
+            status.className = `inline-block mt-1 text-xs font-medium px-2 py-1 rounded ${HEALTH_STATUS_CLASSES[check.status] || HEALTH_STATUS_CLASSES.disabled}`;
+            status.textContent = t(`health_status_${check.status}`);
+            card.append(title, status);
+            if (check.message) {
+                // Messages can contain upstream error text, so they are set as text
+                const message = document.createElement('p');
+                message.className = 'text-xs text-gray-500 mt-1 break-words';
+                message.textContent = check.message;
+                card.appendChild(message);
+            }
+            healthChecksContainer.appendChild(card);
+        });
+    }
+
+    // --- Proxy Pool ---
+
+    // Group names and proxy URLs are entered by admins and end up in HTML templates
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Options of a Gemini key's proxy binding select: any proxy, a proxy group or a single proxy
+    function renderProxyBindingOptions(binding) {
+        const groups = [...new Set(cachedProxies.map(proxy => proxy.group).filter(Boolean))];
+        const options = [
+            { value: '', label: t('proxy_binding_any') },
+            ...groups.map(group => ({ value: `group:${group}`, label: t('proxy_binding_group', group) })),
+            ...cachedProxies.map(proxy => ({ value: `proxy:${proxy.id}`, label: proxy.url })),
+        ];
+        // Keep a binding to a group that currently has no proxies selectable
+        if (binding && !options.some(option => option.value === binding)) {
+            options.push({ value: binding, label: binding });
+        }
+        return options.map(option =>
+            `<option value="${escapeHtml(option.value)}" ${option.value === (binding || '') ? 'selected' : ''}>${escapeHtml(option.label)}</option>`
+        ).join('');
+    }
+
+    async function loadProxies() {
+        const result = await apiFetch('/proxies');
+        if (!result) {
+            proxyListBody.innerHTML = `<tr><td colspan="7" class="py-2 text-red-500">${t('proxy_load_failed')}</td></tr>`;
+            return;
+        }
+        renderProxies(result.proxies);
+    }
+
+    function renderProxies(proxies) {
+        cachedProxies = proxies;
+        proxyListBody.innerHTML = '';
+        if (proxies.length === 0) {
+            proxyListBody.innerHTML = `<tr><td colspan="7" class="py-2 text-gray-500">${t('no_proxies')}</td></tr>`;
+            return;
+        }
+        proxies.forEach(proxy => {
+            const row = document.createElement('tr');
+            row.className = `border-b${proxy.enabled ? '' : ' opacity-50'}`;
+
+            const urlCell = document.createElement('td');
+            urlCell.className = 'py-2 pr-4 break-all';
+            urlCell.textContent = proxy.url;
+            if (proxy.source === 'env') {
+                const badge = document.createElement('span');
+                badge.className = 'ml-2 text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600';
+                badge.textContent = t('proxy_source_env');
+                urlCell.appendChild(badge);
+            }
+
+            const groupCell = document.createElement('td');
+            groupCell.className = 'py-2 pr-4';
+            if (proxy.source === 'env') {
+                groupCell.textContent = '-';
+            } else {
+                // Saved on change
+                groupCell.innerHTML = `<input type="text" data-id="${proxy.id}" value="${escapeHtml(proxy.group || '')}" maxlength="64" class="proxy-group-input w-28 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm">`;
+            }
+
+            const healthCell = document.createElement('td');
+            healthCell.className = 'py-2 pr-4';
+            const healthBadge = document.createElement('span');
+            if (!proxy.enabled) {
+                healthBadge.className = `text-xs font-medium px-2 py-1 rounded ${HEALTH_STATUS_CLASSES.disabled}`;
+                healthBadge.textContent = t('disabled');
+            } else if (!proxy.agentLoaded) {
+                healthBadge.className = `text-xs font-medium px-2 py-1 rounded ${HEALTH_STATUS_CLASSES.fail}`;
+                healthBadge.textContent = t('proxy_agent_missing');
+            } else {
+                healthBadge.className = `text-xs font-medium px-2 py-1 rounded ${proxy.healthy ? HEALTH_STATUS_CLASSES.ok : HEALTH_STATUS_CLASSES.fail}`;
+                healthBadge.textContent = t(proxy.healthy ? 'proxy_healthy' : 'proxy_evicted');
+            }
+            healthCell.appendChild(healthBadge);
+
+            const latencyCell = document.createElement('td');
+            latencyCell.className = 'py-2 pr-4 text-right';
+            latencyCell.textContent = proxy.latencyMs !== null ? `${proxy.latencyMs.toLocaleString()} ms` : '-';
+
+            const rateCell = document.createElement('td');
+            rateCell.className = 'py-2 pr-4 text-right';
+            rateCell.textContent = proxy.successRate !== null
+                ? `${(proxy.successRate * 100).toFixed(1)}% (${proxy.successCount}/${proxy.successCount + proxy.failureCount})`
+                : '-';
+
+            // Errors come from the network stack and the proxy, so they are set as text
+            const errorCell = document.createElement('td');
+            errorCell.className = 'py-2 pr-4 text-xs text-red-600 break-all';
+            errorCell.textContent = proxy.lastError || '';
+
+            const actionCell = document.createElement('td');
+            actionCell.className = 'py-2 text-right whitespace-nowrap';
+            if (proxy.source !== 'env') {
+                actionCell.innerHTML = `
+                    <button data-id="${proxy.id}" data-enabled="${proxy.enabled}" class="toggle-proxy text-sm text-indigo-600 hover:text-indigo-800 font-medium mr-2">${t(proxy.enabled ? 'proxy_disable' : 'proxy_enable')}</button>
+                    <button data-id="${proxy.id}" class="delete-proxy text-sm text-red-600 hover:text-red-800 font-medium">${t('delete')}</button>
+                `;
+            }
+
+            row.append(urlCell, groupCell, healthCell, latencyCell, rateCell, errorCell, actionCell);
+            proxyListBody.appendChild(row);
+        });
+    }
+
+    // --- Upstreams ---
+
+    // Options of a Gemini key's upstream select: any upstream (failover order) or a single upstream
+    function renderUpstreamOptions(upstreamId) {
+        const options = [
+            { value: '', label: t('upstream_any') },
+            ...cachedUpstreams.map(upstream => ({ value: upstream.id, label: `${upstream.name} (${upstream.baseUrl})` })),
+        ];
+        return options.map(option =>
+            `<option value="${escapeHtml(option.value)}" ${option.value === (upstreamId || '') ? 'selected' : ''}>${escapeHtml(option.label)}</option>`
+        ).join('');
+    }
+
+    async function loadUpstreams() {
+        const result = await apiFetch('/upstreams');
+        if (!result) {
+            upstreamListBody.innerHTML = `<tr><td colspan="8" class="py-2 text-red-500">${t('upstream_load_failed')}</td></tr>`;
+            return;
+        }
+        renderUpstreams(result.upstreams);
+    }
+
+    function renderUpstreams(upstreams) {
+        cachedUpstreams = upstreams;
+        upstreamListBody.innerHTML = '';
+        upstreams.forEach(upstream => {
+            const row = document.createElement('tr');
+            row.className = `border-b${upstream.enabled ? '' : ' opacity-50'}`;
+
+            const nameCell = document.createElement('td');
+            nameCell.className = 'py-2 pr-4';
+            nameCell.textContent = upstream.name;
+
+            const urlCell = document.createElement('td');
+            urlCell.className = 'py-2 pr-4 break-all';
+            urlCell.textContent = upstream.baseUrl;
+            if (upstream.source === 'env') {
+                const badge = document.createElement('span');
+                badge.className = 'ml-2 text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600';
+                badge.textContent = t('upstream_default');
+                urlCell.appendChild(badge);
+            }
+
+            const orderCell = document.createElement('td');
+            orderCell.className = 'py-2 pr-4';
+            if (upstream.source === 'env') {
+                orderCell.textContent = upstream.order;
+            } else {
+                // Saved on change
+                orderCell.innerHTML = `<input type="number" data-id="${upstream.id}" value="${upstream.order}" min="-1000" max="1000" class="upstream-order-input w-20 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm">`;
+            }
+
+            const healthCell = document.createElement('td');
+            healthCell.className = 'py-2 pr-4';
+            const healthBadge = document.createElement('span');
+            if (!upstream.enabled) {
+                healthBadge.className = `text-xs font-medium px-2 py-1 rounded ${HEALTH_STATUS_CLASSES.disabled}`;
+                healthBadge.textContent = t('disabled');
+            } else {
+                healthBadge.className = `text-xs font-medium px-2 py-1 rounded ${upstream.healthy ? HEALTH_STATUS_CLASSES.ok : HEALTH_STATUS_CLASSES.fail}`;
+                healthBadge.textContent = t(upstream.healthy ? 'proxy_healthy' : 'proxy_evicted');
+            }
+            healthCell.appendChild(healthBadge);
+
+            const latencyCell = document.createElement('td');
+            latencyCell.className = 'py-2 pr-4 text-right';
+            latencyCell.textContent = upstream.latencyMs !== null ? `${upstream.latencyMs.toLocaleString()} ms` : '-';
+
+            const rateCell = document.createElement('td');
+            rateCell.className = 'py-2 pr-4 text-right';
+            rateCell.textContent = upstream.successRate !== null
+                ? `${(upstream.successRate * 100).toFixed(1)}% (${upstream.successCount}/${upstream.successCount + upstream.failureCount})`
+                : '-';
+
+            const errorCell = document.createElement('td');
+            errorCell.className = 'py-2 pr-4 text-xs text-red-600 break-all';
+            errorCell.textContent = upstream.lastError || '';
+
+            const actionCell = document.createElement('td');
+            actionCell.className = 'py-2 text-right whitespace-nowrap';
+            if (upstream.source !== 'env') {
+                actionCell.innerHTML = `
+                    <button data-id="${upstream.id}" data-enabled="${upstream.enabled}" class="toggle-upstream text-sm text-indigo-600 hover:text-indigo-800 font-medium mr-2">${t(upstream.enabled ? 'proxy_disable' : 'proxy_enable')}</button>
+                    <button data-id="${upstream.id}" class="delete-upstream text-sm text-red-600 hover:text-red-800 font-medium">${t('delete')}</button>
+                `;
+            }
+
+            row.append(nameCell, urlCell, orderCell, healthCell, latencyCell, rateCell, errorCell, actionCell);
+            upstreamListBody.appendChild(row);
+        });
+    }
+
+    // --- OpenAI-Compatible Providers ---
+
+    async function loadProviders() {
+        const providers = await apiFetch('/providers');
+        if (!providers) {
+            providerListBody.innerHTML = `<tr><td colspan="7" class="py-2 text-red-500">${t('provider_load_failed')}</td></tr>`;
+            return;
+        }
+        renderProviders(providers);
+    }
+
+    function renderProviders(providers) {
+        cachedProviders = providers;
+        providerListBody.innerHTML = '';
+        if (providers.length === 0) {
+            providerListBody.innerHTML = `<tr><td colspan="7" class="py-2 text-gray-500">${t('no_providers')}</td></tr>`;
+            return;
+        }
+        providers.forEach(provider => {
+            const row = document.createElement('tr');
+            row.className = `border-b${provider.enabled ? '' : ' opacity-50'}`;
+
+            const nameCell = document.createElement('td');
+            nameCell.className = 'py-2 pr-4';
+            nameCell.textContent = provider.name;
+
+            const prefixCell = document.createElement('td');
+            prefixCell.className = 'py-2 pr-4 font-mono';
+            prefixCell.textContent = `[${provider.prefix}]`;
+
+            const urlCell = document.createElement('td');
+            urlCell.className = 'py-2 pr-4 break-all';
+            urlCell.textContent = provider.baseUrl;
+
+            const modelsCell = document.createElement('td');
+            modelsCell.className = 'py-2 pr-4 text-xs break-all';
+            modelsCell.textContent = provider.models.join(', ');
+
+            // Keys that are skipped or cooling down are shown in red
+            const keysCell = document.createElement('td');
+            keysCell.className = 'py-2 pr-4 text-xs whitespace-nowrap';
+            if (provider.keys.length === 0) {
+                keysCell.textContent = t('provider_no_key');
+            }
+            provider.keys.forEach(key => {
+                const keyLine = document.createElement('div');
+                keyLine.className = key.invalid || key.cooldownUntil ? 'text-red-600' : '';
+                keyLine.textContent = key.invalid ? `${key.keyPreview} (${t('provider_key_invalid')})`
+                    : key.cooldownUntil ? `${key.keyPreview} (${t('provider_key_cooldown')})`
+                    : key.keyPreview;
+                keysCell.appendChild(keyLine);
+            });
+
+            const statusCell = document.createElement('td');
+            statusCell.className = 'py-2 pr-4';
+            const statusBadge = document.createElement('span');
+            statusBadge.className = `text-xs font-medium px-2 py-1 rounded ${provider.enabled ? HEALTH_STATUS_CLASSES.ok : HEALTH_STATUS_CLASSES.disabled}`;
+            statusBadge.textContent = t(provider.enabled ? 'enabled' : 'disabled');
+            statusCell.appendChild(statusBadge);
+
+            const actionCell = document.createElement('td');
+            actionCell.className = 'py-2 text-right whitespace-nowrap';
+            actionCell.innerHTML = `
+                <button data-id="${provider.id}" class="edit-provider text-sm text-indigo-600 hover:text-indigo-800 font-medium mr-2">${t('edit')}</button>
+                <button data-id="${provider.id}" data-enabled="${provider.enabled}" class="toggle-provider text-sm text-indigo-600 hover:text-indigo-800 font-medium mr-2">${t(provider.enabled ? 'proxy_disable' : 'proxy_enable')}</button>
+                <button data-id="${provider.id}" class="delete-provider text-sm text-red-600 hover:text-red-800 font-medium">${t('delete')}</button>
+            `;
+
+            row.append(nameCell, prefixCell, urlCell, modelsCell, keysCell, statusCell, actionCell);
+            providerListBody.appendChild(row);
+        });
+    }
+
+    // Empties the provider form and leaves edit mode
+    function resetProviderForm() {
+        providerForm.reset();
+        providerIdInput.value = '';
+        providerKeysInput.placeholder = '';
+        providerCancelEditBtn.classList.add('hidden');
+    }
+
+    // --- Live Log ---
+
+    const LIVE_LOG_MAX_ENTRIES = 1000;
+    const LIVE_LOG_LEVEL_CLASSES = {
+        debug: 'text-gray-400',
+        info: 'text-gray-100',
+        warn: 'text-yellow-300',
+        error: 'text-red-400',
+    };
+
+    // (Re)connects the log stream with the current filters; the server replays its buffer first
+    function connectLiveLog() {
+        if (liveLogSource) liveLogSource.close();
+        liveLogEntries = [];
+        liveLogPending = 0;
+        liveLogOutput.innerHTML = '';
+
+        const params = new URLSearchParams({ level: liveLogLevelSelect.value });
+        if (liveLogModelFilter.value.trim()) params.set('model', liveLogModelFilter.value.trim());
+        if (liveLogKeyFilter.value.trim()) params.set('key', liveLogKeyFilter.value.trim());
+
+        liveLogSource = new EventSource(`/api/admin/logs/stream?${params.toString()}`);
+        liveLogSource.onopen = () => updateLiveLogStatus();
+        liveLogSource.onerror = () => {
+            // EventSource reconnects by itself; the replayed buffer would duplicate entries
+            liveLogEntries = [];
+            liveLogOutput.innerHTML = '';
+            liveLogStatus.textContent = t('live_log_disconnected');
+        };
+        liveLogSource.onmessage = (event) => {
+            let entry;
+            try {
+                entry = JSON.parse(event.data);
+            } catch (e) {
+                return;
+            }
+            liveLogEntries.push(entry);
+            if (liveLogEntries.length > LIVE_LOG_MAX_ENTRIES) liveLogEntries.shift();
+            if (liveLogPaused) {
+                liveLogPending++;
+                updateLiveLogStatus();
+                return;
+            }
+            appendLiveLogLine(entry);
+        };
+    }
+
+    function appendLiveLogLine(entry) {
+        const atBottom = liveLogOutput.scrollTop + liveLogOutput.clientHeight >= liveLogOutput.scrollHeight - 10;
+        const line = document.createElement('div');
+        line.className = `whitespace-pre-wrap break-all ${LIVE_LOG_LEVEL_CLASSES[entry.level] || ''}`;
+        // Log messages can contain request content, so they are set as text
+        line.textContent = [
+            new Date(entry.time).toLocaleTimeString(),
+            entry.level.toUpperCase().padEnd(5),
+            entry.requestId ? `[${entry.requestId.substring(0, 8)}]` : '',
+            entry.model ? `(${entry.model}${entry.keyId ? ` / ${entry.keyId}` : ''})` : (entry.keyId ? `(${entry.keyId})` : ''),
+            entry.msg,
+            entry.error ? entry.error.stack || entry.error.message : '',
+        ].filter(Boolean).join(' ');
+        liveLogOutput.appendChild(line);
+        while (liveLogOutput.childElementCount > LIVE_LOG_MAX_ENTRIES) {
+            liveLogOutput.removeChild(liveLogOutput.firstChild);
+        }
+        if (atBottom) liveLogOutput.scrollTop = liveLogOutput.scrollHeight;
+    }
+
+    function updateLiveLogStatus() {
+        liveLogStatus.textContent = liveLogPaused ? t('live_log_paused', liveLogPending) : t('live_log_connected');
+    }
+
+    function toggleLiveLogPause() {
+        liveLogPaused = !liveLogPaused;
+        liveLogPauseBtn.textContent = t(liveLogPaused ? 'live_log_resume' : 'live_log_pause');
+        if (!liveLogPaused) {
+            // Show what arrived while paused
+            liveLogOutput.innerHTML = '';
+            liveLogEntries.forEach(appendLiveLogLine);
+            liveLogOutput.scrollTop = liveLogOutput.scrollHeight;
+            liveLogPending = 0;
+        }
+        updateLiveLogStatus();
+    }
+
+    function downloadLiveLog() {
+        const content = liveLogEntries.map(entry => JSON.stringify(entry)).join('\n');
+        const blob = new Blob([content], { type: 'application/x-ndjson' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `logs-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // --- Audit Log ---
+
+    async function loadAuditLogs() {
+        const params = new URLSearchParams({ page: auditLogPage, pageSize: 20 });
+        const model = auditLogModelFilter.value.trim();
+        if (model) params.set('model', model);
+
+        const result = await apiFetch(`/audit-logs?${params.toString()}`);
+        if (!result) {
+            auditLogBody.innerHTML = `<tr><td colspan="6" class="py-2 text-red-500">${t('audit_log_load_failed')}</td></tr>`;
+            return;
+        }
+        renderAuditLogs(result);
+    }
+
+    function renderAuditLogs({ entries, total, page, pageSize }) {
+        const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+        auditLogPageInfo.textContent = `${page} / ${totalPages}`;
+        auditLogPrevBtn.disabled = page <= 1;
+        auditLogNextBtn.disabled = page >= totalPages;
+
+        auditLogBody.innerHTML = '';
+        if (entries.length === 0) {
+            auditLogBody.innerHTML = `<tr><td colspan="6" class="py-2 text-gray-500">${t('no_audit_logs')}</td></tr>`;
+            return;
+        }
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            row.className = 'border-b';
+            // Values come from client requests, so they are set as text
+            [
+                new Date(entry.createdAt).toLocaleString(),
+                entry.workerKey ? `${entry.workerKey.substring(0, 8)}...` : '-',
+                entry.model || '-',
+                `${entry.endpoint}${entry.stream ? ' (stream)' : ''}`,
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.className = 'py-2 pr-4 break-all';
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            const statusCell = document.createElement('td');
+            statusCell.className = `py-2 pr-4 text-right ${entry.status >= 400 ? 'text-red-600' : 'text-green-600'}`;
+            statusCell.textContent = entry.status;
+            row.appendChild(statusCell);
+            const actionCell = document.createElement('td');
+            actionCell.className = 'py-2 text-right';
+            actionCell.innerHTML = `<button data-id="${entry.id}" class="view-audit-entry text-sm text-indigo-600 hover:text-indigo-800 font-medium">${t('view')}</button>`;
+            row.appendChild(actionCell);
+            auditLogBody.appendChild(row);
+        });
+    }
+
+    function formatAuditPayload(payload) {
+        if (payload === null || payload === undefined) return t('audit_not_captured');
+        return typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2);
+    }
+
+    async function openAuditEntry(id) {
+        const entry = await apiFetch(`/audit-logs/${id}`);
+        if (!entry) return;
+        currentAuditEntryId = entry.id;
+        document.getElementById('audit-entry-summary').textContent =
+            `#${entry.id} · ${new Date(entry.createdAt).toLocaleString()} · ${entry.endpoint} · ${entry.model || '-'} · ${entry.keyId || '-'} · ${entry.status}`;
+        document.getElementById('audit-entry-request').textContent = formatAuditPayload(entry.request);
+        document.getElementById('audit-entry-gemini-request').textContent = formatAuditPayload(entry.geminiRequest);
+        document.getElementById('audit-entry-response').textContent = formatAuditPayload(entry.response);
+        document.getElementById('audit-replay-result-container').classList.add('hidden');
+        auditReplayBtn.classList.toggle('hidden', entry.endpoint !== '/v1/chat/completions');
+        auditEntryModal.classList.remove('hidden');
+    }
+
+    async function replayAuditEntry() {
+        if (!currentAuditEntryId) return;
+        const result = await apiFetch(`/audit-logs/${currentAuditEntryId}/replay`, { method: 'POST' });
+        if (!result) return;
+        document.getElementById('audit-replay-result').textContent = result.success
+            ? formatAuditPayload(result.response)
+            : `${result.status}\n${formatAuditPayload(result.error)}`;
+        document.getElementById('audit-replay-result-container').classList.remove('hidden');
+    }
+
+    // --- Usage Analytics ---
+
+    async function loadUsageStats() {
+        const range = statsRangeSelect.value;
+        const groupBy = statsGroupSelect.value;
+        const query = `range=${encodeURIComponent(range)}&groupBy=${encodeURIComponent(groupBy)}`;
+
+        const [summary, timeSeries, breakdown] = await Promise.all([
+            apiFetch(`/stats/summary?range=${encodeURIComponent(range)}`),
+            apiFetch(`/stats/timeseries?${query}`),
+            apiFetch(`/stats/breakdown?${query}`)
+        ]);
+
+        if (!summary || !timeSeries || !breakdown) {
+            statsBreakdownBody.innerHTML = `<tr><td colspan="6" class="py-2 text-red-500">${t('stats_load_failed')}</td></tr>`;
+            return;
+        }
+
+        cachedStats = { groupBy, timeSeries, breakdown };
+        renderStatsSummary(summary);
+        renderStatsChart();
+        renderStatsBreakdown();
+    }
+
+    function formatPercent(rate) {
+        return `${(rate * 100).toFixed(1)}%`;
+    }
+
+    // Display name for a stats group: Gemini key name / worker key description when known
+    function getStatsGroupLabel(key) {
+        if (key === 'other') return t('stats_other');
+        if (key === 'unknown') return t('stats_unknown');
+        const row = cachedStats?.breakdown.find(item => item.key === key);
+        if (row && row.label) {
+            return cachedStats.groupBy === 'gemini_key' ? row.label : `${row.label} (${key.substring(0, 8)}...)`;
+        }
+        return key;
+    }
+
+    // Bucket keys are UTC: 'YYYY-MM-DDTHH' for hours, 'YYYY-MM-DD' for days
+    function formatStatsBucket(bucket, bucketSize) {
+        if (bucketSize === 'hour') {
+            const date = new Date(`${bucket}:00:00Z`);
+            return `${date.toLocaleDateString(undefined, { month: '2-digit', day: '2-digit' })} ${String(date.getHours()).padStart(2, '0')}:00`;
+        }
+        return bucket;
+    }
+
+    function renderStatsSummary(summary) {
+        document.getElementById('stats-summary-requests').textContent = summary.requests.toLocaleString();
+        document.getElementById('stats-summary-error-rate').textContent = formatPercent(summary.errorRate);
+        document.getElementById('stats-summary-tokens').textContent = summary.totalTokens.toLocaleString();
+        document.getElementById('stats-summary-latency').textContent = `${summary.avgLatencyMs.toLocaleString()} ms`;
+    }
+
+    function renderStatsChart() {
+        if (!cachedStats) return;
+        if (typeof Chart === 'undefined') {
+            console.warn('Chart.js is not loaded, skipping usage chart.');
+            return;
+        }
+
+        const { timeSeries } = cachedStats;
+        const metric = statsMetricSelect.value;
+        const datasets = timeSeries.series.map(series => {
+            let data;
+            if (metric === 'tokens') {
+                data = series.tokens;
+            } else if (metric === 'error_rate') {
+                data = series.requests.map((requests, index) => requests > 0 ? +(series.errors[index] / requests * 100).toFixed(1) : 0);
+            } else {
+                data = series.requests;
+            }
+            return {
+                label: getStatsGroupLabel(series.key),
+                data,
+                tension: 0.2,
+                pointRadius: 2,
+            };
+        });
+
+        if (statsChart) {
+            statsChart.destroy();
+        }
+        statsChart = new Chart(statsChartCanvas, {
+            type: 'line',
+            data: {
+                labels: timeSeries.buckets.map(bucket => formatStatsBucket(bucket, timeSeries.bucket)),
+                datasets,
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: metric === 'error_rate' ? { callback: value => `${value}%` } : {},
+                    },
+                },
+            },
+        });
+    }
+
+    function renderStatsBreakdown() {
+        if (!cachedStats) return;
+        const rows = cachedStats.breakdown;
+        if (rows.length === 0) {
+            statsBreakdownBody.innerHTML = `<tr><td colspan="6" class="py-2 text-gray-500">${t('stats_no_data')}</td></tr>`;
+            return;
+        }
+
+        statsBreakdownBody.innerHTML = rows.map(row => `
+            <tr class="border-b">
+                <td class="py-2 pr-4 font-mono text-gray-700">${getStatsGroupLabel(row.key)}</td>
+                <td class="py-2 pr-4 text-right">${row.requests.toLocaleString()}</td>
+                <td class="py-2 pr-4 text-right ${row.errorRate > 0 ? 'text-red-600' : ''}">${formatPercent(row.errorRate)}</td>
+                <td class="py-2 pr-4 text-right">${row.promptTokens.toLocaleString()}</td>
+                <td class="py-2 pr-4 text-right">${row.completionTokens.toLocaleString()}</td>
+                <td class="py-2 text-right">${row.avgLatencyMs.toLocaleString()} ms</td>
+            </tr>
+        `).join('');
+    }
+
     // New function to load available Gemini models
     async function loadGeminiAvailableModels(forceRefresh = false) {
         // Only proceed if we have Gemini keys
@@ -1544,6 +2480,41 @@ async function renderGeminiKeys(keys) {
             }
         }
 
+        if (e.target.classList.contains('clear-gemini-key-cooldown')) {
+            const keyId = e.target.dataset.id;
+            const result = await apiFetch(`/gemini-keys/${encodeURIComponent(keyId)}/clear-cooldown`, {
+                method: 'POST',
+            });
+            if (result && result.success) {
+                showSuccess(t('cooldown_cleared', keyId));
+                await loadGeminiKeys();
+            }
+            return;
+        }
+
+        if (e.target.classList.contains('save-gemini-key-settings')) {
+            const keyId = e.target.dataset.id;
+            const weight = parseInt(document.getElementById(`gemini-key-weight-${keyId}`).value, 10);
+            const priority = parseInt(document.getElementById(`gemini-key-priority-${keyId}`).value, 10);
+            const tier = document.getElementById(`gemini-key-tier-${keyId}`).value;
+            const proxyBinding = document.getElementById(`gemini-key-proxy-binding-${keyId}`).value || null;
+            const upstreamId = document.getElementById(`gemini-key-upstream-${keyId}`).value || null;
+            if (isNaN(weight) || isNaN(priority)) {
+                showError(t('key_weight_priority_invalid'));
+                return;
+            }
+
+            const result = await apiFetch(`/gemini-keys/${encodeURIComponent(keyId)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ weight, priority, tier, proxyBinding, upstreamId }),
+            });
+            if (result && result.success) {
+                showSuccess(t('key_settings_saved', keyId));
+                await loadGeminiKeys();
+            }
+            return;
+        }
+
         // --- New: Clear Gemini Key Error ---
         if (e.target.classList.contains('clear-gemini-key-error')) {
             const keyId = e.target.dataset.id;
@@ -1823,6 +2794,287 @@ async function renderGeminiKeys(keys) {
         }
     });
 
+    // --- Model Alias Logic ---
+    addModelAliasForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const formData = new FormData(addModelAliasForm);
+        const alias = formData.get('alias').trim();
+        const targetModel = formData.get('targetModel').trim();
+        if (!alias || !targetModel) {
+            showError(t('model_alias_required'));
+            return;
+        }
+
+        const result = await apiFetch('/model-aliases', {
+            method: 'POST',
+            body: JSON.stringify({ alias, targetModel }),
+        });
+        if (result && result.success) {
+            addModelAliasForm.reset();
+            showSuccess(t('model_alias_saved', alias, targetModel));
+            await loadModelAliases();
+        }
+    });
+
+    modelAliasesListDiv.addEventListener('click', async (e) => {
+        const button = e.target.closest('.delete-model-alias');
+        if (!button) return;
+        const alias = button.dataset.alias;
+        if (!confirm(t('delete_model_alias_confirm', alias))) return;
+
+        const result = await apiFetch(`/model-aliases/${encodeURIComponent(alias)}`, { method: 'DELETE' });
+        if (result && result.success) {
+            showSuccess(t('model_alias_deleted', alias));
+            await loadModelAliases();
+        }
+    });
+
+    // --- Proxy Pool Logic ---
+    addProxyForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const url = proxyUrlInput.value.trim();
+        if (!url) return;
+
+        const result = await apiFetch('/proxies', {
+            method: 'POST',
+            body: JSON.stringify({ url, group: proxyGroupInput.value.trim() || null }),
+        });
+        if (result && result.success) {
+            addProxyForm.reset();
+            showSuccess(t('proxy_added'));
+            await loadProxies();
+            await loadGeminiKeys();
+        }
+    });
+
+    proxyCheckBtn.addEventListener('click', async () => {
+        const result = await apiFetch('/proxies/check', { method: 'POST' });
+        if (result && result.success) {
+            showSuccess(t('proxy_check_done', `${result.healthy}/${result.checked}`));
+            renderProxies(result.proxies);
+        }
+    });
+
+    proxyListBody.addEventListener('click', async (e) => {
+        const toggleButton = e.target.closest('.toggle-proxy');
+        if (toggleButton) {
+            const result = await apiFetch(`/proxies/${encodeURIComponent(toggleButton.dataset.id)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ enabled: toggleButton.dataset.enabled !== 'true' }),
+            });
+            if (result && result.success) await loadProxies();
+            return;
+        }
+
+        const deleteButton = e.target.closest('.delete-proxy');
+        if (!deleteButton) return;
+        const url = deleteButton.closest('tr').firstElementChild.firstChild.textContent;
+        if (!confirm(t('delete_proxy_confirm', url))) return;
+
+        const result = await apiFetch(`/proxies/${encodeURIComponent(deleteButton.dataset.id)}`, { method: 'DELETE' });
+        if (result && result.success) {
+            // Keys bound to the proxy were unbound
+            await loadProxies();
+            await loadGeminiKeys();
+        }
+    });
+
+    proxyListBody.addEventListener('change', async (e) => {
+        const input = e.target.closest('.proxy-group-input');
+        if (!input) return;
+        const result = await apiFetch(`/proxies/${encodeURIComponent(input.dataset.id)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ group: input.value.trim() || null }),
+        });
+        if (result && result.success) {
+            showSuccess(t('proxy_group_saved'));
+            await loadProxies();
+            await loadGeminiKeys();
+        }
+    });
+
+    // --- Upstream Logic ---
+    addUpstreamForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const baseUrl = upstreamUrlInput.value.trim();
+        const order = parseInt(upstreamOrderInput.value, 10);
+        if (!baseUrl) return;
+
+        const result = await apiFetch('/upstreams', {
+            method: 'POST',
+            body: JSON.stringify({ baseUrl, name: upstreamNameInput.value.trim() || undefined, order: isNaN(order) ? undefined : order }),
+        });
+        if (result && result.success) {
+            addUpstreamForm.reset();
+            showSuccess(t('upstream_added'));
+            await loadUpstreams();
+            await loadGeminiKeys();
+        }
+    });
+
+    upstreamCheckBtn.addEventListener('click', async () => {
+        const result = await apiFetch('/upstreams/check', { method: 'POST' });
+        if (result && result.success) {
+            showSuccess(t('upstream_check_done', `${result.healthy}/${result.checked}`));
+            renderUpstreams(result.upstreams);
+        }
+    });
+
+    upstreamListBody.addEventListener('click', async (e) => {
+        const toggleButton = e.target.closest('.toggle-upstream');
+        if (toggleButton) {
+            const result = await apiFetch(`/upstreams/${encodeURIComponent(toggleButton.dataset.id)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ enabled: toggleButton.dataset.enabled !== 'true' }),
+            });
+            if (result && result.success) await loadUpstreams();
+            return;
+        }
+
+        const deleteButton = e.target.closest('.delete-upstream');
+        if (!deleteButton) return;
+        const name = deleteButton.closest('tr').firstElementChild.textContent;
+        if (!confirm(t('delete_upstream_confirm', name))) return;
+
+        const result = await apiFetch(`/upstreams/${encodeURIComponent(deleteButton.dataset.id)}`, { method: 'DELETE' });
+        if (result && result.success) {
+            // Keys assigned to the upstream were unassigned
+            await loadUpstreams();
+            await loadGeminiKeys();
+        }
+    });
+
+    upstreamListBody.addEventListener('change', async (e) => {
+        const input = e.target.closest('.upstream-order-input');
+        if (!input) return;
+        const order = parseInt(input.value, 10);
+        if (isNaN(order)) return;
+        const result = await apiFetch(`/upstreams/${encodeURIComponent(input.dataset.id)}`, {
+            method: 'PUT',
+            body: JSON.stringify({ order }),
+        });
+        if (result && result.success) {
+            showSuccess(t('upstream_order_saved'));
+            await loadUpstreams();
+        }
+    });
+
+    // --- Provider Logic ---
+    providerForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const splitLines = (value) => value.split('\n').map(line => line.trim()).filter(Boolean);
+        let pricing = {};
+        if (providerPricingInput.value.trim()) {
+            try {
+                pricing = JSON.parse(providerPricingInput.value);
+            } catch (error) {
+                showError(t('provider_pricing_invalid'));
+                return;
+            }
+        }
+
+        const id = providerIdInput.value;
+        const apiKeys = splitLines(providerKeysInput.value);
+        const body = {
+            name: providerNameInput.value.trim(),
+            prefix: providerPrefixInput.value.trim(),
+            baseUrl: providerBaseUrlInput.value.trim(),
+            models: splitLines(providerModelsInput.value),
+            pricing,
+            useProxy: providerUseProxyInput.checked,
+            // When editing, the stored keys are kept unless new ones are entered
+            ...((!id || apiKeys.length > 0) && { apiKeys }),
+        };
+        const result = await apiFetch(id ? `/providers/${encodeURIComponent(id)}` : '/providers', {
+            method: id ? 'PUT' : 'POST',
+            body: JSON.stringify(body),
+        });
+        if (result && result.success) {
+            resetProviderForm();
+            showSuccess(t('provider_saved'));
+            await loadProviders();
+        }
+    });
+
+    providerCancelEditBtn.addEventListener('click', resetProviderForm);
+
+    providerListBody.addEventListener('click', async (e) => {
+        const editButton = e.target.closest('.edit-provider');
+        if (editButton) {
+            const provider = cachedProviders.find(item => item.id === editButton.dataset.id);
+            if (!provider) return;
+            providerIdInput.value = provider.id;
+            providerNameInput.value = provider.name;
+            providerPrefixInput.value = provider.prefix;
+            providerBaseUrlInput.value = provider.baseUrl;
+            providerKeysInput.value = '';
+            providerKeysInput.placeholder = t('provider_keys_keep', provider.keys.length);
+            providerModelsInput.value = provider.models.join('\n');
+            providerPricingInput.value = Object.keys(provider.pricing).length > 0 ? JSON.stringify(provider.pricing, null, 2) : '';
+            providerUseProxyInput.checked = provider.useProxy;
+            providerCancelEditBtn.classList.remove('hidden');
+            providerForm.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+
+        const toggleButton = e.target.closest('.toggle-provider');
+        if (toggleButton) {
+            const result = await apiFetch(`/providers/${encodeURIComponent(toggleButton.dataset.id)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ enabled: toggleButton.dataset.enabled !== 'true' }),
+            });
+            if (result && result.success) await loadProviders();
+            return;
+        }
+
+        const deleteButton = e.target.closest('.delete-provider');
+        if (!deleteButton) return;
+        const name = deleteButton.closest('tr').firstElementChild.textContent;
+        if (!confirm(t('delete_provider_confirm', name))) return;
+
+        const result = await apiFetch(`/providers/${encodeURIComponent(deleteButton.dataset.id)}`, { method: 'DELETE' });
+        if (result && result.success) {
+            if (providerIdInput.value === deleteButton.dataset.id) resetProviderForm();
+            await loadProviders();
+        }
+    });
+
+    // --- Tier Quota Logic ---
+    addTierQuotaForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const formData = new FormData(addTierQuotaForm);
+        const tier = formData.get('tier');
+        const modelId = formData.get('modelId').trim();
+        const dailyQuota = parseInt(formData.get('dailyQuota'), 10);
+        if (!modelId || isNaN(dailyQuota) || dailyQuota < 0) {
+            showError(t('tier_quota_invalid'));
+            return;
+        }
+
+        const result = await apiFetch('/tier-quotas', {
+            method: 'POST',
+            body: JSON.stringify({ tier, modelId, dailyQuota }),
+        });
+        if (result && result.success) {
+            addTierQuotaForm.reset();
+            showSuccess(t('tier_quota_saved', modelId, t(`tier_${tier}`)));
+            await loadTierQuotas();
+        }
+    });
+
+    tierQuotasListDiv.addEventListener('click', async (e) => {
+        const button = e.target.closest('.delete-tier-quota');
+        if (!button) return;
+        const { tier, modelId } = button.dataset;
+        if (!confirm(t('delete_tier_quota_confirm', modelId, t(`tier_${tier}`)))) return;
+
+        const result = await apiFetch(`/tier-quotas/${encodeURIComponent(tier)}/${encodeURIComponent(modelId)}`, { method: 'DELETE' });
+        if (result && result.success) {
+            showSuccess(t('tier_quota_deleted', modelId, t(`tier_${tier}`)));
+            await loadTierQuotas();
+        }
+    });
+
     // --- Individual Quota Modal Logic ---
     closeIndividualQuotaModalBtn.addEventListener('click', () => {
         individualQuotaModal.classList.add('hidden');
@@ -1832,6 +3084,78 @@ async function renderGeminiKeys(keys) {
         individualQuotaModal.classList.add('hidden');
     });
 
+    // --- Worker Key Limits Modal Logic ---
+    function openWorkerKeyLimitsModal(key) {
+        const workerKey = cachedWorkerKeys.find(k => k.key === key);
+        if (!workerKey) return;
+
+        workerKeyLimitsKeyInput.value = key;
+        document.getElementById('worker-key-limits-key-display').textContent = key;
+        workerKeyRpmLimitInput.value = workerKey.rpmLimit || '';
+        workerKeyRpdLimitInput.value = workerKey.rpdLimit || '';
+        workerKeyTpdLimitInput.value = workerKey.tpdLimit || '';
+
+        // Configured models, plus any allowed model that has since been removed from the list
+        const allowedModels = workerKey.allowedModels || [];
+        const modelIds = [...new Set([...cachedModels.map(m => m.id), ...allowedModels])];
+        workerKeyAllowedModelsDiv.innerHTML = modelIds.length > 0 ? modelIds.map(modelId => `
+            <label class="flex items-center text-sm text-gray-700">
+                <input type="checkbox" class="worker-key-allowed-model mr-2 rounded border-gray-300" value="${modelId}" ${allowedModels.includes(modelId) ? 'checked' : ''}>
+                <span class="font-mono">${modelId}</span>
+            </label>
+        `).join('') : `<p class="text-xs text-gray-500">${t('no_models_configured')}</p>`;
+
+        hideError(workerKeyLimitsErrorDiv);
+        workerKeyLimitsModal.classList.remove('hidden');
+    }
+
+    closeWorkerKeyLimitsModalBtn.addEventListener('click', () => {
+        workerKeyLimitsModal.classList.add('hidden');
+    });
+
+    cancelWorkerKeyLimitsBtn.addEventListener('click', () => {
+        workerKeyLimitsModal.classList.add('hidden');
+    });
+
+    workerKeyLimitsModal.addEventListener('click', (e) => {
+        if (e.target === workerKeyLimitsModal) {
+            workerKeyLimitsModal.classList.add('hidden');
+        }
+    });
+
+    workerKeyLimitsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError(workerKeyLimitsErrorDiv);
+
+        // Empty inputs mean unlimited
+        const parseLimit = (input) => input.value.trim() === '' ? null : parseInt(input.value, 10);
+        const payload = {
+            key: workerKeyLimitsKeyInput.value,
+            rpmLimit: parseLimit(workerKeyRpmLimitInput),
+            rpdLimit: parseLimit(workerKeyRpdLimitInput),
+            tpdLimit: parseLimit(workerKeyTpdLimitInput),
+            allowedModels: Array.from(workerKeyAllowedModelsDiv.querySelectorAll('.worker-key-allowed-model:checked')).map(cb => cb.value),
+        };
+
+        if ([payload.rpmLimit, payload.rpdLimit, payload.tpdLimit].some(limit => limit !== null && (isNaN(limit) || limit <= 0))) {
+            showError(t('limit_must_be_positive'), workerKeyLimitsErrorDiv, workerKeyLimitsErrorDiv);
+            return;
+        }
+
+        const result = await apiFetch('/worker-keys/limits', {
+            method: 'POST',
+            body: JSON.stringify(payload),
+        });
+
+        if (result && result.success) {
+            workerKeyLimitsModal.classList.add('hidden');
+            await loadWorkerKeys();
+            showSuccess(t('worker_key_limits_saved'));
+        } else {
+            showError(result?.error || t('worker_key_limits_save_failed'), workerKeyLimitsErrorDiv, workerKeyLimitsErrorDiv);
+        }
+    });
+
     // --- Run All Test Logic ---
     runAllTestBtn.addEventListener('click', async () => {
         if (isRunningAllTests) {
@@ -1930,12 +3254,18 @@ async function renderGeminiKeys(keys) {
         hideError(individualQuotaErrorDiv);
 
         const modelId = individualQuotaModelIdInput.value;
-        const individualQuota = parseInt(individualQuotaValueInput.value, 10);
+        const individualQuota = parseInt(individualQuotaValueInput.value, 10) || 0;
+        const rpmLimit = parseInt(modelRpmLimitInput.value, 10) || 0;
+        const tpmLimit = parseInt(modelTpmLimitInput.value, 10) || 0;
 
-        if (isNaN(individualQuota) || individualQuota < 0) {
+        if (individualQuota < 0) {
             showError("Individual quota must be a non-negative number.", individualQuotaErrorDiv, individualQuotaErrorDiv);
             return;
         }
+        if (rpmLimit < 0 || tpmLimit < 0) {
+            showError(t('model_rate_limits_invalid'), individualQuotaErrorDiv, individualQuotaErrorDiv);
+            return;
+        }
 
         // Find the existing model to update
         const modelToUpdate = cachedModels.find(m => m.id === modelId);
@@ -1948,7 +3278,9 @@ async function renderGeminiKeys(keys) {
         const payload = {
             id: modelId,
             category: modelToUpdate.category,
-            individualQuota: individualQuota > 0 ? individualQuota : undefined // If 0, set to undefined to remove quota
+            individualQuota: individualQuota > 0 && modelToUpdate.category !== 'Custom' ? individualQuota : undefined, // If 0, set to undefined to remove quota
+            rpmLimit: rpmLimit > 0 ? rpmLimit : null, // 0 removes the limit
+            tpmLimit: tpmLimit > 0 ? tpmLimit : null
         };
 
         // If it's a Custom model, preserve the dailyQuota
@@ -2038,7 +3370,10 @@ async function renderGeminiKeys(keys) {
             const results = await Promise.allSettled([
                 loadModels(),
                 loadCategoryQuotas(),
-                loadWorkerKeys()
+                loadWorkerKeys(),
+                loadModelAliases(),
+                loadTierQuotas(),
+                loadProviders()
             ]);
 
             // Check results for critical failures (models/quotas)
@@ -2055,10 +3390,19 @@ async function renderGeminiKeys(keys) {
                  console.error(`Initial load failed for worker keys:`, results[2].reason);
             }
 
+            // The key details offer the proxies as proxy bindings and the upstreams as assignments
+            await loadProxies().catch(error => console.error('Failed to load proxies:', error));
+            await loadUpstreams().catch(error => console.error('Failed to load upstreams:', error));
             await loadGeminiKeys();
             // After loading Gemini keys, try to load available Gemini models
             await loadGeminiAvailableModels();
 
+            // Usage analytics are not essential, don't block the rest of the page on them
+            loadUsageStats().catch(error => console.error('Failed to load usage stats:', error));
+            loadAuditLogs().catch(error => console.error('Failed to load audit logs:', error));
+            loadHealthStatus();
+            connectLiveLog();
+
             // Check for updates
             await checkForUpdates();
 
@@ -2402,6 +3746,45 @@ async function renderGeminiKeys(keys) {
     testVertexConfigBtn.addEventListener('click', testVertexConfig);
     clearVertexConfigBtn.addEventListener('click', clearVertexConfig);
 
+    // Usage analytics controls
+    statsRangeSelect.addEventListener('change', loadUsageStats);
+    statsGroupSelect.addEventListener('change', loadUsageStats);
+    statsRefreshBtn.addEventListener('click', loadUsageStats);
+    statsMetricSelect.addEventListener('change', renderStatsChart);
+
+    // Audit log controls
+    liveLogLevelSelect.addEventListener('change', connectLiveLog);
+    liveLogModelFilter.addEventListener('change', connectLiveLog);
+    liveLogKeyFilter.addEventListener('change', connectLiveLog);
+    liveLogPauseBtn.addEventListener('click', toggleLiveLogPause);
+    liveLogDownloadBtn.addEventListener('click', downloadLiveLog);
+    healthRefreshBtn.addEventListener('click', () => {
+        loadHealthStatus();
+    });
+    auditLogRefreshBtn.addEventListener('click', () => {
+        auditLogPage = 1;
+        loadAuditLogs();
+    });
+    auditLogPrevBtn.addEventListener('click', () => {
+        auditLogPage = Math.max(auditLogPage - 1, 1);
+        loadAuditLogs();
+    });
+    auditLogNextBtn.addEventListener('click', () => {
+        auditLogPage++;
+        loadAuditLogs();
+    });
+    auditLogBody.addEventListener('click', (e) => {
+        const button = e.target.closest('.view-audit-entry');
+        if (button) openAuditEntry(button.dataset.id);
+    });
+    auditReplayBtn.addEventListener('click', replayAuditEntry);
+    document.getElementById('close-audit-entry-modal').addEventListener('click', () => {
+        auditEntryModal.classList.add('hidden');
+    });
+    auditEntryModal.addEventListener('click', (e) => {
+        if (e.target === auditEntryModal) auditEntryModal.classList.add('hidden');
+    });
+
     // Settings modal functionality
     setupSettingsModal();
 
@@ -2448,6 +3831,28 @@ async function renderGeminiKeys(keys) {
             e.preventDefault();
             await saveSystemSettings();
         });
+
+        // Purge the response cache
+        document.getElementById('purge-response-cache').addEventListener('click', async () => {
+            if (!confirm(t('purge_response_cache_confirm'))) return;
+            const result = await apiFetch('/response-cache', { method: 'DELETE' });
+            if (result && result.success) {
+                showSuccess(t('response_cache_purged', result.purged));
+                await loadResponseCacheStats();
+            }
+        });
+    }
+
+    async function loadResponseCacheStats() {
+        const statsEl = document.getElementById('response-cache-stats');
+        try {
+            const stats = await apiFetch('/response-cache');
+            if (!stats) return;
+            statsEl.textContent = t('response_cache_stats', stats.entries, stats.hits, stats.misses, (stats.hitRate * 100).toFixed(1));
+        } catch (error) {
+            console.error('Error loading response cache stats:', error);
+            statsEl.textContent = '';
+        }
     }
 
     async function loadSystemSettings() {
@@ -2471,6 +3876,38 @@ async function renderGeminiKeys(keys) {
             const autoTestToggle = document.getElementById('auto-test-toggle');
             autoTestToggle.checked = settings.autoTest === '1' || settings.autoTest === 1 || settings.autoTest === true;
 
+            // Set Embedding Category select
+            const embeddingCategorySelect = document.getElementById('embedding-category-select');
+            embeddingCategorySelect.value = settings.embeddingCategory || 'Custom';
+
+            // Set Request Log Retention input
+            const requestLogRetentionInput = document.getElementById('request-log-retention-input');
+            requestLogRetentionInput.value = settings.requestLogRetentionDays || 30;
+
+            // Set Key Selection Strategy select
+            const keySelectionStrategySelect = document.getElementById('key-selection-strategy-select');
+            keySelectionStrategySelect.value = settings.keySelectionStrategy || 'round_robin';
+
+            // Set Quota Reset inputs
+            document.getElementById('quota-reset-timezone-input').value = settings.quotaResetTimezone || 'America/Los_Angeles';
+            document.getElementById('quota-reset-time-input').value = settings.quotaResetTime || '00:00';
+            document.getElementById('quota-window-select').value = settings.quotaWindow || 'daily';
+
+            // Set Response Cache inputs
+            document.getElementById('response-cache-toggle').checked = settings.responseCacheEnabled === '1';
+            document.getElementById('response-cache-ttl-input').value = settings.responseCacheTtlSeconds || 3600;
+            document.getElementById('response-cache-max-entries-input').value = settings.responseCacheMaxEntries || 1000;
+            document.getElementById('response-cache-storage-select').value = settings.responseCacheStorage || 'memory';
+            loadResponseCacheStats();
+
+            // Set Audit Log inputs (redaction rules as "pattern => replacement" lines)
+            document.getElementById('audit-log-retention-input').value = settings.auditLogRetentionDays || 7;
+            document.getElementById('audit-redaction-rules-input').value = (settings.auditRedactionRules || [])
+                .map(rule => rule.replacement !== undefined ? `${rule.pattern} => ${rule.replacement}` : rule.pattern)
+                .join('\n');
+
+            document.getElementById('log-level-select').value = settings.logLevel || 'info';
+
         } catch (error) {
             console.error('Error loading system settings:', error);
             // Set default values
@@ -2478,6 +3915,19 @@ async function renderGeminiKeys(keys) {
             document.getElementById('max-retry-input').value = 3;
             document.getElementById('web-search-toggle').checked = false;
             document.getElementById('auto-test-toggle').checked = false;
+            document.getElementById('embedding-category-select').value = 'Custom';
+            document.getElementById('request-log-retention-input').value = 30;
+            document.getElementById('key-selection-strategy-select').value = 'round_robin';
+            document.getElementById('quota-reset-timezone-input').value = 'America/Los_Angeles';
+            document.getElementById('quota-reset-time-input').value = '00:00';
+            document.getElementById('quota-window-select').value = 'daily';
+            document.getElementById('response-cache-toggle').checked = false;
+            document.getElementById('response-cache-ttl-input').value = 3600;
+            document.getElementById('response-cache-max-entries-input').value = 1000;
+            document.getElementById('response-cache-storage-select').value = 'memory';
+            document.getElementById('audit-log-retention-input').value = 7;
+            document.getElementById('audit-redaction-rules-input').value = '';
+            document.getElementById('log-level-select').value = 'info';
         }
     }
 
@@ -2487,12 +3937,36 @@ async function renderGeminiKeys(keys) {
             const maxRetryInput = document.getElementById('max-retry-input');
             const webSearchToggle = document.getElementById('web-search-toggle');
             const autoTestToggle = document.getElementById('auto-test-toggle');
+            const embeddingCategorySelect = document.getElementById('embedding-category-select');
+            const requestLogRetentionInput = document.getElementById('request-log-retention-input');
+            const keySelectionStrategySelect = document.getElementById('key-selection-strategy-select');
 
             const settings = {
                 keepalive: keepaliveToggle.checked ? '1' : '0',
                 maxRetry: parseInt(maxRetryInput.value) || 3,
                 webSearch: webSearchToggle.checked ? '1' : '0',
-                autoTest: autoTestToggle.checked ? '1' : '0'
+                autoTest: autoTestToggle.checked ? '1' : '0',
+                embeddingCategory: embeddingCategorySelect.value,
+                requestLogRetentionDays: parseInt(requestLogRetentionInput.value) || 30,
+                keySelectionStrategy: keySelectionStrategySelect.value,
+                quotaResetTimezone: document.getElementById('quota-reset-timezone-input').value.trim() || 'America/Los_Angeles',
+                quotaResetTime: document.getElementById('quota-reset-time-input').value || '00:00',
+                quotaWindow: document.getElementById('quota-window-select').value,
+                responseCacheEnabled: document.getElementById('response-cache-toggle').checked ? '1' : '0',
+                responseCacheTtlSeconds: parseInt(document.getElementById('response-cache-ttl-input').value) || 3600,
+                responseCacheMaxEntries: parseInt(document.getElementById('response-cache-max-entries-input').value) || 1000,
+                responseCacheStorage: document.getElementById('response-cache-storage-select').value,
+                auditLogRetentionDays: parseInt(document.getElementById('audit-log-retention-input').value) || 7,
+                auditRedactionRules: document.getElementById('audit-redaction-rules-input').value.split('\n')
+                    .map(line => line.trim())
+                    .filter(Boolean)
+                    .map(line => {
+                        const separator = line.lastIndexOf(' => ');
+                        return separator === -1
+                            ? { pattern: line }
+                            : { pattern: line.substring(0, separator), replacement: line.substring(separator + 4) };
+                    }),
+                logLevel: document.getElementById('log-level-select').value
             };
 
             const result = await apiFetch('/system-settings', {
@@ -175,6 +175,234 @@ class I18n {
                 'web_search_description': '启用后将在模型列表中显示带-search后缀的联网搜索模型',
                 'auto_test_setting': '自动批量测试',
                 'auto_test_description': '启用后将在每天北京时间4点自动进行批量测试',
+                'embedding_category_setting': '嵌入模型类别',
+                'embedding_category_description': '未在模型列表中配置的嵌入模型（/v1/embeddings）按此类别计入用量',
+                'request_log_retention_setting': '请求日志保留天数',
+                'request_log_retention_description': '超过此天数的请求日志将被自动清理（1-365，默认：30）',
+                'usage_analytics': '使用统计',
+                'refresh': '刷新',
+                'stats_range_24h': '最近 24 小时',
+                'stats_range_7d': '最近 7 天',
+                'stats_range_30d': '最近 30 天',
+                'stats_group_model': '按模型',
+                'stats_group_worker_key': '按 Worker 密钥',
+                'stats_group_gemini_key': '按 Gemini 密钥',
+                'stats_metric_requests': '请求数',
+                'stats_metric_tokens': 'Token 数',
+                'stats_metric_error_rate': '错误率',
+                'stats_total_requests': '总请求数',
+                'stats_error_rate': '错误率',
+                'stats_total_tokens': '总 Token 数',
+                'stats_avg_latency': '平均延迟',
+                'stats_column_name': '名称',
+                'stats_prompt_tokens': '输入 Token',
+                'stats_completion_tokens': '输出 Token',
+                'stats_other': '其他',
+                'stats_unknown': '未知',
+                'stats_no_data': '所选时间范围内没有请求记录',
+                'stats_load_failed': '加载使用统计失败',
+                'worker_key_limits': 'Worker 密钥限制',
+                'edit_limits': '编辑限制',
+                'rpm_limit': '每分钟请求数',
+                'rpd_limit': '每日请求数',
+                'tpd_limit': '每日 Token 数',
+                'limit_unlimited_placeholder': '留空表示无限制',
+                'worker_key_limits_help': '每日限制与 Gemini 配额同时在太平洋时间午夜重置。',
+                'allowed_models': '允许的模型',
+                'allowed_models_help': '不选择任何模型表示允许所有模型。',
+                'all_models': '全部',
+                'no_models_configured': '尚未配置模型',
+                'save_limits': '保存限制',
+                'limit_must_be_positive': '限制必须为正整数，留空表示无限制',
+                'worker_key_limits_saved': 'Worker 密钥限制已保存',
+                'worker_key_limits_save_failed': '保存 Worker 密钥限制失败',
+                'model_aliases': '模型别名',
+                'model_aliases_help': '别名让未修改的 OpenAI 客户端也能使用，例如将 gpt-4o 映射到 gemini-2.5-pro。',
+                'alias': '别名',
+                'alias_placeholder': '例如：gpt-4o',
+                'target_model': '目标模型',
+                'target_model_placeholder': '例如：gemini-2.5-pro',
+                'add_alias': '添加别名',
+                'no_model_aliases': '尚未配置模型别名',
+                'model_aliases_load_failed': '加载模型别名失败',
+                'model_alias_required': '请输入别名和目标模型',
+                'model_alias_saved': '别名 {0} 已映射到 {1}',
+                'model_alias_deleted': '别名 {0} 已删除',
+                'delete_model_alias_confirm': '确定要删除别名 {0} 吗？',
+                'key_selection_strategy_setting': '密钥选择策略',
+                'key_selection_strategy_description': '在可用的最高优先级密钥中选择使用哪个密钥',
+                'strategy_round_robin': '轮询',
+                'strategy_least_used': '今日用量最少',
+                'strategy_weighted': '按权重',
+                'strategy_random': '随机',
+                'strategy_sticky': '按 Worker 密钥固定',
+                'key_weight': '权重',
+                'key_priority': '优先级',
+                'key_weight_priority_help': '权重用于"按权重"策略；优先级更高的密钥优先使用，较低优先级的密钥仅作为后备。',
+                'key_weight_priority_invalid': '权重和优先级必须为整数',
+                'key_settings_saved': '密钥 {0} 的设置已保存',
+                'cooldown': '冷却中',
+                'failure_streak': '连续失败',
+                'model_cooldown': '模型 {0} 冷却中',
+                'clear_cooldown': '结束冷却',
+                'cooldown_over': '已结束',
+                'cooldown_cleared': '已结束密钥 {0} 的冷却',
+                'quota_hit': '模型 {0} 最近触发的配额',
+                'quota_kind_requests': '请求数',
+                'quota_kind_tokens': 'Token 数',
+                'quota_kind_other': '配额',
+                'quota_window_minute': '每分钟',
+                'quota_window_day': '每天',
+                'quota_window_other': '(其他时间窗口)',
+                'quota_limit_value': '上限 {0}',
+                'key_tier': '层级',
+                'tier_free': '免费',
+                'tier_tier1': 'Tier 1',
+                'tier_tier2': 'Tier 2',
+                'tier_tier3': 'Tier 3',
+                'tier_usage': '{0} 层级配额使用情况',
+                'tier_quota_learned': '自动学习',
+                'tier_quota_manual': '手动设置',
+                'tier_quotas': '密钥层级配额',
+                'tier_quotas_help': '已知层级上限的模型只按该上限计数，不再使用类别配额。收到 429 时会从返回的配额信息中自动学习上限，手动设置的值不会被覆盖。',
+                'tier_daily_quota': '每日配额',
+                'save_tier_quota': '保存层级配额',
+                'no_tier_quotas': '尚无层级配额。',
+                'tier_quotas_load_failed': '加载层级配额失败。',
+                'tier_quota_invalid': '请输入模型 ID 和非负整数的每日配额。',
+                'tier_quota_saved': '已保存模型 {0} 在 {1} 层级的配额。',
+                'tier_quota_deleted': '已删除模型 {0} 在 {1} 层级的配额。',
+                'delete_tier_quota_confirm': '确定要删除模型 {0} 在 {1} 层级的配额吗？',
+                'quota_reset_setting': '配额重置',
+                'quota_reset_description': '每日用量在所选时区的重置时间清零；滚动 24 小时模式则统计最近 24 小时的用量',
+                'quota_window_daily': '每日重置',
+                'quota_window_rolling_24h': '滚动 24 小时',
+                'model_rpm_limit': '每分钟请求数 (RPM)',
+                'model_tpm_limit': '每分钟 Token 数 (TPM)',
+                'model_rate_limits_help': '每个密钥的每分钟上限，输入 0 表示不限制。达到上限的密钥在该分钟内会被跳过。',
+                'model_rate_limits_invalid': '每分钟上限必须是非负数。',
+                'minute_usage': '{0} 最近一分钟',
+                'response_cache_setting': '响应缓存',
+                'response_cache_description': '缓存 temperature 为 0 或带 X-Proxy-Cache: on 请求头的聊天请求的响应',
+                'response_cache_ttl': '有效期（秒）',
+                'response_cache_max_entries': '最大条目数',
+                'response_cache_storage_memory': '内存',
+                'response_cache_storage_sqlite': 'SQLite',
+                'response_cache_stats': '{0} 条缓存 · 命中 {1} · 未命中 {2} · 命中率 {3}%',
+                'purge_response_cache': '清空缓存',
+                'purge_response_cache_confirm': '确定要清空所有缓存的响应吗？',
+                'response_cache_purged': '已清空 {0} 条缓存的响应。',
+                'audit_mode': '审计',
+                'audit_log': '审计日志',
+                'audit_log_help': '为 Worker 密钥开启审计后，其请求和响应的完整内容会在脱敏后保存在这里。',
+                'audit_log_model_filter': '模型',
+                'audit_log_time': '时间',
+                'audit_log_worker_key': 'Worker 密钥',
+                'audit_log_model': '模型',
+                'audit_log_endpoint': '端点',
+                'audit_log_status': '状态',
+                'audit_log_load_failed': '加载审计日志失败。',
+                'no_audit_logs': '尚无审计记录。',
+                'previous_page': '上一页',
+                'next_page': '下一页',
+                'view': '查看',
+                'audit_entry': '审计记录',
+                'audit_client_request': '客户端请求',
+                'audit_gemini_request': 'Gemini 请求',
+                'audit_response': '响应',
+                'audit_not_captured': '（未记录）',
+                'audit_replay': '重放',
+                'audit_replay_result': '重放结果',
+                'audit_replay_help': '重放会以非流式方式、使用原 Worker 密钥重新发送已脱敏的请求。',
+                'audit_log_retention_setting': '审计日志保留天数',
+                'audit_log_retention_description': '超过此天数的审计记录将被自动清理（1-90，默认：7）',
+                'audit_redaction_rules_setting': '审计脱敏规则',
+                'audit_redaction_rules_description': '每行一条正则表达式，可用 " => " 指定替换文本（默认 [REDACTED]）。API 密钥、Bearer 令牌和 base64 数据始终会被脱敏。',
+                'service_health': '服务状态',
+                'health_ready': '就绪',
+                'health_not_ready': '未就绪',
+                'health_check_database': '数据库',
+                'health_check_gemini_keys': 'Gemini 密钥',
+                'health_check_vertex': 'Vertex AI',
+                'health_check_upstreams': '上游地址',
+                'health_check_github_sync': 'GitHub 同步',
+                'health_status_ok': '正常',
+                'health_status_fail': '异常',
+                'health_status_disabled': '未配置',
+                'health_load_failed': '加载服务状态失败。',
+                'log_level_setting': '日志级别',
+                'log_level_description': '低于此级别的服务器日志不会输出（默认：info）',
+                'live_log': '实时日志',
+                'live_log_help': '显示最近的服务器日志和请求事件（最多 1000 条），并实时更新。',
+                'live_log_model_filter': '模型',
+                'live_log_key_filter': '密钥 ID',
+                'live_log_pause': '暂停',
+                'live_log_resume': '继续',
+                'live_log_download': '下载',
+                'live_log_connected': '已连接',
+                'live_log_disconnected': '连接已断开，正在重连...',
+                'live_log_paused': '已暂停（{0} 条新日志）',
+                'proxy_pool': '代理池',
+                'proxy_pool_help': '请求会优先使用延迟较低的健康代理。健康检查每 5 分钟运行一次，失败或连续 3 次连接失败的代理会被暂时移出，检测通过后恢复。来自 PROXY 环境变量的代理只能在环境变量中修改。可以在 Gemini 密钥详情中将密钥绑定到某个代理或分组，使其始终从相同的出口 IP 发出请求。',
+                'proxy_check_now': '立即检测',
+                'proxy_url': '代理地址',
+                'proxy_health': '状态',
+                'proxy_latency': '延迟',
+                'proxy_success_rate': '成功率',
+                'proxy_last_error': '最近错误',
+                'add_proxy': '添加代理（http://、https://、socks5:// 或 socks5h://）',
+                'no_proxies': '尚未配置代理，请求将直接发送。',
+                'proxy_healthy': '健康',
+                'proxy_evicted': '已移出',
+                'proxy_agent_missing': '缺少依赖',
+                'proxy_source_env': '环境变量',
+                'proxy_enable': '启用',
+                'proxy_disable': '禁用',
+                'proxy_added': '代理已添加。',
+                'proxy_check_done': '健康检查完成：{0} 个代理健康。',
+                'delete_proxy_confirm': '确定要删除代理 {0} 吗？',
+                'proxy_load_failed': '加载代理池失败。',
+                'proxy_group': '分组',
+                'proxy_group_optional': '分组（可选）',
+                'proxy_group_saved': '代理分组已保存。',
+                'key_proxy_binding': '代理绑定',
+                'key_proxy_binding_help': '绑定代理或分组后，该密钥只会通过这些代理发送请求，故障切换也仅在其中进行；没有启用的代理时会跳过该密钥。',
+                'proxy_binding_any': '任意代理',
+                'proxy_binding_group': '分组：{0}',
+                'upstreams': '上游地址',
+                'upstreams_help': '请求按顺序（数值小的优先）发送到健康的上游，网络错误或 502/504 时切换到下一个。健康检查每 5 分钟运行一次，检测失败或连续 3 次请求失败的上游会被暂时移出，检测通过后恢复。默认上游来自 GEMINI_BASE_URL 环境变量。可以在 Gemini 密钥详情中将密钥指定到某个上游。',
+                'upstream_name': '名称',
+                'upstream_base_url': '基础地址',
+                'upstream_order': '顺序',
+                'add_upstream': '添加上游（基础地址）',
+                'upstream_default': '默认',
+                'upstream_added': '上游已添加。',
+                'upstream_check_done': '健康检查完成：{0} 个上游健康。',
+                'delete_upstream_confirm': '确定要删除上游 {0} 吗？',
+                'upstream_load_failed': '加载上游地址失败。',
+                'upstream_order_saved': '上游顺序已保存。',
+                'key_upstream': '上游',
+                'key_upstream_help': '指定上游后，该密钥只会发送到该上游，不再切换；上游被禁用时会跳过该密钥。',
+                'upstream_any': '任意上游（按顺序切换）',
+                'providers': 'OpenAI 兼容服务商',
+                'providers_help': '服务商的模型以 [前缀]模型名 的形式出现在 /v1/models 中，请求会原样发送到 基础地址/chat/completions。密钥轮流使用，429 或服务器错误后暂停使用一段时间，401/403 后跳过直到重启。价格（美元/百万 token）用于在请求日志中估算费用。',
+                'provider_name': '名称',
+                'provider_prefix': '前缀',
+                'provider_models': '模型',
+                'provider_keys': '密钥',
+                'provider_keys_one_per_line': 'API 密钥（每行一个，可留空）',
+                'provider_keys_keep': '留空则保留现有的 {0} 个密钥',
+                'provider_models_one_per_line': '模型（每行一个）',
+                'provider_pricing': '价格（JSON，可选）',
+                'provider_use_proxy': '通过代理池发送请求',
+                'provider_no_key': '无密钥',
+                'provider_key_invalid': '已跳过',
+                'provider_key_cooldown': '冷却中',
+                'provider_saved': '服务商已保存。',
+                'provider_pricing_invalid': '价格不是有效的 JSON。',
+                'delete_provider_confirm': '确定要删除服务商 {0} 吗？',
+                'provider_load_failed': '加载服务商失败。',
+                'no_providers': '尚未添加服务商。',
                 'update_available': '有可用的新版本',
                 'current_is_latest': '当前为最新版本'
              },
@@ -350,6 +578,234 @@ class I18n {
                 'web_search_description': 'Enable to show models with -search suffix for web search functionality',
                 'auto_test_setting': 'Auto Batch Test',
                 'auto_test_description': 'Enable to automatically run batch tests daily at 4 AM Beijing time',
+                'embedding_category_setting': 'Embedding Model Category',
+                'embedding_category_description': 'Usage category for embedding models (/v1/embeddings) that are not configured in the model list',
+                'request_log_retention_setting': 'Request Log Retention (days)',
+                'request_log_retention_description': 'Request log entries older than this are deleted automatically (1-365, default: 30)',
+                'usage_analytics': 'Usage Analytics',
+                'refresh': 'Refresh',
+                'stats_range_24h': 'Last 24 hours',
+                'stats_range_7d': 'Last 7 days',
+                'stats_range_30d': 'Last 30 days',
+                'stats_group_model': 'By model',
+                'stats_group_worker_key': 'By worker key',
+                'stats_group_gemini_key': 'By Gemini key',
+                'stats_metric_requests': 'Requests',
+                'stats_metric_tokens': 'Tokens',
+                'stats_metric_error_rate': 'Error rate',
+                'stats_total_requests': 'Total requests',
+                'stats_error_rate': 'Error rate',
+                'stats_total_tokens': 'Total tokens',
+                'stats_avg_latency': 'Avg latency',
+                'stats_column_name': 'Name',
+                'stats_prompt_tokens': 'Prompt tokens',
+                'stats_completion_tokens': 'Completion tokens',
+                'stats_other': 'Other',
+                'stats_unknown': 'Unknown',
+                'stats_no_data': 'No requests in the selected range',
+                'stats_load_failed': 'Failed to load usage stats',
+                'worker_key_limits': 'Worker Key Limits',
+                'edit_limits': 'Edit limits',
+                'rpm_limit': 'Requests per minute',
+                'rpd_limit': 'Requests per day',
+                'tpd_limit': 'Tokens per day',
+                'limit_unlimited_placeholder': 'Leave empty for unlimited',
+                'worker_key_limits_help': 'Daily limits reset at midnight Pacific Time, together with the Gemini quotas.',
+                'allowed_models': 'Allowed models',
+                'allowed_models_help': 'Select no models to allow every model.',
+                'all_models': 'All',
+                'no_models_configured': 'No models configured',
+                'save_limits': 'Save Limits',
+                'limit_must_be_positive': 'Limits must be positive integers, or empty for unlimited',
+                'worker_key_limits_saved': 'Worker key limits saved',
+                'worker_key_limits_save_failed': 'Failed to save worker key limits',
+                'model_aliases': 'Model Aliases',
+                'model_aliases_help': 'Aliases let unmodified OpenAI clients work, e.g. map gpt-4o to gemini-2.5-pro.',
+                'alias': 'Alias',
+                'alias_placeholder': 'e.g., gpt-4o',
+                'target_model': 'Target Model',
+                'target_model_placeholder': 'e.g., gemini-2.5-pro',
+                'add_alias': 'Add Alias',
+                'no_model_aliases': 'No model aliases configured',
+                'model_aliases_load_failed': 'Failed to load model aliases',
+                'model_alias_required': 'Please enter an alias and a target model',
+                'model_alias_saved': 'Alias {0} now maps to {1}',
+                'model_alias_deleted': 'Alias {0} deleted',
+                'delete_model_alias_confirm': 'Are you sure you want to delete the alias {0}?',
+                'key_selection_strategy_setting': 'Key Selection Strategy',
+                'key_selection_strategy_description': 'How a key is picked among the available keys with the highest priority',
+                'strategy_round_robin': 'Round-robin',
+                'strategy_least_used': 'Least used today',
+                'strategy_weighted': 'Weighted',
+                'strategy_random': 'Random',
+                'strategy_sticky': 'Sticky per worker key',
+                'key_weight': 'Weight',
+                'key_priority': 'Priority',
+                'key_weight_priority_help': 'Weight is used by the weighted strategy. Keys with a higher priority are used first; lower priorities are only a fallback.',
+                'key_weight_priority_invalid': 'Weight and priority must be integers',
+                'key_settings_saved': 'Settings saved for key {0}',
+                'cooldown': 'Cooling down',
+                'failure_streak': 'failure streak',
+                'model_cooldown': 'Model {0} cooling down',
+                'clear_cooldown': 'End Cooldown',
+                'cooldown_over': 'ended',
+                'cooldown_cleared': 'Cooldown ended for key {0}',
+                'quota_hit': 'Last quota hit for {0}',
+                'quota_kind_requests': 'requests',
+                'quota_kind_tokens': 'tokens',
+                'quota_kind_other': 'quota',
+                'quota_window_minute': 'per minute',
+                'quota_window_day': 'per day',
+                'quota_window_other': '(other window)',
+                'quota_limit_value': 'limit {0}',
+                'key_tier': 'Tier',
+                'tier_free': 'Free',
+                'tier_tier1': 'Tier 1',
+                'tier_tier2': 'Tier 2',
+                'tier_tier3': 'Tier 3',
+                'tier_usage': '{0} Tier Usage',
+                'tier_quota_learned': 'learned',
+                'tier_quota_manual': 'manual',
+                'tier_quotas': 'Key Tier Quotas',
+                'tier_quotas_help': 'Models with a known limit for a tier are counted against that limit instead of the category quotas. Limits are learned from the quota details of 429 responses; values set by hand are never overwritten.',
+                'tier_daily_quota': 'Daily Quota',
+                'save_tier_quota': 'Save Tier Quota',
+                'no_tier_quotas': 'No tier quotas yet.',
+                'tier_quotas_load_failed': 'Failed to load tier quotas.',
+                'tier_quota_invalid': 'Enter a model ID and a non-negative integer daily quota.',
+                'tier_quota_saved': 'Saved the {1} quota for model {0}.',
+                'tier_quota_deleted': 'Deleted the {1} quota for model {0}.',
+                'delete_tier_quota_confirm': 'Delete the {1} quota for model {0}?',
+                'quota_reset_setting': 'Quota Reset',
+                'quota_reset_description': 'Daily usage resets at this time in the chosen time zone; the rolling 24h window counts the usage of the last 24 hours instead',
+                'quota_window_daily': 'Daily reset',
+                'quota_window_rolling_24h': 'Rolling 24 hours',
+                'model_rpm_limit': 'Requests per minute (RPM)',
+                'model_tpm_limit': 'Tokens per minute (TPM)',
+                'model_rate_limits_help': 'Per-minute limits for each key, 0 for no limit. Keys at a limit are skipped for the rest of the minute.',
+                'model_rate_limits_invalid': 'Per-minute limits must be non-negative numbers.',
+                'minute_usage': '{0} last minute',
+                'response_cache_setting': 'Response Cache',
+                'response_cache_description': 'Cache the responses of chat requests with temperature 0 or the X-Proxy-Cache: on header',
+                'response_cache_ttl': 'TTL (seconds)',
+                'response_cache_max_entries': 'Max entries',
+                'response_cache_storage_memory': 'Memory',
+                'response_cache_storage_sqlite': 'SQLite',
+                'response_cache_stats': '{0} cached · {1} hits · {2} misses · {3}% hit rate',
+                'purge_response_cache': 'Purge cache',
+                'purge_response_cache_confirm': 'Purge all cached responses?',
+                'response_cache_purged': 'Purged {0} cached responses.',
+                'audit_mode': 'Audit',
+                'audit_log': 'Audit Log',
+                'audit_log_help': 'Worker keys with audit enabled have their full requests and responses stored here, after redaction.',
+                'audit_log_model_filter': 'Model',
+                'audit_log_time': 'Time',
+                'audit_log_worker_key': 'Worker Key',
+                'audit_log_model': 'Model',
+                'audit_log_endpoint': 'Endpoint',
+                'audit_log_status': 'Status',
+                'audit_log_load_failed': 'Failed to load the audit log.',
+                'no_audit_logs': 'No audit log entries yet.',
+                'previous_page': 'Previous',
+                'next_page': 'Next',
+                'view': 'View',
+                'audit_entry': 'Audit Log Entry',
+                'audit_client_request': 'Client Request',
+                'audit_gemini_request': 'Gemini Request',
+                'audit_response': 'Response',
+                'audit_not_captured': '(not captured)',
+                'audit_replay': 'Replay',
+                'audit_replay_result': 'Replay Result',
+                'audit_replay_help': 'Replay sends the redacted request again, non-streaming, as the original worker key.',
+                'audit_log_retention_setting': 'Audit Log Retention (days)',
+                'audit_log_retention_description': 'Audit log entries older than this are deleted automatically (1-90, default: 7)',
+                'audit_redaction_rules_setting': 'Audit Redaction Rules',
+                'audit_redaction_rules_description': 'One regular expression per line, optionally followed by " => " and the replacement (default [REDACTED]). API keys, bearer tokens and base64 data are always redacted.',
+                'service_health': 'Service Health',
+                'health_ready': 'Ready',
+                'health_not_ready': 'Not ready',
+                'health_check_database': 'Database',
+                'health_check_gemini_keys': 'Gemini Keys',
+                'health_check_vertex': 'Vertex AI',
+                'health_check_upstreams': 'Upstreams',
+                'health_check_github_sync': 'GitHub Sync',
+                'health_status_ok': 'OK',
+                'health_status_fail': 'Failing',
+                'health_status_disabled': 'Not configured',
+                'health_load_failed': 'Failed to load the service health.',
+                'log_level_setting': 'Log Level',
+                'log_level_description': 'Server log entries below this level are not written (default: info)',
+                'live_log': 'Live Log',
+                'live_log_help': 'Recent server log entries and request events (up to 1000), updated live.',
+                'live_log_model_filter': 'Model',
+                'live_log_key_filter': 'Key ID',
+                'live_log_pause': 'Pause',
+                'live_log_resume': 'Resume',
+                'live_log_download': 'Download',
+                'live_log_connected': 'Connected',
+                'live_log_disconnected': 'Disconnected, reconnecting...',
+                'live_log_paused': 'Paused ({0} new entries)',
+                'proxy_pool': 'Proxy Pool',
+                'proxy_pool_help': 'Requests prefer healthy proxies with low latency. Health checks run every 5 minutes; a proxy that fails one, or fails 3 connections in a row, is taken out of rotation until a check passes. Proxies from the PROXY environment variable can only be changed there. In the Gemini key details, a key can be bound to a proxy or group so it always uses the same egress IPs.',
+                'proxy_check_now': 'Check Now',
+                'proxy_url': 'Proxy URL',
+                'proxy_health': 'Status',
+                'proxy_latency': 'Latency',
+                'proxy_success_rate': 'Success Rate',
+                'proxy_last_error': 'Last Error',
+                'add_proxy': 'Add proxy (http://, https://, socks5:// or socks5h://)',
+                'no_proxies': 'No proxies configured, requests are sent directly.',
+                'proxy_healthy': 'Healthy',
+                'proxy_evicted': 'Evicted',
+                'proxy_agent_missing': 'Missing dependency',
+                'proxy_source_env': 'Env',
+                'proxy_enable': 'Enable',
+                'proxy_disable': 'Disable',
+                'proxy_added': 'Proxy added.',
+                'proxy_check_done': 'Health check done: {0} proxies healthy.',
+                'delete_proxy_confirm': 'Are you sure you want to delete proxy {0}?',
+                'proxy_load_failed': 'Failed to load the proxy pool.',
+                'proxy_group': 'Group',
+                'proxy_group_optional': 'Group (optional)',
+                'proxy_group_saved': 'Proxy group saved.',
+                'key_proxy_binding': 'Proxy Binding',
+                'key_proxy_binding_help': 'A key bound to a proxy or group only sends requests through it and fails over only within it; the key is skipped while none of its proxies is enabled.',
+                'proxy_binding_any': 'Any proxy',
+                'proxy_binding_group': 'Group: {0}',
+                'upstreams': 'Upstreams',
+                'upstreams_help': 'Requests go to the healthy upstreams in order (lowest first) and fail over to the next one on network errors or 502/504. Health checks run every 5 minutes; an upstream that fails one, or fails 3 requests in a row, is taken out of rotation until a check passes. The default upstream comes from the GEMINI_BASE_URL environment variable. In the Gemini key details, a key can be assigned to a single upstream.',
+                'upstream_name': 'Name',
+                'upstream_base_url': 'Base URL',
+                'upstream_order': 'Order',
+                'add_upstream': 'Add upstream (base URL)',
+                'upstream_default': 'Default',
+                'upstream_added': 'Upstream added.',
+                'upstream_check_done': 'Health check done: {0} upstreams healthy.',
+                'delete_upstream_confirm': 'Are you sure you want to delete upstream {0}?',
+                'upstream_load_failed': 'Failed to load the upstreams.',
+                'upstream_order_saved': 'Upstream order saved.',
+                'key_upstream': 'Upstream',
+                'key_upstream_help': 'A key assigned to an upstream only sends requests to it, without failover; the key is skipped while the upstream is disabled.',
+                'upstream_any': 'Any upstream (failover order)',
+                'providers': 'OpenAI-Compatible Providers',
+                'providers_help': 'Provider models appear in /v1/models as [prefix]model, and requests for them are sent as-is to <base URL>/chat/completions. Keys rotate; a key pauses for a while after a 429 or server error and is skipped after a 401/403 until the next restart. Prices (USD per 1M tokens) are used to estimate the cost in the request log.',
+                'provider_name': 'Name',
+                'provider_prefix': 'Prefix',
+                'provider_models': 'Models',
+                'provider_keys': 'Keys',
+                'provider_keys_one_per_line': 'API keys (one per line, optional)',
+                'provider_keys_keep': 'Leave empty to keep the {0} stored keys',
+                'provider_models_one_per_line': 'Models (one per line)',
+                'provider_pricing': 'Pricing (JSON, optional)',
+                'provider_use_proxy': 'Send requests through the proxy pool',
+                'provider_no_key': 'No key',
+                'provider_key_invalid': 'skipped',
+                'provider_key_cooldown': 'cooling down',
+                'provider_saved': 'Provider saved.',
+                'provider_pricing_invalid': 'Pricing is not valid JSON.',
+                'delete_provider_confirm': 'Are you sure you want to delete provider {0}?',
+                'provider_load_failed': 'Failed to load the providers.',
+                'no_providers': 'No providers added yet.',
                 'update_available': 'A new version is available',
                 'current_is_latest': 'Current is latest version'
              }
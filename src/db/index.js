@@ -31,6 +31,10 @@ if (!fs.existsSync(dataDir)) {
 const dbPath = path.resolve(dataDir, 'database.db');
 console.log(`Database path: ${dbPath}`); // Log the path for debugging
 
+// High-volume data (request history, cached outputs, audit bodies, stored responses) is kept in a
+// second file that is attached to the same connection. Only database.db is synced to GitHub.
+const localDbPath = path.resolve(dataDir, 'local.db');
+
 // Initialize GitHub sync if configured
 const githubProject = process.env.GITHUB_PROJECT;
 const githubToken = process.env.GITHUB_PROJECT_PAT;
@@ -142,6 +146,18 @@ initializeDatabase()
     db = database;
     console.log('Database initialization completed successfully.');
 
+    // Apply the log level saved in the settings (LOG_LEVEL or 'info' until now)
+    try {
+      const configService = require('../services/configService');
+      const logger = require('../utils/logger');
+      const logLevel = await configService.getSetting('log_level', null);
+      if (logLevel && !logger.setLevel(logLevel)) {
+        console.warn(`Ignoring unknown log level setting: ${logLevel}`);
+      }
+    } catch (err) {
+      console.error('Failed to load log level setting:', err.message);
+    }
+
     // Initialize Vertex service after database is ready and exported
     try {
       const vertexService = require('../services/vertexProxyService');
@@ -151,6 +167,22 @@ initializeDatabase()
       console.error('Failed to initialize Vertex service:', err.message);
     }
 
+    // Add the proxies stored in the database to the pool (PROXY env proxies are loaded already)
+    try {
+      const proxyPool = require('../utils/proxyPool');
+      await proxyPool.loadStoredProxies();
+    } catch (err) {
+      console.error('Failed to load stored proxies:', err.message);
+    }
+
+    // Add the upstreams stored in the database (the default upstream is there already)
+    try {
+      const upstreamService = require('../services/upstreamService');
+      await upstreamService.loadStoredUpstreams();
+    } catch (err) {
+      console.error('Failed to load stored upstreams:', err.message);
+    }
+
     // Initialize scheduler service after database is ready
     try {
       const schedulerService = require('../services/schedulerService');
@@ -182,6 +214,21 @@ async function syncToGitHub() {
   }
 }
 
+/**
+ * Gets the GitHub sync state for the readiness check.
+ * @returns {{configured: boolean, initialSyncCompleted?: boolean, lastResult?: object|null}}
+ */
+function getGitHubSyncStatus() {
+  if (!githubSync || !githubSync.isConfigured()) {
+    return { configured: false };
+  }
+  return {
+    configured: true,
+    initialSyncCompleted: githubSync.initialSyncCompleted,
+    lastResult: githubSync.lastSyncResult, // { operation, success, error, at }, null before the first sync
+  };
+}
+
 // SQL statements to create tables (if they don't exist)
 const createTablesSQL = `
   CREATE TABLE IF NOT EXISTS gemini_keys (
@@ -191,23 +238,85 @@ const createTablesSQL = `
     usage_date TEXT,
     model_usage TEXT DEFAULT '{}',       -- Store as JSON string
     category_usage TEXT DEFAULT '{}',    -- Store as JSON string
-    error_status INTEGER,               -- 401, 403, or NULL
+    error_status INTEGER,               -- 400 (invalid key), 401, 403, or NULL. Permanent until cleared
     consecutive_429_counts TEXT DEFAULT '{}', -- Store as JSON string
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    weight INTEGER DEFAULT 1,           -- Relative share of requests under the weighted strategy
+    priority INTEGER DEFAULT 0,         -- Higher tiers are used first, lower tiers only as a fallback
+    cooldown_until TEXT,                -- ISO timestamp, the key is skipped until then after transient failures
+    failure_streak INTEGER DEFAULT 0,   -- Consecutive transient failures, drives the exponential backoff
+    model_cooldowns TEXT DEFAULT '{}',  -- Per-model cooldowns as JSON: { modelId: { until, streak } }
+    quota_hits TEXT DEFAULT '{}',       -- Last quota violation per model from 429 QuotaFailure details, as JSON
+    tier TEXT DEFAULT 'free',           -- Quota tier (free, tier1, tier2, tier3), selects the limits in tier_quotas
+    usage_buckets TEXT DEFAULT '{}',    -- Hourly usage of the last 24 hours as JSON: { 'YYYY-MM-DDTHH': { models, categories } }
+    proxy_binding TEXT,                 -- 'proxy:<proxy id>' or 'group:<group name>' the key's requests must use, NULL for any proxy
+    upstream_id TEXT                    -- ID of the upstream the key's requests are sent to, NULL for any upstream
   );
 
   CREATE TABLE IF NOT EXISTS worker_keys (
     api_key TEXT PRIMARY KEY,
     description TEXT,
     safety_enabled INTEGER DEFAULT 1,  -- 1 for true, 0 for false
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    rpm_limit INTEGER,                 -- Requests per minute, NULL means unlimited
+    rpd_limit INTEGER,                 -- Requests per day, NULL means unlimited
+    tpd_limit INTEGER,                 -- Tokens per day, NULL means unlimited
+    allowed_models TEXT,               -- JSON array of model IDs, NULL means all models
+    audit_enabled INTEGER DEFAULT 0    -- 1 to store full request/response payloads in audit_log
   );
 
   CREATE TABLE IF NOT EXISTS models_config (
     model_id TEXT PRIMARY KEY,
     category TEXT NOT NULL CHECK(category IN ('Pro', 'Flash', 'Custom')),
     daily_quota INTEGER,                -- NULL means unlimited
-    individual_quota INTEGER            -- NULL means no individual limit
+    individual_quota INTEGER,           -- NULL means no individual limit
+    rpm_limit INTEGER,                  -- Requests per minute for each key, NULL means unlimited
+    tpm_limit INTEGER                   -- Tokens per minute for each key, NULL means unlimited
+  );
+
+  CREATE TABLE IF NOT EXISTS model_aliases (
+    alias TEXT PRIMARY KEY,              -- Model ID clients may request, e.g. gpt-4o
+    target_model TEXT NOT NULL,          -- Model ID the request is sent as, e.g. gemini-2.5-pro
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS proxies (
+    id TEXT PRIMARY KEY,                 -- px-... ID; proxies from the PROXY env var are not stored
+    url TEXT NOT NULL UNIQUE,            -- http://, https://, socks5:// or socks5h:// URL, may include credentials
+    group_name TEXT,                     -- Gemini keys bound to the group fail over among its proxies only
+    enabled INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS upstreams (
+    id TEXT PRIMARY KEY,                 -- up-... ID; the default upstream (GEMINI_BASE_URL) is not stored
+    name TEXT NOT NULL,
+    base_url TEXT NOT NULL UNIQUE,       -- Gemini API compatible endpoint without trailing slash, e.g. a relay or gateway
+    sort_order INTEGER DEFAULT 10,       -- Failover order, lower first; the default upstream has 0
+    enabled INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS providers (
+    id TEXT PRIMARY KEY,                 -- prov-... ID
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL UNIQUE,         -- Models are listed as [<prefix>]<model>
+    base_url TEXT NOT NULL,              -- OpenAI-compatible API root, requests go to <base_url>/chat/completions
+    api_keys TEXT DEFAULT '[]',          -- JSON array of keys, rotated round-robin
+    models TEXT DEFAULT '[]',            -- JSON array of the model names served
+    pricing TEXT DEFAULT '{}',           -- JSON: { model: { input, output } } in USD per 1M tokens
+    use_proxy INTEGER DEFAULT 0,         -- 1 to send requests through the proxy pool
+    enabled INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS tier_quotas (
+    tier TEXT NOT NULL,
+    model_id TEXT NOT NULL,
+    daily_quota INTEGER NOT NULL,        -- Requests per day for one key of this tier
+    source TEXT NOT NULL DEFAULT 'manual' CHECK(source IN ('manual', 'learned')), -- learned: from 429 QuotaFailure details
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tier, model_id)
   );
 
   CREATE TABLE IF NOT EXISTS settings (
@@ -232,6 +341,172 @@ const createTablesSQL = `
     ('last_used_gemini_key_id', '');
 `;
 
+// SQL statements to create the tables of the attached local database (not synced to GitHub)
+const createLocalTablesSQL = `
+  CREATE TABLE IF NOT EXISTS local.responses (
+    id TEXT PRIMARY KEY,                 -- resp_... ID returned by /v1/responses
+    worker_key TEXT NOT NULL,            -- Only the worker key that created a response can chain from it
+    model TEXT,
+    previous_response_id TEXT,
+    messages TEXT NOT NULL,              -- This turn's input and output (OpenAI chat messages) as JSON
+    response TEXT NOT NULL,              -- The Responses API response object as JSON
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS local.idx_responses_created_at ON responses (created_at);
+
+  CREATE TABLE IF NOT EXISTS local.request_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,            -- ISO 8601 UTC timestamp of when the request was received
+    worker_key TEXT,
+    gemini_key_id TEXT,                  -- Gemini key ID, 'vertex-ai' for Vertex requests, or <provider id>:<key hash>
+    model TEXT,
+    endpoint TEXT,                       -- e.g. /v1/chat/completions
+    stream INTEGER DEFAULT 0,            -- 1 for streaming requests
+    status INTEGER,                      -- HTTP status sent to the client (499 if the client disconnected)
+    latency_ms INTEGER,
+    retry_count INTEGER DEFAULT 0,
+    prompt_tokens INTEGER,               -- From usageMetadata, NULL if not reported
+    completion_tokens INTEGER,
+    total_tokens INTEGER,
+    cost_usd REAL                        -- From the provider's pricing, NULL for Gemini / Vertex or without usage
+  );
+
+  CREATE INDEX IF NOT EXISTS local.idx_request_log_created_at ON request_log (created_at);
+  CREATE INDEX IF NOT EXISTS local.idx_request_log_worker_key ON request_log (worker_key);
+  CREATE INDEX IF NOT EXISTS local.idx_request_log_model ON request_log (model);
+
+  CREATE TABLE IF NOT EXISTS local.response_cache (
+    cache_key TEXT PRIMARY KEY,          -- SHA-256 of the normalized chat completion request
+    model TEXT,
+    response TEXT NOT NULL,              -- The chat.completion object as JSON
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    hits INTEGER DEFAULT 0
+  );
+
+  CREATE INDEX IF NOT EXISTS local.idx_response_cache_expires_at ON response_cache (expires_at);
+
+  CREATE TABLE IF NOT EXISTS local.audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL,            -- ISO 8601 UTC timestamp of when the request was received
+    worker_key TEXT,
+    gemini_key_id TEXT,
+    model TEXT,
+    endpoint TEXT,
+    stream INTEGER DEFAULT 0,
+    status INTEGER,
+    client_request TEXT,                 -- The client's request body as JSON, after redaction
+    gemini_request TEXT,                 -- The request body sent to Gemini as JSON, after redaction (NULL for Vertex)
+    response TEXT                        -- The response sent to the client (streams reassembled) as JSON, after redaction
+  );
+
+  CREATE INDEX IF NOT EXISTS local.idx_audit_log_created_at ON audit_log (created_at);
+`;
+
+// Tables that older versions kept in database.db. They are moved to the local database on startup.
+const localTables = [
+  { table: 'responses', skipColumns: [] },
+  { table: 'request_log', skipColumns: ['id'] }, // New IDs, so that they cannot collide with rows already in local.db
+  { table: 'response_cache', skipColumns: [] },
+  { table: 'audit_log', skipColumns: ['id'] },
+];
+
+// Columns added after a table was first released. CREATE TABLE IF NOT EXISTS does not touch
+// existing tables, so these are added with ALTER TABLE when an older database is opened.
+const columnMigrations = [
+  { table: 'gemini_keys', column: 'weight', definition: 'INTEGER DEFAULT 1' },
+  { table: 'gemini_keys', column: 'priority', definition: 'INTEGER DEFAULT 0' },
+  { table: 'gemini_keys', column: 'cooldown_until', definition: 'TEXT' },
+  { table: 'gemini_keys', column: 'failure_streak', definition: 'INTEGER DEFAULT 0' },
+  { table: 'gemini_keys', column: 'model_cooldowns', definition: "TEXT DEFAULT '{}'" },
+  { table: 'gemini_keys', column: 'quota_hits', definition: "TEXT DEFAULT '{}'" },
+  { table: 'gemini_keys', column: 'tier', definition: "TEXT DEFAULT 'free'" },
+  { table: 'gemini_keys', column: 'usage_buckets', definition: "TEXT DEFAULT '{}'" },
+  { table: 'gemini_keys', column: 'proxy_binding', definition: 'TEXT' },
+  { table: 'gemini_keys', column: 'upstream_id', definition: 'TEXT' },
+  { table: 'proxies', column: 'group_name', definition: 'TEXT' },
+  { table: 'request_log', column: 'cost_usd', definition: 'REAL' },
+  { table: 'models_config', column: 'rpm_limit', definition: 'INTEGER' },
+  { table: 'models_config', column: 'tpm_limit', definition: 'INTEGER' },
+  { table: 'worker_keys', column: 'rpm_limit', definition: 'INTEGER' },
+  { table: 'worker_keys', column: 'rpd_limit', definition: 'INTEGER' },
+  { table: 'worker_keys', column: 'tpd_limit', definition: 'INTEGER' },
+  { table: 'worker_keys', column: 'allowed_models', definition: 'TEXT' },
+  { table: 'worker_keys', column: 'audit_enabled', definition: 'INTEGER DEFAULT 0' },
+];
+
+// Function to add missing columns to existing tables
+function applyColumnMigrations(currentDb, callback) {
+  const pending = [...columnMigrations];
+  const next = () => {
+    const migration = pending.shift();
+    if (!migration) {
+      return callback(null);
+    }
+    currentDb.all(`PRAGMA table_info(${migration.table})`, (err, columns) => {
+      if (err) return callback(err);
+      if (columns.some(column => column.name === migration.column)) {
+        return next();
+      }
+      currentDb.run(`ALTER TABLE ${migration.table} ADD COLUMN ${migration.column} ${migration.definition}`, (alterErr) => {
+        if (alterErr) return callback(alterErr);
+        console.log(`Added column ${migration.column} to table ${migration.table}.`);
+        next();
+      });
+    });
+  };
+  next();
+}
+
+// Function to move the local tables that an older database.db still contains to the attached local database
+function moveLegacyLocalTables(currentDb, callback) {
+  const pending = [...localTables];
+  let movedAny = false;
+  const next = () => {
+    const entry = pending.shift();
+    if (!entry) {
+      if (!movedAny) {
+        return callback(null);
+      }
+      // Give the space back so that the synced file actually shrinks
+      return currentDb.run('VACUUM main', (vacuumErr) => {
+        if (vacuumErr) console.warn('Failed to vacuum database after moving local tables:', vacuumErr.message);
+        syncToGitHub().catch(() => {});
+        callback(null);
+      });
+    }
+    currentDb.get("SELECT name FROM main.sqlite_master WHERE type = 'table' AND name = ?", [entry.table], (err, row) => {
+      if (err) return callback(err);
+      if (!row) return next();
+      currentDb.all(`PRAGMA main.table_info(${entry.table})`, (mainErr, mainColumns) => {
+        if (mainErr) return callback(mainErr);
+        currentDb.all(`PRAGMA local.table_info(${entry.table})`, (localErr, localColumns) => {
+          if (localErr) return callback(localErr);
+          const columns = mainColumns
+            .map(column => column.name)
+            .filter(name => !entry.skipColumns.includes(name) && localColumns.some(column => column.name === name))
+            .join(', ');
+          currentDb.exec(`
+            BEGIN TRANSACTION;
+            INSERT OR IGNORE INTO local.${entry.table} (${columns}) SELECT ${columns} FROM main.${entry.table};
+            DROP TABLE main.${entry.table};
+            COMMIT;
+          `, (moveErr) => {
+            if (moveErr) {
+              return currentDb.exec('ROLLBACK', () => callback(moveErr));
+            }
+            console.log(`Moved table ${entry.table} from ${path.basename(dbPath)} to ${path.basename(localDbPath)}.`);
+            movedAny = true;
+            next();
+          });
+        });
+      });
+    });
+  };
+  next();
+}
+
 // Function to initialize the database schema
 function initializeDatabaseSchemaInternal(callback) {
   // Use the database instance passed via 'this' context or fall back to global db
@@ -247,16 +522,40 @@ function initializeDatabaseSchemaInternal(callback) {
     if (err) {
       console.error('Error creating database tables:', err.message);
       if (callback) callback(err);
-    } else {
-      console.log('Database tables checked/created successfully.');
-      // You might seed initial data here if necessary
-      if (callback) callback(null);
+      return;
     }
+    currentDb.run('ATTACH DATABASE ? AS local', [localDbPath], (attachErr) => {
+      if (attachErr) {
+        console.error('Error attaching local database:', attachErr.message);
+        if (callback) callback(attachErr);
+        return;
+      }
+      currentDb.exec(createLocalTablesSQL, (localErr) => {
+        if (localErr) {
+          console.error('Error creating local database tables:', localErr.message);
+          if (callback) callback(localErr);
+          return;
+        }
+        console.log('Database tables checked/created successfully.');
+        moveLegacyLocalTables(currentDb, (moveErr) => {
+          if (moveErr) {
+            console.error('Error moving tables to the local database:', moveErr.message);
+          }
+          applyColumnMigrations(currentDb, (migrationErr) => {
+            if (migrationErr) {
+              console.error('Error migrating database columns:', migrationErr.message);
+            }
+            // You might seed initial data here if necessary
+            if (callback) callback(migrationErr || null);
+          });
+        });
+      });
+    });
   });
 }
 
 // Function to safely close the database connection
-function closeDatabase() {
+function closeDatabase(callback) {
   if (db) {
     db.close((err) => {
       if (err) {
@@ -264,23 +563,54 @@ function closeDatabase() {
       } else {
         console.log('Database connection closed.');
       }
+      if (callback) callback();
     });
+  } else if (callback) {
+    callback();
   }
 }
 
+// Handlers that must run before the database is closed, e.g. to flush writes kept in memory
+const shutdownHandlers = [];
+const SHUTDOWN_TIMEOUT_MS = 10000;
+let isShuttingDown = false;
+
+/**
+ * Registers a function to run on SIGINT / SIGTERM before the database is closed.
+ * @param {function(): (void|Promise<void>)} handler
+ */
+function onShutdown(handler) {
+  shutdownHandlers.push(handler);
+}
+
+// Run the shutdown handlers (for at most SHUTDOWN_TIMEOUT_MS), then close the database and exit
+async function shutdown() {
+  if (isShuttingDown) return;
+  isShuttingDown = true;
+
+  const handlersDone = Promise.allSettled(shutdownHandlers.map(handler => Promise.resolve().then(handler)));
+  let timeoutId;
+  const timeout = new Promise(resolve => {
+    timeoutId = setTimeout(() => {
+      console.warn(`Shutdown handlers did not finish within ${SHUTDOWN_TIMEOUT_MS}ms, closing anyway.`);
+      resolve();
+    }, SHUTDOWN_TIMEOUT_MS);
+  });
+  await Promise.race([handlersDone, timeout]);
+  clearTimeout(timeoutId);
+
+  closeDatabase(() => process.exit(0));
+}
+
 // Gracefully close the database on application exit
-process.on('SIGINT', () => {
-  closeDatabase();
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
 
-process.on('SIGTERM', () => {
-    closeDatabase();
-    process.exit(0);
-});
+process.on('SIGTERM', shutdown);
 
 // Export the database connection instance and sync functions
 module.exports = {
   get db() { return db; }, // Use getter to ensure db is available when accessed
-  syncToGitHub
+  syncToGitHub,
+  getGitHubSyncStatus,
+  onShutdown
 };
@@ -1,6 +1,10 @@
 // Load environment variables from .env file FIRST
 require('dotenv').config();
 
+// Write all console output as leveled JSON with secrets masked, before any module logs
+const logger = require('./utils/logger');
+logger.interceptConsole();
+
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
@@ -18,6 +22,9 @@ const vertexService = require('./services/vertexProxyService');
 const authRoutes = require('./routes/auth');
 const adminApiRoutes = require('./routes/adminApi');
 const apiV1Routes = require('./routes/apiV1');
+const geminiNativeRoutes = require('./routes/geminiNative');
+const metricsRoutes = require('./routes/metrics');
+const healthRoutes = require('./routes/health');
 
 // Import services and utils (ensure proxyPool is imported to trigger its initialization)
 require('./services/geminiProxyService'); // Still need to import this for other initializations if any
@@ -25,6 +32,7 @@ const proxyPool = require('./utils/proxyPool');
 
 // Import middleware
 const requireAdminAuth = require('./middleware/adminAuth');
+const requestContext = require('./middleware/requestContext');
 
 const app = express();
 const port = process.env.PORT || 3000; // Default to 3000 if PORT not set
@@ -36,7 +44,8 @@ app.use(cors({
     origin: '*', // Allow all origins for now
     credentials: true, // Allow cookies for authenticated requests (like admin UI)
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with', 'x-goog-api-key', 'x-goog-api-client', 'x-api-key', 'anthropic-version', 'anthropic-beta', 'x-request-id'],
+    exposedHeaders: ['X-Request-ID'],
     maxAge: 86400 // Cache preflight requests for 1 day
 }));
 
@@ -52,12 +61,19 @@ app.use(express.urlencoded({ extended: true, limit: '100mb' }));
 // Parse cookies
 app.use(cookieParser());
 
+// Assign a request ID (X-Request-ID) that is added to the log entries of the request.
+// Registered after the body parsers: the context would not survive their stream callbacks.
+app.use(requestContext);
+
 // Serve static files from the 'public' directory
 // __dirname now refers to the src directory, need to go up one level
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
 // --- Basic Routes ---
 
+// Unauthenticated health checks (/healthz, /readyz) for uptime monitors and orchestrators
+app.use(healthRoutes);
+
 // Root route: Redirects to /admin/index.html if logged in, otherwise requireAdminAuth redirects to /login.html
 app.get('/', (req, res) => {
     res.redirect('/login.html');
@@ -79,6 +95,8 @@ app.use('/admin', requireAdminAuth, express.static(path.join(__dirname, '..', 'p
 app.use('/api', authRoutes); 
 app.use('/api/admin', requireAdminAuth, adminApiRoutes); 
 app.use('/v1', apiV1Routes); 
+app.use('/v1beta', geminiNativeRoutes);
+app.use('/metrics', metricsRoutes); // Optionally protected by METRICS_TOKEN
 
 // --- Global Error Handler ---
 app.use((err, req, res, next) => {
@@ -99,11 +117,14 @@ app.listen(port, '0.0.0.0', async () => {
     // Log Proxy Pool Status
     const proxyStatus = proxyPool.getProxyPoolStatus(); // Get status from proxyPool module
     if (proxyStatus.enabled) {
-        console.log(`Proxy Pool: Enabled (Loaded ${proxyStatus.count} SOCKS5 proxies)`);
+        console.log(`Proxy Pool: Enabled (${proxyStatus.count} proxies loaded)`);
+        if (!proxyStatus.agentLoaded) {
+            console.log(`Proxy Pool: Some proxies are skipped (missing 'socks-proxy-agent' or 'https-proxy-agent' dependency)`);
+        }
     } else if (proxyStatus.count > 0 && !proxyStatus.agentLoaded) {
-        console.log(`Proxy Pool: Configured (${proxyStatus.count} proxies) but DISABLED (missing 'socks-proxy-agent' dependency)`);
+        console.log(`Proxy Pool: Configured (${proxyStatus.count} proxies) but DISABLED (missing 'socks-proxy-agent' or 'https-proxy-agent' dependency)`);
     } else {
-        console.log(`Proxy Pool: Disabled (PROXY environment variable not set or contains no valid SOCKS5 proxies)`);
+        console.log(`Proxy Pool: Disabled (no proxies in the PROXY environment variable or added in the admin panel yet)`);
     }
     
     // Log Vertex AI Status using the check function
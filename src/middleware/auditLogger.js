@@ -0,0 +1,117 @@
+const configService = require('../services/configService');
+const auditLogService = require('../services/auditLogService');
+const responseCacheService = require('../services/responseCacheService');
+
+// Response bytes kept in memory per audited request, the rest is dropped
+const MAX_CAPTURE_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Turns the captured response bytes into the payload to store: parsed JSON, the chat completion
+ * reassembled from an OpenAI stream, or the raw text for anything else.
+ * @param {string} text
+ * @param {string} contentType
+ * @param {boolean} truncated
+ * @returns {any}
+ */
+function parseCapturedResponse(text, contentType, truncated) {
+    if (String(contentType).includes('text/event-stream')) {
+        const collector = responseCacheService.createStreamCollector();
+        collector.push(text.endsWith('\n\n') ? text : `${text}\n\n`);
+        const completion = collector.toCompletion(true);
+        if (completion) {
+            return truncated ? { ...completion, truncated: true } : completion;
+        }
+        return truncated ? { truncated: true, text } : text;
+    }
+    if (!truncated) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            // Not JSON, store the text as is
+        }
+    }
+    return truncated ? { truncated: true, text } : text;
+}
+
+/**
+ * Express middleware that stores the full request and response of worker keys with audit mode enabled.
+ * The Gemini request body is taken from `res.locals.requestLog` (see recordUpstreamResult), so this
+ * must run after requestLogger. Payloads are redacted by auditLogService before they are stored.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function auditLogger(req, res, next) {
+    if (req.method !== 'POST' || !req.workerApiKey) {
+        return next();
+    }
+
+    let auditEnabled;
+    try {
+        auditEnabled = await configService.getWorkerKeyAuditSetting(req.workerApiKey);
+    } catch (error) {
+        console.error('Failed to read worker key audit setting:', error);
+        auditEnabled = false;
+    }
+    if (!auditEnabled) {
+        return next();
+    }
+
+    const startTime = Date.now();
+    // Copy now, route handlers may modify the body (e.g. the model of non-thinking requests)
+    const requestBody = JSON.parse(JSON.stringify(req.body ?? null));
+
+    // Capture what is sent to the client
+    const chunks = [];
+    let capturedBytes = 0;
+    let truncated = false;
+    const capture = (chunk, encoding) => {
+        if (!chunk || typeof chunk === 'function' || truncated) return;
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+        if (capturedBytes + buffer.length > MAX_CAPTURE_BYTES) {
+            truncated = true;
+            return;
+        }
+        chunks.push(buffer);
+        capturedBytes += buffer.length;
+    };
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    res.write = function (chunk, encoding, callback) {
+        capture(chunk, encoding);
+        return originalWrite.call(this, chunk, encoding, callback);
+    };
+    res.end = function (chunk, encoding, callback) {
+        capture(chunk, encoding);
+        return originalEnd.call(this, chunk, encoding, callback);
+    };
+
+    let logged = false;
+    const writeAudit = () => {
+        if (logged) return;
+        logged = true;
+
+        const info = res.locals.requestLog || {};
+        auditLogService.logAuditEntry({
+            createdAt: new Date(startTime).toISOString(),
+            workerKey: req.workerApiKey,
+            keyId: info.keyId,
+            model: typeof requestBody?.model === 'string' ? requestBody.model : null,
+            endpoint: `${req.baseUrl}${req.path}`,
+            stream: requestBody?.stream === true,
+            // 499: the client closed the connection before the response was complete
+            status: res.writableFinished ? res.statusCode : 499,
+            request: requestBody,
+            geminiRequest: info.upstreamRequest || null,
+            response: parseCapturedResponse(Buffer.concat(chunks).toString('utf8'), res.getHeader('Content-Type'), truncated),
+        }).catch(err => console.error('Failed to write audit log entry:', err));
+    };
+
+    res.on('finish', writeAudit);
+    res.on('close', writeAudit);
+    next();
+}
+
+module.exports = {
+    auditLogger,
+};
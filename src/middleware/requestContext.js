@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Client supplied IDs are kept only when they look like an ID, to keep logs parseable
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Express middleware that assigns each request a correlation ID: the client's X-Request-ID header
+ * when valid, otherwise a new UUID. The ID is sent back in the X-Request-ID response header, set as
+ * `req.requestId`, and added to every log entry written while the request is handled.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function requestContext(req, res, next) {
+    const clientRequestId = req.get('X-Request-ID');
+    const requestId = clientRequestId && REQUEST_ID_PATTERN.test(clientRequestId) ? clientRequestId : crypto.randomUUID();
+    req.requestId = requestId;
+    res.setHeader('X-Request-ID', requestId);
+    logger.runWithRequestId(requestId, next);
+}
+
+module.exports = requestContext;
@@ -0,0 +1,145 @@
+const requestLogService = require('../services/requestLogService');
+const geminiKeyService = require('../services/geminiKeyService');
+const metricsService = require('../services/metricsService');
+const logger = require('../utils/logger');
+
+/**
+ * Express middleware that records proxied POST requests in the request_log table.
+ * Route handlers fill in `res.locals.requestLog` (see recordUpstreamResult / recordGeminiUsage /
+ * recordOpenAIUsage) while processing the request; the row is written once the response has
+ * finished or the client has disconnected. Must run after requireWorkerAuth.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function requestLogger(req, res, next) {
+    if (req.method !== 'POST') {
+        return next();
+    }
+
+    const startTime = Date.now();
+    res.locals.requestLog = {
+        model: typeof req.body?.model === 'string' ? req.body.model : null,
+        modelValidated: false, // Set once the model is known to be enabled; others are labelled 'unknown' in the metrics
+        stream: req.body?.stream === true,
+        keyId: null,
+        upstreamModel: null, // Model the request was sent to, for the key's per-minute token window
+        upstreamRequest: null, // Request body sent to Gemini, for the audit log
+        retryCount: 0,
+        usage: null,
+        pricing: null, // Provider pricing of the model, {input, output} in USD per 1M tokens
+    };
+    logger.setRequestContext({ model: res.locals.requestLog.model });
+
+    let logged = false;
+    const writeLog = () => {
+        if (logged) return;
+        logged = true;
+
+        const info = res.locals.requestLog;
+        // 499: the client closed the connection before the response was complete
+        const status = res.writableFinished ? res.statusCode : 499;
+        const latencyMs = Date.now() - startTime;
+        requestLogService.logRequest({
+            createdAt: new Date(startTime).toISOString(),
+            workerKey: req.workerApiKey,
+            keyId: info.keyId,
+            model: info.model,
+            endpoint: `${req.baseUrl}${req.path}`,
+            stream: info.stream,
+            status,
+            latencyMs,
+            retryCount: info.retryCount,
+            usage: info.usage,
+            costUsd: info.pricing && info.usage
+                ? (info.usage.promptTokens * info.pricing.input + info.usage.completionTokens * info.pricing.output) / 1e6
+                : null,
+        }).catch(err => console.error('Failed to write request log entry:', err))
+            .finally(() => {
+                // The worker key's pending slot (see requireWorkerAuth) covers the request until its row is counted
+                if (res.locals.releaseWorkerKeySlot) res.locals.releaseWorkerKeySlot();
+            });
+        // The model comes from the client, only validated models get their own metrics series
+        metricsService.recordRequest({ model: info.modelValidated ? info.model : null, status, keyId: info.keyId, latencyMs, retryCount: info.retryCount });
+        logger.logRequestEvent({
+            method: req.method,
+            endpoint: `${req.baseUrl}${req.path}`,
+            status,
+            latencyMs,
+            requestId: req.requestId,
+            model: info.model,
+            keyId: info.keyId,
+        });
+
+        if (info.keyId && info.upstreamModel && info.usage) {
+            geminiKeyService.recordKeyTokens(info.keyId, info.upstreamModel, info.usage.totalTokens)
+                .catch(err => console.error(`Failed to record token usage for key ${info.keyId}:`, err));
+        }
+    };
+
+    res.on('finish', writeLog);
+    res.on('close', writeLog);
+    next();
+}
+
+/**
+ * Marks the request's model as validated (enabled for the worker key), so that it is used as a metrics label.
+ * @param {import('express').Response} res
+ */
+function recordValidatedModel(res) {
+    const info = res.locals.requestLog;
+    if (info) info.modelValidated = true;
+}
+
+/**
+ * Records the key, model, retry count, upstream request body and provider pricing from a proxy service result.
+ * @param {import('express').Response} res
+ * @param {{selectedKeyId?: string, modelId?: string, retryCount?: number, geminiRequestBody?: object, pricing?: object}} result
+ */
+function recordUpstreamResult(res, result) {
+    const info = res.locals.requestLog;
+    if (!info || !result) return;
+    if (result.selectedKeyId) {
+        info.keyId = result.selectedKeyId;
+        info.modelValidated = true; // The proxy services only select a key for models they accept
+        logger.setRequestContext({ keyId: result.selectedKeyId });
+    }
+    if (result.modelId) info.upstreamModel = result.modelId;
+    if (result.retryCount !== undefined) info.retryCount = result.retryCount;
+    if (result.geminiRequestBody) info.upstreamRequest = result.geminiRequestBody;
+    if (result.pricing) info.pricing = result.pricing;
+}
+
+/**
+ * Records token usage from a Gemini usageMetadata object.
+ * @param {import('express').Response} res
+ * @param {{promptTokenCount?: number, candidatesTokenCount?: number, totalTokenCount?: number}} usageMetadata
+ */
+function recordGeminiUsage(res, usageMetadata) {
+    const info = res.locals.requestLog;
+    if (!info || !usageMetadata) return;
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const completionTokens = usageMetadata.candidatesTokenCount || 0;
+    info.usage = { promptTokens, completionTokens, totalTokens: usageMetadata.totalTokenCount || promptTokens + completionTokens };
+}
+
+/**
+ * Records token usage from an OpenAI usage object.
+ * @param {import('express').Response} res
+ * @param {{prompt_tokens?: number, completion_tokens?: number, total_tokens?: number}} usage
+ */
+function recordOpenAIUsage(res, usage) {
+    const info = res.locals.requestLog;
+    if (!info || !usage) return;
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    info.usage = { promptTokens, completionTokens, totalTokens: usage.total_tokens || promptTokens + completionTokens };
+}
+
+module.exports = {
+    requestLogger,
+    recordValidatedModel,
+    recordUpstreamResult,
+    recordGeminiUsage,
+    recordOpenAIUsage,
+};
@@ -1,18 +1,41 @@
 const dbModule = require('../db'); // Import the database module
+const configService = require('../services/configService');
+const workerKeyLimitService = require('../services/workerKeyLimitService');
 
 /**
- * Express middleware to validate the Worker API Key provided in the Authorization header.
- * Checks against the `worker_keys` table in the database.
+ * Gets the model a request is for: the "model" field of OpenAI / Anthropic style bodies,
+ * or the model in the path of native Gemini requests (/models/{model}:{action}).
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function getRequestedModel(req) {
+    if (typeof req.body?.model === 'string') {
+        return req.body.model;
+    }
+    const match = req.path.match(/^\/models\/([^/]+?)(?::[A-Za-z]+)?$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Express middleware to validate the Worker API Key.
+ * The key is read from the Authorization header ("Bearer KEY"), the x-api-key header (Anthropic clients),
+ * or, for clients using the native Gemini SDKs, from the x-goog-api-key header or the ?key= query parameter.
+ * Checks against the `worker_keys` table in the database, then enforces the key's allowed models and
+ * rate limits on proxied (POST) requests: 403 for a model that is not allowed, and OpenAI-style 429s
+ * with Retry-After and x-ratelimit-* headers when a limit is reached.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
 async function requireWorkerAuth(req, res, next) {
     const authHeader = req.headers.authorization;
-    const workerApiKey = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    const workerApiKey = (authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null)
+        || req.headers['x-api-key']
+        || req.headers['x-goog-api-key']
+        || (typeof req.query?.key === 'string' ? req.query.key : null);
 
     if (!workerApiKey) {
-        return res.status(401).json({ error: 'Missing API key. Provide it in the Authorization header as "Bearer YOUR_KEY".' });
+        return res.status(401).json({ error: 'Missing API key. Provide it in the Authorization header as "Bearer YOUR_KEY", the x-api-key or x-goog-api-key header, or the key query parameter.' });
     }
 
     try {
@@ -24,8 +47,8 @@ async function requireWorkerAuth(req, res, next) {
         }
 
         // Query the database to see if the key exists
-        const sql = `SELECT api_key FROM worker_keys WHERE api_key = ?`;
-        db.get(sql, [workerApiKey], (err, row) => {
+        const sql = `SELECT api_key, rpm_limit, rpd_limit, tpd_limit, allowed_models FROM worker_keys WHERE api_key = ?`;
+        db.get(sql, [workerApiKey], async (err, row) => {
             if (err) {
                 console.error('Database error during worker key validation:', err);
                 // Pass error to the global error handler
@@ -42,6 +65,36 @@ async function requireWorkerAuth(req, res, next) {
             // (e.g., determining safety settings)
             req.workerApiKey = workerApiKey;
 
+            // Only proxied requests count towards the limits
+            if (req.method !== 'POST') {
+                return next();
+            }
+
+            try {
+                const result = await workerKeyLimitService.acquire({
+                    apiKey: workerApiKey,
+                    rpmLimit: row.rpm_limit,
+                    rpdLimit: row.rpd_limit,
+                    tpdLimit: row.tpd_limit,
+                    allowedModels: configService.parseAllowedModels(row.allowed_models),
+                }, await configService.resolveModelAlias(getRequestedModel(req)));
+
+                res.set(result.headers);
+                if (!result.allowed) {
+                    console.warn(`Worker key "${workerApiKey.slice(0, 5)}..." rejected with ${result.status}: ${result.error.message}`);
+                    return res.status(result.status).json({ error: result.error });
+                }
+                // requestLogger releases the slot once the request_log row the daily count reads is written;
+                // requests that never reach it release it when the response closes
+                res.locals.releaseWorkerKeySlot = result.release;
+                res.on('close', () => {
+                    if (!res.locals.requestLog) result.release();
+                });
+            } catch (limitError) {
+                console.error('Error checking worker key limits:', limitError);
+                return next(limitError);
+            }
+
             // Proceed to the next middleware or route handler
             next();
         });
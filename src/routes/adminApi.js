@@ -4,10 +4,19 @@ const configService = require('../services/configService');
 const geminiKeyService = require('../services/geminiKeyService');
 const vertexProxyService = require('../services/vertexProxyService');
 const batchTestService = require('../services/batchTestService');
+const requestLogService = require('../services/requestLogService');
+const statsService = require('../services/statsService');
+const responseCacheService = require('../services/responseCacheService');
+const auditLogService = require('../services/auditLogService');
+const geminiProxyService = require('../services/geminiProxyService');
+const transformUtils = require('../utils/transform');
+const upstreamService = require('../services/upstreamService');
+const providerService = require('../services/providerService');
 // Note: schedulerService is imported lazily when needed to avoid database initialization issues
-const fetch = require('node-fetch');
 const dbModule = require('../db');
 const proxyPool = require('../utils/proxyPool'); // Import the proxy pool module
+const { isValidTimeZone } = require('../utils/helpers');
+const logger = require('../utils/logger');
 const router = express.Router();
 
 // Apply admin authentication middleware to all /api/admin routes
@@ -88,8 +97,52 @@ router.delete('/gemini-keys/:id', async (req, res, next) => {
     }
 });
 
-// Base Gemini API URL
-const BASE_GEMINI_URL = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com';
+router.patch('/gemini-keys/:id', async (req, res, next) => {
+    try {
+        const keyId = req.params.id;
+        const { weight, priority, tier, proxyBinding, upstreamId } = parseBody(req);
+        if ([weight, priority, tier, proxyBinding, upstreamId].every(value => value === undefined)) {
+            return res.status(400).json({ error: 'Request body must include weight, priority, tier, proxyBinding and/or upstreamId' });
+        }
+        if (weight !== undefined && (!Number.isInteger(weight) || weight < 0 || weight > 1000)) {
+            return res.status(400).json({ error: 'weight must be an integer between 0 and 1000' });
+        }
+        if (priority !== undefined && (!Number.isInteger(priority) || priority < -100 || priority > 100)) {
+            return res.status(400).json({ error: 'priority must be an integer between -100 and 100' });
+        }
+        if (tier !== undefined && !configService.KEY_TIERS.includes(tier)) {
+            return res.status(400).json({ error: `tier must be one of: ${configService.KEY_TIERS.join(', ')}` });
+        }
+        const invalidBinding = proxyBinding !== undefined ? proxyPool.validateProxyBinding(proxyBinding) : null;
+        if (invalidBinding) {
+            return res.status(400).json({ error: invalidBinding });
+        }
+        const invalidUpstream = upstreamId !== undefined ? upstreamService.validateUpstreamAssignment(upstreamId) : null;
+        if (invalidUpstream) {
+            return res.status(400).json({ error: invalidUpstream });
+        }
+        await geminiKeyService.updateGeminiKeySettings(keyId, { weight, priority, tier, proxyBinding, upstreamId });
+        res.json({ success: true, id: keyId, weight, priority, tier, proxyBinding, upstreamId });
+    } catch (error) {
+         if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+router.post('/gemini-keys/:id/clear-cooldown', async (req, res, next) => {
+    try {
+        const keyId = req.params.id;
+        const wasCleared = await geminiKeyService.clearKeyCooldown(keyId);
+        res.json({ success: true, id: keyId, cleared: wasCleared });
+    } catch (error) {
+         if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        next(error);
+    }
+});
 
 // Helper function to check if a 400 error should be marked for key error
 function shouldMark400Error(responseBody) {
@@ -119,7 +172,7 @@ router.post('/test-gemini-key', async (req, res, next) => {
         }
 
         // Fetch the actual key from the database
-        const keyInfo = await configService.getDb('SELECT api_key FROM gemini_keys WHERE id = ?', [keyId]);
+        const keyInfo = await configService.getDb('SELECT api_key, proxy_binding, upstream_id FROM gemini_keys WHERE id = ?', [keyId]);
         if (!keyInfo || !keyInfo.api_key) {
             return res.status(404).json({ error: `API Key with ID '${keyId}' not found or invalid.` });
         }
@@ -143,15 +196,13 @@ router.post('/test-gemini-key', async (req, res, next) => {
         }
 
         const testGeminiRequestBody = { contents: [{ role: "user", parts: [{ text: "Hi" }] }] };
-        const geminiUrl = `${BASE_GEMINI_URL}/v1beta/models/${modelId}:generateContent`;
+        const geminiPath = `/v1beta/models/${modelId}:generateContent`;
 
         let testResponseStatus = 500;
         let testResponseBody = null;
         let isSuccess = false;
 
         try {
-            // Get proxy agent
-            const agent = proxyPool.getNextProxyAgent();
             const fetchOptions = {
                 method: 'POST',
                 headers: {
@@ -160,14 +211,10 @@ router.post('/test-gemini-key', async (req, res, next) => {
                 },
                 body: JSON.stringify(testGeminiRequestBody)
             };
-            if (agent) {
-                fetchOptions.agent = agent;
-                console.log(`Admin API (Test Key): Sending request via proxy ${agent.proxy.href}`);
-            } else {
-                 console.log(`Admin API (Test Key): Sending request directly.`);
-            }
 
-            const response = await fetch(geminiUrl, fetchOptions);
+            // Sent to the key's upstream and through its proxy binding, if it has them
+            const response = await upstreamService.fetchGemini(geminiPath, fetchOptions,
+                { id: keyId, proxyBinding: keyInfo.proxy_binding, upstreamId: keyInfo.upstream_id }, 'Admin API (Test Key):');
             testResponseStatus = response.status;
             testResponseBody = await response.json(); // Attempt to parse JSON
             isSuccess = response.ok;
@@ -226,10 +273,6 @@ router.get('/gemini-models', async (req, res, next) => {
      try {
          // Helper function to fetch models with a specific key
          const fetchModelsWithKey = async (key) => {
-             const geminiUrl = `${BASE_GEMINI_URL}/v1beta/models`;
-
-             // Get proxy agent
-             const agent = proxyPool.getNextProxyAgent();
              const fetchOptions = {
                  method: 'GET',
                  headers: {
@@ -237,14 +280,9 @@ router.get('/gemini-models', async (req, res, next) => {
                      'x-goog-api-key': key.key
                  }
              };
-             if (agent) {
-                fetchOptions.agent = agent;
-                console.log(`Admin API (Get Models): Sending request via proxy ${agent.proxy.href}`);
-             } else {
-                 console.log(`Admin API (Get Models): Sending request directly.`);
-             }
 
-             const response = await fetch(geminiUrl, fetchOptions);
+             // Sent to the key's upstream and through its proxy binding, if it has them
+             const response = await upstreamService.fetchGemini('/v1beta/models', fetchOptions, key, 'Admin API (Get Models):');
              return { response, keyId: key.id };
          };
 
@@ -435,6 +473,50 @@ router.post('/worker-keys/safety-settings', async (req, res, next) => { // Speci
     }
 });
 
+router.post('/worker-keys/audit-settings', async (req, res, next) => {
+    try {
+        const { key, auditEnabled } = parseBody(req);
+        if (!key || typeof key !== 'string' || typeof auditEnabled !== 'boolean') {
+            return res.status(400).json({ error: 'Request body must include key (string) and auditEnabled (boolean)' });
+        }
+        await configService.updateWorkerKeyAudit(key, auditEnabled);
+        res.json({ success: true, key: key, auditEnabled: auditEnabled });
+    } catch (error) {
+         if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+router.post('/worker-keys/limits', async (req, res, next) => {
+    try {
+        const { key, rpmLimit, rpdLimit, tpdLimit, allowedModels } = parseBody(req);
+        if (!key || typeof key !== 'string') {
+            return res.status(400).json({ error: 'Request body must include key (string)' });
+        }
+        // Each limit is a positive integer, or null / omitted for unlimited
+        const limits = { rpmLimit, rpdLimit, tpdLimit };
+        for (const [name, value] of Object.entries(limits)) {
+            if (value !== undefined && value !== null && (!Number.isInteger(value) || value <= 0)) {
+                return res.status(400).json({ error: `${name} must be a positive integer or null` });
+            }
+        }
+        if (allowedModels !== undefined && allowedModels !== null &&
+            (!Array.isArray(allowedModels) || allowedModels.some(model => typeof model !== 'string' || model.trim() === ''))) {
+            return res.status(400).json({ error: 'allowedModels must be an array of model IDs or null' });
+        }
+        const models = allowedModels ? [...new Set(allowedModels.map(model => model.trim()))] : null;
+        await configService.updateWorkerKeyLimits(key, { ...limits, allowedModels: models });
+        res.json({ success: true, key, rpmLimit: rpmLimit ?? null, rpdLimit: rpdLimit ?? null, tpdLimit: tpdLimit ?? null, allowedModels: models && models.length > 0 ? models : null });
+    } catch (error) {
+         if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
 
 // --- Model Configuration Management --- (/api/admin/models)
 router.route('/models')
@@ -450,7 +532,7 @@ router.route('/models')
     })
     .post(async (req, res, next) => { // Add or Update
         try {
-             const { id, category, dailyQuota, individualQuota } = parseBody(req);
+             const { id, category, dailyQuota, individualQuota, rpmLimit, tpmLimit } = parseBody(req);
              if (!id || !category || !['Pro', 'Flash', 'Custom'].includes(category)) {
                  return res.status(400).json({ error: 'Request body must include valid id and category (Pro, Flash, or Custom)' });
              }
@@ -462,10 +544,19 @@ router.route('/models')
                  return res.status(400).json({ error: 'Quotas must be numbers or null/empty.' });
              }
 
-             await configService.setModelConfig(id, category, dailyQuotaNum, individualQuotaNum);
-             res.status(200).json({ success: true, id, category, dailyQuota: dailyQuotaNum, individualQuota: individualQuotaNum }); // Use 200 for add/update simplicity
+             // Per-minute limits are only changed when sent
+             let rateLimits;
+             if (rpmLimit !== undefined || tpmLimit !== undefined) {
+                 rateLimits = {
+                     rpmLimit: (rpmLimit === null || rpmLimit === undefined || rpmLimit === '') ? null : Number(rpmLimit),
+                     tpmLimit: (tpmLimit === null || tpmLimit === undefined || tpmLimit === '') ? null : Number(tpmLimit)
+                 };
+             }
+
+             await configService.setModelConfig(id, category, dailyQuotaNum, individualQuotaNum, rateLimits);
+             res.status(200).json({ success: true, id, category, dailyQuota: dailyQuotaNum, individualQuota: individualQuotaNum, ...rateLimits }); // Use 200 for add/update simplicity
         } catch (error) {
-             if (error.message.includes('must be a non-negative integer')) {
+             if (error.message.includes('must be a non-negative integer') || error.message.includes('must be a positive integer')) {
                 return res.status(400).json({ error: error.message });
              }
             next(error);
@@ -489,6 +580,97 @@ router.delete('/models/:id', async (req, res, next) => { // Use ID in path
 });
 
 
+// --- Model Alias Management --- (/api/admin/model-aliases)
+router.route('/model-aliases')
+    .get(async (req, res, next) => {
+        try {
+            const aliases = await configService.getModelAliases();
+            res.json(aliases);
+        } catch (error) {
+            next(error);
+        }
+    })
+    .post(async (req, res, next) => { // Add or Update
+        try {
+            const { alias, targetModel } = parseBody(req);
+            if (!alias || typeof alias !== 'string' || alias.trim() === '' ||
+                !targetModel || typeof targetModel !== 'string' || targetModel.trim() === '') {
+                return res.status(400).json({ error: 'Request body must include valid non-empty strings: alias, targetModel' });
+            }
+            const aliasId = alias.trim();
+            const targetModelId = targetModel.trim();
+            if (aliasId === targetModelId) {
+                return res.status(400).json({ error: 'An alias cannot point to itself' });
+            }
+            // An alias with the same ID as a configured model would hide that model
+            const modelsConfig = await configService.getModelsConfig();
+            if (modelsConfig[aliasId]) {
+                return res.status(400).json({ error: `'${aliasId}' is already a configured model ID` });
+            }
+            await configService.setModelAlias(aliasId, targetModelId);
+            res.json({ success: true, alias: aliasId, targetModel: targetModelId });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+router.delete('/model-aliases/:alias', async (req, res, next) => {
+    try {
+        const aliasToDelete = decodeURIComponent(req.params.alias);
+        if (!aliasToDelete) {
+            return res.status(400).json({ error: 'Missing model alias in path' });
+        }
+        await configService.deleteModelAlias(aliasToDelete);
+        res.json({ success: true, alias: aliasToDelete });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
+// --- Key Tier Quota Management --- (/api/admin/tier-quotas)
+router.route('/tier-quotas')
+    .get(async (req, res, next) => {
+        try {
+            const quotas = await configService.getTierQuotas();
+            res.json({ tiers: configService.KEY_TIERS, quotas });
+        } catch (error) {
+            next(error);
+        }
+    })
+    .post(async (req, res, next) => { // Add or Update (manual)
+        try {
+            const { tier, modelId, dailyQuota } = parseBody(req);
+            if (!tier || typeof tier !== 'string' || !modelId || typeof modelId !== 'string' || modelId.trim() === '') {
+                return res.status(400).json({ error: 'Request body must include valid non-empty strings: tier, modelId' });
+            }
+            // Service layer validates the tier and quota
+            await configService.setTierQuota(tier, modelId.trim(), dailyQuota);
+            res.json({ success: true, tier, modelId: modelId.trim(), dailyQuota });
+        } catch (error) {
+            if (error.message.includes('must be')) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+router.delete('/tier-quotas/:tier/:modelId', async (req, res, next) => {
+    try {
+        const tier = decodeURIComponent(req.params.tier);
+        const modelId = decodeURIComponent(req.params.modelId);
+        await configService.deleteTierQuota(tier, modelId);
+        res.json({ success: true, tier, modelId });
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        next(error);
+    }
+});
+
 // --- Category Quota Management --- (/api/admin/category-quotas)
 router.route('/category-quotas')
     .get(async (req, res, next) => {
@@ -628,6 +810,233 @@ router.post('/vertex-config/test', async (req, res, next) => {
     }
 });
 
+// --- Proxy Pool Management --- (/api/admin/proxies)
+router.route('/proxies')
+    .get((req, res) => {
+        res.json({ proxies: proxyPool.getProxies(), status: proxyPool.getProxyPoolStatus() });
+    })
+    .post(async (req, res, next) => {
+        try {
+            const { url, group } = parseBody(req);
+            if (!url || typeof url !== 'string' || url.trim() === '') {
+                return res.status(400).json({ error: 'Request body must include a valid non-empty string: url' });
+            }
+            if (group !== undefined && group !== null && typeof group !== 'string') {
+                return res.status(400).json({ error: 'group must be a string or null' });
+            }
+            const invalidReason = proxyPool.validateProxyUrl(url.trim());
+            if (invalidReason) {
+                return res.status(400).json({ error: invalidReason });
+            }
+            const { id } = await proxyPool.addProxy(url, group);
+            res.status(201).json({ success: true, id });
+        } catch (error) {
+            if (error.message.includes('duplicate')) {
+                return res.status(409).json({ error: error.message });
+            }
+            if (error.message.startsWith('Proxy group')) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+// Runs the health checks now instead of waiting for the next scheduled run
+router.post('/proxies/check', async (req, res, next) => {
+    try {
+        const result = await proxyPool.runHealthChecks();
+        res.json({ success: true, ...result, proxies: proxyPool.getProxies() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.route('/proxies/:id')
+    .put(async (req, res, next) => {
+        try {
+            const { enabled, group } = parseBody(req);
+            if (enabled === undefined && group === undefined) {
+                return res.status(400).json({ error: 'Request body must include enabled and/or group' });
+            }
+            if (enabled !== undefined && typeof enabled !== 'boolean') {
+                return res.status(400).json({ error: 'enabled must be a boolean' });
+            }
+            if (group !== undefined && group !== null && typeof group !== 'string') {
+                return res.status(400).json({ error: 'group must be a string or null' });
+            }
+            await proxyPool.updateProxy(req.params.id, { enabled, group });
+            res.json({ success: true, id: req.params.id, enabled, group });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ error: error.message });
+            }
+            if (error.message.includes('PROXY environment variable') || error.message.startsWith('Proxy group')) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    })
+    .delete(async (req, res, next) => {
+        try {
+            await proxyPool.deleteProxy(req.params.id);
+            res.json({ success: true, id: req.params.id });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ error: error.message });
+            }
+            if (error.message.includes('PROXY environment variable')) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+// --- Upstream Management --- (/api/admin/upstreams)
+router.route('/upstreams')
+    .get((req, res) => {
+        res.json({ upstreams: upstreamService.getUpstreams(), status: upstreamService.getUpstreamStatus() });
+    })
+    .post(async (req, res, next) => {
+        try {
+            const { baseUrl, name, order } = parseBody(req);
+            if (!baseUrl || typeof baseUrl !== 'string' || baseUrl.trim() === '') {
+                return res.status(400).json({ error: 'Request body must include a valid non-empty string: baseUrl' });
+            }
+            if (name !== undefined && (typeof name !== 'string' || name.length > 64)) {
+                return res.status(400).json({ error: 'name must be a string of at most 64 characters' });
+            }
+            if (order !== undefined && (!Number.isInteger(order) || order < -1000 || order > 1000)) {
+                return res.status(400).json({ error: 'order must be an integer between -1000 and 1000' });
+            }
+            const { id } = await upstreamService.addUpstream({ baseUrl, name, order });
+            res.status(201).json({ success: true, id });
+        } catch (error) {
+            if (error.message.includes('duplicate')) {
+                return res.status(409).json({ error: error.message });
+            }
+            if (error.message.startsWith('Invalid base URL') || error.message.startsWith('Base URL')) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+// Runs the health checks now instead of waiting for the next scheduled run
+router.post('/upstreams/check', async (req, res, next) => {
+    try {
+        const result = await upstreamService.runHealthChecks();
+        res.json({ success: true, ...result, upstreams: upstreamService.getUpstreams() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.route('/upstreams/:id')
+    .put(async (req, res, next) => {
+        try {
+            const { name, order, enabled } = parseBody(req);
+            if (name === undefined && order === undefined && enabled === undefined) {
+                return res.status(400).json({ error: 'Request body must include name, order and/or enabled' });
+            }
+            if (name !== undefined && (typeof name !== 'string' || name.length > 64)) {
+                return res.status(400).json({ error: 'name must be a string of at most 64 characters' });
+            }
+            if (order !== undefined && (!Number.isInteger(order) || order < -1000 || order > 1000)) {
+                return res.status(400).json({ error: 'order must be an integer between -1000 and 1000' });
+            }
+            if (enabled !== undefined && typeof enabled !== 'boolean') {
+                return res.status(400).json({ error: 'enabled must be a boolean' });
+            }
+            await upstreamService.updateUpstream(req.params.id, { name, order, enabled });
+            res.json({ success: true, id: req.params.id, name, order, enabled });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ error: error.message });
+            }
+            if (error.message.includes('GEMINI_BASE_URL')) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    })
+    .delete(async (req, res, next) => {
+        try {
+            await upstreamService.deleteUpstream(req.params.id);
+            res.json({ success: true, id: req.params.id });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ error: error.message });
+            }
+            if (error.message.includes('GEMINI_BASE_URL')) {
+                return res.status(400).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+// --- OpenAI-Compatible Provider Management --- (/api/admin/providers)
+router.route('/providers')
+    .get(async (req, res, next) => {
+        try {
+            res.json(await providerService.getProviderList());
+        } catch (error) {
+            next(error);
+        }
+    })
+    .post(async (req, res, next) => {
+        try {
+            const { name, prefix, baseUrl, apiKeys = [], models, pricing, useProxy } = parseBody(req);
+            const fields = { name, prefix, baseUrl, apiKeys, models, pricing, useProxy };
+            const invalidReason = providerService.validateProviderFields(fields);
+            if (invalidReason) {
+                return res.status(400).json({ error: invalidReason });
+            }
+            const { id } = await providerService.addProvider(fields);
+            res.status(201).json({ success: true, id });
+        } catch (error) {
+            if (error.message.includes('duplicate')) {
+                return res.status(409).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
+router.route('/providers/:id')
+    .put(async (req, res, next) => {
+        try {
+            const { name, prefix, baseUrl, apiKeys, models, pricing, useProxy, enabled } = parseBody(req);
+            const changes = { name, prefix, baseUrl, apiKeys, models, pricing, useProxy, enabled };
+            if (Object.values(changes).every(value => value === undefined)) {
+                return res.status(400).json({ error: 'Request body must include at least one provider field' });
+            }
+            const invalidReason = providerService.validateProviderFields(changes, true);
+            if (invalidReason) {
+                return res.status(400).json({ error: invalidReason });
+            }
+            await providerService.updateProvider(req.params.id, changes);
+            res.json({ success: true, id: req.params.id });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ error: error.message });
+            }
+            if (error.message.includes('duplicate')) {
+                return res.status(409).json({ error: error.message });
+            }
+            next(error);
+        }
+    })
+    .delete(async (req, res, next) => {
+        try {
+            await providerService.deleteProvider(req.params.id);
+            res.json({ success: true, id: req.params.id });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ error: error.message });
+            }
+            next(error);
+        }
+    });
+
 // --- System Settings Management --- (/api/admin/system-settings)
 router.route('/system-settings')
     .get(async (req, res, next) => {
@@ -637,13 +1046,34 @@ router.route('/system-settings')
             const maxRetry = await configService.getSetting('max_retry', '3');
             const webSearch = await configService.getSetting('web_search', '0');
             const autoTest = await configService.getSetting('auto_test', '0');
+            const embeddingCategory = await configService.getSetting('embedding_category', 'Custom');
+            const requestLogRetentionDays = await requestLogService.getRetentionDays();
+            const keySelectionStrategy = await geminiKeyService.getKeySelectionStrategy();
+            const quotaReset = await configService.getQuotaResetConfig();
+            const responseCache = await responseCacheService.getCacheConfig();
+            const auditLogRetentionDays = await auditLogService.getRetentionDays();
+            const auditRedactionRules = await auditLogService.getCustomRedactionRules();
+            const logLevel = logger.getLevel();
 
             // Ensure consistent data types
             res.json({
                 keepalive: String(keepalive), // Ensure it's a string
                 maxRetry: parseInt(maxRetry) || 3,
                 webSearch: String(webSearch),
-                autoTest: String(autoTest)
+                autoTest: String(autoTest),
+                embeddingCategory: String(embeddingCategory),
+                requestLogRetentionDays: requestLogRetentionDays,
+                keySelectionStrategy: keySelectionStrategy,
+                quotaResetTimezone: quotaReset.timeZone,
+                quotaResetTime: quotaReset.resetTime,
+                quotaWindow: quotaReset.window,
+                responseCacheEnabled: responseCache.enabled ? '1' : '0',
+                responseCacheTtlSeconds: responseCache.ttlSeconds,
+                responseCacheMaxEntries: responseCache.maxEntries,
+                responseCacheStorage: responseCache.storage,
+                auditLogRetentionDays: auditLogRetentionDays,
+                auditRedactionRules: auditRedactionRules,
+                logLevel: logLevel
             });
         } catch (error) {
             next(error);
@@ -651,7 +1081,9 @@ router.route('/system-settings')
     })
     .post(async (req, res, next) => {
         try {
-            const { keepalive, maxRetry, webSearch, autoTest } = parseBody(req);
+            const { keepalive, maxRetry, webSearch, autoTest, embeddingCategory, requestLogRetentionDays, keySelectionStrategy,
+                quotaResetTimezone, quotaResetTime, quotaWindow, responseCacheEnabled, responseCacheTtlSeconds, responseCacheMaxEntries,
+                responseCacheStorage, auditLogRetentionDays, auditRedactionRules, logLevel } = parseBody(req);
 
             // Validate inputs
             if (keepalive !== '0' && keepalive !== '1') {
@@ -671,10 +1103,110 @@ router.route('/system-settings')
                 return res.status(400).json({ error: 'AUTO_TEST must be "0" or "1"' });
             }
 
+            if (embeddingCategory !== undefined && !['Pro', 'Flash', 'Custom'].includes(embeddingCategory)) {
+                return res.status(400).json({ error: 'Embedding category must be "Pro", "Flash" or "Custom"' });
+            }
+
+            const retentionDaysNum = requestLogRetentionDays !== undefined ? parseInt(requestLogRetentionDays) : undefined;
+            if (retentionDaysNum !== undefined && (isNaN(retentionDaysNum) || retentionDaysNum < 1 || retentionDaysNum > 365)) {
+                return res.status(400).json({ error: 'Request log retention must be a number of days between 1 and 365' });
+            }
+
+            if (keySelectionStrategy !== undefined && !geminiKeyService.KEY_SELECTION_STRATEGIES.includes(keySelectionStrategy)) {
+                return res.status(400).json({ error: `Key selection strategy must be one of: ${geminiKeyService.KEY_SELECTION_STRATEGIES.join(', ')}` });
+            }
+
+            if (quotaResetTimezone !== undefined && !isValidTimeZone(quotaResetTimezone)) {
+                return res.status(400).json({ error: 'Quota reset time zone must be an IANA time zone name, e.g. "America/Los_Angeles"' });
+            }
+
+            if (quotaResetTime !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(quotaResetTime)) {
+                return res.status(400).json({ error: 'Quota reset time must be in HH:MM format' });
+            }
+
+            if (quotaWindow !== undefined && !configService.QUOTA_WINDOWS.includes(quotaWindow)) {
+                return res.status(400).json({ error: `Quota window must be one of: ${configService.QUOTA_WINDOWS.join(', ')}` });
+            }
+
+            if (responseCacheEnabled !== undefined && responseCacheEnabled !== '0' && responseCacheEnabled !== '1') {
+                return res.status(400).json({ error: 'Response cache must be "0" or "1"' });
+            }
+
+            const cacheTtlNum = responseCacheTtlSeconds !== undefined ? parseInt(responseCacheTtlSeconds) : undefined;
+            if (cacheTtlNum !== undefined && (isNaN(cacheTtlNum) || cacheTtlNum < 1 || cacheTtlNum > 30 * 24 * 3600)) {
+                return res.status(400).json({ error: 'Response cache TTL must be a number of seconds between 1 and 2592000 (30 days)' });
+            }
+
+            const cacheMaxEntriesNum = responseCacheMaxEntries !== undefined ? parseInt(responseCacheMaxEntries) : undefined;
+            if (cacheMaxEntriesNum !== undefined && (isNaN(cacheMaxEntriesNum) || cacheMaxEntriesNum < 1 || cacheMaxEntriesNum > 100000)) {
+                return res.status(400).json({ error: 'Response cache size must be a number of entries between 1 and 100000' });
+            }
+
+            if (responseCacheStorage !== undefined && !responseCacheService.CACHE_STORAGES.includes(responseCacheStorage)) {
+                return res.status(400).json({ error: `Response cache storage must be one of: ${responseCacheService.CACHE_STORAGES.join(', ')}` });
+            }
+
+            const auditRetentionNum = auditLogRetentionDays !== undefined ? parseInt(auditLogRetentionDays) : undefined;
+            if (auditRetentionNum !== undefined && (isNaN(auditRetentionNum) || auditRetentionNum < 1 || auditRetentionNum > 90)) {
+                return res.status(400).json({ error: 'Audit log retention must be a number of days between 1 and 90' });
+            }
+
+            if (auditRedactionRules !== undefined) {
+                const rulesError = auditLogService.validateRedactionRules(auditRedactionRules);
+                if (rulesError) {
+                    return res.status(400).json({ error: rulesError });
+                }
+            }
+
+            if (logLevel !== undefined && !logger.LOG_LEVELS.includes(logLevel)) {
+                return res.status(400).json({ error: `Log level must be one of: ${logger.LOG_LEVELS.join(', ')}` });
+            }
+
             // Save to database (skip sync for first three, sync on the last one)
             await configService.setSetting('keepalive', keepalive, true); // Skip sync
             await configService.setSetting('max_retry', maxRetryNum.toString(), true); // Skip sync
             await configService.setSetting('web_search', webSearch, true); // Skip sync
+            if (embeddingCategory !== undefined) {
+                await configService.setSetting('embedding_category', embeddingCategory, true); // Skip sync
+            }
+            if (retentionDaysNum !== undefined) {
+                await configService.setSetting('request_log_retention_days', retentionDaysNum.toString(), true); // Skip sync
+            }
+            if (keySelectionStrategy !== undefined) {
+                await configService.setSetting('key_selection_strategy', keySelectionStrategy, true); // Skip sync
+            }
+            if (quotaResetTimezone !== undefined) {
+                await configService.setSetting('quota_reset_timezone', quotaResetTimezone, true); // Skip sync
+            }
+            if (quotaResetTime !== undefined) {
+                await configService.setSetting('quota_reset_time', quotaResetTime, true); // Skip sync
+            }
+            if (quotaWindow !== undefined) {
+                await configService.setSetting('quota_window', quotaWindow, true); // Skip sync
+            }
+            if (responseCacheEnabled !== undefined) {
+                await configService.setSetting('response_cache_enabled', responseCacheEnabled, true); // Skip sync
+            }
+            if (cacheTtlNum !== undefined) {
+                await configService.setSetting('response_cache_ttl_seconds', cacheTtlNum.toString(), true); // Skip sync
+            }
+            if (cacheMaxEntriesNum !== undefined) {
+                await configService.setSetting('response_cache_max_entries', cacheMaxEntriesNum.toString(), true); // Skip sync
+            }
+            if (responseCacheStorage !== undefined) {
+                await configService.setSetting('response_cache_storage', responseCacheStorage, true); // Skip sync
+            }
+            if (auditRetentionNum !== undefined) {
+                await configService.setSetting('audit_log_retention_days', auditRetentionNum.toString(), true); // Skip sync
+            }
+            if (auditRedactionRules !== undefined) {
+                const rules = auditRedactionRules.map(({ pattern, replacement }) => ({ pattern, ...(replacement !== undefined && { replacement }) }));
+                await configService.setSetting('audit_redaction_rules', rules, true); // Skip sync
+            }
+            if (logLevel !== undefined) {
+                await configService.setSetting('log_level', logLevel, true); // Skip sync
+                logger.setLevel(logLevel);
+            }
             await configService.setSetting('auto_test', autoTest); // Trigger sync on last setting
 
             // Update scheduler service when auto_test setting changes
@@ -692,13 +1224,33 @@ router.route('/system-settings')
                 keepalive: keepalive,
                 maxRetry: maxRetryNum,
                 webSearch: webSearch,
-                autoTest: autoTest
+                autoTest: autoTest,
+                embeddingCategory: embeddingCategory,
+                requestLogRetentionDays: retentionDaysNum
             });
         } catch (error) {
             next(error);
         }
     });
 
+// --- Response Cache --- (/api/admin/response-cache)
+router.route('/response-cache')
+    .get(async (req, res, next) => {
+        try {
+            res.json(await responseCacheService.getCacheStats());
+        } catch (error) {
+            next(error);
+        }
+    })
+    .delete(async (req, res, next) => {
+        try {
+            const purged = await responseCacheService.purgeCache();
+            res.json({ success: true, purged });
+        } catch (error) {
+            next(error);
+        }
+    });
+
 // --- Batch Test Management --- (/api/admin/batch-test)
 router.post('/batch-test/run', async (req, res, next) => {
     try {
@@ -733,5 +1285,188 @@ router.get('/batch-test/status', async (req, res, next) => {
     }
 });
 
+// --- Request Log --- (/api/admin/request-logs)
+// Query parameters: page, pageSize, workerKey, keyId, model, endpoint, status (code, "success" or "error"), stream, from, to
+router.get('/request-logs', async (req, res, next) => {
+    try {
+        const { page, pageSize, workerKey, keyId, model, endpoint, status, stream, from, to } = req.query;
+
+        for (const [name, value] of [['from', from], ['to', to]]) {
+            if (value !== undefined && isNaN(Date.parse(value))) {
+                return res.status(400).json({ error: `Invalid '${name}' timestamp` });
+            }
+        }
+
+        const result = await requestLogService.queryRequestLogs({
+            workerKey,
+            keyId,
+            model,
+            endpoint,
+            status,
+            stream,
+            from: from !== undefined ? new Date(from).toISOString() : undefined,
+            to: to !== undefined ? new Date(to).toISOString() : undefined
+        }, page, pageSize);
+        res.json(result);
+    } catch (error) {
+        console.error('Error querying request logs:', error);
+        next(error);
+    }
+});
+
+// --- Audit Log --- (/api/admin/audit-logs)
+// Query parameters: page, pageSize, workerKey, model
+router.get('/audit-logs', async (req, res, next) => {
+    try {
+        const { page, pageSize, workerKey, model } = req.query;
+        res.json(await auditLogService.queryAuditLogs({ workerKey, model }, page, pageSize));
+    } catch (error) {
+        console.error('Error querying audit logs:', error);
+        next(error);
+    }
+});
+
+router.get('/audit-logs/:id', async (req, res, next) => {
+    try {
+        const entry = await auditLogService.getAuditEntry(parseInt(req.params.id));
+        if (!entry) {
+            return res.status(404).json({ error: `Audit log entry ${req.params.id} not found` });
+        }
+        res.json(entry);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Sends a logged chat completion request upstream again (non-streaming, as the original worker key)
+// and returns the new response. The stored request is redacted, so redacted values are replayed as such.
+router.post('/audit-logs/:id/replay', async (req, res, next) => {
+    try {
+        const entry = await auditLogService.getAuditEntry(parseInt(req.params.id));
+        if (!entry) {
+            return res.status(404).json({ error: `Audit log entry ${req.params.id} not found` });
+        }
+        if (entry.endpoint !== '/v1/chat/completions' || !entry.request || entry.request.truncated) {
+            return res.status(400).json({ error: 'Only complete /v1/chat/completions requests can be replayed' });
+        }
+
+        const requestBody = { ...entry.request, stream: false };
+        let result;
+        if (providerService.isProviderModel(requestBody.model)) {
+            result = await providerService.proxyProviderChatCompletions(requestBody, entry.workerKey, false);
+        } else if (typeof requestBody.model === 'string' && requestBody.model.startsWith('[v]') && vertexProxyService.isVertexEnabled()) {
+            result = await vertexProxyService.proxyVertexChatCompletions(requestBody, entry.workerKey, false, null);
+        } else {
+            // Same handling of non-thinking models as /v1/chat/completions
+            const isNonThinking = requestBody.model?.endsWith(':non-thinking');
+            if (isNonThinking) {
+                requestBody.model = requestBody.model.replace(':non-thinking', '');
+            }
+            result = await geminiProxyService.proxyChatCompletions(requestBody, entry.workerKey, false, isNonThinking ? 0 : undefined, null);
+        }
+
+        if (result.error) {
+            return res.json({ success: false, status: result.status || 500, error: result.error });
+        }
+        const upstreamJson = await result.response.json();
+        // Vertex and providers already answer in OpenAI format
+        const response = result.selectedKeyId === 'vertex-ai' || result.providerId
+            ? upstreamJson
+            : JSON.parse(transformUtils.transformGeminiResponseToOpenAI(upstreamJson, entry.request.model));
+        res.json({ success: true, keyId: result.selectedKeyId, response });
+    } catch (error) {
+        console.error('Error replaying audit log entry:', error);
+        next(error);
+    }
+});
+
+// --- Live Log --- (/api/admin/logs/stream)
+// Server-sent events: the buffered entries, then new ones as they are logged.
+// Query parameters: level (minimum), model and key (substring, case-insensitive)
+const LOG_STREAM_HEARTBEAT_MS = 15000;
+
+router.get('/logs/stream', (req, res) => {
+    const { level, model, key } = req.query;
+    if (level !== undefined && !logger.LOG_LEVELS.includes(level)) {
+        return res.status(400).json({ error: `Level must be one of: ${logger.LOG_LEVELS.join(', ')}` });
+    }
+    const minLevel = logger.LOG_LEVELS.indexOf(level || logger.LOG_LEVELS[0]);
+    const modelFilter = typeof model === 'string' ? model.trim().toLowerCase() : '';
+    const keyFilter = typeof key === 'string' ? key.trim().toLowerCase() : '';
+    const matches = (entry) => logger.LOG_LEVELS.indexOf(entry.level) >= minLevel
+        && (!modelFilter || (entry.model || '').toLowerCase().includes(modelFilter))
+        && (!keyFilter || (entry.keyId || '').toLowerCase().includes(keyFilter));
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop reverse proxies from buffering the stream
+    });
+    const send = (entry) => {
+        if (matches(entry)) {
+            res.write(`id: ${entry.id}\ndata: ${JSON.stringify(entry)}\n\n`);
+        }
+    };
+
+    logger.getRecentEntries().forEach(send);
+    const unsubscribe = logger.subscribe(send);
+    // Comments keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), LOG_STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// --- Usage Statistics --- (/api/admin/stats)
+// All endpoints take ?range=24h|7d|30d (default 24h); timeseries and breakdown take ?groupBy=model|worker_key|gemini_key
+function parseStatsQuery(req, res, requireGroupBy) {
+    const range = req.query.range || '24h';
+    const groupBy = req.query.groupBy;
+    if (!statsService.RANGES[range]) {
+        res.status(400).json({ error: 'range must be one of: 24h, 7d, 30d' });
+        return null;
+    }
+    if ((requireGroupBy || groupBy) && !statsService.GROUP_BY_COLUMNS[groupBy]) {
+        res.status(400).json({ error: 'groupBy must be one of: model, worker_key, gemini_key' });
+        return null;
+    }
+    return { range, groupBy };
+}
+
+router.get('/stats/summary', async (req, res, next) => {
+    try {
+        const query = parseStatsQuery(req, res, false);
+        if (!query) return;
+        res.json(await statsService.getSummary(query.range));
+    } catch (error) {
+        console.error('Error getting stats summary:', error);
+        next(error);
+    }
+});
+
+router.get('/stats/timeseries', async (req, res, next) => {
+    try {
+        const query = parseStatsQuery(req, res, false);
+        if (!query) return;
+        res.json(await statsService.getTimeSeries(query.range, query.groupBy));
+    } catch (error) {
+        console.error('Error getting stats time series:', error);
+        next(error);
+    }
+});
+
+router.get('/stats/breakdown', async (req, res, next) => {
+    try {
+        const query = parseStatsQuery(req, res, true);
+        if (!query) return;
+        res.json(await statsService.getBreakdown(query.range, query.groupBy));
+    } catch (error) {
+        console.error('Error getting stats breakdown:', error);
+        next(error);
+    }
+});
 
 module.exports = router;
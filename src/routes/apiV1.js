@@ -3,85 +3,115 @@
 const express = require('express');
 const { Readable, Transform } = require('stream'); // For handling streams and transforming
 const requireWorkerAuth = require('../middleware/workerAuth');
+const { requestLogger, recordValidatedModel, recordUpstreamResult, recordGeminiUsage, recordOpenAIUsage } = require('../middleware/requestLogger');
+const { auditLogger } = require('../middleware/auditLogger');
 const geminiProxyService = require('../services/geminiProxyService');
 const configService = require('../services/configService'); // For /v1/models
 const transformUtils = require('../utils/transform');
+const anthropicTransform = require('../utils/anthropicTransform');
+const responsesTransform = require('../utils/responsesTransform');
+const logger = require('../utils/logger');
+const responseStoreService = require('../services/responseStoreService');
+const responseCacheService = require('../services/responseCacheService');
+const workerKeyLimitService = require('../services/workerKeyLimitService');
 
 // Import vertexProxyService, which now includes manual loading logic
 const vertexProxyService = require('../services/vertexProxyService');
+const providerService = require('../services/providerService');
 
 const router = express.Router();
 
+/**
+ * Returns every model ID a client may request: the configured models plus their search
+ * and non-thinking variants, the Vertex models when the Vertex feature is enabled, and
+ * the models of the enabled OpenAI-compatible providers.
+ * When a worker key is given, only the models in its allow-list are returned.
+ * @param {string} [workerApiKey]
+ * @returns {Promise<string[]>}
+ */
+async function getEnabledModelIds(workerApiKey) {
+    const modelsConfig = await configService.getModelsConfig();
+    let enabledModels = Object.keys(modelsConfig);
+
+    // Add search versions if web search is enabled
+    const webSearchEnabled = String(await configService.getSetting('web_search', '0')) === '1';
+    if (webSearchEnabled) {
+        const searchModels = Object.keys(modelsConfig)
+            .filter(modelId => /^gemini-[2-9]\.\d/.test(modelId) && !modelId.endsWith('-search'))
+            .map(modelId => `${modelId}-search`);
+        enabledModels = [...enabledModels, ...searchModels];
+    }
+
+    // Add non-thinking versions
+    const nonThinkingModels = Object.keys(modelsConfig)
+        .filter(modelId => modelId.includes('gemini-2.5-flash-preview') && !modelId.endsWith(':non-thinking'))
+        .map(modelId => `${modelId}:non-thinking`);
+    enabledModels = [...enabledModels, ...nonThinkingModels];
+
+    // Add Vertex models if the feature is enabled
+    if (vertexProxyService.isVertexEnabled()) {
+        enabledModels = [...enabledModels, ...vertexProxyService.getVertexSupportedModels()];
+    }
+
+    // Add the models of the OpenAI-compatible providers
+    const providerModels = await providerService.getProviderModels();
+    enabledModels = [...enabledModels, ...providerModels.map(model => model.id)];
+
+    if (workerApiKey) {
+        const allowedModels = await configService.getWorkerKeyAllowedModels(workerApiKey);
+        enabledModels = enabledModels.filter(modelId => workerKeyLimitService.isModelAllowed(allowedModels, modelId));
+    }
+
+    return enabledModels;
+}
+
 // Apply worker authentication middleware to all /v1 routes
 router.use(requireWorkerAuth);
+// Resolve model aliases (e.g. gpt-4o -> gemini-2.5-pro) before the request is logged or validated
+router.use(async (req, res, next) => {
+    if (req.method !== 'POST' || typeof req.body?.model !== 'string') {
+        return next();
+    }
+    try {
+        req.body.model = await configService.resolveModelAlias(req.body.model);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+// Record every proxied request in the request_log table
+router.use(requestLogger);
+// Store full payloads for worker keys in audit mode
+router.use(auditLogger);
 
 // --- /v1/models ---
 router.get('/models', async (req, res, next) => {
     try {
-        const modelsConfig = await configService.getModelsConfig();
-        let modelsData = Object.keys(modelsConfig).map(modelId => ({
+        // Provider models are owned by their provider, all others are Google's
+        const providerOwners = new Map((await providerService.getProviderModels()).map(model => [model.id, model.ownedBy]));
+        const created = Math.floor(Date.now() / 1000); // Placeholder timestamp
+        let modelsData = (await getEnabledModelIds(req.workerApiKey)).map(modelId => ({
             id: modelId,
             object: "model",
-            created: Math.floor(Date.now() / 1000), // Placeholder timestamp
-            owned_by: "google", // Assuming all configured models are Google's
-            // Add other relevant properties if available/needed
+            created: created,
+            owned_by: providerOwners.get(modelId) || "google",
         }));
 
-        // Check if web search is enabled
-        const webSearchEnabled = String(await configService.getSetting('web_search', '0')) === '1';
-
-        // Add search versions for gemini-2.0+ series models only if web search is enabled
-        let searchModels = [];
-        if (webSearchEnabled) {
-            searchModels = Object.keys(modelsConfig)
-                .filter(modelId =>
-                    // Match gemini-2.0, gemini-2.5, gemini-3.0, etc. series models
-                    /^gemini-[2-9]\.\d/.test(modelId) &&
-                    // Exclude models that are already search versions
-                    !modelId.endsWith('-search')
-                )
-                .map(modelId => ({
-                    id: `${modelId}-search`,
-                    object: "model",
-                    created: Math.floor(Date.now() / 1000),
-                    owned_by: "google",
-                }));
-        }
-        
-        // Add non-thinking versions for gemini-2.5-flash-preview models
-        const nonThinkingModels = Object.keys(modelsConfig)
-            .filter(modelId => 
-                // Currently only gemini-2.5-flash-preview supports thinkingBudget
-                modelId.includes('gemini-2.5-flash-preview') && 
-                // Exclude models that are already non-thinking versions
-                !modelId.endsWith(':non-thinking')
-            )
-            .map(modelId => ({
-                id: `${modelId}:non-thinking`,
-                object: "model",
-                created: Math.floor(Date.now() / 1000),
-                owned_by: "google",
-            }));
-        
-        // Merge regular, search and non-thinking model lists
-        modelsData = [...modelsData, ...searchModels, ...nonThinkingModels];
-
-        // If Vertex feature is enabled (via manual loading), add Vertex AI supported models
-        if (vertexProxyService.isVertexEnabled()) {
-            const vertexModels = vertexProxyService.getVertexSupportedModels().map(modelId => ({
-                id: modelId,  // Model ID including [v] prefix
+        // Add aliases whose target is listed
+        const listedIds = new Set(modelsData.map(model => model.id));
+        const aliasModels = (await configService.getModelAliases())
+            .filter(({ alias, targetModel }) => listedIds.has(targetModel) && !listedIds.has(alias))
+            .map(({ alias, targetModel }) => ({
+                id: alias,
                 object: "model",
-                created: Math.floor(Date.now() / 1000),
-                owned_by: "google",
+                created: created,
+                owned_by: providerOwners.get(targetModel) || "google",
             }));
-            
-            // Add Vertex models to the list
-            modelsData = [...modelsData, ...vertexModels];
-        }
+        modelsData = [...modelsData, ...aliasModels];
 
         res.json({ object: "list", data: modelsData });
     } catch (error) {
-        console.error("Error handling /v1/models:", error);
+        logger.error("Error handling /v1/models:", error);
         next(error); // Pass to global error handler
     }
 });
@@ -95,30 +125,8 @@ router.post('/chat/completions', async (req, res, next) => {
     
     try {
         // --- Model Validation Step ---
-        // Get all available models to validate against the request
-        const modelsConfig = await configService.getModelsConfig();
-        let enabledModels = Object.keys(modelsConfig);
-
-        // Add search versions if web search is enabled
-        const webSearchEnabled = String(await configService.getSetting('web_search', '0')) === '1';
-        if (webSearchEnabled) {
-            const searchModels = Object.keys(modelsConfig)
-                .filter(modelId => /^gemini-[2-9]\.\d/.test(modelId) && !modelId.endsWith('-search'))
-                .map(modelId => `${modelId}-search`);
-            enabledModels = [...enabledModels, ...searchModels];
-        }
-        
-        // Add non-thinking versions
-        const nonThinkingModels = Object.keys(modelsConfig)
-            .filter(modelId => modelId.includes('gemini-2.5-flash-preview') && !modelId.endsWith(':non-thinking'))
-            .map(modelId => `${modelId}:non-thinking`);
-        enabledModels = [...enabledModels, ...nonThinkingModels];
-
-        // Add Vertex models if the feature is enabled
-        if (vertexProxyService.isVertexEnabled()) {
-            const vertexModels = vertexProxyService.getVertexSupportedModels();
-            enabledModels = [...enabledModels, ...vertexModels];
-        }
+        // Get the models available to this worker key (aliases were already resolved to their target)
+        const enabledModels = await getEnabledModelIds(workerApiKey);
 
         // Validate that the requested model is in the enabled list
         if (!requestedModelId || !enabledModels.includes(requestedModelId)) {
@@ -130,6 +138,7 @@ router.post('/chat/completions', async (req, res, next) => {
                 }
             });
         }
+        recordValidatedModel(res);
         // --- End Model Validation ---
         
         // Check if this is a non-thinking model request
@@ -151,10 +160,44 @@ router.post('/chat/completions', async (req, res, next) => {
         let keepAliveCallback = null;
         const keepAliveEnabled = String(await configService.getSetting('keepalive', '0')) === '1';
         const isSafetyEnabled = await configService.getWorkerKeySafetySetting(workerApiKey);
-        const useKeepAlive = keepAliveEnabled && stream && !isSafetyEnabled;
+        // Provider responses are streamed as they come, KEEPALIVE only applies to Gemini and Vertex
+        const isProviderModel = providerService.isProviderModel(requestedModelId);
+        const useKeepAlive = keepAliveEnabled && stream && !isSafetyEnabled && !isProviderModel;
 
         // Debug logging for KEEPALIVE mode
-        console.log(`KEEPALIVE Debug - keepAliveEnabled: ${keepAliveEnabled}, stream: ${stream}, isSafetyEnabled: ${isSafetyEnabled}, useKeepAlive: ${useKeepAlive}`);
+        logger.debug(`KEEPALIVE Debug - keepAliveEnabled: ${keepAliveEnabled}, stream: ${stream}, isSafetyEnabled: ${isSafetyEnabled}, useKeepAlive: ${useKeepAlive}`);
+
+        // --- Response Cache ---
+        // Deterministic requests (temperature 0, or opted in with X-Proxy-Cache: on) are answered from the cache when possible
+        let cacheKey = null;
+        if (responseCacheService.isCacheable(openAIRequestBody, req.get('X-Proxy-Cache'))
+            && (await responseCacheService.getCacheConfig()).enabled) {
+            // Safety settings change the output, and entries are kept per worker key so that keys never see each other's responses
+            cacheKey = responseCacheService.getCacheKey({ ...openAIRequestBody, model: requestedModelId }, { safety: isSafetyEnabled, workerKey: workerApiKey });
+            const cachedResponse = await responseCacheService.getCachedResponse(cacheKey);
+            if (cachedResponse) {
+                logger.info(`Response cache hit for model ${requestedModelId}`);
+                res.setHeader('X-Cache', 'HIT');
+                res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+                if (stream) {
+                    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+                    res.setHeader('Cache-Control', 'no-cache');
+                    res.setHeader('Connection', 'keep-alive');
+                    responseCacheService.completionToSseEvents(cachedResponse).forEach(event => res.write(event));
+                    return res.end();
+                }
+                return res.status(200).json(cachedResponse);
+            }
+            res.setHeader('X-Cache', 'MISS');
+        }
+        // Stores a successful completion for later identical requests (failures only get logged)
+        const cacheResponse = (completion) => {
+            if (!cacheKey || !completion || !Array.isArray(completion.choices)
+                || completion.choices.some(choice => choice.finish_reason === 'error')) return;
+            responseCacheService.storeResponse(cacheKey, requestedModelId, completion)
+                .catch(err => logger.error('Failed to store response in cache:', err));
+        };
+        // --- End Response Cache ---
 
         if (useKeepAlive) {
             // Set up KEEPALIVE heartbeat management
@@ -174,28 +217,28 @@ router.post('/chat/completions', async (req, res, next) => {
 
             // Monitor client connection status
             res.on('close', () => {
-                console.log('KEEPALIVE: Client connection closed');
+                logger.debug('KEEPALIVE: Client connection closed');
                 cleanup();
             });
 
             res.on('error', (err) => {
-                console.error('KEEPALIVE: Client connection error:', err);
+                logger.error('KEEPALIVE: Client connection error:', err);
                 cleanup();
             });
 
             // Handle stream errors
             keepAliveSseStream.on('error', (err) => {
-                console.error('KEEPALIVE: Stream error:', err);
+                logger.error('KEEPALIVE: Stream error:', err);
                 cleanup();
             });
 
             keepAliveSseStream.on('end', () => {
-                console.log('KEEPALIVE: Stream ended');
+                logger.debug('KEEPALIVE: Stream ended');
                 cleanup();
             });
 
             keepAliveSseStream.on('finish', () => {
-                console.log('KEEPALIVE: Stream finished');
+                logger.debug('KEEPALIVE: Stream finished');
                 cleanup();
             });
 
@@ -216,7 +259,7 @@ router.post('/chat/completions', async (req, res, next) => {
                     };
                     keepAliveSseStream.push(`data: ${JSON.stringify(keepAliveSseData)}\n\n`);
                 } catch (err) {
-                    console.error('KEEPALIVE: Error sending heartbeat:', err);
+                    logger.error('KEEPALIVE: Error sending heartbeat:', err);
                     cleanup();
                 }
             };
@@ -232,29 +275,32 @@ router.post('/chat/completions', async (req, res, next) => {
 
             // Handle pipe errors
             pipeStream.on('error', (err) => {
-                console.error('KEEPALIVE: Pipe error:', err);
+                logger.error('KEEPALIVE: Pipe error:', err);
                 cleanup();
             });
 
             // Create callback object for geminiProxyService
             keepAliveCallback = {
                 startHeartbeat: () => {
-                    console.log('KEEPALIVE: Starting heartbeat (3 second intervals)');
+                    logger.debug('KEEPALIVE: Starting heartbeat (3 second intervals)');
                     keepAliveTimerId = setInterval(sendKeepAliveSseChunk, 3000); // 3 second intervals
                     sendKeepAliveSseChunk(); // Send first one immediately
                 },
                 stopHeartbeat: () => {
-                    console.log('KEEPALIVE: Stopping heartbeat');
+                    logger.debug('KEEPALIVE: Stopping heartbeat');
                     cleanup();
                 },
-                sendFinalResponse: (responseData) => {
+                // The upstream result names the key that served the request, which is only known once it is done
+                sendFinalResponse: (responseData, upstreamResult) => {
+                    recordUpstreamResult(res, upstreamResult);
                     try {
                         // Double-check connection status
                         if (res.writableEnded || res.destroyed || !res.writable) {
-                            console.warn("KEEPALIVE: Response stream ended before data could be sent.");
+                            logger.warn("KEEPALIVE: Response stream ended before data could be sent.");
                             return;
                         }
 
+                        recordGeminiUsage(res, responseData?.usageMetadata);
                         const openAIResponse = JSON.parse(transformUtils.transformGeminiResponseToOpenAI(
                             responseData,
                             requestedModelId
@@ -276,7 +322,7 @@ router.post('/chat/completions', async (req, res, next) => {
                         keepAliveSseStream.push('data: [DONE]\n\n');
                         keepAliveSseStream.push(null); // End the stream
                     } catch (error) {
-                        console.error("Error processing KEEPALIVE final response:", error);
+                        logger.error("Error processing KEEPALIVE final response:", error);
                         const errorPayload = {
                             error: {
                                 message: error.message || 'Failed to process KEEPALIVE response',
@@ -290,11 +336,12 @@ router.post('/chat/completions', async (req, res, next) => {
                         keepAliveSseStream.push(null);
                     }
                 },
-                sendError: (errorData) => {
+                sendError: (errorData, upstreamResult) => {
+                    recordUpstreamResult(res, upstreamResult);
                     try {
                         // Double-check connection status
                         if (res.writableEnded || res.destroyed || !res.writable) {
-                            console.warn("KEEPALIVE: Response stream ended before error could be sent.");
+                            logger.warn("KEEPALIVE: Response stream ended before error could be sent.");
                             return;
                         }
 
@@ -310,22 +357,24 @@ router.post('/chat/completions', async (req, res, next) => {
                         keepAliveSseStream.push('data: [DONE]\n\n');
                         keepAliveSseStream.push(null); // End the stream
                     } catch (error) {
-                        console.error("Error sending KEEPALIVE error response:", error);
+                        logger.error("Error sending KEEPALIVE error response:", error);
                         // Try to end the stream gracefully
                         try {
                             keepAliveSseStream.push(null);
                         } catch (e) {
-                            console.error("Failed to end stream after error:", e);
+                            logger.error("Failed to end stream after error:", e);
                         }
                     }
                 }
             };
         }
 
-        // Check if it's a Vertex model (with [v] prefix) and confirm Vertex feature is enabled
-        if (requestedModelId && requestedModelId.startsWith('[v]') && vertexProxyService.isVertexEnabled()) {
-            // Use Vertex proxy service to handle the request
-            console.log(`Using Vertex AI to process model: ${requestedModelId}`);
+        if (isProviderModel) {
+            // OpenAI-compatible provider, selected by the model's [prefix]
+            result = await providerService.proxyProviderChatCompletions(openAIRequestBody, workerApiKey, stream);
+        } else if (requestedModelId && requestedModelId.startsWith('[v]') && vertexProxyService.isVertexEnabled()) {
+            // Vertex model (with [v] prefix) and the Vertex feature is enabled: use Vertex proxy service to handle the request
+            logger.info(`Using Vertex AI to process model: ${requestedModelId}`);
             result = await vertexProxyService.proxyVertexChatCompletions(
                 openAIRequestBody,
                 workerApiKey,
@@ -343,11 +392,13 @@ router.post('/chat/completions', async (req, res, next) => {
             );
         }
 
+        recordUpstreamResult(res, result);
+
         // Check if the service returned an error
         if (result.error) {
             // In KEEPALIVE mode, send error through the heartbeat stream
             if (useKeepAlive && keepAliveCallback) {
-                console.log('KEEPALIVE: Sending error response through heartbeat stream');
+                logger.info('KEEPALIVE: Sending error response through heartbeat stream');
                 try {
                     // Stop heartbeat first
                     keepAliveCallback.stopHeartbeat();
@@ -371,7 +422,7 @@ router.post('/chat/completions', async (req, res, next) => {
                     errorStream.push(null);
                     return;
                 } catch (streamError) {
-                    console.error('KEEPALIVE: Failed to send error through stream:', streamError);
+                    logger.error('KEEPALIVE: Failed to send error through stream:', streamError);
                     // Fallback: if stream fails, we can't do much more since headers are already sent
                     return;
                 }
@@ -384,12 +435,14 @@ router.post('/chat/completions', async (req, res, next) => {
 
         // Destructure the successful result
         const { response: geminiResponse, selectedKeyId, modelCategory } = result;
+        // Vertex and provider responses are already in OpenAI format
+        const isOpenAIFormat = selectedKeyId === 'vertex-ai' || Boolean(result.providerId);
 
         // --- Handle Response ---
 
         // Check if this is a KEEPALIVE special response first
         if (result.isKeepAlive) {
-            console.log(`KEEPALIVE mode activated for model ${requestedModelId} - response will be handled asynchronously`);
+            logger.info(`KEEPALIVE mode activated for model ${requestedModelId} - response will be handled asynchronously`);
             // In the new KEEPALIVE mode, the response is handled completely asynchronously
             // The heartbeat is already started and the response will be sent when ready
             // We just return here as everything is handled in the background
@@ -412,7 +465,7 @@ router.post('/chat/completions', async (req, res, next) => {
             // Check in advance if it's keepalive mode, if so, no need to check the body stream
             if (!result.isKeepAlive) {
                 if (!geminiResponse.body || typeof geminiResponse.body.pipe !== 'function') {
-                    console.error('Gemini response body is not a readable stream for streaming request.');
+                    logger.error('Gemini response body is not a readable stream for streaming request.');
                     // Send a valid SSE error event before closing
                     const errorPayload = JSON.stringify({ error: { message: 'Upstream response body is not readable.', type: 'proxy_error' } });
                     res.write(`data: ${errorPayload}\n\n`);
@@ -436,8 +489,8 @@ router.post('/chat/completions', async (req, res, next) => {
                         const chunkStr = decoder.decode(chunk, { stream: true });
                         buffer += chunkStr;
 
-                        // Process based on the source (Gemini or Vertex)
-                        if (selectedKeyId === 'vertex-ai') {
+                        // Process based on the source (Gemini, or Vertex / provider in OpenAI format)
+                        if (isOpenAIFormat) {
                             // Vertex stream response is a series of continuous JSON objects without newline separation
                             // Use a method similar to Gemini to process JSON objects
                             let startPos = -1;
@@ -494,18 +547,26 @@ router.post('/chat/completions', async (req, res, next) => {
                                                 } catch (e) {
                                                     // Parsing failed, but it might still be a valid (non-done) chunk.
                                                     // This case should ideally not happen if vertexProxyService sends valid JSONs.
-                                                    console.error("Error parsing potential Vertex JSON object:", e, "Original string:", jsonStr);
+                                                    logger.error("Error parsing potential Vertex JSON object:", e, "Original string:", jsonStr);
                                                     this.push(`data: ${jsonStr}\n\n`); // Send as is if parsing fails but wasn't 'done'
                                                     if (typeof res.flush === 'function') res.flush();
                                                 }
                                             } else {
                                                 // Not the 'done' marker, so jsonStr is a data chunk.
+                                                // Providers report usage in a chunk of its own (stream_options.include_usage)
+                                                if (jsonStr.includes('"usage":{')) {
+                                                    try {
+                                                        recordOpenAIUsage(res, JSON.parse(jsonStr).usage);
+                                                    } catch (e) {
+                                                        logger.debug("Could not read usage from stream chunk:", e);
+                                                    }
+                                                }
                                                 this.push(`data: ${jsonStr}\n\n`);
                                                 if (typeof res.flush === 'function') res.flush();
                                             }
                                         } catch (e) {
                                             // This outer catch handles errors from buffer.substring or other unexpected issues
-                                            console.error("Error processing Vertex JSON chunk:", e, "Original string:", jsonStr);
+                                            logger.error("Error processing Vertex JSON chunk:", e, "Original string:", jsonStr);
                                         }
                                         
                                         // Continue searching for the next object
@@ -566,7 +627,7 @@ router.post('/chat/completions', async (req, res, next) => {
                                         // Immediately process and send this object
                                         processGeminiObject(jsonObj, this);
                                     } catch (e) {
-                                        console.error("Error parsing JSON object:", e);
+                                        logger.error("Error parsing JSON object:", e);
                                     }
                                     
                                                 // Continue searching for the next object
@@ -598,7 +659,7 @@ router.post('/chat/completions', async (req, res, next) => {
                         
                         callback();
                     } catch (e) {
-                        console.error("Error in stream transform:", e);
+                        logger.error("Error in stream transform:", e);
                         callback(e);
                     }
                 },
@@ -607,7 +668,7 @@ router.post('/chat/completions', async (req, res, next) => {
                     try {
                 // Handling the remaining buffer
                 if (buffer.trim()) {
-                     if (selectedKeyId === 'vertex-ai') {
+                     if (isOpenAIFormat) {
                         if (buffer.trim()) {
                             let startPos = -1;
                             let endPos = -1;
@@ -646,7 +707,7 @@ router.post('/chat/completions', async (req, res, next) => {
                                                 this.push(`data: ${JSON.stringify(jsonObj)}\n\n`);
                                             }
                                         } catch (e) {
-                                            console.debug("Could not parse Vertex buffer JSON:", e);
+                                            logger.debug("Could not parse Vertex buffer JSON:", e);
                                         }
                                         
                                         // Update the buffer and reset the index
@@ -669,7 +730,7 @@ router.post('/chat/completions', async (req, res, next) => {
                                     const jsonObj = JSON.parse(buffer);
                                     processGeminiObject(jsonObj, this); // Use existing Gemini processing
                                 } catch (e) {
-                                    console.debug("Could not parse final Gemini buffer:", buffer, e);
+                                    logger.debug("Could not parse final Gemini buffer:", buffer, e);
                                 }
                              }
                         }
@@ -679,7 +740,7 @@ router.post('/chat/completions', async (req, res, next) => {
                                                 this.push('data: [DONE]\n\n');
                                                 callback();
                                             } catch (e) {
-                                                console.error("Error in stream flush:", e); // Keep error log in English
+                                                logger.error("Error in stream flush:", e); // Keep error log in English
                         callback(e);
                     }
                 }
@@ -688,6 +749,9 @@ router.post('/chat/completions', async (req, res, next) => {
             // Process a single Gemini API response object and convert it to OpenAI format
             function processGeminiObject(geminiObj, stream) {
                 if (!geminiObj) return;
+                if (geminiObj.usageMetadata) {
+                    recordGeminiUsage(res, geminiObj.usageMetadata);
+                }
                 
                 // If it's a valid Gemini response object (contains candidates)
                 if (geminiObj.candidates && geminiObj.candidates.length > 0) {
@@ -722,18 +786,25 @@ router.post('/chat/completions', async (req, res, next) => {
 
             // Standard (non-KEEPALIVE) Gemini and Vertex streams
             if (!geminiResponse || !geminiResponse.body || typeof geminiResponse.body.pipe !== 'function') {
-                console.error('Upstream response body is not a readable stream for standard streaming request.');
+                logger.error('Upstream response body is not a readable stream for standard streaming request.');
                 const errorPayload = JSON.stringify({ error: { message: 'Upstream response body is not readable.', type: 'proxy_error' } });
                 res.write(`data: ${errorPayload}\n\n`); // Use res.write for SSE
                 res.write('data: [DONE]\n\n');
                 return res.end();
             }
 
-            console.log(`Piping ${selectedKeyId === 'vertex-ai' ? 'Vertex' : 'Gemini'} stream through transformer.`);
+            logger.debug(`Piping ${selectedKeyId === 'vertex-ai' ? 'Vertex' : result.providerId ? 'provider' : 'Gemini'} stream through transformer.`);
             geminiResponse.body.pipe(streamTransformer).pipe(res);
 
+            if (cacheKey) {
+                // Rebuild the completion from the events sent to the client; only finished streams are cached
+                const streamCollector = responseCacheService.createStreamCollector();
+                streamTransformer.on('data', (chunk) => streamCollector.push(chunk.toString()));
+                streamTransformer.on('end', () => cacheResponse(streamCollector.toCompletion()));
+            }
+
             geminiResponse.body.on('error', (err) => {
-                console.error(`Error reading stream from upstream (${selectedKeyId}):`, err);
+                logger.error(`Error reading stream from upstream (${selectedKeyId}):`, err);
                 if (!res.headersSent) {
                     // If headers not sent, we can still send a JSON error
                     res.status(500).json({ error: { message: 'Error reading stream from upstream API.' } });
@@ -748,7 +819,7 @@ router.post('/chat/completions', async (req, res, next) => {
             });
 
             streamTransformer.on('error', (err) => {
-                console.error('Error in stream transformer:', err);
+                logger.error('Error in stream transformer:', err);
                 if (!res.headersSent) {
                     res.status(500).json({ error: { message: 'Error processing stream data.' } });
                 } else if (!res.writableEnded) {
@@ -759,7 +830,7 @@ router.post('/chat/completions', async (req, res, next) => {
                 }
             });
 
-             console.log(`Streaming response initiated for key ${selectedKeyId}`);
+             logger.info(`Streaming response initiated for key ${selectedKeyId}`);
 
 
         } else {
@@ -767,34 +838,419 @@ router.post('/chat/completions', async (req, res, next) => {
             res.setHeader('Content-Type', 'application/json; charset=utf-8');
 
             try {
-                if (selectedKeyId === 'vertex-ai') {
-                    // Vertex service already transformed the response to OpenAI format
+                if (isOpenAIFormat) {
+                    // Vertex service already transformed the response to OpenAI format, providers answer in it
                     const openaiJson = await geminiResponse.json(); // Get the pre-transformed JSON
+                    recordOpenAIUsage(res, openaiJson.usage);
+                    cacheResponse(openaiJson);
                     res.status(geminiResponse.status || 200).json(openaiJson); // Send it directly
-                    console.log(`Non-stream Vertex request completed, status: ${geminiResponse.status || 200}`);
+                    logger.info(`Non-stream ${result.providerId ? 'provider' : 'Vertex'} request completed, status: ${geminiResponse.status || 200}`);
                 } else {
                     // Original Gemini service response handling
                     const geminiJson = await geminiResponse.json(); // Parse the raw upstream Gemini JSON
+                    recordGeminiUsage(res, geminiJson.usageMetadata);
                     const openaiJsonString = transformUtils.transformGeminiResponseToOpenAI(geminiJson, requestedModelId); // Transform it
+                    cacheResponse(JSON.parse(openaiJsonString));
                     // Use Gemini's original status code if available and OK, otherwise default to 200
                     res.status(geminiResponse.ok ? geminiResponse.status : 200).send(openaiJsonString);
-                    console.log(`Non-stream Gemini request completed for key ${selectedKeyId}, status: ${geminiResponse.status}`);
+                    logger.info(`Non-stream Gemini request completed for key ${selectedKeyId}, status: ${geminiResponse.status}`);
                 }
             } catch (jsonError) {
-                 console.error("Error parsing Gemini non-stream JSON response:", jsonError);
+                 logger.error("Error parsing Gemini non-stream JSON response:", jsonError);
                  // Check if response text might give clues
                  try {
                     const errorText = await geminiResponse.text(); // Need to re-read or clone earlier
-                    console.error("Gemini non-stream response text:", errorText);
+                    logger.error("Gemini non-stream response text:", errorText);
                  } catch(e){}
                  next(new Error("Failed to parse upstream API response.")); // Pass to global error handler
             }
         }
 
     } catch (error) {
-        console.error("Error in /v1/chat/completions handler:", error);
+        logger.error("Error in /v1/chat/completions handler:", error);
         next(error); // Pass error to the global Express error handler
     }
 });
 
+// --- /v1/embeddings ---
+router.post('/embeddings', async (req, res, next) => {
+    const openAIRequestBody = req.body;
+    const workerApiKey = req.workerApiKey; // Attached by requireWorkerAuth middleware
+
+    try {
+        const result = await geminiProxyService.proxyEmbeddings(openAIRequestBody, workerApiKey);
+        recordUpstreamResult(res, result);
+
+        if (result.error) {
+            logger.error(`Error from embeddings proxy: Status ${result.status}, Message: ${JSON.stringify(result.error)}`);
+            return res.status(result.status || 500).json({ error: result.error });
+        }
+
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', result.selectedKeyId);
+        res.json(result.response);
+    } catch (error) {
+        logger.error("Error in /v1/embeddings handler:", error);
+        next(error);
+    }
+});
+
+/**
+ * Extracts the complete top-level JSON objects from a stream buffer.
+ * Works for Gemini SSE / JSON array streams as well as the concatenated objects emitted by the Vertex service.
+ * @param {string} buffer - The accumulated stream text.
+ * @returns {{objects: Array<object>, rest: string}} The parsed objects and the unprocessed remainder.
+ */
+function extractJsonObjects(buffer) {
+    const objects = [];
+    let startPos = -1;
+    let consumedUpTo = 0;
+    let bracketDepth = 0;
+    let inString = false;
+    let escapeNext = false;
+
+    for (let i = 0; i < buffer.length; i++) {
+        const char = buffer[i];
+        if (inString) {
+            if (escapeNext) {
+                escapeNext = false;
+            } else if (char === '\\') {
+                escapeNext = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            if (bracketDepth === 0) startPos = i;
+            bracketDepth++;
+        } else if (char === '}' && bracketDepth > 0) {
+            bracketDepth--;
+            if (bracketDepth === 0 && startPos !== -1) {
+                try {
+                    objects.push(JSON.parse(buffer.substring(startPos, i + 1)));
+                } catch (e) {
+                    logger.error("Error parsing JSON object from upstream stream:", e);
+                }
+                startPos = -1;
+                consumedUpTo = i + 1;
+            }
+        }
+    }
+
+    return { objects, rest: startPos !== -1 ? buffer.substring(startPos) : buffer.substring(consumedUpTo) };
+}
+
+/**
+ * Sends a chat completions request converted from another API format through the same provider / Vertex /
+ * Gemini routing as /v1/chat/completions (without KEEPALIVE, which is specific to the OpenAI stream format).
+ * @param {object} openAIRequestBody - The converted request body; its model must already be validated.
+ * @param {string} workerApiKey
+ * @param {boolean} stream
+ * @returns {Promise<object>} The proxy service result ({response, selectedKeyId} or {error, status}).
+ */
+async function proxyConvertedChatRequest(openAIRequestBody, workerApiKey, stream) {
+    const requestedModelId = openAIRequestBody.model;
+    if (providerService.isProviderModel(requestedModelId)) {
+        return providerService.proxyProviderChatCompletions(openAIRequestBody, workerApiKey, stream);
+    }
+    if (requestedModelId.startsWith('[v]') && vertexProxyService.isVertexEnabled()) {
+        logger.info(`Using Vertex AI to process model: ${requestedModelId}`);
+        return vertexProxyService.proxyVertexChatCompletions(openAIRequestBody, workerApiKey, stream, null);
+    }
+
+    // Same non-thinking handling as /v1/chat/completions
+    const isNonThinking = requestedModelId.endsWith(':non-thinking');
+    const requestBody = isNonThinking
+        ? { ...openAIRequestBody, model: requestedModelId.replace(':non-thinking', '') }
+        : openAIRequestBody;
+    return geminiProxyService.proxyChatCompletions(requestBody, workerApiKey, stream, isNonThinking ? 0 : undefined, null);
+}
+
+/**
+ * Reads a non-streaming upstream response as an OpenAI chat completion object.
+ * @param {object} upstreamResponse - The response returned by the Gemini, Vertex or provider proxy service.
+ * @param {boolean} isOpenAIFormat - Whether the response comes from the Vertex service or a provider (already in OpenAI format).
+ * @param {string} modelId - The model ID requested by the client.
+ * @returns {Promise<object>}
+ */
+async function readOpenAIResponse(upstreamResponse, isOpenAIFormat, modelId) {
+    const json = await upstreamResponse.json();
+    if (isOpenAIFormat) {
+        return json;
+    }
+    return JSON.parse(transformUtils.transformGeminiResponseToOpenAI(json, modelId));
+}
+
+/**
+ * Converts one parsed upstream stream object to OpenAI chat completion chunks.
+ * Gemini usageMetadata is reported as a chunk with an empty choices array and a usage field.
+ * @param {object|Array<object>} obj - A raw Gemini chunk, or an OpenAI chunk emitted by the Vertex service or a provider.
+ * @param {boolean} isOpenAIFormat
+ * @param {string} modelId - The model ID requested by the client.
+ * @returns {Array<object>}
+ */
+function upstreamObjectToOpenAIChunks(obj, isOpenAIFormat, modelId) {
+    if (!obj) return [];
+    if (Array.isArray(obj)) {
+        return obj.flatMap(item => upstreamObjectToOpenAIChunks(item, isOpenAIFormat, modelId));
+    }
+    if (isOpenAIFormat) {
+        return obj.done ? [] : [obj]; // Skip the {"done":true} marker from vertexProxyService's flush
+    }
+
+    const chunks = [];
+    const openaiChunkStr = transformUtils.transformGeminiStreamChunk(obj, modelId);
+    if (openaiChunkStr) {
+        chunks.push(JSON.parse(openaiChunkStr.substring('data: '.length)));
+    }
+    if (obj.usageMetadata) {
+        chunks.push({
+            choices: [],
+            usage: {
+                prompt_tokens: obj.usageMetadata.promptTokenCount || 0,
+                completion_tokens: obj.usageMetadata.candidatesTokenCount || 0,
+                total_tokens: obj.usageMetadata.totalTokenCount || 0
+            }
+        });
+    }
+    return chunks;
+}
+
+/**
+ * Streams an upstream Gemini / Vertex / provider response to the client through an event converter
+ * (see anthropicTransform.createAnthropicStreamConverter and responsesTransform.createResponsesStreamConverter).
+ * @param {object} upstreamResponse - The response returned by the proxy service.
+ * @param {import('express').Response} res
+ * @param {{start: function(): string, processOpenAIChunk: function(object): string, finish: function(): string, error: function(number, string): string}} converter
+ * @param {{isOpenAIFormat: boolean, modelId: string, label: string}} options - label is the route name used in logs.
+ */
+function streamUpstreamThroughConverter(upstreamResponse, res, converter, { isOpenAIFormat, modelId, label }) {
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    if (!upstreamResponse || !upstreamResponse.body || typeof upstreamResponse.body.pipe !== 'function') {
+        logger.error(`Upstream response body is not a readable stream for ${label} streaming request.`);
+        res.write(converter.error(500, 'Upstream response body is not readable.'));
+        return res.end();
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const streamTransformer = new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                buffer += decoder.decode(chunk, { stream: true });
+                const { objects, rest } = extractJsonObjects(buffer);
+                buffer = rest;
+                const events = objects
+                    .flatMap(obj => upstreamObjectToOpenAIChunks(obj, isOpenAIFormat, modelId))
+                    .map(openaiChunk => {
+                        if (openaiChunk.usage) recordOpenAIUsage(res, openaiChunk.usage);
+                        return converter.processOpenAIChunk(openaiChunk);
+                    })
+                    .join('');
+                if (events) this.push(events);
+                callback();
+            } catch (e) {
+                logger.error(`Error in ${label} stream transform:`, e);
+                callback(e);
+            }
+        },
+        flush(callback) {
+            this.push(converter.finish());
+            callback();
+        }
+    });
+
+    res.write(converter.start());
+    upstreamResponse.body.pipe(streamTransformer).pipe(res);
+
+    upstreamResponse.body.on('error', (err) => {
+        logger.error(`Error reading stream from upstream for ${label}:`, err);
+        if (!res.writableEnded) {
+            res.write(converter.error(502, 'Upstream stream error'));
+            res.end();
+        }
+    });
+
+    streamTransformer.on('error', (err) => {
+        logger.error(`Error in ${label} stream transformer:`, err);
+        if (!res.writableEnded) {
+            res.write(converter.error(500, 'Stream processing error'));
+            res.end();
+        }
+    });
+}
+
+// --- /v1/messages (Anthropic Messages API) ---
+router.post('/messages', async (req, res, next) => {
+    const anthropicRequestBody = req.body;
+    const workerApiKey = req.workerApiKey; // Attached by requireWorkerAuth middleware
+    const stream = anthropicRequestBody?.stream === true;
+    const requestedModelId = anthropicRequestBody?.model;
+
+    try {
+        const enabledModels = await getEnabledModelIds(workerApiKey);
+        if (!requestedModelId || !enabledModels.includes(requestedModelId)) {
+            return res.status(404).json(anthropicTransform.createAnthropicError(404,
+                `Model not found or not enabled: ${requestedModelId}. Please check the /v1/models endpoint for available models.`));
+        }
+        recordValidatedModel(res);
+
+        const converted = anthropicTransform.transformAnthropicRequestToOpenAI(anthropicRequestBody);
+        if (converted.error) {
+            return res.status(400).json(anthropicTransform.createAnthropicError(400, converted.error));
+        }
+        const openAIRequestBody = converted.body;
+
+        const result = await proxyConvertedChatRequest(openAIRequestBody, workerApiKey, stream);
+        recordUpstreamResult(res, result);
+        if (result.error) {
+            const status = result.status || 500;
+            logger.error(`Error from proxy service for /v1/messages: Status ${status}, Message: ${JSON.stringify(result.error)}`);
+            return res.status(status).json(anthropicTransform.createAnthropicError(status, result.error.message || 'Upstream API error'));
+        }
+
+        const { response: upstreamResponse, selectedKeyId } = result;
+        const isOpenAIFormat = selectedKeyId === 'vertex-ai' || Boolean(result.providerId);
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', selectedKeyId);
+
+        if (!stream) {
+            const openaiJson = await readOpenAIResponse(upstreamResponse, isOpenAIFormat, requestedModelId);
+            recordOpenAIUsage(res, openaiJson.usage);
+            res.json(anthropicTransform.transformOpenAIResponseToAnthropic(openaiJson, requestedModelId));
+            logger.info(`Non-stream Anthropic messages request completed for key ${selectedKeyId}`);
+            return;
+        }
+
+        // --- Streaming Response ---
+        const converter = anthropicTransform.createAnthropicStreamConverter(requestedModelId);
+        streamUpstreamThroughConverter(upstreamResponse, res, converter, { isOpenAIFormat, modelId: requestedModelId, label: '/v1/messages' });
+        logger.info(`Anthropic streaming response initiated for key ${selectedKeyId}`);
+    } catch (error) {
+        logger.error("Error in /v1/messages handler:", error);
+        next(error);
+    }
+});
+
+// --- /v1/responses (OpenAI Responses API) ---
+router.post('/responses', async (req, res, next) => {
+    const responsesRequestBody = req.body || {};
+    const workerApiKey = req.workerApiKey; // Attached by requireWorkerAuth middleware
+    const stream = responsesRequestBody.stream === true;
+    const requestedModelId = responsesRequestBody.model;
+    const previousResponseId = responsesRequestBody.previous_response_id || null;
+
+    try {
+        const enabledModels = await getEnabledModelIds(workerApiKey);
+        if (!requestedModelId || !enabledModels.includes(requestedModelId)) {
+            return res.status(400).json({
+                error: {
+                    message: `Model not found or not enabled: ${requestedModelId}. Please check the /v1/models endpoint for available models.`,
+                    type: 'invalid_request_error',
+                    param: 'model'
+                }
+            });
+        }
+        recordValidatedModel(res);
+
+        let previousMessages = [];
+        if (previousResponseId) {
+            const previous = await responseStoreService.getConversationMessages(previousResponseId, workerApiKey);
+            if (!previous) {
+                return res.status(404).json({
+                    error: {
+                        message: `Previous response with id '${previousResponseId}' not found.`,
+                        type: 'invalid_request_error',
+                        param: 'previous_response_id'
+                    }
+                });
+            }
+            previousMessages = previous;
+        }
+
+        const converted = responsesTransform.transformResponsesRequestToOpenAI(responsesRequestBody, previousMessages);
+        if (converted.error) {
+            return res.status(400).json({ error: { message: converted.error, type: 'invalid_request_error', param: 'input' } });
+        }
+
+        const result = await proxyConvertedChatRequest(converted.body, workerApiKey, stream);
+        recordUpstreamResult(res, result);
+        if (result.error) {
+            logger.error(`Error from proxy service for /v1/responses: Status ${result.status}, Message: ${JSON.stringify(result.error)}`);
+            return res.status(result.status || 500).json({ error: result.error });
+        }
+
+        const { response: upstreamResponse, selectedKeyId } = result;
+        const isOpenAIFormat = selectedKeyId === 'vertex-ai' || Boolean(result.providerId);
+        const responseId = responsesTransform.generateId('resp');
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', selectedKeyId);
+
+        // Store this turn (without instructions); later requests rebuild the conversation through previous_response_id
+        const storeResponse = (response) => {
+            if (responsesRequestBody.store === false) return;
+            responseStoreService.saveResponse({
+                id: responseId,
+                workerApiKey,
+                model: requestedModelId,
+                previousResponseId,
+                messages: [...converted.inputMessages, responsesTransform.outputItemsToMessage(response.output)],
+                response
+            }).catch(err => {
+                logger.error(`Failed to store response ${responseId}:`, err);
+            });
+        };
+
+        if (!stream) {
+            const openaiJson = await readOpenAIResponse(upstreamResponse, isOpenAIFormat, requestedModelId);
+            recordOpenAIUsage(res, openaiJson.usage);
+            const response = responsesTransform.transformOpenAIResponseToResponses(openaiJson, responsesRequestBody, responseId);
+            storeResponse(response);
+            res.json(response);
+            logger.info(`Non-stream responses request completed for key ${selectedKeyId}`);
+            return;
+        }
+
+        const converter = responsesTransform.createResponsesStreamConverter(responsesRequestBody, responseId, storeResponse);
+        streamUpstreamThroughConverter(upstreamResponse, res, converter, { isOpenAIFormat, modelId: requestedModelId, label: '/v1/responses' });
+        logger.info(`Responses streaming response initiated for key ${selectedKeyId}`);
+    } catch (error) {
+        logger.error("Error in /v1/responses handler:", error);
+        next(error);
+    }
+});
+
+// --- /v1/responses/:responseId ---
+router.get('/responses/:responseId', async (req, res, next) => {
+    try {
+        const stored = await responseStoreService.getStoredResponse(req.params.responseId, req.workerApiKey);
+        if (!stored) {
+            return res.status(404).json({ error: { message: `Response with id '${req.params.responseId}' not found.`, type: 'invalid_request_error' } });
+        }
+        res.json(stored.response);
+    } catch (error) {
+        logger.error("Error in GET /v1/responses handler:", error);
+        next(error);
+    }
+});
+
+router.delete('/responses/:responseId', async (req, res, next) => {
+    try {
+        const deleted = await responseStoreService.deleteStoredResponse(req.params.responseId, req.workerApiKey);
+        if (!deleted) {
+            return res.status(404).json({ error: { message: `Response with id '${req.params.responseId}' not found.`, type: 'invalid_request_error' } });
+        }
+        res.json({ id: req.params.responseId, object: 'response', deleted: true });
+    } catch (error) {
+        logger.error("Error in DELETE /v1/responses handler:", error);
+        next(error);
+    }
+});
+
 module.exports = router;
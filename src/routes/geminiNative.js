@@ -0,0 +1,149 @@
+const express = require('express');
+const requireWorkerAuth = require('../middleware/workerAuth');
+const { requestLogger, recordValidatedModel, recordUpstreamResult, recordGeminiUsage } = require('../middleware/requestLogger');
+const { auditLogger } = require('../middleware/auditLogger');
+const geminiProxyService = require('../services/geminiProxyService');
+const configService = require('../services/configService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Native Gemini REST methods that are passed through to the upstream API
+const SUPPORTED_ACTIONS = ['generateContent', 'streamGenerateContent', 'countTokens'];
+
+// Apply worker authentication middleware to all /v1beta routes
+// (official Gemini SDKs send the key as x-goog-api-key or ?key=)
+router.use(requireWorkerAuth);
+// Record every proxied request in the request_log table
+router.use(requestLogger);
+// Store full payloads for worker keys in audit mode
+router.use(auditLogger);
+
+/**
+ * Records the usageMetadata found in a chunk of a native SSE stream (alt=sse).
+ * Only complete "data:" lines are inspected, the unfinished remainder is returned.
+ * @param {import('express').Response} res
+ * @param {string} text - The buffered stream text.
+ * @returns {string} The unprocessed remainder.
+ */
+function recordStreamUsage(res, text) {
+    const lines = text.split('\n');
+    const rest = lines.pop();
+    lines.forEach(line => {
+        if (!line.startsWith('data:') || !line.includes('usageMetadata')) return;
+        try {
+            recordGeminiUsage(res, JSON.parse(line.substring(5)).usageMetadata);
+        } catch (e) {
+            // Not a complete JSON event, ignore
+        }
+    });
+    return rest;
+}
+
+// --- /v1beta/models ---
+router.get('/models', async (req, res, next) => {
+    try {
+        const modelsConfig = await configService.getModelsConfig();
+        const models = Object.keys(modelsConfig).map(modelId => ({
+            name: `models/${modelId}`,
+            displayName: modelId,
+            supportedGenerationMethods: SUPPORTED_ACTIONS,
+        }));
+        res.json({ models });
+    } catch (error) {
+        logger.error("Error fetching models for /v1beta/models:", error);
+        next(error);
+    }
+});
+
+// --- /v1beta/models/{model}:{action} ---
+router.post('/models/:modelAction', async (req, res, next) => {
+    const modelAction = req.params.modelAction;
+    const separatorIndex = modelAction.lastIndexOf(':');
+    const requestedModelId = separatorIndex > 0 ? modelAction.substring(0, separatorIndex) : modelAction;
+    const apiAction = separatorIndex > 0 ? modelAction.substring(separatorIndex + 1) : '';
+
+    if (!SUPPORTED_ACTIONS.includes(apiAction)) {
+        return res.status(404).json({
+            error: {
+                code: 404,
+                message: `Method not supported: ${apiAction || '(none)'}. Supported methods: ${SUPPORTED_ACTIONS.join(', ')}.`,
+                status: 'NOT_FOUND'
+            }
+        });
+    }
+
+    try {
+        // Resolve the alias like the /v1 routes do; requireWorkerAuth checked the allow-list against the same ID
+        const modelId = await configService.resolveModelAlias(requestedModelId);
+
+        // Only configured models can be used, same as /v1/chat/completions
+        const modelsConfig = await configService.getModelsConfig();
+        if (!modelsConfig[modelId]) {
+            return res.status(404).json({
+                error: {
+                    code: 404,
+                    message: `Model not found or not enabled: ${modelId}. Please check the /v1beta/models endpoint for available models.`,
+                    status: 'NOT_FOUND'
+                }
+            });
+        }
+
+        res.locals.requestLog.model = modelId;
+        recordValidatedModel(res);
+        res.locals.requestLog.stream = apiAction === 'streamGenerateContent';
+
+        const searchParams = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+        const result = await geminiProxyService.proxyNativeGeminiRequest(modelId, apiAction, req.body, searchParams, req.workerApiKey);
+        recordUpstreamResult(res, result);
+
+        if (result.error) {
+            logger.error(`Error from native Gemini proxy: Status ${result.status}, Message: ${JSON.stringify(result.error)}`);
+            return res.status(result.status || 500).json({ error: result.error });
+        }
+
+        const { response: geminiResponse, selectedKeyId } = result;
+
+        res.status(geminiResponse.status);
+        res.setHeader('Content-Type', geminiResponse.headers.get('content-type') || 'application/json');
+        res.setHeader('X-Proxied-By', 'gemini-proxy-panel-node');
+        res.setHeader('X-Selected-Key-ID', selectedKeyId);
+
+        if (apiAction === 'streamGenerateContent') {
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.flushHeaders();
+
+            // Stop reading from upstream if the client goes away
+            res.on('close', () => {
+                if (!res.writableEnded) {
+                    logger.info(`Client closed native stream for model ${modelId} (key ${selectedKeyId}).`);
+                    geminiResponse.body.destroy();
+                }
+            });
+            let usageBuffer = '';
+            geminiResponse.body.on('data', (chunk) => {
+                usageBuffer = recordStreamUsage(res, usageBuffer + chunk.toString());
+            });
+            geminiResponse.body.on('error', (err) => {
+                logger.error(`Error reading native Gemini stream for key ${selectedKeyId}:`, err);
+                if (!res.writableEnded) res.end();
+            });
+            geminiResponse.body.pipe(res);
+        } else {
+            const responseText = await geminiResponse.text();
+            try {
+                recordGeminiUsage(res, JSON.parse(responseText).usageMetadata);
+            } catch (e) {
+                // Usage is optional for the log, ignore unparsable bodies
+            }
+            res.send(responseText);
+            logger.info(`Native Gemini ${apiAction} request completed for key ${selectedKeyId}, status: ${geminiResponse.status}`);
+        }
+    } catch (error) {
+        logger.error("Error in /v1beta/models handler:", error);
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const healthService = require('../services/healthService');
+const { verifySessionCookie } = require('../utils/session');
+
+const router = express.Router();
+
+// GET /healthz - Liveness: the process is up and serving requests
+router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// GET /readyz - Readiness: database, Gemini keys, upstreams, Vertex AI and GitHub sync checks; 503 when one fails.
+// The individual checks (which can contain internal error messages) are only returned to logged-in admins.
+router.get('/readyz', async (req, res, next) => {
+    try {
+        const readiness = await healthService.getReadiness();
+        const isAdmin = await verifySessionCookie(req);
+        res.set('Cache-Control', 'no-store');
+        res.status(readiness.status === 'ok' ? 200 : 503)
+            .json(isAdmin ? readiness : { status: readiness.status, timestamp: readiness.timestamp });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
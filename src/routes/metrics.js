@@ -0,0 +1,39 @@
+const express = require('express');
+const crypto = require('crypto');
+const metricsService = require('../services/metricsService');
+
+const router = express.Router();
+
+/**
+ * Checks the scrape token when METRICS_TOKEN is set. The token is read from the Authorization
+ * header ("Bearer TOKEN") or the ?token= query parameter; without METRICS_TOKEN the endpoint is public.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function isAuthorized(req) {
+    const expectedToken = process.env.METRICS_TOKEN;
+    if (!expectedToken) return true;
+
+    const authHeader = req.headers.authorization;
+    const token = (authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null)
+        || (typeof req.query?.token === 'string' ? req.query.token : '');
+    const expected = Buffer.from(expectedToken);
+    const provided = Buffer.from(token);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// GET /metrics - Prometheus scrape endpoint
+router.get('/', async (req, res, next) => {
+    if (!isAuthorized(req)) {
+        return res.status(401).json({ error: 'Invalid or missing metrics token. Provide it in the Authorization header as "Bearer TOKEN" or the token query parameter.' });
+    }
+    try {
+        const body = await metricsService.renderMetrics();
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(body);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
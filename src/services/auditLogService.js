@@ -0,0 +1,280 @@
+const configService = require('./configService'); // Use configService for DB helpers and settings
+
+const DEFAULT_RETENTION_DAYS = 7;
+// Upper bound on stored entries regardless of age, payloads can be large
+const MAX_ENTRIES = 5000;
+// Longer payloads are stored as a truncated preview
+const MAX_PAYLOAD_CHARS = 512 * 1024;
+const MAX_PAGE_SIZE = 200;
+
+// Applied to every string in a payload before it is stored. Custom rules from the
+// audit_redaction_rules setting run after these.
+const DEFAULT_REDACTION_RULES = [
+    { pattern: 'AIza[0-9A-Za-z_\\-]{35}', replacement: '[REDACTED_API_KEY]' },
+    { pattern: '\\bsk-[A-Za-z0-9_\\-]{16,}', replacement: '[REDACTED_API_KEY]' },
+    { pattern: 'Bearer\\s+[A-Za-z0-9._~+/\\-]+=*', flags: 'gi', replacement: 'Bearer [REDACTED]' },
+    { pattern: 'data:([\\w.+/-]+);base64,[A-Za-z0-9+/=]+', replacement: 'data:$1;base64,[OMITTED]' },
+];
+
+/**
+ * Compiles redaction rules, skipping (and logging) invalid patterns.
+ * @param {Array<{pattern: string, flags?: string, replacement?: string}>} rules
+ * @returns {Array<{regex: RegExp, replacement: string}>}
+ */
+function compileRules(rules) {
+    return rules.reduce((compiled, rule) => {
+        try {
+            compiled.push({ regex: new RegExp(rule.pattern, rule.flags || 'g'), replacement: rule.replacement ?? '[REDACTED]' });
+        } catch (e) {
+            console.warn(`Skipping invalid audit redaction rule /${rule.pattern}/:`, e.message);
+        }
+        return compiled;
+    }, []);
+}
+
+/**
+ * Validates custom redaction rules from the admin API.
+ * @param {any} rules
+ * @returns {string|null} An error message, or null if the rules are valid.
+ */
+function validateRedactionRules(rules) {
+    if (!Array.isArray(rules)) {
+        return 'Redaction rules must be an array of { pattern, replacement } objects';
+    }
+    for (const rule of rules) {
+        if (!rule || typeof rule.pattern !== 'string' || rule.pattern === '') {
+            return 'Each redaction rule must have a non-empty pattern';
+        }
+        if (rule.replacement !== undefined && typeof rule.replacement !== 'string') {
+            return `Replacement for /${rule.pattern}/ must be a string`;
+        }
+        try {
+            new RegExp(rule.pattern, 'g');
+        } catch (e) {
+            return `Invalid redaction pattern /${rule.pattern}/: ${e.message}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the custom redaction rules.
+ * @returns {Promise<Array<{pattern: string, replacement?: string}>>}
+ */
+async function getCustomRedactionRules() {
+    const rules = await configService.getSetting('audit_redaction_rules', []);
+    return Array.isArray(rules) ? rules : [];
+}
+
+/**
+ * Gets the configured audit log retention in days.
+ * @returns {Promise<number>}
+ */
+async function getRetentionDays() {
+    const value = await configService.getSetting('audit_log_retention_days', DEFAULT_RETENTION_DAYS);
+    return parseInt(value) || DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Returns a copy of a payload with the redaction rules applied to every string.
+ * Inline binary data (Gemini inlineData / OpenAI base64 parts) is omitted.
+ * @param {any} value
+ * @param {Array<{regex: RegExp, replacement: string}>} rules Compiled rules.
+ * @returns {any}
+ */
+function redactPayload(value, rules) {
+    if (typeof value === 'string') {
+        return rules.reduce((text, rule) => text.replace(rule.regex, rule.replacement), value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactPayload(item, rules));
+    }
+    if (value && typeof value === 'object') {
+        const redacted = {};
+        Object.entries(value).forEach(([key, item]) => {
+            redacted[key] = key === 'data' && typeof item === 'string' && value.mimeType
+                ? '[OMITTED]'
+                : redactPayload(item, rules);
+        });
+        return redacted;
+    }
+    return value;
+}
+
+/**
+ * Serializes a payload for storage, keeping a preview when it is too large.
+ * @param {any} value
+ * @returns {string|null}
+ */
+function serializePayload(value) {
+    if (value === undefined || value === null) return null;
+    const json = JSON.stringify(value);
+    if (json.length <= MAX_PAYLOAD_CHARS) return json;
+    return JSON.stringify({ truncated: true, length: json.length, preview: json.substring(0, MAX_PAYLOAD_CHARS) });
+}
+
+/**
+ * Redacts and stores an audit log entry.
+ * Audit entries are kept in the attached local.db only. It is never synced to GitHub, so the entries are
+ * lost whenever local.db is (e.g. when an ephemeral host restarts).
+ * @param {object} entry
+ * @param {string} entry.createdAt ISO timestamp of when the request was received.
+ * @param {string|null} entry.workerKey
+ * @param {string|null} entry.keyId Gemini key ID, or 'vertex-ai'.
+ * @param {string|null} entry.model
+ * @param {string} entry.endpoint
+ * @param {boolean} entry.stream
+ * @param {number} entry.status
+ * @param {object} entry.request The client's request body.
+ * @param {object|null} entry.geminiRequest The request body sent to Gemini.
+ * @param {any} entry.response The response body, or the reassembled stream.
+ * @returns {Promise<void>}
+ */
+async function logAuditEntry(entry) {
+    const rules = compileRules([...DEFAULT_REDACTION_RULES, ...await getCustomRedactionRules()]);
+    const params = [
+        entry.createdAt,
+        entry.workerKey || null,
+        entry.keyId || null,
+        entry.model || null,
+        entry.endpoint,
+        entry.stream ? 1 : 0,
+        entry.status,
+        serializePayload(redactPayload(entry.request, rules)),
+        serializePayload(redactPayload(entry.geminiRequest, rules)),
+        serializePayload(redactPayload(entry.response, rules)),
+    ];
+
+    await configService.serializeDb(async () => {
+        await configService.runDb('BEGIN TRANSACTION');
+
+        try {
+            await configService.runDb(`
+                INSERT INTO audit_log
+                (created_at, worker_key, gemini_key_id, model, endpoint, stream, status, client_request, gemini_request, response)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, params);
+            // Keep only the newest entries
+            await configService.runDb(
+                'DELETE FROM audit_log WHERE id NOT IN (SELECT id FROM audit_log ORDER BY id DESC LIMIT ?)',
+                [MAX_ENTRIES]
+            );
+
+            await configService.runDb('COMMIT');
+        } catch (error) {
+            await configService.runDb('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
+/**
+ * Lists audit log entries without their payloads, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.workerKey]
+ * @param {string} [filters.model]
+ * @param {number} [page=1]
+ * @param {number} [pageSize=50] At most 200.
+ * @returns {Promise<{entries: Array<object>, total: number, page: number, pageSize: number}>}
+ */
+async function queryAuditLogs(filters = {}, page = 1, pageSize = 50) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.workerKey) {
+        conditions.push('worker_key = ?');
+        params.push(filters.workerKey);
+    }
+    if (filters.model) {
+        conditions.push('model = ?');
+        params.push(filters.model);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const safePage = Math.max(parseInt(page) || 1, 1);
+    const safePageSize = Math.min(Math.max(parseInt(pageSize) || 50, 1), MAX_PAGE_SIZE);
+
+    const [countRow, rows] = await Promise.all([
+        configService.getDb(`SELECT COUNT(*) AS total FROM audit_log ${whereClause}`, params),
+        configService.allDb(
+            `SELECT id, created_at, worker_key, gemini_key_id, model, endpoint, stream, status
+             FROM audit_log ${whereClause} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [...params, safePageSize, (safePage - 1) * safePageSize]
+        ),
+    ]);
+
+    return {
+        entries: rows.map(row => ({
+            id: row.id,
+            createdAt: row.created_at,
+            workerKey: row.worker_key,
+            keyId: row.gemini_key_id,
+            model: row.model,
+            endpoint: row.endpoint,
+            stream: row.stream === 1,
+            status: row.status,
+        })),
+        total: countRow?.total || 0,
+        page: safePage,
+        pageSize: safePageSize,
+    };
+}
+
+/**
+ * Gets an audit log entry with its payloads.
+ * @param {number} id
+ * @returns {Promise<object|null>} The entry, or null if it doesn't exist (anymore).
+ */
+async function getAuditEntry(id) {
+    const row = await configService.getDb('SELECT * FROM audit_log WHERE id = ?', [id]);
+    if (!row) return null;
+    const parsePayload = (value) => {
+        if (value === null || value === undefined) return null;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    };
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        workerKey: row.worker_key,
+        keyId: row.gemini_key_id,
+        model: row.model,
+        endpoint: row.endpoint,
+        stream: row.stream === 1,
+        status: row.status,
+        request: parsePayload(row.client_request),
+        geminiRequest: parsePayload(row.gemini_request),
+        response: parsePayload(row.response),
+    };
+}
+
+/**
+ * Deletes audit log entries older than the configured retention period.
+ * @returns {Promise<number>} The number of deleted entries.
+ */
+async function pruneAuditLogs() {
+    const retentionDays = await getRetentionDays();
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const result = await configService.serializeDb(() =>
+        configService.runDb('DELETE FROM audit_log WHERE created_at < ?', [cutoff])
+    );
+    if (result.changes > 0) {
+        console.log(`Pruned ${result.changes} audit log entries older than ${retentionDays} days.`);
+    }
+    return result.changes;
+}
+
+module.exports = {
+    DEFAULT_RETENTION_DAYS,
+    DEFAULT_REDACTION_RULES,
+    validateRedactionRules,
+    getCustomRedactionRules,
+    getRetentionDays,
+    logAuditEntry,
+    queryAuditLogs,
+    getAuditEntry,
+    pruneAuditLogs,
+};
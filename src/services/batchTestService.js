@@ -1,10 +1,7 @@
-const fetch = require('node-fetch');
 const configService = require('./configService');
 const geminiKeyService = require('./geminiKeyService');
-const proxyPool = require('../utils/proxyPool');
-
-// Base Gemini API URL
-const BASE_GEMINI_URL = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com';
+const upstreamService = require('./upstreamService');
+const metricsService = require('./metricsService');
 
 // Helper function to check if a 400 error should be marked for key error
 function shouldMark400Error(responseBody) {
@@ -34,7 +31,7 @@ function shouldMark400Error(responseBody) {
 async function testSingleKey(keyId, modelId) {
     try {
         // Fetch the actual key from the database
-        const keyInfo = await configService.getDb('SELECT api_key FROM gemini_keys WHERE id = ?', [keyId]);
+        const keyInfo = await configService.getDb('SELECT api_key, proxy_binding, upstream_id FROM gemini_keys WHERE id = ?', [keyId]);
         if (!keyInfo || !keyInfo.api_key) {
             return {
                 keyId,
@@ -62,15 +59,13 @@ async function testSingleKey(keyId, modelId) {
         }
 
         const testGeminiRequestBody = { contents: [{ role: "user", parts: [{ text: "Hi" }] }] };
-        const geminiUrl = `${BASE_GEMINI_URL}/v1beta/models/${modelId}:generateContent`;
+        const geminiPath = `/v1beta/models/${modelId}:generateContent`;
 
         let testResponseStatus = 500;
         let testResponseBody = null;
         let isSuccess = false;
 
         try {
-            // Get proxy agent
-            const agent = proxyPool.getNextProxyAgent();
             const fetchOptions = {
                 method: 'POST',
                 headers: {
@@ -79,14 +74,10 @@ async function testSingleKey(keyId, modelId) {
                 },
                 body: JSON.stringify(testGeminiRequestBody)
             };
-            if (agent) {
-                fetchOptions.agent = agent;
-                console.log(`Batch Test (Key ${keyId}): Sending request via proxy ${agent.proxy.href}`);
-            } else {
-                console.log(`Batch Test (Key ${keyId}): Sending request directly.`);
-            }
 
-            const response = await fetch(geminiUrl, fetchOptions);
+            // Sent to the key's upstream and through its proxy binding, if it has them
+            const response = await upstreamService.fetchGemini(geminiPath, fetchOptions,
+                { id: keyId, proxyBinding: keyInfo.proxy_binding, upstreamId: keyInfo.upstream_id }, `Batch Test (Key ${keyId}):`);
             testResponseStatus = response.status;
             testResponseBody = await response.json(); // Attempt to parse JSON
             isSuccess = response.ok;
@@ -158,12 +149,14 @@ async function runBatchTest() {
         const keys = await geminiKeyService.getAllGeminiKeysWithUsage();
         if (!keys || keys.length === 0) {
             console.log('Batch Test: No Gemini keys found to test.');
-            return {
+            const emptySummary = {
                 totalKeys: 0,
                 successCount: 0,
                 failureCount: 0,
                 results: []
             };
+            metricsService.recordBatchTest(emptySummary);
+            return emptySummary;
         }
 
         const totalKeys = keys.length;
@@ -226,6 +219,7 @@ async function runBatchTest() {
         };
 
         console.log(`Batch Test completed: ${successCount} successful, ${failureCount} failed out of ${totalKeys} total keys.`);
+        metricsService.recordBatchTest(summary);
         return summary;
 
     } catch (error) {
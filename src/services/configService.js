@@ -1,4 +1,5 @@
 const dbModule = require('../db');
+const { DEFAULT_QUOTA_RESET, isValidTimeZone } = require('../utils/helpers');
 
 // --- Helper Functions for DB Interaction ---
 
@@ -165,11 +166,34 @@ async function setSetting(key, value, skipSync = false, useTransaction = false)
 }
 
 
+// --- Quota Reset ---
+
+// How daily usage counters are windowed: reset once a day at the reset time, or counted over the last 24 hours
+const QUOTA_WINDOWS = ['daily', 'rolling_24h'];
+
+/**
+ * Gets when the daily quotas reset, from the 'quota_reset_timezone', 'quota_reset_time' and 'quota_window' settings.
+ * @returns {Promise<{timeZone: string, resetTime: string, window: 'daily'|'rolling_24h'}>}
+ */
+async function getQuotaResetConfig() {
+    const [timeZone, resetTime, window] = await Promise.all([
+        getSetting('quota_reset_timezone', DEFAULT_QUOTA_RESET.timeZone),
+        getSetting('quota_reset_time', DEFAULT_QUOTA_RESET.resetTime),
+        getSetting('quota_window', 'daily')
+    ]);
+    return {
+        timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_QUOTA_RESET.timeZone,
+        resetTime: /^([01]\d|2[0-3]):[0-5]\d$/.test(resetTime) ? resetTime : DEFAULT_QUOTA_RESET.resetTime,
+        window: QUOTA_WINDOWS.includes(window) ? window : 'daily'
+    };
+}
+
+
 // --- Model Configuration ---
 
 /**
  * Gets the entire models configuration object.
- * @returns {Promise<Record<string, {category: string, dailyQuota?: number, individualQuota?: number}>>}
+ * @returns {Promise<Record<string, {category: string, dailyQuota?: number, individualQuota?: number, rpmLimit?: number, tpmLimit?: number}>>}
  */
 async function getModelsConfig() {
     const rows = await allDb('SELECT * FROM models_config');
@@ -179,7 +203,9 @@ async function getModelsConfig() {
             category: row.category,
             // Return null or undefined from DB as undefined
             dailyQuota: row.daily_quota ?? undefined,
-            individualQuota: row.individual_quota ?? undefined
+            individualQuota: row.individual_quota ?? undefined,
+            rpmLimit: row.rpm_limit ?? undefined,
+            tpmLimit: row.tpm_limit ?? undefined
         };
     });
     return config;
@@ -191,12 +217,16 @@ async function getModelsConfig() {
  * @param {'Pro' | 'Flash' | 'Custom'} category
  * @param {number | null | undefined} dailyQuota Use null/undefined for no limit.
  * @param {number | null | undefined} individualQuota Use null/undefined for no limit.
+ * @param {{rpmLimit?: number|null, tpmLimit?: number|null}} [rateLimits] Per-minute limits for each key, null for no limit.
+ *   The current limits are kept when omitted.
  * @returns {Promise<void>}
  */
-async function setModelConfig(modelId, category, dailyQuota, individualQuota) {
+async function setModelConfig(modelId, category, dailyQuota, individualQuota, rateLimits) {
     // Ensure null is stored in DB if quota is undefined or explicitly null
     const dailyQuotaDb = (dailyQuota === undefined || dailyQuota === null) ? null : Number(dailyQuota);
     const individualQuotaDb = (individualQuota === undefined || individualQuota === null) ? null : Number(individualQuota);
+    const rpmLimitDb = rateLimits?.rpmLimit ?? null;
+    const tpmLimitDb = rateLimits?.tpmLimit ?? null;
 
     if ((category === 'Custom' && dailyQuotaDb !== null && !Number.isInteger(dailyQuotaDb)) || dailyQuotaDb < 0) {
         throw new Error("Custom model dailyQuota must be a non-negative integer or null.");
@@ -204,6 +234,9 @@ async function setModelConfig(modelId, category, dailyQuota, individualQuota) {
     if (((category === 'Pro' || category === 'Flash') && individualQuotaDb !== null && !Number.isInteger(individualQuotaDb)) || individualQuotaDb < 0) {
         throw new Error("Pro/Flash model individualQuota must be a non-negative integer or null.");
     }
+    if ((rpmLimitDb !== null && (!Number.isInteger(rpmLimitDb) || rpmLimitDb <= 0)) || (tpmLimitDb !== null && (!Number.isInteger(tpmLimitDb) || tpmLimitDb <= 0))) {
+        throw new Error("Model rpmLimit and tpmLimit must be a positive integer or null.");
+    }
 
     // Use serializeDb to ensure atomic operations and avoid concurrency issues
     await serializeDb(async () => {
@@ -211,12 +244,17 @@ async function setModelConfig(modelId, category, dailyQuota, individualQuota) {
 
         try {
             const sql = `
-                INSERT OR REPLACE INTO models_config
-                (model_id, category, daily_quota, individual_quota)
-                VALUES (?, ?, ?, ?)
+                INSERT INTO models_config
+                (model_id, category, daily_quota, individual_quota, rpm_limit, tpm_limit)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(model_id) DO UPDATE SET
+                    category = excluded.category,
+                    daily_quota = excluded.daily_quota,
+                    individual_quota = excluded.individual_quota
+                    ${rateLimits ? ', rpm_limit = excluded.rpm_limit, tpm_limit = excluded.tpm_limit' : ''}
             `;
 
-            await runDb(sql, [modelId, category, dailyQuotaDb, individualQuotaDb]);
+            await runDb(sql, [modelId, category, dailyQuotaDb, individualQuotaDb, rpmLimitDb, tpmLimitDb]);
 
             // Commit the transaction
             await runDb('COMMIT');
@@ -261,6 +299,89 @@ async function deleteModelConfig(modelId) {
 }
 
 
+// --- Model Aliases ---
+
+/**
+ * Gets all model aliases.
+ * @returns {Promise<Array<{alias: string, targetModel: string, createdAt: string}>>}
+ */
+async function getModelAliases() {
+    const rows = await allDb('SELECT alias, target_model, created_at FROM model_aliases ORDER BY alias');
+    return rows.map(row => ({
+        alias: row.alias,
+        targetModel: row.target_model,
+        createdAt: row.created_at
+    }));
+}
+
+/**
+ * Resolves a requested model ID through the alias table.
+ * @param {string} modelId
+ * @returns {Promise<string>} The alias target, or the model ID itself if it is not an alias.
+ */
+async function resolveModelAlias(modelId) {
+    if (!modelId) return modelId;
+    const row = await getDb('SELECT target_model FROM model_aliases WHERE alias = ?', [modelId]);
+    return row ? row.target_model : modelId;
+}
+
+/**
+ * Adds or updates a model alias.
+ * @param {string} alias
+ * @param {string} targetModel
+ * @returns {Promise<void>}
+ */
+async function setModelAlias(alias, targetModel) {
+    // Use serializeDb to ensure atomic operations and avoid concurrency issues
+    await serializeDb(async () => {
+        await runDb('BEGIN TRANSACTION');
+
+        try {
+            await runDb(
+                'INSERT OR REPLACE INTO model_aliases (alias, target_model, created_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+                [alias, targetModel]
+            );
+
+            await runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await runDb('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
+/**
+ * Deletes a model alias.
+ * @param {string} alias
+ * @returns {Promise<void>}
+ */
+async function deleteModelAlias(alias) {
+    // Use serializeDb to ensure atomic operations and avoid concurrency issues
+    await serializeDb(async () => {
+        await runDb('BEGIN TRANSACTION');
+
+        try {
+            const result = await runDb('DELETE FROM model_aliases WHERE alias = ?', [alias]);
+
+            if (result.changes === 0) {
+                // Rolled back in the catch block below
+                throw new Error(`Model alias '${alias}' not found for deletion.`);
+            }
+
+            await runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await runDb('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
 // --- Category Quotas ---
 
 /**
@@ -316,19 +437,162 @@ async function setCategoryQuotas(proQuota, flashQuota) {
 }
 
 
+// --- Key Tier Quotas ---
+
+// Quota tiers a Gemini key can belong to
+const KEY_TIERS = ['free', 'tier1', 'tier2', 'tier3'];
+
+/**
+ * Gets the per-tier daily quotas, manual and learned.
+ * @returns {Promise<Record<string, Record<string, {dailyQuota: number, source: 'manual'|'learned', updatedAt: string}>>>} Keyed by tier, then model ID.
+ */
+async function getTierQuotas() {
+    const rows = await allDb('SELECT * FROM tier_quotas ORDER BY tier, model_id');
+    const quotas = {};
+    rows.forEach(row => {
+        if (!quotas[row.tier]) quotas[row.tier] = {};
+        quotas[row.tier][row.model_id] = {
+            dailyQuota: row.daily_quota,
+            source: row.source,
+            updatedAt: row.updated_at
+        };
+    });
+    return quotas;
+}
+
+/**
+ * Sets a tier's daily quota for a model by hand. Manual quotas are never replaced by learned ones.
+ * @param {string} tier One of KEY_TIERS.
+ * @param {string} modelId
+ * @param {number} dailyQuota
+ * @returns {Promise<void>}
+ */
+async function setTierQuota(tier, modelId, dailyQuota) {
+    if (!KEY_TIERS.includes(tier)) {
+        throw new Error(`Tier must be one of: ${KEY_TIERS.join(', ')}.`);
+    }
+    if (!Number.isInteger(dailyQuota) || dailyQuota < 0) {
+        throw new Error("Tier dailyQuota must be a non-negative integer.");
+    }
+
+    // Use serializeDb to ensure atomic operations and avoid concurrency issues
+    await serializeDb(async () => {
+        await runDb('BEGIN TRANSACTION');
+
+        try {
+            await runDb(
+                `INSERT OR REPLACE INTO tier_quotas (tier, model_id, daily_quota, source, updated_at)
+                 VALUES (?, ?, ?, 'manual', CURRENT_TIMESTAMP)`,
+                [tier, modelId, dailyQuota]
+            );
+
+            await runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await runDb('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
+/**
+ * Stores a daily quota observed in a 429 QuotaFailure for a tier, unless one was set by hand.
+ * @param {string} tier
+ * @param {string} modelId
+ * @param {number} dailyQuota
+ * @returns {Promise<boolean>} Whether the stored quota changed.
+ */
+async function learnTierQuota(tier, modelId, dailyQuota) {
+    if (!KEY_TIERS.includes(tier) || !Number.isInteger(dailyQuota) || dailyQuota < 0) {
+        return false;
+    }
+
+    const result = await serializeDb(() => runDb(
+        `INSERT INTO tier_quotas (tier, model_id, daily_quota, source, updated_at)
+         VALUES (?, ?, ?, 'learned', CURRENT_TIMESTAMP)
+         ON CONFLICT(tier, model_id) DO UPDATE SET daily_quota = excluded.daily_quota, updated_at = excluded.updated_at
+         WHERE tier_quotas.source = 'learned' AND tier_quotas.daily_quota != excluded.daily_quota`,
+        [tier, modelId, dailyQuota]
+    ));
+
+    if (result.changes > 0) {
+        console.log(`Learned daily quota ${dailyQuota} for model ${modelId} on tier ${tier}.`);
+        // Sync updates to GitHub outside of serialized operation
+        dbModule.syncToGitHub().catch(err => {
+            console.warn(`Failed to sync to GitHub after learning quota for ${tier}/${modelId}:`, err);
+        });
+    }
+    return result.changes > 0;
+}
+
+/**
+ * Deletes a tier's quota for a model, so the category and model quotas apply again.
+ * @param {string} tier
+ * @param {string} modelId
+ * @returns {Promise<void>}
+ */
+async function deleteTierQuota(tier, modelId) {
+    // Use serializeDb to ensure atomic operations and avoid concurrency issues
+    await serializeDb(async () => {
+        await runDb('BEGIN TRANSACTION');
+
+        try {
+            const result = await runDb('DELETE FROM tier_quotas WHERE tier = ? AND model_id = ?', [tier, modelId]);
+
+            if (result.changes === 0) {
+                // Rolled back in the catch block below
+                throw new Error(`Quota for model '${modelId}' on tier '${tier}' not found for deletion.`);
+            }
+
+            await runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await runDb('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
+
 // --- Worker Keys ---
 
 /**
- * Gets all worker keys with their descriptions and safety settings.
- * @returns {Promise<Array<{key: string, description: string, safetyEnabled: boolean, createdAt: string}>>}
+ * Parses the allowed_models column of a worker key.
+ * @param {string|null} value JSON array string, or NULL.
+ * @returns {string[]|null} The allowed model IDs, or null if all models are allowed.
+ */
+function parseAllowedModels(value) {
+    if (!value) return null;
+    try {
+        const models = JSON.parse(value);
+        return Array.isArray(models) && models.length > 0 ? models : null;
+    } catch (e) {
+        console.error('Error parsing worker key allowed_models:', e);
+        return null;
+    }
+}
+
+/**
+ * Gets all worker keys with their descriptions, safety and audit settings and limits.
+ * Limits are null when unlimited; allowedModels is null when every model is allowed.
+ * @returns {Promise<Array<{key: string, description: string, safetyEnabled: boolean, auditEnabled: boolean, createdAt: string, rpmLimit: number|null, rpdLimit: number|null, tpdLimit: number|null, allowedModels: string[]|null}>>}
  */
 async function getAllWorkerKeys() {
-    const rows = await allDb('SELECT api_key, description, safety_enabled, created_at FROM worker_keys ORDER BY created_at DESC');
+    const rows = await allDb('SELECT api_key, description, safety_enabled, audit_enabled, created_at, rpm_limit, rpd_limit, tpd_limit, allowed_models FROM worker_keys ORDER BY created_at DESC');
     return rows.map(row => ({
         key: row.api_key,
         description: row.description || '',
         safetyEnabled: row.safety_enabled === 1, // Convert DB integer to boolean
-        createdAt: row.created_at
+        auditEnabled: row.audit_enabled === 1,
+        createdAt: row.created_at,
+        rpmLimit: row.rpm_limit ?? null,
+        rpdLimit: row.rpd_limit ?? null,
+        tpdLimit: row.tpd_limit ?? null,
+        allowedModels: parseAllowedModels(row.allowed_models)
     }));
 }
 
@@ -344,6 +608,28 @@ async function getWorkerKeySafetySetting(apiKey) {
 }
 
 
+/**
+ * Gets whether a worker key's requests are stored in the audit log.
+ * @param {string} apiKey The worker API key.
+ * @returns {Promise<boolean>}
+ */
+async function getWorkerKeyAuditSetting(apiKey) {
+    const row = await getDb('SELECT audit_enabled FROM worker_keys WHERE api_key = ?', [apiKey]);
+    return row ? row.audit_enabled === 1 : false;
+}
+
+
+/**
+ * Gets the models a worker key may use.
+ * @param {string} apiKey The worker API key.
+ * @returns {Promise<string[]|null>} The allowed model IDs, or null if every model is allowed.
+ */
+async function getWorkerKeyAllowedModels(apiKey) {
+    const row = await getDb('SELECT allowed_models FROM worker_keys WHERE api_key = ?', [apiKey]);
+    return row ? parseAllowedModels(row.allowed_models) : null;
+}
+
+
 /**
  * Adds a new worker key.
  * @param {string} apiKey
@@ -412,6 +698,79 @@ async function updateWorkerKeySafety(apiKey, safetyEnabled) {
 }
 
 
+/**
+ * Turns audit logging on or off for a worker key.
+ * @param {string} apiKey
+ * @param {boolean} auditEnabled
+ * @returns {Promise<void>}
+ */
+async function updateWorkerKeyAudit(apiKey, auditEnabled) {
+    // Use serializeDb to ensure atomic operations and avoid concurrency issues
+    await serializeDb(async () => {
+        await runDb('BEGIN TRANSACTION');
+
+        try {
+            const result = await runDb('UPDATE worker_keys SET audit_enabled = ? WHERE api_key = ?', [auditEnabled ? 1 : 0, apiKey]);
+
+            if (result.changes === 0) {
+                // Rolled back in the catch block below
+                throw new Error(`Worker key '${apiKey}' not found for updating audit settings.`);
+            }
+
+            await runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await runDb('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
+
+/**
+ * Updates a worker key's rate limits and allowed models.
+ * @param {string} apiKey
+ * @param {object} limits
+ * @param {number|null} limits.rpmLimit Requests per minute, null for unlimited.
+ * @param {number|null} limits.rpdLimit Requests per day, null for unlimited.
+ * @param {number|null} limits.tpdLimit Tokens per day, null for unlimited.
+ * @param {string[]|null} limits.allowedModels Model IDs, null or empty for all models.
+ * @returns {Promise<void>}
+ */
+async function updateWorkerKeyLimits(apiKey, { rpmLimit, rpdLimit, tpdLimit, allowedModels }) {
+    // Use serializeDb to ensure atomic operations and avoid concurrency issues
+    await serializeDb(async () => {
+        await runDb('BEGIN TRANSACTION');
+
+        try {
+            const sql = `UPDATE worker_keys SET rpm_limit = ?, rpd_limit = ?, tpd_limit = ?, allowed_models = ? WHERE api_key = ?`;
+            const result = await runDb(sql, [
+                rpmLimit ?? null,
+                rpdLimit ?? null,
+                tpdLimit ?? null,
+                allowedModels && allowedModels.length > 0 ? JSON.stringify(allowedModels) : null,
+                apiKey
+            ]);
+
+            if (result.changes === 0) {
+                // Rolled back in the catch block below
+                throw new Error(`Worker key '${apiKey}' not found for updating limits.`);
+            }
+
+            await runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await runDb('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
+
 /**
  * Deletes a worker key.
  * @param {string} apiKey
@@ -490,6 +849,9 @@ module.exports = {
     // Settings
     getSetting,
     setSetting,
+    // Quota Reset
+    QUOTA_WINDOWS,
+    getQuotaResetConfig,
     // GitHub
     getGitHubConfig,
     setGitHubConfig,
@@ -497,14 +859,30 @@ module.exports = {
     getModelsConfig,
     setModelConfig,
     deleteModelConfig,
+    // Model Aliases
+    getModelAliases,
+    resolveModelAlias,
+    setModelAlias,
+    deleteModelAlias,
     // Category Quotas
     getCategoryQuotas,
     setCategoryQuotas,
+    // Key Tier Quotas
+    KEY_TIERS,
+    getTierQuotas,
+    setTierQuota,
+    learnTierQuota,
+    deleteTierQuota,
     // Worker Keys
     getAllWorkerKeys,
     getWorkerKeySafetySetting,
+    getWorkerKeyAuditSetting,
+    getWorkerKeyAllowedModels,
     addWorkerKey,
     updateWorkerKeySafety,
+    updateWorkerKeyAudit,
+    updateWorkerKeyLimits,
+    parseAllowedModels,
     deleteWorkerKey,
     // DB helpers (optional export if needed elsewhere)
     runDb,
@@ -1,6 +1,10 @@
 const dbModule = require('../db');
 const configService = require('./configService'); // Use configService for DB helpers and settings
-const { getTodayInLA } = require('../utils/helpers');
+const keyPool = require('./keyPoolService'); // In-memory usage counters and rotation state
+const { getQuotaDay } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const proxyPool = require('../utils/proxyPool');
+const upstreamService = require('./upstreamService');
 const crypto = require('crypto'); // For generating key IDs
 
 // --- Gemini Key CRUD Operations ---
@@ -45,11 +49,11 @@ async function addGeminiKey(apiKey, name) {
             try {
                 currentList = currentListValue ? JSON.parse(currentListValue.value) : [];
                 if (!Array.isArray(currentList)) {
-                    console.warn("Setting 'gemini_key_list' is not an array, resetting.");
+                    logger.warn("Setting 'gemini_key_list' is not an array, resetting.");
                     currentList = [];
                 }
             } catch (e) {
-                console.warn("Error parsing gemini_key_list, resetting:", e);
+                logger.warn("Error parsing gemini_key_list, resetting:", e);
                 currentList = [];
             }
 
@@ -63,26 +67,26 @@ async function addGeminiKey(apiKey, name) {
             // Commit the transaction
             await configService.runDb('COMMIT');
 
-            console.log(`Added key ${keyId} to database and rotation list.`);
+            logger.info(`Added key ${keyId} to database and rotation list.`);
 
             return { id: keyId, name: keyName };
         } catch (error) {
             // Rollback transaction on error
             await configService.runDb('ROLLBACK');
-            console.error(`Transaction error while adding gemini key:`, error);
+            logger.error(`Transaction error while adding gemini key:`, error);
             throw error;
         }
     }).then(result => {
         // Sync updates to GitHub outside of serialized operation
         dbModule.syncToGitHub().catch(err => {
-            console.warn(`Failed to sync to GitHub after adding key ${keyId}:`, err);
+            logger.warn(`Failed to sync to GitHub after adding key ${keyId}:`, err);
         });
         return result;
     }).catch(err => {
         if (err.message.includes('UNIQUE constraint failed: gemini_keys.api_key')) {
             throw new Error('Cannot add duplicate API key.');
         }
-        console.error(`Error adding Gemini key:`, err);
+        logger.error(`Error adding Gemini key:`, err);
         throw new Error(`Failed to add Gemini key: ${err.message}`);
     });
 }
@@ -113,11 +117,11 @@ async function addMultipleGeminiKeys(apiKeys) {
             try {
                 currentList = currentListValue ? JSON.parse(currentListValue.value) : [];
                 if (!Array.isArray(currentList)) {
-                    console.warn("Setting 'gemini_key_list' is not an array, resetting.");
+                    logger.warn("Setting 'gemini_key_list' is not an array, resetting.");
                     currentList = [];
                 }
             } catch (e) {
-                console.warn("Error parsing gemini_key_list, resetting:", e);
+                logger.warn("Error parsing gemini_key_list, resetting:", e);
                 currentList = [];
             }
 
@@ -164,7 +168,7 @@ async function addMultipleGeminiKeys(apiKeys) {
                     });
                     successCount++;
 
-                    console.log(`Added key ${keyId} to batch.`);
+                    logger.info(`Added key ${keyId} to batch.`);
 
                 } catch (keyError) {
                     if (keyError.message.includes('UNIQUE constraint failed: gemini_keys.api_key')) {
@@ -181,7 +185,7 @@ async function addMultipleGeminiKeys(apiKeys) {
                         });
                     }
                     failureCount++;
-                    console.error(`Error adding key ${apiKey}:`, keyError);
+                    logger.error(`Error adding key ${apiKey}:`, keyError);
                 }
             }
 
@@ -195,20 +199,20 @@ async function addMultipleGeminiKeys(apiKeys) {
             // Commit the transaction
             await configService.runDb('COMMIT');
 
-            console.log(`Batch add completed: ${successCount} successful, ${failureCount} failed.`);
+            logger.info(`Batch add completed: ${successCount} successful, ${failureCount} failed.`);
 
             return { successCount, failureCount, results };
         } catch (error) {
             // Rollback transaction on error
             await configService.runDb('ROLLBACK');
-            console.error(`Transaction error during batch add:`, error);
+            logger.error(`Transaction error during batch add:`, error);
             throw error;
         }
     }).then(result => {
         // Sync updates to GitHub outside of serialized operation
         if (result.successCount > 0) {
             dbModule.syncToGitHub().catch(err => {
-                console.warn(`Failed to sync to GitHub after batch add:`, err);
+                logger.warn(`Failed to sync to GitHub after batch add:`, err);
             });
         }
         return result;
@@ -248,14 +252,14 @@ async function deleteGeminiKey(keyId) {
         try {
             currentList = currentListValue ? JSON.parse(currentListValue.value) : [];
             if (!Array.isArray(currentList)) {
-                console.warn("Setting 'gemini_key_list' is not an array during delete, resetting index.");
+                logger.warn("Setting 'gemini_key_list' is not an array during delete, resetting index.");
                 // Update the index directly within transaction
                 await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', ['gemini_key_index', '0']);
                 await configService.runDb('COMMIT');
                 return; // Can't remove from a non-array list
             }
         } catch (e) {
-            console.warn("Error parsing gemini_key_list, resetting index:", e);
+            logger.warn("Error parsing gemini_key_list, resetting index:", e);
             await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', ['gemini_key_index', '0']);
             await configService.runDb('COMMIT');
             return;
@@ -268,7 +272,7 @@ async function deleteGeminiKey(keyId) {
             // Update the list directly with SQL
             await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', 
                 ['gemini_key_list', JSON.stringify(newList)]);
-            console.log(`Removed key ${trimmedKeyId} from rotation list.`);
+            logger.info(`Removed key ${trimmedKeyId} from rotation list.`);
 
             // Get the latest index state and adjust if needed
             const indexValue = await configService.getDb('SELECT value FROM settings WHERE key = ?', ['gemini_key_index']);
@@ -285,19 +289,20 @@ async function deleteGeminiKey(keyId) {
                 await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', ['gemini_key_index', '0']);
             }
         } else {
-            console.warn(`Key ID ${trimmedKeyId} was not found in the rotation list.`);
+            logger.warn(`Key ID ${trimmedKeyId} was not found in the rotation list.`);
         }
         
         // All operations completed successfully, commit the transaction
         await configService.runDb('COMMIT');
-        console.log(`Deleted Gemini key ${trimmedKeyId} from database.`);
+        keyPool.forgetKey(trimmedKeyId);
+        logger.info(`Deleted Gemini key ${trimmedKeyId} from database.`);
 
         // GitHub sync outside the transaction (doesn't affect atomicity)
         await dbModule.syncToGitHub();
     } catch (error) {
         // If any error occurs during the process, rollback the transaction
         await configService.runDb('ROLLBACK');
-        console.error(`Error deleting Gemini key ${trimmedKeyId}:`, error);
+        logger.error(`Error deleting Gemini key ${trimmedKeyId}:`, error);
         throw error; // Re-throw the error for upstream handling
     }
     });
@@ -308,22 +313,27 @@ async function deleteGeminiKey(keyId) {
  * @returns {Promise<Array<object>>} Array of key objects.
  */
 async function getAllGeminiKeysWithUsage() {
-    // Fetch models config and category quotas needed for display logic
-    const [modelsConfig, categoryQuotas] = await Promise.all([
+    // Fetch models config, category and tier quotas and the quota window needed for display logic
+    const [modelsConfig, categoryQuotas, tierQuotas, resetConfig] = await Promise.all([
         configService.getModelsConfig(),
-        configService.getCategoryQuotas()
+        configService.getCategoryQuotas(),
+        configService.getTierQuotas(),
+        configService.getQuotaResetConfig()
     ]);
 
     const keys = await configService.allDb('SELECT * FROM gemini_keys ORDER BY created_at DESC');
-    const todayInLA = getTodayInLA();
+    const now = Date.now();
 
     return keys.map(keyRow => {
         try {
-            const modelUsageDb = JSON.parse(keyRow.model_usage || '{}');
-            const categoryUsageDb = JSON.parse(keyRow.category_usage || '{}');
-            const consecutive429CountsDb = JSON.parse(keyRow.consecutive_429_counts || '{}');
-
-            const isQuotaReset = keyRow.usage_date !== todayInLA;
+            // Usage counters live in the key pool, the row may not have the latest flush yet
+            const keyState = keyPool.getKeyState(keyRow);
+            if (refreshUsageWindow(keyState, resetConfig, now)) {
+                keyPool.markKeyDirty(keyRow.id);
+            }
+            const modelUsageDb = keyState.modelUsage;
+            const categoryUsageDb = keyState.categoryUsage;
+            const consecutive429CountsDb = keyState.consecutive429Counts;
 
             let displayModelUsage = {};
              // Populate modelUsageData for all relevant models (Custom or Pro/Flash with individualQuota)
@@ -340,7 +350,7 @@ async function getAllGeminiKeysWithUsage() {
                 }
 
                 if (shouldInclude) {
-                    const count = isQuotaReset ? 0 : (modelUsageDb[modelId] || 0);
+                    const count = modelUsageDb[modelId] || 0;
                     displayModelUsage[modelId] = {
                         count: typeof count === 'number' ? count : 0, // Ensure count is a number
                         quota: quota
@@ -349,26 +359,21 @@ async function getAllGeminiKeysWithUsage() {
             });
 
 
-            const displayCategoryUsage = isQuotaReset
-                ? { pro: 0, flash: 0 }
-                : {
-                    pro: categoryUsageDb.pro || 0,
-                    flash: categoryUsageDb.flash || 0
-                  };
+            const displayCategoryUsage = {
+                pro: categoryUsageDb.pro || 0,
+                flash: categoryUsageDb.flash || 0
+            };
 
             // Calculate overall usage for display (sum of category + custom model usage)
             // This is just for display, not used for actual quota checks
-            let displayTotalUsage = 0;
-            if (!isQuotaReset) {
-                displayTotalUsage = (displayCategoryUsage.pro || 0) + (displayCategoryUsage.flash || 0);
-                Object.values(displayModelUsage).forEach(usage => {
-                    // Only add custom model usage if category is Custom
-                    const modelId = Object.keys(displayModelUsage).find(key => displayModelUsage[key] === usage);
-                    if (modelId && modelsConfig[modelId]?.category === 'Custom') {
-                         displayTotalUsage += usage.count;
-                    }
-                });
-            }
+            let displayTotalUsage = (displayCategoryUsage.pro || 0) + (displayCategoryUsage.flash || 0);
+            Object.values(displayModelUsage).forEach(usage => {
+                // Only add custom model usage if category is Custom
+                const modelId = Object.keys(displayModelUsage).find(key => displayModelUsage[key] === usage);
+                if (modelId && modelsConfig[modelId]?.category === 'Custom') {
+                     displayTotalUsage += usage.count;
+                }
+            });
 
 
             return {
@@ -376,20 +381,105 @@ async function getAllGeminiKeysWithUsage() {
                 name: keyRow.name || keyRow.id,
                 keyPreview: `...${(keyRow.api_key || '').slice(-4)}`,
                 usage: displayTotalUsage, // Display calculated total usage
-                usageDate: keyRow.usage_date || 'N/A',
+                usageDate: keyState.usageDate || 'N/A',
+                usageWindow: resetConfig.window,
                 modelUsage: displayModelUsage,
                 categoryUsage: displayCategoryUsage,
                 categoryQuotas: categoryQuotas, // Pass fetched quotas for context
                 errorStatus: keyRow.error_status, // 400, 401, 403, or null
+                cooldownUntil: getCooldownRemaining(keyState) > 0 ? keyState.cooldownUntil : null,
+                failureStreak: keyState.failureStreak,
+                // Only the models still cooling down, as { modelId: untilIsoTimestamp }
+                modelCooldowns: Object.fromEntries(Object.entries(keyState.modelCooldowns)
+                    .filter(([, cooldown]) => cooldown.until && Date.parse(cooldown.until) > Date.now())
+                    .map(([modelId, cooldown]) => [modelId, cooldown.until])),
+                // The quota each model last ran into, if within the last day
+                quotaHits: Object.fromEntries(Object.entries(keyState.quotaHits)
+                    .filter(([, hit]) => hit.at && Date.now() - Date.parse(hit.at) < 24 * 60 * 60 * 1000)),
+                weight: keyRow.weight ?? 1,
+                priority: keyRow.priority ?? 0,
+                tier: keyRow.tier || 'free',
+                proxyBinding: keyRow.proxy_binding || null,
+                upstreamId: keyRow.upstream_id || null,
+                // Usage of the models with a known limit for the key's tier
+                tierUsage: Object.entries(tierQuotas[keyRow.tier || 'free'] || {}).map(([modelId, tierQuota]) => ({
+                    modelId,
+                    count: modelUsageDb[modelId] || 0,
+                    quota: tierQuota.dailyQuota,
+                    source: tierQuota.source
+                })),
+                // Requests and tokens of the last minute, for the models used in it
+                minuteUsage: Object.fromEntries(Object.keys(keyState.minuteWindow)
+                    .map(modelId => [modelId, getMinuteUsage(keyState, modelId, now)])
+                    .filter(([, usage]) => usage.requests > 0 || usage.tokens > 0)),
                 consecutive429Counts: consecutive429CountsDb || {}
             };
         } catch (e) {
-            console.error(`Error processing key ${keyRow.id}:`, e);
+            logger.error(`Error processing key ${keyRow.id}:`, e);
             return null; // Skip malformed keys
         }
     }).filter(k => k !== null);
 }
 
+/**
+ * Updates the selection weight, priority, quota tier, proxy binding and upstream of a Gemini key.
+ * @param {string} keyId
+ * @param {object} settings
+ * @param {number} [settings.weight] Relative share of requests under the weighted strategy (0 or more).
+ * @param {number} [settings.priority] Priority tier; higher tiers are used first.
+ * @param {string} [settings.tier] Quota tier, one of configService.KEY_TIERS.
+ * @param {string|null} [settings.proxyBinding] 'proxy:<id>' or 'group:<name>', null to use any proxy.
+ * @param {string|null} [settings.upstreamId] Upstream the key's requests are sent to, null for any upstream.
+ * @returns {Promise<void>}
+ */
+async function updateGeminiKeySettings(keyId, { weight, priority, tier, proxyBinding, upstreamId }) {
+    const updates = [];
+    const params = [];
+    if (weight !== undefined) {
+        updates.push('weight = ?');
+        params.push(weight);
+    }
+    if (priority !== undefined) {
+        updates.push('priority = ?');
+        params.push(priority);
+    }
+    if (tier !== undefined) {
+        updates.push('tier = ?');
+        params.push(tier);
+    }
+    if (proxyBinding !== undefined) {
+        updates.push('proxy_binding = ?');
+        params.push(proxyBinding);
+    }
+    if (upstreamId !== undefined) {
+        updates.push('upstream_id = ?');
+        params.push(upstreamId);
+    }
+    if (updates.length === 0) return;
+
+    await configService.serializeDb(async () => {
+        await configService.runDb('BEGIN TRANSACTION');
+
+        try {
+            const result = await configService.runDb(`UPDATE gemini_keys SET ${updates.join(', ')} WHERE id = ?`, [...params, keyId]);
+            if (result.changes === 0) {
+                // Rolled back in the catch block below
+                throw new Error(`Key with ID '${keyId}' not found.`);
+            }
+
+            await configService.runDb('COMMIT');
+        } catch (error) {
+            await configService.runDb('ROLLBACK');
+            throw error;
+        }
+    });
+
+    // Sync updates to GitHub outside of serialized operation
+    dbModule.syncToGitHub().catch(err => {
+        logger.warn(`Failed to sync to GitHub after updating settings for key ${keyId}:`, err);
+    });
+}
+
 /**
  * Retrieves keys currently marked with an error status (400, 401 or 403).
  * @returns {Promise<Array<{id: string, name: string, error: number}>>}
@@ -425,14 +515,14 @@ async function clearKeyError(keyId) {
                 const result = await configService.runDb('UPDATE gemini_keys SET error_status = NULL WHERE id = ?', [keyId]);
                 if (result.changes > 0) {
                     wasCleared = true;
-                    console.log(`Cleared error status ${keyInfo.error_status} for key ${keyId}.`);
+                    logger.info(`Cleared error status ${keyInfo.error_status} for key ${keyId}.`);
                 }
             } else {
                 // Key doesn't have an error status, no action needed
-                console.log(`Key ${keyId} has no error status to clear.`);
+                logger.info(`Key ${keyId} has no error status to clear.`);
             }
         } catch (error) {
-            console.error(`Error clearing error status for key ${keyId}:`, error);
+            logger.error(`Error clearing error status for key ${keyId}:`, error);
             throw error;
         }
     });
@@ -440,7 +530,7 @@ async function clearKeyError(keyId) {
     // Only sync to GitHub if we actually made changes
     if (wasCleared) {
         dbModule.syncToGitHub().catch(err => {
-            console.warn(`Failed to sync to GitHub after clearing error for key ${keyId}:`, err);
+            logger.warn(`Failed to sync to GitHub after clearing error for key ${keyId}:`, err);
         });
     }
 
@@ -500,12 +590,13 @@ async function deleteAllErrorKeys() {
                     }
                 }
             } catch (listError) {
-                console.warn('Error updating rotation list during bulk delete:', listError);
+                logger.warn('Error updating rotation list during bulk delete:', listError);
                 // Continue with the transaction, as the main deletion was successful
             }
 
             await configService.runDb('COMMIT');
-            console.log(`Deleted ${deleteResult.changes} error keys from database.`);
+            errorKeyIds.forEach(keyId => keyPool.forgetKey(keyId));
+            logger.info(`Deleted ${deleteResult.changes} error keys from database.`);
 
             // Sync updates to GitHub - outside transaction
             await dbModule.syncToGitHub();
@@ -519,7 +610,7 @@ async function deleteAllErrorKeys() {
             };
         } catch (error) {
             await configService.runDb('ROLLBACK');
-            console.error('Error deleting all error keys:', error);
+            logger.error('Error deleting all error keys:', error);
             throw error;
         }
     });
@@ -553,7 +644,7 @@ async function clearAllErrorKeys() {
             );
 
             await configService.runDb('COMMIT');
-            console.log(`Cleared error status for ${updateResult.changes} keys.`);
+            logger.info(`Cleared error status for ${updateResult.changes} keys.`);
 
             // Sync updates to GitHub - outside transaction
             await dbModule.syncToGitHub();
@@ -568,7 +659,7 @@ async function clearAllErrorKeys() {
             };
         } catch (error) {
             await configService.runDb('ROLLBACK');
-            console.error('Error clearing all error keys:', error);
+            logger.error('Error clearing all error keys:', error);
             throw error;
         }
     });
@@ -582,7 +673,7 @@ async function clearAllErrorKeys() {
  */
 async function recordKeyError(keyId, status) {
     if (status !== 400 && status !== 401 && status !== 403) {
-        console.warn(`Attempted to record invalid error status ${status} for key ${keyId}.`);
+        logger.warn(`Attempted to record invalid error status ${status} for key ${keyId}.`);
         return;
     }
 
@@ -595,309 +686,638 @@ async function recordKeyError(keyId, status) {
             );
 
             if (result.changes > 0) {
-                console.log(`Recorded error status ${status} for key ${keyId}.`);
+                logger.info(`Recorded error status ${status} for key ${keyId}.`);
             } else {
-                console.warn(`Cannot record error: Key info not found for ID: ${keyId}`);
+                logger.warn(`Cannot record error: Key info not found for ID: ${keyId}`);
             }
         } catch (e) {
-            console.error(`Failed to record error status ${status} for key ${keyId}:`, e);
+            logger.error(`Failed to record error status ${status} for key ${keyId}:`, e);
             // Don't rethrow, recording error is secondary
         }
     });
 
     // Sync updates to GitHub (async, don't wait, outside of serialized operation)
     dbModule.syncToGitHub().catch(err => {
-        console.warn(`Failed to sync to GitHub after recording error for key ${keyId}:`, err);
+        logger.warn(`Failed to sync to GitHub after recording error for key ${keyId}:`, err);
     });
 }
 
+// --- Cooldowns for Transient Failures ---
+
+// Statuses that put a key on a temporary cooldown instead of marking it as errored
+const TRANSIENT_ERROR_STATUSES = [429, 500, 502, 503, 504];
+// The first cooldown lasts the base duration and doubles with each consecutive failure, up to the maximum
+const RATE_LIMIT_COOLDOWN_BASE_MS = 30 * 1000;
+const SERVER_ERROR_COOLDOWN_BASE_MS = 10 * 1000;
+const MAX_COOLDOWN_MS = 30 * 60 * 1000;
+
+/**
+ * Gets how long a key is still cooling down for a model.
+ * @param {object} keyState The key's state from the key pool.
+ * @param {string} [modelId]
+ * @param {number} [now=Date.now()]
+ * @returns {number} Milliseconds until the key can be used again, 0 if it is available.
+ */
+function getCooldownRemaining(keyState, modelId, now = Date.now()) {
+    const keyUntil = keyState.cooldownUntil ? Date.parse(keyState.cooldownUntil) : 0;
+    const modelCooldown = modelId ? keyState.modelCooldowns[modelId] : undefined;
+    const modelUntil = modelCooldown?.until ? Date.parse(modelCooldown.until) : 0;
+    return Math.max(keyUntil - now, modelUntil - now, 0);
+}
+
+/**
+ * Puts a key on cooldown after a transient failure (429 or 5xx), with exponential backoff.
+ * A 429 only cools down the model it was returned for, since rate limits are per model;
+ * server errors cool down the whole key. The streak is reset by the next successful request.
+ * @param {string} keyId
+ * @param {number} status The upstream HTTP status.
+ * @param {string} [modelId]
+ * @param {object} [options]
+ * @param {number|null} [options.cooldownMs] Exact cooldown to use instead of the backoff, e.g. an upstream retry delay.
+ * @returns {Promise<number>} The cooldown in milliseconds, 0 if nothing was recorded.
+ */
+async function recordKeyFailure(keyId, status, modelId, options = {}) {
+    if (!TRANSIENT_ERROR_STATUSES.includes(status)) {
+        logger.warn(`Attempted to record non-transient failure status ${status} for key ${keyId}.`);
+        return 0;
+    }
+
+    const keyState = await keyPool.loadKeyState(keyId);
+    if (!keyState) {
+        logger.warn(`Cannot record failure: Key info not found for ID: ${keyId}`);
+        return 0;
+    }
+
+    const baseMs = status === 429 ? RATE_LIMIT_COOLDOWN_BASE_MS : SERVER_ERROR_COOLDOWN_BASE_MS;
+    let streak;
+    if (status === 429 && modelId) {
+        const modelCooldown = keyState.modelCooldowns[modelId] || { streak: 0 };
+        streak = modelCooldown.streak + 1;
+        const cooldownMs = options.cooldownMs ?? Math.min(baseMs * 2 ** (streak - 1), MAX_COOLDOWN_MS);
+        keyState.modelCooldowns[modelId] = { until: new Date(Date.now() + cooldownMs).toISOString(), streak };
+        keyPool.markKeyDirty(keyId);
+        logger.warn(`Key ${keyId} cooling down for model ${modelId} for ${Math.round(cooldownMs / 1000)}s after ${status} (streak ${streak}).`);
+        return cooldownMs;
+    }
+
+    streak = keyState.failureStreak + 1;
+    const cooldownMs = options.cooldownMs ?? Math.min(baseMs * 2 ** (streak - 1), MAX_COOLDOWN_MS);
+    keyState.failureStreak = streak;
+    keyState.cooldownUntil = new Date(Date.now() + cooldownMs).toISOString();
+    keyPool.markKeyDirty(keyId);
+    logger.warn(`Key ${keyId} cooling down for ${Math.round(cooldownMs / 1000)}s after ${status} (streak ${streak}).`);
+    return cooldownMs;
+}
+
+/**
+ * Ends all cooldowns of a key and resets its failure streaks.
+ * @param {string} keyId
+ * @returns {Promise<boolean>} Returns true if the key had a cooldown or failure streak.
+ */
+async function clearKeyCooldown(keyId) {
+    const keyState = await keyPool.loadKeyState(keyId);
+    if (!keyState) {
+        throw new Error(`Key with ID '${keyId}' not found for clearing cooldown.`);
+    }
+
+    const hadCooldown = !!keyState.cooldownUntil || keyState.failureStreak > 0 || Object.keys(keyState.modelCooldowns).length > 0;
+    if (hadCooldown) {
+        keyState.cooldownUntil = null;
+        keyState.failureStreak = 0;
+        keyState.modelCooldowns = {};
+        keyPool.markKeyDirty(keyId);
+        logger.info(`Cleared cooldown for key ${keyId}.`);
+    }
+    return hadCooldown;
+}
+
+// --- Usage Windows ---
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Brings a key's usage counters up to date with the current quota window.
+ * Daily windows reset the counters when the quota day changes; rolling windows recount the
+ * hourly buckets of the last 24 hours. Buckets older than that are dropped either way.
+ * @param {object} keyState The key's usage state from the key pool.
+ * @param {{timeZone: string, resetTime: string, window: 'daily'|'rolling_24h'}} resetConfig From configService.getQuotaResetConfig().
+ * @param {number} [now]
+ * @returns {boolean} Whether the state needs to be saved.
+ */
+function refreshUsageWindow(keyState, resetConfig, now = Date.now()) {
+    const quotaDate = getQuotaDay(resetConfig, now).date;
+    let changed = false;
+
+    const oldestHour = new Date(now - 23 * HOUR_MS).toISOString().substring(0, 13);
+    Object.keys(keyState.usageBuckets).forEach(hour => {
+        if (hour < oldestHour) {
+            delete keyState.usageBuckets[hour];
+            changed = true;
+        }
+    });
+
+    if (resetConfig.window === 'rolling_24h') {
+        const modelUsage = {};
+        const categoryUsage = { pro: 0, flash: 0 };
+        Object.values(keyState.usageBuckets).forEach(bucket => {
+            Object.entries(bucket.models || {}).forEach(([modelId, count]) => {
+                modelUsage[modelId] = (modelUsage[modelId] || 0) + count;
+            });
+            Object.entries(bucket.categories || {}).forEach(([categoryKey, count]) => {
+                categoryUsage[categoryKey] = (categoryUsage[categoryKey] || 0) + count;
+            });
+        });
+        keyState.modelUsage = modelUsage;
+        keyState.categoryUsage = categoryUsage;
+    } else if (keyState.usageDate !== quotaDate) {
+        logger.info(`Quota day change detected (${keyState.usageDate || 'none'} → ${quotaDate}). Resetting usage.`);
+        keyState.modelUsage = {};
+        keyState.categoryUsage = { pro: 0, flash: 0 };
+    }
+
+    if (keyState.usageDate !== quotaDate) {
+        keyState.usageDate = quotaDate;
+        changed = true;
+    }
+    return changed;
+}
+
+/**
+ * Adds to a key's model and/or category usage, and to the current hour's bucket for rolling windows.
+ * @param {object} keyState The key's usage state from the key pool.
+ * @param {string|null} [modelId]
+ * @param {'pro'|'flash'|null} [categoryKey]
+ * @param {number} amount
+ * @param {number} [now]
+ */
+function addKeyUsage(keyState, modelId, categoryKey, amount, now = Date.now()) {
+    const hour = new Date(now).toISOString().substring(0, 13);
+    const bucket = keyState.usageBuckets[hour] || (keyState.usageBuckets[hour] = { models: {}, categories: {} });
+    if (modelId) {
+        keyState.modelUsage[modelId] = (keyState.modelUsage[modelId] || 0) + amount;
+        bucket.models[modelId] = (bucket.models[modelId] || 0) + amount;
+    }
+    if (categoryKey) {
+        keyState.categoryUsage[categoryKey] = (keyState.categoryUsage[categoryKey] || 0) + amount;
+        bucket.categories[categoryKey] = (bucket.categories[categoryKey] || 0) + amount;
+    }
+}
+
+/**
+ * Gets a key's requests and tokens of the last minute for a model, dropping older entries.
+ * @param {object} keyState The key's usage state from the key pool.
+ * @param {string} modelId
+ * @param {number} [now]
+ * @returns {Array<{at: number, requests: number, tokens: number}>}
+ */
+function getMinuteWindow(keyState, modelId, now = Date.now()) {
+    const entries = (keyState.minuteWindow[modelId] || []).filter(entry => entry.at > now - MINUTE_MS);
+    keyState.minuteWindow[modelId] = entries;
+    return entries;
+}
+
+/**
+ * Sums a key's requests and tokens of the last minute for a model.
+ * @param {object} keyState The key's usage state from the key pool.
+ * @param {string} modelId
+ * @param {number} [now]
+ * @returns {{requests: number, tokens: number}}
+ */
+function getMinuteUsage(keyState, modelId, now = Date.now()) {
+    return getMinuteWindow(keyState, modelId, now).reduce((usage, entry) => ({
+        requests: usage.requests + entry.requests,
+        tokens: usage.tokens + entry.tokens
+    }), { requests: 0, tokens: 0 });
+}
+
+/**
+ * Records the tokens a finished request used, for the per-minute token limits.
+ * Memory only: a minute of history isn't worth persisting.
+ * @param {string} keyId
+ * @param {string} modelId The model the request was sent to.
+ * @param {number} tokens
+ * @returns {Promise<void>}
+ */
+async function recordKeyTokens(keyId, modelId, tokens) {
+    if (!keyId || !modelId || !(tokens > 0)) return;
+    const keyState = await keyPool.loadKeyState(keyId);
+    if (!keyState) return;
+    const now = Date.now();
+    getMinuteWindow(keyState, modelId, now).push({ at: now, requests: 0, tokens });
+}
+
 // --- Key Selection and Usage Update Logic ---
 
+// Strategies for picking a key among the available ones, set with the 'key_selection_strategy' setting
+const KEY_SELECTION_STRATEGIES = ['round_robin', 'least_used', 'weighted', 'random', 'sticky'];
+const DEFAULT_KEY_SELECTION_STRATEGY = 'round_robin';
+
+/**
+ * Gets the configured key selection strategy.
+ * @returns {Promise<string>} One of KEY_SELECTION_STRATEGIES.
+ */
+async function getKeySelectionStrategy() {
+    const strategy = await configService.getSetting('key_selection_strategy', DEFAULT_KEY_SELECTION_STRATEGY);
+    return KEY_SELECTION_STRATEGIES.includes(strategy) ? strategy : DEFAULT_KEY_SELECTION_STRATEGY;
+}
+
+/**
+ * Checks whether a key has used up the current window's quota for a model. Call refreshUsageWindow first.
+ * @param {string} keyId
+ * @param {object} keyState The key's usage state from the key pool.
+ * @param {string} requestedModelId
+ * @param {'Pro' | 'Flash' | 'Custom'} modelCategory
+ * @param {object|undefined} modelConfig The model's entry in the models config, if configured.
+ * @param {{proQuota: number|null, flashQuota: number|null}} categoryQuotas
+ * @param {number} [tierQuota] The model's daily quota for the key's tier, if known.
+ * @returns {boolean}
+ */
+function isKeyQuotaExceeded(keyId, keyState, requestedModelId, modelCategory, modelConfig, categoryQuotas, tierQuota) {
+    const { modelUsage, categoryUsage } = keyState;
+
+    // A known limit for the key's tier replaces the shared category and model quotas
+    if (tierQuota !== undefined) {
+        if ((modelUsage[requestedModelId] || 0) >= tierQuota) {
+            logger.debug(`Skipping key ${keyId}: tier quota for model '${requestedModelId}' reached (${modelUsage[requestedModelId] || 0}/${tierQuota}).`);
+            return true;
+        }
+        return false;
+    }
+
+    switch (modelCategory) {
+        case 'Pro':
+            if (modelConfig?.individualQuota) { // Check individual first
+                if ((modelUsage[requestedModelId] || 0) >= modelConfig.individualQuota) {
+                    logger.debug(`Skipping key ${keyId}: Pro model '${requestedModelId}' individual quota reached (${modelUsage[requestedModelId] || 0}/${modelConfig.individualQuota}).`);
+                    return true;
+                }
+            }
+            if (categoryQuotas.proQuota !== null && (categoryUsage.pro || 0) >= categoryQuotas.proQuota) {
+                logger.debug(`Skipping key ${keyId}: Pro category quota reached (${categoryUsage.pro || 0}/${categoryQuotas.proQuota}).`);
+                return true;
+            }
+            return false;
+        case 'Flash':
+            if (modelConfig?.individualQuota) { // Check individual first
+                if ((modelUsage[requestedModelId] || 0) >= modelConfig.individualQuota) {
+                    logger.debug(`Skipping key ${keyId}: Flash model '${requestedModelId}' individual quota reached (${modelUsage[requestedModelId] || 0}/${modelConfig.individualQuota}).`);
+                    return true;
+                }
+            }
+            if (categoryQuotas.flashQuota !== null && (categoryUsage.flash || 0) >= categoryQuotas.flashQuota) {
+                logger.debug(`Skipping key ${keyId}: Flash category quota reached (${categoryUsage.flash || 0}/${categoryQuotas.flashQuota}).`);
+                return true;
+            }
+            return false;
+        case 'Custom':
+            if (modelConfig?.dailyQuota !== null && (modelUsage[requestedModelId] || 0) >= modelConfig.dailyQuota) {
+                logger.debug(`Skipping key ${keyId}: Custom model '${requestedModelId}' quota reached (${modelUsage[requestedModelId] || 0}/${modelConfig.dailyQuota}).`);
+                return true;
+            }
+            return false;
+        default:
+            return false;
+    }
+}
+
 /**
- * Selects the next available Gemini API key using round-robin.
- * Skips keys with errors or quota limits reached.
+ * Checks whether a key has reached a model's per-minute request or token limit.
+ * @param {string} keyId
+ * @param {object} keyState The key's usage state from the key pool.
+ * @param {string} requestedModelId
+ * @param {object|undefined} modelConfig The model's entry in the models config, if configured.
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isKeyRateLimited(keyId, keyState, requestedModelId, modelConfig, now) {
+    if (!modelConfig?.rpmLimit && !modelConfig?.tpmLimit) return false;
+    const { requests, tokens } = getMinuteUsage(keyState, requestedModelId, now);
+    if (modelConfig.rpmLimit && requests >= modelConfig.rpmLimit) {
+        logger.debug(`Skipping key ${keyId}: RPM limit for model '${requestedModelId}' reached (${requests}/${modelConfig.rpmLimit}).`);
+        return true;
+    }
+    if (modelConfig.tpmLimit && tokens >= modelConfig.tpmLimit) {
+        logger.debug(`Skipping key ${keyId}: TPM limit for model '${requestedModelId}' reached (${tokens}/${modelConfig.tpmLimit}).`);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Gets how much of the relevant quota a key has used in the current window, for the least-used strategy.
+ * Custom models count their own usage, Pro/Flash models their category's, and requests without a model all usage.
+ * @param {object} keyState The key's usage state from the key pool, refreshed with refreshUsageWindow.
+ * @param {string} [requestedModelId]
+ * @param {'Pro' | 'Flash' | 'Custom'} [modelCategory]
+ * @returns {number}
+ */
+function getKeyUsageToday(keyState, requestedModelId, modelCategory) {
+    const { modelUsage, categoryUsage } = keyState;
+    switch (modelCategory) {
+        case 'Pro': return categoryUsage.pro || 0;
+        case 'Flash': return categoryUsage.flash || 0;
+        case 'Custom': return modelUsage[requestedModelId] || 0;
+        default: return (categoryUsage.pro || 0) + (categoryUsage.flash || 0);
+    }
+}
+
+/**
+ * Picks a key at random, in proportion to the keys' weights.
+ * @param {Array<{keyInfo: object}>} candidates
+ * @returns {{keyInfo: object}}
+ */
+function pickWeightedCandidate(candidates) {
+    const weights = candidates.map(c => Math.max(c.keyInfo.weight ?? 1, 0));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) {
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+    let threshold = Math.random() * totalWeight;
+    for (let i = 0; i < candidates.length; i++) {
+        threshold -= weights[i];
+        if (threshold < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+}
+
+/**
+ * Picks the same key for a worker key every time, as long as that key stays available
+ * (rendezvous hashing: when a key drops out, only the worker keys that were on it move).
+ * @param {Array<{keyInfo: object}>} candidates
+ * @param {string} workerApiKey
+ * @returns {{keyInfo: object}}
+ */
+function pickStickyCandidate(candidates, workerApiKey) {
+    let best = null;
+    let bestScore = -1;
+    candidates.forEach(candidate => {
+        const hash = crypto.createHash('sha256').update(`${workerApiKey}:${candidate.keyInfo.id}`).digest();
+        const score = hash.readUInt32BE(0);
+        if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * Selects the next available Gemini API key.
+ * Skips keys with errors, bound to proxies that are all disabled or assigned to a disabled upstream, on cooldown, at a per-minute limit or with quota limits reached (the key tier's limits where known), then picks among the keys of the highest priority
+ * (lower priorities are only used as a fallback) using the configured key selection strategy.
+ * Usage counters and the rotation index are read from and written to the in-memory key pool,
+ * which persists them in the background.
  * @param {string} [requestedModelId] The model being requested, for quota checking.
- * @param {boolean} [updateIndex=true] Whether to update the index in the database. Set to false for read-only operations.
- * @returns {Promise<{ id: string; key: string } | null>} The selected key ID and value, or null if none available.
+ * @param {boolean} [updateIndex=true] Whether to advance the rotation index. Set to false for read-only operations.
+ * @param {'Pro' | 'Flash' | 'Custom'} [fallbackCategory] Category to use when the model isn't configured, instead of inferring it from the name.
+ * @param {object} [options]
+ * @param {string} [options.workerApiKey] The worker key making the request, for the sticky strategy.
+ * @param {string[]} [options.avoidKeyIds] Keys already tried for this request; only picked when no other key is available.
+ * @returns {Promise<{ id: string; key: string; proxyBinding: string|null; upstreamId: string|null } | null>} The selected key ID, value, proxy binding and upstream, or null if none available.
  */
-async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true) {
+async function getNextAvailableGeminiKey(requestedModelId, updateIndex = true, fallbackCategory, options = {}) {
+    const { workerApiKey, avoidKeyIds = [] } = options;
     try {
-        // 1. Get key list, current index, configs in parallel
-        const [allKeyIds, currentIndexSetting, modelsConfig, categoryQuotas] = await Promise.all([
+        // 1. Get key list, configs, strategy and key rows in parallel
+        const [allKeyIds, modelsConfig, categoryQuotas, tierQuotas, resetConfig, configuredStrategy, keyRows] = await Promise.all([
             configService.getSetting('gemini_key_list', []),
-            configService.getSetting('gemini_key_index', 0),
             configService.getModelsConfig(),
-            configService.getCategoryQuotas()
+            configService.getCategoryQuotas(),
+            configService.getTierQuotas(),
+            configService.getQuotaResetConfig(),
+            getKeySelectionStrategy(),
+            configService.allDb(`SELECT id, api_key, error_status, weight, priority, tier, proxy_binding, upstream_id, usage_date, model_usage, category_usage,
+                usage_buckets, consecutive_429_counts, cooldown_until, failure_streak, model_cooldowns, quota_hits FROM gemini_keys`)
         ]);
 
         if (!Array.isArray(allKeyIds) || allKeyIds.length === 0) {
-            console.error("No Gemini keys configured in settings 'gemini_key_list'");
+            logger.error("No Gemini keys configured in settings 'gemini_key_list'");
             return null;
         }
 
-        // Use transaction for index updates to prevent race conditions
-        let selectedKeyData = null;
-
-        // Wrap transaction operations in serializeDb to prevent conflicts with other operations
-        const executeKeySelection = async () => {
-            // Start transaction if we're going to update the index
-            if (updateIndex) {
-                await configService.runDb('BEGIN TRANSACTION');
-            }
-
-            try {
-            // Get the most current index value within the transaction if updating
-            let currentIndex;
-            if (updateIndex) {
-                const refreshedIndexSetting = await configService.getSetting('gemini_key_index', 0);
-                currentIndex = (typeof refreshedIndexSetting === 'number' && refreshedIndexSetting >= 0) ? 
-                    refreshedIndexSetting : 0;
+        // Sticky selection needs a worker key, fall back to round-robin without one
+        const strategy = configuredStrategy === 'sticky' && !workerApiKey ? 'round_robin' : configuredStrategy;
+
+        // 2. Determine model category for quota checks
+        let modelCategory = undefined;
+        let modelConfig = undefined;
+        if (requestedModelId) {
+            modelConfig = modelsConfig[requestedModelId];
+            if (modelConfig) {
+                modelCategory = modelConfig.category;
+            } else if (fallbackCategory) {
+                modelCategory = fallbackCategory;
             } else {
-                currentIndex = (typeof currentIndexSetting === 'number' && currentIndexSetting >= 0) ? 
-                    currentIndexSetting : 0;
+                // If model is not configured, infer category from model name
+                if (requestedModelId.includes('flash')) {
+                    modelCategory = 'Flash';
+                } else if (requestedModelId.includes('pro')) {
+                    modelCategory = 'Pro';
+                } else {
+                    // Default to Flash for unknown models (most common case)
+                    modelCategory = 'Flash';
+                }
+                logger.debug(`Model ${requestedModelId} not configured, inferred category: ${modelCategory}`);
             }
-            
-            if (currentIndex >= allKeyIds.length) {
-                currentIndex = 0; // Reset if index is out of bounds
+        }
+
+        // 3. Collect the available keys, in rotation list order
+        const keysById = new Map(keyRows.map(row => [row.id, row]));
+        const now = Date.now();
+        const availableKeys = [];
+
+        allKeyIds.forEach((keyId, position) => {
+            const keyInfo = keysById.get(keyId);
+            if (!keyInfo) {
+                logger.warn(`Key ID ${keyId} from list not found in database. Skipping.`);
+                return;
             }
 
-            // 2. Determine model category for quota checks
-            let modelCategory = undefined;
-            let modelConfig = undefined;
-            if (requestedModelId) {
-                modelConfig = modelsConfig[requestedModelId];
-                if (modelConfig) {
-                    modelCategory = modelConfig.category;
-                } else {
-                    // If model is not configured, infer category from model name
-                    if (requestedModelId.includes('flash')) {
-                        modelCategory = 'Flash';
-                    } else if (requestedModelId.includes('pro')) {
-                        modelCategory = 'Pro';
-                    } else {
-                        // Default to Flash for unknown models (most common case)
-                        modelCategory = 'Flash';
-                    }
-                    console.log(`Model ${requestedModelId} not configured, inferred category: ${modelCategory}`);
-                }
+            // Check for 400/401/403 error status
+            if (keyInfo.error_status === 400 || keyInfo.error_status === 401 || keyInfo.error_status === 403) {
+                logger.debug(`Skipping key ${keyId} due to error status: ${keyInfo.error_status}`);
+                return;
             }
 
-            // 3. Iterate through keys using round-robin
-            const todayInLA = getTodayInLA();
-            let keysChecked = 0;
-            let initialIndex = currentIndex; // To detect full loop
+            // Skip keys bound to proxies that are all disabled, they must not fall back to other proxies
+            if (!proxyPool.hasUsableProxy(keyInfo.proxy_binding)) {
+                logger.debug(`Skipping key ${keyId}: no enabled proxy for its binding ${keyInfo.proxy_binding}.`);
+                return;
+            }
 
-            while (keysChecked < allKeyIds.length) {
-                const keyId = allKeyIds[currentIndex];
-                keysChecked++;
+            // Skip keys assigned to a disabled upstream
+            if (!upstreamService.hasUsableUpstream(keyInfo.upstream_id)) {
+                logger.debug(`Skipping key ${keyId}: its upstream ${keyInfo.upstream_id} is disabled.`);
+                return;
+            }
 
-                const keyInfo = await configService.getDb('SELECT * FROM gemini_keys WHERE id = ?', [keyId]);
+            // Skip keys cooling down after transient failures
+            const keyState = keyPool.getKeyState(keyInfo);
+            const cooldownMs = getCooldownRemaining(keyState, requestedModelId, now);
+            if (cooldownMs > 0) {
+                logger.debug(`Skipping key ${keyId}: cooling down for another ${Math.ceil(cooldownMs / 1000)}s.`);
+                return;
+            }
 
-                // --- Move index update here to ensure it always happens ---
-                const nextIndex = (currentIndex + 1) % allKeyIds.length;
+            // Skip keys at the model's per-minute limits
+            if (requestedModelId && isKeyRateLimited(keyId, keyState, requestedModelId, modelConfig, now)) {
+                return;
+            }
 
-                // --- Validation Checks ---
-                if (!keyInfo) {
-                    console.warn(`Key ID ${keyId} from list not found in database. Skipping.`);
-                    currentIndex = nextIndex;
-                    continue; // Skip this key if its details aren't in the DB
-                }
+            // Check quota if model category is known, counting the current daily or rolling window
+            if (refreshUsageWindow(keyState, resetConfig, now)) {
+                keyPool.markKeyDirty(keyId);
+            }
+            const tierQuota = requestedModelId ? tierQuotas[keyInfo.tier || 'free']?.[requestedModelId]?.dailyQuota : undefined;
+            if (modelCategory &&
+                isKeyQuotaExceeded(keyId, keyState, requestedModelId, modelCategory, modelConfig, categoryQuotas, tierQuota)) {
+                return;
+            }
 
-                // Check for 400/401/403 error status
-                if (keyInfo.error_status === 400 || keyInfo.error_status === 401 || keyInfo.error_status === 403) {
-                    console.log(`Skipping key ${keyId} due to error status: ${keyInfo.error_status}`);
-                    currentIndex = nextIndex;
-                    continue;
-                }
+            availableKeys.push({ keyInfo, keyState, position });
+        });
 
-                // Check quota if model category is known and it's the same day
-                let quotaExceeded = false;
-                if (modelCategory && keyInfo.usage_date === todayInLA) {
-                    try {
-                        const modelUsage = JSON.parse(keyInfo.model_usage || '{}');
-                        const categoryUsage = JSON.parse(keyInfo.category_usage || '{}');
-
-                        switch (modelCategory) {
-                            case 'Pro':
-                                if (modelConfig?.individualQuota) { // Check individual first
-                                    if ((modelUsage[requestedModelId] || 0) >= modelConfig.individualQuota) {
-                                        console.log(`Skipping key ${keyId}: Pro model '${requestedModelId}' individual quota reached (${modelUsage[requestedModelId] || 0}/${modelConfig.individualQuota}).`);
-                                        quotaExceeded = true;
-                                    }
-                                }
-                                if (!quotaExceeded && categoryQuotas.proQuota !== null && (categoryUsage.pro || 0) >= categoryQuotas.proQuota) {
-                                    console.log(`Skipping key ${keyId}: Pro category quota reached (${categoryUsage.pro || 0}/${categoryQuotas.proQuota}).`);
-                                    quotaExceeded = true;
-                                }
-                                break;
-                            case 'Flash':
-                                if (modelConfig?.individualQuota) { // Check individual first
-                                    if ((modelUsage[requestedModelId] || 0) >= modelConfig.individualQuota) {
-                                        console.log(`Skipping key ${keyId}: Flash model '${requestedModelId}' individual quota reached (${modelUsage[requestedModelId] || 0}/${modelConfig.individualQuota}).`);
-                                        quotaExceeded = true;
-                                    }
-                                }
-                                if (!quotaExceeded && categoryQuotas.flashQuota !== null && (categoryUsage.flash || 0) >= categoryQuotas.flashQuota) {
-                                    console.log(`Skipping key ${keyId}: Flash category quota reached (${categoryUsage.flash || 0}/${categoryQuotas.flashQuota}).`);
-                                    quotaExceeded = true;
-                                }
-                                break;
-                            case 'Custom':
-                                if (modelConfig?.dailyQuota !== null && (modelUsage[requestedModelId] || 0) >= modelConfig.dailyQuota) {
-                                    console.log(`Skipping key ${keyId}: Custom model '${requestedModelId}' quota reached (${modelUsage[requestedModelId] || 0}/${modelConfig.dailyQuota}).`);
-                                    quotaExceeded = true;
-                                }
-                                break;
-                        }
-                    } catch (parseError) {
-                        console.error(`Error parsing usage JSON for key ${keyId}. Skipping quota check. Error:`, parseError);
-                        // Optionally skip the key entirely if parsing fails
-                    }
-                }
+        // Prefer keys that haven't been tried for this request yet
+        const untriedKeys = availableKeys.filter(c => !avoidKeyIds.includes(c.keyInfo.id));
+        const pool = untriedKeys.length > 0 ? untriedKeys : availableKeys;
 
-                if (quotaExceeded) {
-                    currentIndex = nextIndex;
-                    continue; // Skip this key
-                }
+        // Only the highest priority tier is used, lower tiers are fallbacks
+        const topPriority = Math.max(...pool.map(c => c.keyInfo.priority || 0));
+        const candidates = pool.filter(c => (c.keyInfo.priority || 0) === topPriority);
 
-                // If we reach here, the key is valid
-                selectedKeyData = { id: keyInfo.id, key: keyInfo.api_key };
-                currentIndex = nextIndex; // Set index for the *next* request
-                break; // Found a valid key
-            } // End while loop
+        if (candidates.length === 0) {
+            logger.error("No available Gemini keys found after checking all keys.");
+            return null;
+        }
 
-            // --- Post-selection Updates ---
-            if (!selectedKeyData) {
-                if (updateIndex) {
-                    await configService.runDb('ROLLBACK'); // Rollback if no key found
+        // 4. Pick a key with the selected strategy
+        let selected;
+        let nextIndex = null;
+        switch (strategy) {
+            case 'least_used':
+                selected = candidates.reduce((best, c) =>
+                    getKeyUsageToday(c.keyState, requestedModelId, modelCategory) <
+                    getKeyUsageToday(best.keyState, requestedModelId, modelCategory) ? c : best);
+                break;
+            case 'weighted':
+                selected = pickWeightedCandidate(candidates);
+                break;
+            case 'random':
+                selected = candidates[Math.floor(Math.random() * candidates.length)];
+                break;
+            case 'sticky':
+                selected = pickStickyCandidate(candidates, workerApiKey);
+                break;
+            default: {
+                // Sequential round-robin: the first candidate at or after the saved index
+                let currentIndex = await keyPool.getRotationIndex();
+                if (currentIndex >= allKeyIds.length) {
+                    currentIndex = 0; // Reset if index is out of bounds
                 }
-                console.error("No available Gemini keys found after checking all keys.");
-                return null;
+                selected = candidates.find(c => c.position >= currentIndex) || candidates[0];
+                nextIndex = (selected.position + 1) % allKeyIds.length;
             }
+        }
 
-            // Only update indices if updateIndex is true (for API operations)
-            // Skip for read-only operations like fetching model lists
-            if (updateIndex) {
-                // Save the next index for the subsequent request within the transaction
-                // Use direct SQL to avoid nested transactions
-                await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', 
-                    ['gemini_key_index', String(currentIndex)]);
-                await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)', 
-                    ['last_used_gemini_key_id', selectedKeyData.id]);
-                
-                // Commit the transaction
-                await configService.runDb('COMMIT');
-                
-                // GitHub sync outside transaction
-                await dbModule.syncToGitHub();
-                console.log(`Selected Gemini Key ID via sequential round-robin: ${selectedKeyData.id} (next index will be: ${currentIndex})`);
-            } else {
-                console.log(`Selected Gemini Key ID (read-only): ${selectedKeyData.id} (index not updated)`);
-            }
-            
-            return selectedKeyData;
-            
-            } catch (error) {
-                // If any error occurs and we're in a transaction, rollback
-                if (updateIndex) {
-                    await configService.runDb('ROLLBACK');
-                }
-                throw error; // Re-throw to be caught by outer try/catch
-            }
+        const selectedKeyData = {
+            id: selected.keyInfo.id,
+            key: selected.keyInfo.api_key,
+            proxyBinding: selected.keyInfo.proxy_binding || null,
+            upstreamId: selected.keyInfo.upstream_id || null
         };
 
-        // Execute key selection with or without serialization based on updateIndex
+        // Only update indices if updateIndex is true (for API operations)
+        // Skip for read-only operations like fetching model lists
         if (updateIndex) {
-            selectedKeyData = await configService.serializeDb(executeKeySelection);
+            // Save the next index for the subsequent request (persisted by the key pool's next flush)
+            if (nextIndex !== null) {
+                keyPool.setRotationIndex(nextIndex);
+            }
+            keyPool.setLastUsedKeyId(selectedKeyData.id);
+            logger.debug(`Selected Gemini Key ID via ${strategy}: ${selectedKeyData.id}${nextIndex !== null ? ` (next index will be: ${nextIndex})` : ''}`);
         } else {
-            selectedKeyData = await executeKeySelection();
+            logger.debug(`Selected Gemini Key ID (read-only): ${selectedKeyData.id} (index not updated)`);
         }
 
         return selectedKeyData;
 
     } catch (error) {
-        console.error("Error retrieving or processing Gemini keys:", error);
+        logger.error("Error retrieving or processing Gemini keys:", error);
         return null;
     }
 }
 
 
 /**
- * Increments the usage count for a given Gemini Key ID. Resets if the date changes.
- * Tracks usage per model and per category. Resets 429 counters on success.
+ * Increments the usage count for a given Gemini Key ID. Resets or rolls the counters with the quota window.
+ * Tracks usage per model and per category, and per-minute requests per model.
+ * Resets 429 counters, failure streaks and cooldowns on success.
+ * The counters are updated in the key pool and written to the database by its next flush.
  * @param {string} keyId
  * @param {string} [modelId]
  * @param {'Pro' | 'Flash' | 'Custom'} [category]
  * @returns {Promise<void>}
  */
 async function incrementKeyUsage(keyId, modelId, category) {
-    await configService.serializeDb(async () => {
-        try {
-            // Get the most current key data
-            const keyRow = await configService.getDb('SELECT usage_date, model_usage, category_usage, consecutive_429_counts FROM gemini_keys WHERE id = ?', [keyId]);
-            if (!keyRow) {
-                console.warn(`Cannot increment usage: Key info not found for ID: ${keyId}`);
-                return;
-            }
+    try {
+        const [keyState, resetConfig] = await Promise.all([
+            keyPool.loadKeyState(keyId),
+            configService.getQuotaResetConfig()
+        ]);
+        if (!keyState) {
+            logger.warn(`Cannot increment usage: Key info not found for ID: ${keyId}`);
+            return;
+        }
 
-            const todayInLA = getTodayInLA();
-            let modelUsage = JSON.parse(keyRow.model_usage || '{}');
-            let categoryUsage = JSON.parse(keyRow.category_usage || '{}');
-            let consecutive429Counts = {}; // Reset 429 on successful usage increment
-            let usageDate = keyRow.usage_date;
-
-            // Reset counters if it's a new day
-            if (usageDate !== todayInLA) {
-                console.log(`Date change detected for key ${keyId} (${usageDate} → ${todayInLA}). Resetting usage.`);
-                usageDate = todayInLA;
-                modelUsage = {};
-                categoryUsage = { pro: 0, flash: 0 };
-                // 429 counts are already reset above
-            }
+        // Reset or roll the counters if the window moved on
+        const now = Date.now();
+        refreshUsageWindow(keyState, resetConfig, now);
 
-            // Increment model-specific usage
-            if (modelId) {
-                modelUsage[modelId] = (modelUsage[modelId] || 0) + 1;
-            }
+        // Increment model- and category-specific usage
+        addKeyUsage(keyState, modelId, category === 'Pro' ? 'pro' : category === 'Flash' ? 'flash' : null, 1, now);
+        if (modelId) {
+            getMinuteWindow(keyState, modelId, now).push({ at: now, requests: 1, tokens: 0 });
+        }
 
-            // Increment category-specific usage
-            if (category === 'Pro') {
-                categoryUsage.pro = (categoryUsage.pro || 0) + 1;
-            } else if (category === 'Flash') {
-                categoryUsage.flash = (categoryUsage.flash || 0) + 1;
-            }
+        // Reset 429 counters and failure streaks on successful usage increment
+        keyState.consecutive429Counts = {};
+        keyState.failureStreak = 0;
+        keyState.cooldownUntil = null;
+        if (modelId) {
+            delete keyState.modelCooldowns[modelId];
+        }
 
-            // Update the database (serializeDb provides atomicity)
-            const sql = `
-                UPDATE gemini_keys
-                SET usage_date = ?, model_usage = ?, category_usage = ?, consecutive_429_counts = ?
-                WHERE id = ?
-            `;
-            await configService.runDb(sql, [
-                usageDate,
-                JSON.stringify(modelUsage),
-                JSON.stringify(categoryUsage),
-                JSON.stringify(consecutive429Counts), // Store empty object (reset counters)
-                keyId
-            ]);
-
-            console.log(`Usage for key ${keyId} updated. Date: ${usageDate}, Model: ${modelId} (${category}), Models: ${JSON.stringify(modelUsage)}, Categories: ${JSON.stringify(categoryUsage)}, 429Counts reset.`);
+        keyPool.markKeyDirty(keyId);
 
-        } catch (e) {
-            console.error(`Failed to increment usage for key ${keyId}:`, e);
-            // Don't rethrow, allow request to potentially succeed anyway
-        }
-    });
+        logger.debug(`Usage for key ${keyId} updated. Date: ${keyState.usageDate}, Model: ${modelId} (${category}), Models: ${JSON.stringify(keyState.modelUsage)}, Categories: ${JSON.stringify(keyState.categoryUsage)}, 429Counts and cooldown reset.`);
 
-    // Sync updates to GitHub (async, outside of serialized operation)
-    dbModule.syncToGitHub().catch(err => {
-        console.warn(`Failed to sync to GitHub after incrementing usage for key ${keyId}:`, err);
-    });
+    } catch (e) {
+        logger.error(`Failed to increment usage for key ${keyId}:`, e);
+        // Don't rethrow, allow request to potentially succeed anyway
+    }
+}
+
+/**
+ * Gets a key's tier and the tier's daily quota for a model.
+ * @param {string} keyId
+ * @param {string} [modelId]
+ * @returns {Promise<number|undefined>} The daily quota, or undefined if the tier has none for the model.
+ */
+async function getKeyTierQuota(keyId, modelId) {
+    if (!modelId) return undefined;
+    const [keyRow, tierQuotas] = await Promise.all([
+        configService.getDb('SELECT tier FROM gemini_keys WHERE id = ?', [keyId]),
+        configService.getTierQuotas()
+    ]);
+    return tierQuotas[keyRow?.tier || 'free']?.[modelId]?.dailyQuota;
 }
 
 /**
  * Forces the usage count for a specific category/model on a key to its configured limit.
+ * The key tier's limit for the model is used when known.
  * Resets the specific 429 counter that triggered the limit.
+ * Flushes the key pool right away, so an exhausted key stays skipped after a crash.
  * @param {string} keyId
  * @param {'Pro' | 'Flash' | 'Custom'} category
  * @param {string} [modelId] Optional model ID (required for Custom or Pro/Flash with individual quota).
@@ -905,47 +1325,36 @@ async function incrementKeyUsage(keyId, modelId, category) {
  * @returns {Promise<void>}
  */
 async function forceSetQuotaToLimit(keyId, category, modelId, counterKey) {
-    // Use serializeDb to ensure atomic operations and avoid concurrency issues
-    await configService.serializeDb(async () => {
-        // Start a transaction for atomic update
-        await configService.runDb('BEGIN TRANSACTION');
-    
     try {
-        // Fetch current key info and configs
-        // Get models and quotas outside the transaction as they don't need to be transactional
-        const [modelsConfig, categoryQuotas] = await Promise.all([
+        // Fetch current key state and configs
+        const [modelsConfig, categoryQuotas, keyState, tierQuota, resetConfig] = await Promise.all([
             configService.getModelsConfig(),
-            configService.getCategoryQuotas()
+            configService.getCategoryQuotas(),
+            keyPool.loadKeyState(keyId),
+            getKeyTierQuota(keyId, modelId),
+            configService.getQuotaResetConfig()
         ]);
-        
-        // Get the latest key data within transaction
-        const keyRow = await configService.getDb('SELECT usage_date, model_usage, category_usage, consecutive_429_counts FROM gemini_keys WHERE id = ?', [keyId]);
 
-        if (!keyRow) {
-            await configService.runDb('ROLLBACK');
-            console.warn(`Cannot force quota limit: Key info not found for ID: ${keyId}`);
+        if (!keyState) {
+            logger.warn(`Cannot force quota limit: Key info not found for ID: ${keyId}`);
             return;
         }
 
-        const todayInLA = getTodayInLA();
-        let modelUsage = JSON.parse(keyRow.model_usage || '{}');
-        let categoryUsage = JSON.parse(keyRow.category_usage || '{}');
-        let consecutive429Counts = JSON.parse(keyRow.consecutive_429_counts || '{}');
-        let usageDate = keyRow.usage_date;
-
-        // Reset usage if date changed
-        if (usageDate !== todayInLA) {
-            console.log(`Date change detected in forceSetQuotaToLimit for key ${keyId}. Resetting usage before forcing.`);
-            usageDate = todayInLA;
-            modelUsage = {};
-            categoryUsage = { pro: 0, flash: 0 };
-            consecutive429Counts = {}; // Also reset 429 counts on date change
+        // Reset or roll the usage if the window moved on
+        const previousUsageDate = keyState.usageDate;
+        const now = Date.now();
+        refreshUsageWindow(keyState, resetConfig, now);
+        if (keyState.usageDate !== previousUsageDate) {
+            keyState.consecutive429Counts = {}; // Also reset 429 counts on date change
         }
+        // Raises a counter to the limit, recording the difference in the current hour for rolling windows
+        const raiseModelUsage = (limit) => addKeyUsage(keyState, modelId, null, Math.max(limit - (keyState.modelUsage[modelId] || 0), 0), now);
+        const raiseCategoryUsage = (categoryKey, limit) => addKeyUsage(keyState, null, categoryKey, Math.max(limit - (keyState.categoryUsage[categoryKey] || 0), 0), now);
 
         // Reset the specific 429 counter
-        if (counterKey && consecutive429Counts.hasOwnProperty(counterKey)) {
-            console.log(`Resetting 429 counter for key ${keyId}, counter ${counterKey} after forcing quota.`);
-            delete consecutive429Counts[counterKey];
+        if (counterKey && keyState.consecutive429Counts.hasOwnProperty(counterKey)) {
+            logger.info(`Resetting 429 counter for key ${keyId}, counter ${counterKey} after forcing quota.`);
+            delete keyState.consecutive429Counts[counterKey];
         }
 
         // Determine the limit and update the relevant usage counter
@@ -953,221 +1362,215 @@ async function forceSetQuotaToLimit(keyId, category, modelId, counterKey) {
         const modelConfig = modelId ? modelsConfig[modelId] : undefined;
         let updated = false;
 
-        switch (category) {
+        // The tier's limit replaces the category and model quotas when known
+        switch (tierQuota !== undefined ? 'Tier' : category) {
+            case 'Tier':
+                quotaLimit = tierQuota;
+                raiseModelUsage(quotaLimit);
+                logger.info(`Forcing model ${modelId} usage for key ${keyId} to its tier limit: ${quotaLimit}`);
+                updated = true;
+                break;
             case 'Pro':
                 if (modelId && modelConfig?.individualQuota) {
                     quotaLimit = modelConfig.individualQuota;
-                    modelUsage[modelId] = quotaLimit;
-                    console.log(`Forcing Pro model ${modelId} individual usage for key ${keyId} to limit: ${quotaLimit}`);
+                    raiseModelUsage(quotaLimit);
+                    logger.info(`Forcing Pro model ${modelId} individual usage for key ${keyId} to limit: ${quotaLimit}`);
                     updated = true;
                 } else if (categoryQuotas.proQuota !== null) {
                     quotaLimit = categoryQuotas.proQuota;
-                    categoryUsage.pro = quotaLimit;
-                    console.log(`Forcing Pro category usage for key ${keyId} to limit: ${quotaLimit}`);
+                    raiseCategoryUsage('pro', quotaLimit);
+                    logger.info(`Forcing Pro category usage for key ${keyId} to limit: ${quotaLimit}`);
                     updated = true;
                 }
                 break;
             case 'Flash':
                 if (modelId && modelConfig?.individualQuota) {
                     quotaLimit = modelConfig.individualQuota;
-                    modelUsage[modelId] = quotaLimit;
-                    console.log(`Forcing Flash model ${modelId} individual usage for key ${keyId} to limit: ${quotaLimit}`);
+                    raiseModelUsage(quotaLimit);
+                    logger.info(`Forcing Flash model ${modelId} individual usage for key ${keyId} to limit: ${quotaLimit}`);
                     updated = true;
                 } else if (categoryQuotas.flashQuota !== null) {
                     quotaLimit = categoryQuotas.flashQuota;
-                    categoryUsage.flash = quotaLimit;
-                    console.log(`Forcing Flash category usage for key ${keyId} to limit: ${quotaLimit}`);
+                    raiseCategoryUsage('flash', quotaLimit);
+                    logger.info(`Forcing Flash category usage for key ${keyId} to limit: ${quotaLimit}`);
                     updated = true;
                 }
                 break;
             case 'Custom':
-                if (modelId && modelConfig?.dailyQuota !== null) {
+                // Models missing from models_config (e.g. embeddings counted as Custom) and models without a quota have no limit to force
+                if (modelId && typeof modelConfig?.dailyQuota === 'number') {
                     quotaLimit = modelConfig.dailyQuota;
-                    modelUsage[modelId] = quotaLimit;
-                    console.log(`Forcing Custom model ${modelId} usage for key ${keyId} to limit: ${quotaLimit}`);
+                    raiseModelUsage(quotaLimit);
+                    logger.info(`Forcing Custom model ${modelId} usage for key ${keyId} to limit: ${quotaLimit}`);
                     updated = true;
                 } else if (!modelId) {
-                    console.warn(`Cannot force quota limit for Custom category without modelId.`);
+                    logger.warn(`Cannot force quota limit for Custom category without modelId.`);
                 }
                 break;
         }
 
+        // Still save potential reset of 429 counter if no quota was forced
+        keyPool.markKeyDirty(keyId);
+
         if (!updated) {
-            console.warn(`No relevant quota found to force for key ${keyId}, category ${category}, model ${modelId}.`);
-            // Still save potential reset of 429 counter if counterKey was provided
-            if (counterKey) {
-                await configService.runDb(
-                    'UPDATE gemini_keys SET consecutive_429_counts = ? WHERE id = ?',
-                    [JSON.stringify(consecutive429Counts), keyId]
-                );
-            }
-            await configService.runDb('COMMIT'); // Still commit the transaction
+            logger.warn(`No relevant quota found to force for key ${keyId}, category ${category}, model ${modelId}.`);
             return;
         }
 
-        // Update the database within transaction
-        const sql = `
-            UPDATE gemini_keys
-            SET usage_date = ?, model_usage = ?, category_usage = ?, consecutive_429_counts = ?
-            WHERE id = ?
-        `;
-        await configService.runDb(sql, [
-            usageDate,
-            JSON.stringify(modelUsage),
-            JSON.stringify(categoryUsage),
-            JSON.stringify(consecutive429Counts),
-            keyId
-        ]);
-        
-        // Commit the transaction
-        await configService.runDb('COMMIT');
-        
-        console.log(`Key ${keyId} quota forced for category ${category}${modelId ? ` (model: ${modelId})` : ''} for date ${usageDate}.`);
+        logger.info(`Key ${keyId} quota forced for category ${category}${modelId ? ` (model: ${modelId})` : ''} for date ${keyState.usageDate}.`);
 
-        // Sync updates to GitHub outside transaction
-        await dbModule.syncToGitHub();
+        await keyPool.flush();
     } catch (e) {
-        // Rollback on error
-        await configService.runDb('ROLLBACK');
-        console.error(`Failed to force quota limit for key ${keyId}:`, e);
+        logger.error(`Failed to force quota limit for key ${keyId}:`, e);
     }
-    });
 }
 
 /**
- * Handles 429 errors: increments counter, forces quota limit if threshold reached.
- * @param {string} keyId
- * @param {'Pro' | 'Flash' | 'Custom'} category
- * @param {string} [modelId] Optional model ID.
- * @param {object | string} [errorDetails] Optional error object/string from Gemini, used to check for quotaId.
- * @returns {Promise<void>}
+ * Parses a protobuf Duration as sent in JSON, e.g. '45s' or '0.5s'.
+ * @param {string|{seconds?: number|string, nanos?: number}} duration
+ * @returns {number|null} Milliseconds, or null if it can't be parsed.
  */
-async function handle429Error(keyId, category, modelId, errorDetails) {
-    const CONSECUTIVE_429_LIMIT = 3;
-
-    // Determine if quota exceeded based on quotaId field
-    const quotaId = typeof errorDetails === 'object' && errorDetails !== null ? errorDetails.quotaId : null;
-    const isQuotaExceeded = typeof quotaId === 'string' && quotaId.toLowerCase().includes("perday");
-
-    // If it's a regular 429 (not quota exceeded), do nothing and return. Retry is handled by the caller.
-    if (!isQuotaExceeded) {
-        console.log(`Received regular 429 for key ${keyId}. Ignoring counter, retry will be handled by caller if applicable.`);
-        return;
+function parseDurationMs(duration) {
+    if (typeof duration === 'string') {
+        const match = duration.trim().match(/^(\d+(?:\.\d+)?)s$/);
+        return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
     }
+    if (duration && typeof duration === 'object') {
+        return Math.ceil((Number(duration.seconds) || 0) * 1000 + (Number(duration.nanos) || 0) / 1e6);
+    }
+    return null;
+}
 
-    // --- Handle Quota Exceeded 429 ---
-    console.warn(`Received quota-exceeded 429 for key ${keyId}. Proceeding with counter logic.`);
-
-    // Use serializeDb to ensure atomic operations and avoid concurrency issues
-    await configService.serializeDb(async () => {
-        let transactionCommitted = false; // Flag to prevent double commit/rollback in finally block if forceSetQuotaToLimit is called
-        try {
-            // Start transaction only if we are processing a quota-exceeded error
-            await configService.runDb('BEGIN TRANSACTION');
-
-        // Get models and quotas (can stay outside transaction)
-        const [modelsConfig, categoryQuotas] = await Promise.all([
-            configService.getModelsConfig(),
-            configService.getCategoryQuotas()
-        ]);
-
-        // Get key data within transaction
-        const keyRow = await configService.getDb('SELECT consecutive_429_counts FROM gemini_keys WHERE id = ?', [keyId]);
-
-        if (!keyRow) {
-            await configService.runDb('ROLLBACK');
-            console.warn(`Cannot handle quota 429: Key info not found for ID: ${keyId}`);
-            return;
+/**
+ * Extracts the retry delay and quota violations from the details of a Gemini 429 error
+ * (google.rpc.RetryInfo and google.rpc.QuotaFailure).
+ * @param {object|string} [errorDetails] The Gemini error object.
+ * @returns {{retryDelayMs: number|null, violations: Array<{quotaId: string|null, quotaMetric: string|null, model: string|null, quotaValue: string|null, window: 'minute'|'day'|'other', kind: 'requests'|'tokens'|'other'}>}}
+ */
+function parseQuotaFailure(errorDetails) {
+    const details = typeof errorDetails === 'object' && Array.isArray(errorDetails?.details) ? errorDetails.details : [];
+    let retryDelayMs = null;
+    const violations = [];
+
+    details.forEach(detail => {
+        const type = detail?.['@type'] || '';
+        if (type.endsWith('google.rpc.RetryInfo')) {
+            retryDelayMs = parseDurationMs(detail.retryDelay);
+        } else if (type.endsWith('google.rpc.QuotaFailure') && Array.isArray(detail.violations)) {
+            detail.violations.forEach(violation => {
+                const quotaId = violation.quotaId || null;
+                const quotaMetric = violation.quotaMetric || null;
+                const description = `${quotaId || ''} ${quotaMetric || ''}`.toLowerCase();
+                violations.push({
+                    quotaId,
+                    quotaMetric,
+                    model: violation.quotaDimensions?.model || null,
+                    quotaValue: violation.quotaValue !== undefined ? String(violation.quotaValue) : null,
+                    window: description.includes('perday') ? 'day' : description.includes('perminute') ? 'minute' : 'other',
+                    kind: description.includes('token') ? 'tokens' : description.includes('request') ? 'requests' : 'other',
+                });
+            });
         }
+    });
 
-        let consecutive429Counts = JSON.parse(keyRow.consecutive_429_counts || '{}');
+    return { retryDelayMs, violations };
+}
 
-        // Determine the counter key and if a relevant quota exists
-        // Use keyId as prefix to ensure each key has its own independent counter
-        let counterKey = undefined;
-        let needsQuotaCheck = false; // Still useful to check if a quota is actually configured
-        const modelConfig = modelId ? modelsConfig[modelId] : undefined;
+/**
+ * Records the quota a key last ran into for a model, for display in the admin panel.
+ * @param {string} keyId
+ * @param {string} modelId
+ * @param {object} violation A violation from parseQuotaFailure.
+ * @param {number|null} retryDelayMs
+ * @returns {Promise<void>}
+ */
+async function recordQuotaHit(keyId, modelId, violation, retryDelayMs) {
+    const keyState = await keyPool.loadKeyState(keyId);
+    if (!keyState) return;
+    keyState.quotaHits[modelId] = {
+        quotaId: violation.quotaId,
+        quotaMetric: violation.quotaMetric,
+        quotaValue: violation.quotaValue,
+        window: violation.window,
+        kind: violation.kind,
+        retryDelayMs,
+        at: new Date().toISOString(),
+    };
+    keyPool.markKeyDirty(keyId);
+}
 
-        if (category === 'Custom' && modelId) {
-            counterKey = `${keyId}-${modelId}`; // Prefix with keyId for uniqueness
-            needsQuotaCheck = !!modelConfig?.dailyQuota;
-        } else if ((category === 'Pro' || category === 'Flash') && modelId && modelConfig?.individualQuota) {
-            counterKey = `${keyId}-${modelId}`; // Prefix with keyId for uniqueness
-            needsQuotaCheck = true; // Individual quota exists
-        } else if (category === 'Pro') {
-            counterKey = `${keyId}-category:pro`; // Prefix with keyId for uniqueness
-            needsQuotaCheck = !!categoryQuotas?.proQuota && isFinite(categoryQuotas.proQuota);
-        } else if (category === 'Flash') {
-            counterKey = `${keyId}-category:flash`; // Prefix with keyId for uniqueness
-            needsQuotaCheck = !!categoryQuotas?.flashQuota && isFinite(categoryQuotas.flashQuota);
-        }
+/**
+ * Handles 429 errors using the RetryInfo and QuotaFailure details Gemini sends with them.
+ * The key is benched for the model: until the daily reset for per-day quotas, otherwise for exactly
+ * the advertised retry delay (or an exponential backoff if none was sent). Per-day quota errors also
+ * teach the key's tier the advertised daily limit and force the key's usage for the model to its limit.
+ * @param {string} keyId
+ * @param {'Pro' | 'Flash' | 'Custom'} category
+ * @param {string} [modelId] Optional model ID.
+ * @param {object | string} [errorDetails] Optional error object from Gemini, with the error.details array.
+ * @returns {Promise<void>}
+ */
+async function handle429Error(keyId, category, modelId, errorDetails) {
+    const { retryDelayMs, violations } = parseQuotaFailure(errorDetails);
+    const dailyViolation = violations.find(violation => violation.window === 'day');
+    // Report the daily quota if one was hit, it outlasts any per-minute limit
+    const violation = dailyViolation || violations[0];
 
-        if (!counterKey) {
-            await configService.runDb('ROLLBACK');
-            console.warn(`Could not determine counter key for quota 429 handling (key ${keyId}, category ${category}, model ${modelId}).`);
-            return;
+    try {
+        let cooldownMs = retryDelayMs;
+        if (dailyViolation) {
+            // Gemini's own daily quotas reset at midnight Pacific time, whatever reset time is configured for the counters
+            cooldownMs = Math.max(getQuotaDay().end.getTime() - Date.now(), retryDelayMs || 0);
         }
+        await recordKeyFailure(keyId, 429, modelId, { cooldownMs });
 
-        // Only proceed if a relevant quota is actually configured for this limit type
-        if (!needsQuotaCheck) {
-            await configService.runDb('COMMIT'); // Commit as no changes needed, but avoids rollback error
-            console.log(`Skipping quota-exceeded 429 counter for key ${keyId}, counter ${counterKey} as no relevant quota is configured.`);
-            return;
+        if (violation && modelId) {
+            await recordQuotaHit(keyId, modelId, violation, retryDelayMs);
+            logger.warn(`Key ${keyId} hit ${violation.window} ${violation.kind} quota ${violation.quotaId || violation.quotaMetric} for model ${violation.model || modelId}${violation.quotaValue ? ` (limit ${violation.quotaValue})` : ''}.`);
         }
+    } catch (e) {
+        logger.error(`Failed to record 429 cooldown for key ${keyId}:`, e);
+    }
 
-        // Increment counter for the specific quota key
-        const currentCount = (consecutive429Counts[counterKey] || 0) + 1;
-        consecutive429Counts[counterKey] = currentCount;
-
-        console.warn(`Quota-exceeded 429 for key ${keyId}, counter ${counterKey}. Consecutive count: ${currentCount}`);
-
-        // Check if the threshold is reached
-        if (currentCount >= CONSECUTIVE_429_LIMIT) {
-            // Commit the current transaction *before* calling forceSetQuotaToLimit,
-            // as it starts its own transaction.
-            await configService.runDb('COMMIT');
-            transactionCommitted = true; // Mark as committed
-
-            console.warn(`Consecutive quota-exceeded 429 limit (${CONSECUTIVE_429_LIMIT}) reached for key ${keyId}, counter ${counterKey}. Forcing quota limit.`);
-            // forceSetQuotaToLimit handles the counter reset and its own transaction.
-            await forceSetQuotaToLimit(keyId, category, modelId, counterKey);
-
-        } else {
-            // Limit not reached, just update the count within this transaction
-            await configService.runDb(
-                'UPDATE gemini_keys SET consecutive_429_counts = ? WHERE id = ?',
-                [JSON.stringify(consecutive429Counts), keyId]
-            );
-            // Commit the transaction
-            await configService.runDb('COMMIT');
-            transactionCommitted = true; // Mark as committed
-        }
+    // Without a per-day violation the cooldown is all that's needed, the caller retries with another key.
+    if (!dailyViolation) {
+        logger.info(`Received ${violation ? `per-${violation.window}` : 'regular'} 429 for key ${keyId}. Cooldown only, retry will be handled by caller if applicable.`);
+        return;
+    }
 
-    } catch (e) {
-        console.error(`Failed to handle quota 429 error for key ${keyId}:`, e);
-        // Attempt to rollback if transaction wasn't already committed
-        if (!transactionCommitted) {
-            try {
-                await configService.runDb('ROLLBACK');
-            } catch (rollbackError) {
-                console.error(`Error during rollback after failed 429 handling for key ${keyId}:`, rollbackError);
+    // --- Handle Daily Quota Exceeded 429 ---
+    // The advertised quota value is this key's real daily limit for the model, remember it for the key's tier
+    const observedQuota = parseInt(dailyViolation.quotaValue, 10);
+    if (modelId && Number.isInteger(observedQuota)) {
+        try {
+            const keyRow = await configService.getDb('SELECT tier FROM gemini_keys WHERE id = ?', [keyId]);
+            if (keyRow) {
+                await configService.learnTierQuota(keyRow.tier || 'free', modelId, observedQuota);
             }
+        } catch (e) {
+            logger.error(`Failed to learn tier quota from 429 for key ${keyId}:`, e);
         }
-        // Do not rethrow, allow processing to continue if possible
     }
-    });
-}
 
+    logger.warn(`Received per-day quota 429 for key ${keyId}. Forcing quota limit.`);
+    await forceSetQuotaToLimit(keyId, category, modelId);
+}
 
 module.exports = {
     addGeminiKey,
     addMultipleGeminiKeys,
     deleteGeminiKey,
     getAllGeminiKeysWithUsage,
+    updateGeminiKeySettings,
+    KEY_SELECTION_STRATEGIES,
+    getKeySelectionStrategy,
     getNextAvailableGeminiKey,
     incrementKeyUsage,
+    recordKeyTokens,
     handle429Error,
     recordKeyError,
+    recordKeyFailure,
+    clearKeyCooldown,
     getErrorKeys,
     clearKeyError,
     deleteAllErrorKeys,
@@ -1,15 +1,20 @@
-const fetch = require('node-fetch');
 const { Readable } = require('stream');
 const { URL } = require('url'); // Import URL for parsing remains relevant for potential future URL parsing
 const dbModule = require('../db');
 const configService = require('./configService');
 const geminiKeyService = require('./geminiKeyService');
 const transformUtils = require('../utils/transform');
-const proxyPool = require('../utils/proxyPool'); // Import the new proxy pool module
-
-
-// Base Gemini API URL
-const BASE_GEMINI_URL = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com';
+const upstreamService = require('./upstreamService'); // Sends requests to the Gemini upstreams, through the proxy pool
+const logger = require('../utils/logger');
+
+// Headers sent with chat completions requests, on top of the ones every Gemini request gets
+const CHAT_REQUEST_HEADERS = {
+    'User-Agent': `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36`,
+    'X-Accel-Buffering': 'no',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0'
+};
 
 // Helper function to check if a 400 error should be marked for key error
 function shouldMark400Error(errorObject) {
@@ -30,6 +35,189 @@ function shouldMark400Error(errorObject) {
     }
 }
 
+/**
+ * Resolves the quota category for a model, inferring it from the model name if it isn't configured.
+ * @param {string} modelId - The Gemini model ID.
+ * @param {object} modelsConfig - The models configuration from configService.getModelsConfig().
+ * @returns {'Pro' | 'Flash' | 'Custom'} The model category.
+ */
+function resolveModelCategory(modelId, modelsConfig) {
+    if (modelsConfig[modelId]) {
+        return modelsConfig[modelId].category;
+    }
+    // Default to Flash for unknown models (most common case)
+    const inferredCategory = modelId.includes('pro') && !modelId.includes('flash') ? 'Pro' : 'Flash';
+    logger.debug(`Model ${modelId} not configured, inferred category: ${inferredCategory}`);
+    return inferredCategory;
+}
+
+/**
+ * Reads an error body from a failed Gemini response and normalizes it to an error object.
+ * @param {import('node-fetch').Response} geminiResponse - The non-OK upstream response.
+ * @returns {Promise<object>} The Gemini error object, with type and code filled in.
+ */
+async function parseGeminiErrorResponse(geminiResponse) {
+    const errorBodyText = await geminiResponse.text();
+    let errorObject;
+    try {
+        errorObject = JSON.parse(errorBodyText).error || { message: errorBodyText }; // Try parsing, fallback to text
+    } catch {
+        errorObject = { message: errorBodyText };
+    }
+    // Add type and code if not present from Gemini
+    if (!errorObject.type) errorObject.type = `gemini_api_error_${geminiResponse.status}`;
+    if (!errorObject.code) errorObject.code = geminiResponse.status;
+    return errorObject;
+}
+
+/**
+ * Records the effect of a failed upstream call on the key that made it: 429 cooldown and quota tracking,
+ * a cooldown for server errors, and a permanent mark for invalid (400), unauthorized (401) or forbidden (403) keys.
+ * Runs in the background, errors are only logged.
+ * @param {number} status - The upstream HTTP status.
+ * @param {object} errorObject - The parsed Gemini error object.
+ * @param {string} keyId - The ID of the key used for the call.
+ * @param {'Pro' | 'Flash' | 'Custom'} modelCategory - The category the request was counted against.
+ * @param {string} modelId - The Gemini model ID.
+ */
+function recordUpstreamKeyError(status, errorObject, keyId, modelCategory, modelId) {
+    if (status === 429) {
+        // Pass the full parsed error object which may contain quotaId
+        logger.debug(`429 error details: ${JSON.stringify(errorObject)}`);
+        geminiKeyService.handle429Error(keyId, modelCategory, modelId, errorObject)
+            .catch(err => logger.error(`Error handling 429 for key ${keyId} in background:`, err));
+    } else if (status === 400) {
+        // Check if this is an invalid API key 400 error that should be marked
+        logger.debug(`400 error details: ${JSON.stringify(errorObject)}`);
+        if (shouldMark400Error(errorObject)) {
+            geminiKeyService.recordKeyError(keyId, status)
+                .catch(err => logger.error(`Error recording key error ${status} for key ${keyId} in background:`, err));
+        } else {
+            logger.info(`Skipping error marking for key ${keyId} - 400 error not related to invalid API key.`);
+        }
+    } else if (status === 401 || status === 403) {
+        logger.debug(`${status} error details: ${JSON.stringify(errorObject)}`);
+        geminiKeyService.recordKeyError(keyId, status)
+            .catch(err => logger.error(`Error recording key error ${status} for key ${keyId} in background:`, err));
+    } else if ([500, 502, 503, 504].includes(status)) {
+        // Transient server errors only put the key on a cooldown
+        logger.debug(`${status} error details: ${JSON.stringify(errorObject)}`);
+        geminiKeyService.recordKeyFailure(keyId, status, modelId)
+            .catch(err => logger.error(`Error recording failure ${status} for key ${keyId} in background:`, err));
+    } else {
+        logger.debug(`${status} error details: ${JSON.stringify(errorObject)}`);
+    }
+}
+
+/**
+ * Sends a request body to a Gemini model endpoint as-is, rotating keys and retrying on failure.
+ * All Gemini requests (chat completions, embeddings, native passthrough) go through here for key
+ * selection, 429 handling and usage accounting. A 400 that isn't about the key is returned without
+ * retrying, since the same body fails the same way on any key.
+ * @param {object} options
+ * @param {string} options.modelId - The Gemini model ID (without the "models/" prefix).
+ * @param {string} options.apiAction - The model method, e.g. 'generateContent' or 'embedContent'.
+ * @param {object} options.requestBody - The native Gemini request body.
+ * @param {'Pro' | 'Flash' | 'Custom'} options.modelCategory - The category the request is counted against.
+ * @param {URLSearchParams} [options.searchParams] - Extra query parameters to forward (e.g. alt=sse).
+ * @param {object} [options.headers] - Extra request headers.
+ * @param {boolean} [options.countUsage=true] - Whether a successful call counts towards the key's quota.
+ * @param {string} [options.workerApiKey] - The worker key making the request, for sticky key selection.
+ * @returns {Promise<{ response?: import('node-fetch').Response; selectedKeyId?: string; modelId?: string; modelCategory?: string; retryCount?: number; error?: object; status?: number }>}
+ */
+async function proxyGeminiRequest({ modelId, apiAction, requestBody, modelCategory, searchParams, headers, countUsage = true, workerApiKey }) {
+    let lastError = null;
+    const triedKeyIds = []; // Retries prefer keys that haven't failed this request yet
+    let lastErrorStatus = 500;
+
+    const MAX_RETRIES = await configService.getSetting('max_retry', '3').then(val => parseInt(val) || 3);
+    const queryString = searchParams && searchParams.toString() ? `?${searchParams.toString()}` : '';
+
+    let attemptsMade = 0;
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        attemptsMade = attempt;
+        let selectedKey;
+        try {
+            selectedKey = await geminiKeyService.getNextAvailableGeminiKey(modelId, true, modelCategory, { workerApiKey, avoidKeyIds: triedKeyIds });
+
+            if (!selectedKey) {
+                logger.error(`Attempt ${attempt}: No available Gemini API Key found.`);
+                if (attempt === 1) {
+                    return { error: { message: "No available Gemini API Key configured or all keys are currently rate-limited/invalid." }, status: 503 };
+                }
+                logger.error(`Attempt ${attempt}: No more keys to try after the previous errors.`);
+                return { error: lastError, status: lastErrorStatus, retryCount: attempt - 1 };
+            }
+            triedKeyIds.push(selectedKey.id);
+            logger.setRequestContext({ keyId: selectedKey.id });
+
+            const geminiPath = `/v1beta/models/${modelId}:${apiAction}${queryString}`;
+            logger.debug(`Attempt ${attempt}: Sending ${apiAction} request for model ${modelId} (Category: ${modelCategory}, KeyID: ${selectedKey.id}) to Gemini`);
+
+            const fetchOptions = {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...headers,
+                    'x-goog-api-key': selectedKey.key
+                },
+                body: JSON.stringify(requestBody),
+                size: 100 * 1024 * 1024,
+                timeout: 300000
+            };
+
+            const geminiResponse = await upstreamService.fetchGemini(geminiPath, fetchOptions, selectedKey, `Attempt ${attempt}:`);
+
+            if (!geminiResponse.ok) {
+                lastErrorStatus = geminiResponse.status;
+                lastError = await parseGeminiErrorResponse(geminiResponse);
+                logger.error(`Attempt ${attempt}: Gemini API error: ${geminiResponse.status} ${geminiResponse.statusText}`, lastError.message);
+
+                recordUpstreamKeyError(geminiResponse.status, lastError, selectedKey.id, modelCategory, modelId);
+
+                // The body is sent unmodified, so a 400 that isn't about the key will fail the same way on any key
+                if (geminiResponse.status === 400 && !shouldMark400Error(lastError)) {
+                    return { error: lastError, status: lastErrorStatus, retryCount: attempt - 1 };
+                }
+
+                if (attempt < MAX_RETRIES) {
+                    logger.warn(`Attempt ${attempt}: Received ${geminiResponse.status} error, trying next key...`);
+                    continue;
+                }
+                logger.error(`Attempt ${attempt}: Received ${geminiResponse.status} error, but max retries (${MAX_RETRIES}) reached.`);
+            } else {
+                logger.info(`Attempt ${attempt}: Request successful with key ${selectedKey.id}.`);
+                if (countUsage) {
+                    geminiKeyService.incrementKeyUsage(selectedKey.id, modelId, modelCategory)
+                        .catch(err => logger.error(`Error incrementing usage for key ${selectedKey.id} in background:`, err));
+                }
+                return { response: geminiResponse, selectedKeyId: selectedKey.id, modelId: modelId, modelCategory: modelCategory, retryCount: attempt - 1 };
+            }
+        } catch (fetchError) {
+            logger.error(`Attempt ${attempt}: Error during proxy call:`, fetchError);
+            lastError = { message: `Internal Proxy Error during attempt ${attempt}: ${fetchError.message}`, type: 'proxy_internal_error' };
+            lastErrorStatus = 500;
+            // If a network error occurs, break the loop, don't retry immediately
+            break;
+        }
+    }
+
+    logger.error(`All ${MAX_RETRIES} attempts failed. Returning last recorded error (Status: ${lastErrorStatus}).`);
+    return { error: lastError, status: lastErrorStatus, retryCount: Math.max(attemptsMade - 1, 0) };
+}
+
+/**
+ * Proxies an OpenAI chat completions request to Gemini. Converts the request and sends it with
+ * proxyGeminiRequest, which handles key rotation, retries, 429s and usage accounting.
+ * In KEEPALIVE mode (streaming requested, safety disabled) a non-streaming request is sent in the
+ * background while keepAliveCallback sends heartbeats, and the result is delivered through it.
+ * @param {object} openAIRequestBody - The OpenAI chat completions request body.
+ * @param {string} workerApiKey - The worker API key used for the request.
+ * @param {boolean} stream - Whether the client requested a stream.
+ * @param {number} [thinkingBudget] - Thinking budget to set in the generation config.
+ * @param {object|null} [keepAliveCallback] - startHeartbeat / stopHeartbeat / sendFinalResponse / sendError, for KEEPALIVE mode.
+ * @returns {Promise<{ response?: import('node-fetch').Response; selectedKeyId?: string; modelId?: string; modelCategory?: string; retryCount?: number; geminiRequestBody?: object; isKeepAlive?: boolean; error?: object; status?: number }>}
+ */
 async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thinkingBudget, keepAliveCallback = null) {
     const requestedModelId = openAIRequestBody?.model;
 
@@ -40,26 +228,15 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
         return { error: { message: "Missing or invalid 'messages' field in request body" }, status: 400 };
     }
 
-    let lastError = null;
-    let lastErrorStatus = 500;
-    let modelInfo;
-    let modelCategory;
-    let isSafetyEnabled;
-    let modelsConfig;
-    let MAX_RETRIES;
-    let keepAliveEnabled;
-
     try {
-        // Fetch model config, safety settings, max retry setting, and keepalive setting from database
-        [modelsConfig, isSafetyEnabled, MAX_RETRIES, keepAliveEnabled] = await Promise.all([
+        // Fetch model config, safety settings and keepalive setting from database
+        const [modelsConfig, isSafetyEnabled, keepAliveEnabled] = await Promise.all([
             configService.getModelsConfig(),
             configService.getWorkerKeySafetySetting(workerApiKey), // Get safety setting for this worker key
-            configService.getSetting('max_retry', '3').then(val => parseInt(val) || 3),
             configService.getSetting('keepalive', '0').then(val => String(val) === '1')
         ]);
 
-        console.log(`Using MAX_RETRIES: ${MAX_RETRIES} (from database)`);
-        console.log(`KEEPALIVE settings - keepAliveEnabled: ${keepAliveEnabled}, stream: ${stream}, isSafetyEnabled: ${isSafetyEnabled}`);
+        logger.debug(`KEEPALIVE settings - keepAliveEnabled: ${keepAliveEnabled}, stream: ${stream}, isSafetyEnabled: ${isSafetyEnabled}`);
 
         // Check if web search functionality needs to be added
         // 1. Via web_search parameter or 2. Using a model ending with -search
@@ -68,365 +245,237 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
 
         // If KEEPALIVE is enabled, this is a streaming request, and safety is disabled, we'll handle it specially
         const useKeepAlive = keepAliveEnabled && stream && !isSafetyEnabled;
-        console.log(`KEEPALIVE useKeepAlive decision: ${useKeepAlive}`);
-    
+        logger.debug(`KEEPALIVE useKeepAlive decision: ${useKeepAlive}`);
+
         // If using keepalive, we'll make a non-streaming request to Gemini but send streaming responses to client
         const actualStreamMode = useKeepAlive ? false : stream;
 
-        // If it's a search model, use the original model ID to find model info
-        const modelLookupId = isSearchModel ? actualModelId : requestedModelId;
-        modelInfo = modelsConfig[modelLookupId];
-        if (!modelInfo) {
-            // If model is not configured, infer category from model name
-            let inferredCategory;
-            if (modelLookupId.includes('flash')) {
-                inferredCategory = 'Flash';
-            } else if (modelLookupId.includes('pro')) {
-                inferredCategory = 'Pro';
-            } else {
-                // Default to Flash for unknown models (most common case)
-                inferredCategory = 'Flash';
-            }
-            console.log(`Model ${modelLookupId} not configured, inferred category: ${inferredCategory}`);
+        // Quota and keys are counted against the model without the -search suffix
+        const modelCategory = resolveModelCategory(actualModelId, modelsConfig);
 
-            // Create a temporary model info object
-            modelInfo = { category: inferredCategory };
-            modelCategory = inferredCategory;
-        } else {
-            modelCategory = modelInfo.category;
-        }
+        logger.info(`Proxying request for model: ${requestedModelId}, Category: ${modelCategory}, Safety: ${isSafetyEnabled}`);
 
-        // --- Retry Loop ---
-        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-            let selectedKey;
-            try {
-                // 1. Get Key inside the loop for each attempt
-                // If it's a search model, use the original model ID to get the API key
-                const keyModelId = isSearchModel ? actualModelId : requestedModelId;
-                
-                // If previous attempt had an empty response, force getting a new key by calling getNextAvailableGeminiKey
-                selectedKey = await geminiKeyService.getNextAvailableGeminiKey(keyModelId);
-
-                // 2. Validate Key
-                if (!selectedKey) {
-                    console.error(`Attempt ${attempt}: No available Gemini API Key found.`);
-                    if (attempt === 1) {
-                        // If no key on first try, return 503 immediately
-                        return { error: { message: "No available Gemini API Key configured or all keys are currently rate-limited/invalid." }, status: 503 };
-                    } else {
-                        // If no key on subsequent tries (after 429), return the last recorded 429 error
-                         console.error(`Attempt ${attempt}: No more keys to try after previous 429.`);
-                         return { error: lastError, status: lastErrorStatus };
-                    }
-                }
+        // Transform Request Body (includes tool_choice support)
+        const { contents, systemInstruction, tools: geminiTools, toolConfig } = transformUtils.transformOpenAiToGemini(
+            openAIRequestBody,
+            requestedModelId,
+            isSafetyEnabled // Pass safety setting to transformer
+        );
 
-                console.log(`Attempt ${attempt}: Proxying request for model: ${requestedModelId}, Category: ${modelCategory}, KeyID: ${selectedKey.id}, Safety: ${isSafetyEnabled}`);
+        if (contents.length === 0 && !systemInstruction) {
+            return { error: { message: "Request must contain at least one user or assistant message." }, status: 400 };
+        }
 
-                // 3. Transform Request Body (includes tool_choice support)
-                const { contents, systemInstruction, tools: geminiTools, toolConfig } = transformUtils.transformOpenAiToGemini(
-                    openAIRequestBody,
-                    requestedModelId,
-                    isSafetyEnabled // Pass safety setting to transformer
-                );
+        const geminiRequestBody = {
+            contents: contents,
+            generationConfig: {
+                ...(openAIRequestBody.temperature !== undefined && { temperature: openAIRequestBody.temperature }),
+                ...(openAIRequestBody.top_p !== undefined && { topP: openAIRequestBody.top_p }),
+                ...(openAIRequestBody.top_k !== undefined && { topK: openAIRequestBody.top_k }),
+                ...(openAIRequestBody.max_tokens !== undefined && { maxOutputTokens: openAIRequestBody.max_tokens }),
+                ...(openAIRequestBody.stop && { stopSequences: Array.isArray(openAIRequestBody.stop) ? openAIRequestBody.stop : [openAIRequestBody.stop] }),
+                ...(thinkingBudget !== undefined && { thinkingConfig: { thinkingBudget: thinkingBudget } }),
+            },
+            ...(geminiTools && { tools: geminiTools }),
+            ...(toolConfig && { toolConfig: toolConfig }),
+            ...(systemInstruction && { systemInstruction: systemInstruction }),
+        };
 
-                if (contents.length === 0 && !systemInstruction) {
-                    return { error: { message: "Request must contain at least one user or assistant message." }, status: 400 };
-                }
+        if (openAIRequestBody.web_search === 1 || isSearchModel) {
+            logger.debug(`Web search enabled for this request (${isSearchModel ? 'model-based' : 'parameter-based'})`);
 
-                const geminiRequestBody = {
-                    contents: contents,
-                    generationConfig: {
-                        ...(openAIRequestBody.temperature !== undefined && { temperature: openAIRequestBody.temperature }),
-                        ...(openAIRequestBody.top_p !== undefined && { topP: openAIRequestBody.top_p }),
-                        ...(openAIRequestBody.max_tokens !== undefined && { maxOutputTokens: openAIRequestBody.max_tokens }),
-                        ...(openAIRequestBody.stop && { stopSequences: Array.isArray(openAIRequestBody.stop) ? openAIRequestBody.stop : [openAIRequestBody.stop] }),
-                        ...(thinkingBudget !== undefined && { thinkingConfig: { thinkingBudget: thinkingBudget } }),
-                    },
-                    ...(geminiTools && { tools: geminiTools }),
-                    ...(toolConfig && { toolConfig: toolConfig }),
-                    ...(systemInstruction && { systemInstruction: systemInstruction }),
-                };
-
-                if (openAIRequestBody.web_search === 1 || isSearchModel) {
-                    console.log(`Web search enabled for this request (${isSearchModel ? 'model-based' : 'parameter-based'})`);
-                    
-                    // Create Google Search tool
-                    const googleSearchTool = {
-                        googleSearch: {}
-                    };
-                    
-                    // Add to existing tools or create a new tools array
-                    if (geminiRequestBody.tools) {
-                        geminiRequestBody.tools = [...geminiRequestBody.tools, googleSearchTool];
-                    } else {
-                        geminiRequestBody.tools = [googleSearchTool];
-                    }
-                    
-                    // Add a prompt at the end of the request to encourage the model to use search tools
-                    geminiRequestBody.contents.push({
-                        role: 'user',
-                        parts: [{ text: '(Use search tools to get the relevant information and complete this request.)' }]
-                    });
-                }
+            // Add the Google Search tool to the existing tools or create a new tools array
+            geminiRequestBody.tools = [...(geminiRequestBody.tools || []), { googleSearch: {} }];
 
-                if (!isSafetyEnabled) {
-                    geminiRequestBody.safetySettings = [
-                        { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'OFF' }, 
-                        { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'OFF' }, 
-                        { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'OFF' }, 
-                        { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'OFF' }, 
-                        { category: 'HARM_CATEGORY_CIVIC_INTEGRITY', threshold: 'BLOCK_NONE' }, 
-                    ];
-                     console.log("Applying safety settings.");
-                }
+            // Add a prompt at the end of the request to encourage the model to use search tools
+            geminiRequestBody.contents.push({
+                role: 'user',
+                parts: [{ text: '(Use search tools to get the relevant information and complete this request.)' }]
+            });
+        }
 
-                // 4. Prepare and Send Request to Gemini
-                // If keepalive is enabled and original request was streaming, use non-streaming API
-                const apiAction = actualStreamMode ? 'streamGenerateContent' : 'generateContent';
+        if (!isSafetyEnabled) {
+            geminiRequestBody.safetySettings = [
+                { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'OFF' },
+                { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'OFF' },
+                { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'OFF' },
+                { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'OFF' },
+                { category: 'HARM_CATEGORY_CIVIC_INTEGRITY', threshold: 'BLOCK_NONE' },
+            ];
+            logger.debug("Applying safety settings.");
+        }
 
-                // Build complete API URL using the base URL
-                // Use actualModelId instead of requestedModelId with -search suffix
-                const geminiUrl = `${BASE_GEMINI_URL}/v1beta/models/${actualModelId}:${apiAction}`;
+        // Log if using keepalive mode
+        if (keepAliveEnabled && stream) {
+            if (useKeepAlive) {
+                logger.info(`Using KEEPALIVE mode: Client expects stream but sending non-streaming request to Gemini (Safety disabled)`);
+            } else {
+                logger.info(`KEEPALIVE is enabled but safety is also enabled. Using normal streaming mode.`);
+            }
+        }
 
-                const geminiRequestHeaders = {
-                    'Content-Type': 'application/json',
-                    'User-Agent': `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Safari/537.36`,
-                    'X-Accel-Buffering': 'no',
-                    'Cache-Control': 'no-cache, no-store, must-revalidate',
-                    'Pragma': 'no-cache',
-                    'Expires': '0',
-                    'x-goog-api-key': selectedKey.key
-                };
-
-                // Get the next proxy agent for this request
-                const agent = proxyPool.getNextProxyAgent(); // Use function from imported module
-
-                // Log proxy usage here if an agent is obtained
-                const logSuffix = agent ? ` via proxy ${agent.proxy.href}` : ''; // Get proxy URL from agent if available
-                console.log(`Attempt ${attempt}: Sending ${actualStreamMode ? 'streaming' : 'non-streaming'} request to Gemini URL: ${geminiUrl}${logSuffix}`);
-                
-                // Log if using keepalive mode
-                if (keepAliveEnabled && stream) {
-                    if (useKeepAlive) {
-                        console.log(`Using KEEPALIVE mode: Client expects stream but sending non-streaming request to Gemini (Safety disabled)`);
-                    } else {
-                        console.log(`KEEPALIVE is enabled but safety is also enabled. Using normal streaming mode.`);
+        const geminiRequest = {
+            modelId: actualModelId,
+            // If keepalive is enabled and original request was streaming, use non-streaming API
+            apiAction: actualStreamMode ? 'streamGenerateContent' : 'generateContent',
+            requestBody: geminiRequestBody,
+            modelCategory: modelCategory,
+            headers: CHAT_REQUEST_HEADERS,
+            workerApiKey: workerApiKey
+        };
+
+        // KEEPALIVE: return immediately and send the request in the background while the heartbeat runs
+        if (useKeepAlive && keepAliveCallback) {
+            const keepAliveRunner = async () => {
+                logger.info('KEEPALIVE: Starting heartbeat and asynchronous request process.');
+                keepAliveCallback.startHeartbeat();
+                try {
+                    const result = await proxyGeminiRequest(geminiRequest);
+                    if (result.error) {
+                        logger.error('KEEPALIVE: All attempts failed. Sending last error.');
+                        keepAliveCallback.stopHeartbeat();
+                        keepAliveCallback.sendError(result.error || { message: "All keepalive attempts failed." }, result);
+                        return;
                     }
+                    const geminiResponseData = await result.response.json();
+                    logger.info(`KEEPALIVE: Request successful after ${result.retryCount} retries. Stopping heartbeat.`);
+                    keepAliveCallback.stopHeartbeat();
+                    keepAliveCallback.sendFinalResponse(geminiResponseData, result);
+                } catch (error) {
+                    logger.error('KEEPALIVE: Error during background request:', error);
+                    keepAliveCallback.stopHeartbeat();
+                    keepAliveCallback.sendError({ message: `Internal Proxy Error during keepalive request: ${error.message}`, type: 'proxy_internal_error' });
                 }
+            };
 
-                const fetchOptions = { // Create options object
-                    method: 'POST',
-                    headers: geminiRequestHeaders,
-                    body: JSON.stringify(geminiRequestBody),
-                    size: 100 * 1024 * 1024,
-                    timeout: 300000
-                };
-
-                // Add agent to options only if it's defined
-                if (agent) {
-                    fetchOptions.agent = agent;
-                }
+            keepAliveRunner(); // Run the async function
 
-                // For KEEPALIVE mode, handle the request asynchronously to avoid blocking
-                // If using keepalive, handle it asynchronously with its own retry logic inside.
-                // This is because the main retry loop is synchronous and we need to return immediately.
-                if (useKeepAlive && keepAliveCallback) {
-                    
-                    const keepAliveRunner = async () => {
-                        console.log('KEEPALIVE: Starting heartbeat and asynchronous request process.');
-                        keepAliveCallback.startHeartbeat();
-
-                        let lastKeepAliveError = null;
-                        let lastKeepAliveStatus = 500;
-
-                        for (let kAttempt = 1; kAttempt <= MAX_RETRIES; kAttempt++) {
-                            let keepAliveKey;
-                            try {
-                                const keyModelId = isSearchModel ? actualModelId : requestedModelId;
-                                keepAliveKey = await geminiKeyService.getNextAvailableGeminiKey(keyModelId);
-
-                                if (!keepAliveKey) {
-                                    lastKeepAliveError = { message: "No available Gemini API Key for keepalive retry." };
-                                    lastKeepAliveStatus = 503;
-                                    console.error(`KEEPALIVE Attempt ${kAttempt}: No more keys to try.`);
-                                    continue; // Try to find a key in the next attempt
-                                }
-                                
-                                const currentGeminiUrl = `${BASE_GEMINI_URL}/v1beta/models/${actualModelId}:generateContent`;
-                                const currentFetchOptions = {
-                                    ...fetchOptions,
-                                    headers: { ...fetchOptions.headers, 'x-goog-api-key': keepAliveKey.key },
-                                    agent: proxyPool.getNextProxyAgent()
-                                };
-                                const logSuffix = currentFetchOptions.agent ? ` via proxy ${currentFetchOptions.agent.proxy.href}` : '';
-                                console.log(`KEEPALIVE Attempt ${kAttempt}: Sending request to ${currentGeminiUrl}${logSuffix} with key ID ${keepAliveKey.id}`);
-
-                                const geminiResponse = await fetch(currentGeminiUrl, currentFetchOptions);
-
-                                if (!geminiResponse.ok) {
-                                    const errorBodyText = await geminiResponse.text();
-                                    lastKeepAliveStatus = geminiResponse.status;
-                                    try {
-                                        lastKeepAliveError = JSON.parse(errorBodyText).error || { message: errorBodyText };
-                                    } catch {
-                                        lastKeepAliveError = { message: errorBodyText };
-                                    }
-                                    console.error(`KEEPALIVE Attempt ${kAttempt}: Gemini API error ${geminiResponse.status}:`, lastKeepAliveError.message);
-                                    
-                                    // Handle key errors for retry
-                                     if (geminiResponse.status === 429) {
-                                        geminiKeyService.handle429Error(keepAliveKey.id, modelCategory, actualModelId, lastKeepAliveError).catch(e => console.error("BG 429 Error:", e));
-                                    } else if (geminiResponse.status === 400 && shouldMark400Error(lastKeepAliveError)) {
-                                        geminiKeyService.recordKeyError(keepAliveKey.id, 400).catch(e => console.error("BG 400 Error:", e));
-                                    } else if ([401, 403, 500].includes(geminiResponse.status)) {
-                                         geminiKeyService.recordKeyError(keepAliveKey.id, geminiResponse.status).catch(e => console.error("BG Key Error:", e));
-                                    }
-                                    
-                                    // Continue to next attempt if not the last one
-                                    if (kAttempt < MAX_RETRIES) {
-                                         console.warn(`KEEPALIVE Attempt ${kAttempt} failed. Retrying...`);
-                                         continue;
-                                    } else {
-                                        // Last attempt failed, break loop to send error
-                                        break;
-                                    }
-                                }
-                                
-                                // Success case
-                                const geminiResponseData = await geminiResponse.json();
-                                geminiKeyService.incrementKeyUsage(keepAliveKey.id, actualModelId, modelCategory).catch(e => console.error("BG Usage Error:", e));
-                                console.log(`KEEPALIVE: Request successful on attempt ${kAttempt}. Stopping heartbeat.`);
-                                keepAliveCallback.stopHeartbeat();
-                                keepAliveCallback.sendFinalResponse(geminiResponseData);
-                                return; // Exit the runner function on success
-
-                            } catch (fetchError) {
-                                lastKeepAliveError = { message: `Internal Proxy Error during keepalive fetch: ${fetchError.message}`, type: 'proxy_internal_error' };
-                                lastKeepAliveStatus = 500;
-                                console.error(`KEEPALIVE Attempt ${kAttempt}: Fetch error:`, fetchError);
-                                // Don't retry on network errors, just fail
-                                break;
-                            }
-                        }
-                        
-                        // If loop finishes, all retries have failed
-                        console.error(`KEEPALIVE: All ${MAX_RETRIES} attempts failed. Sending last error.`);
-                        keepAliveCallback.stopHeartbeat();
-                        keepAliveCallback.sendError(lastKeepAliveError || { message: "All keepalive attempts failed." });
-                    };
-
-                    keepAliveRunner(); // Run the async function
-
-                    // Return immediately to the client, while keepAliveRunner works in the background
-                    return {
-                        isKeepAlive: true,
-                        // Note: selectedKeyId is not definitively known here, as it's selected inside the async runner.
-                        // We can return the first-attempt key, or null. Let's return the one from the main loop's current attempt.
-                        selectedKeyId: selectedKey.id,
-                        modelCategory: modelCategory,
-                        requestedModelId: requestedModelId
-                    };
-                }
+            // The key is selected inside the runner, it is reported through keepAliveCallback
+            return {
+                isKeepAlive: true,
+                modelCategory: modelCategory,
+                requestedModelId: requestedModelId,
+                geminiRequestBody: geminiRequestBody
+            };
+        }
 
-                const geminiResponse = await fetch(geminiUrl, fetchOptions); // Use fetchOptions for non-KEEPALIVE mode
+        const result = await proxyGeminiRequest(geminiRequest);
+        if (!result.error) {
+            logger.info(`Chat completions call completed successfully.`);
+        }
+        return { ...result, geminiRequestBody };
 
-                // 5. Handle Gemini Response Status and Errors
-                if (!geminiResponse.ok) {
-                    const errorBodyText = await geminiResponse.text();
-                    console.error(`Attempt ${attempt}: Gemini API error: ${geminiResponse.status} ${geminiResponse.statusText}`, errorBodyText);
+    } catch (initialError) {
+        // Catch errors happening before the request is sent (e.g., getting initial config)
+        logger.error("Error before starting proxy attempts:", initialError);
+        return {
+            error: {
+                message: `Internal Proxy Error: ${initialError.message}`,
+                type: 'proxy_internal_error'
+            },
+            status: 500
+        };
+    }
+}
 
-                    lastErrorStatus = geminiResponse.status; // Store status
-                    try {
-                        lastError = JSON.parse(errorBodyText).error || { message: errorBodyText }; // Try parsing, fallback to text
-                    } catch {
-                        lastError = { message: errorBodyText };
-                    }
-                     // Add type and code if not present from Gemini
-                    if (!lastError.type) lastError.type = `gemini_api_error_${geminiResponse.status}`;
-                    if (!lastError.code) lastError.code = geminiResponse.status;
-
-
-                    // Handle all errors with retry mechanism
-                    if (geminiResponse.status === 429) {
-                        // Pass the full parsed error object (lastError) which may contain quotaId
-                        console.log(`429 error details: ${JSON.stringify(lastError)}`);
-
-                        // Record 429 for the key - use actualModelId for consistent counting
-                        geminiKeyService.handle429Error(selectedKey.id, modelCategory, actualModelId, lastError)
-                            .catch(err => console.error(`Error handling 429 for key ${selectedKey.id} in background:`, err));
-                    } else if (geminiResponse.status === 401 || geminiResponse.status === 403) {
-                        // Record persistent error for the key
-                        geminiKeyService.recordKeyError(selectedKey.id, geminiResponse.status)
-                             .catch(err => console.error(`Error recording key error ${geminiResponse.status} for key ${selectedKey.id} in background:`, err));
-                    } else if (geminiResponse.status === 400) {
-                        // Check if this is an invalid API key 400 error that should be marked
-                        console.log(`400 error details: ${JSON.stringify(lastError)}`);
-                        if (shouldMark400Error(lastError)) {
-                            geminiKeyService.recordKeyError(selectedKey.id, geminiResponse.status)
-                                .catch(err => console.error(`Error recording key error ${geminiResponse.status} for key ${selectedKey.id} in background:`, err));
-                        } else {
-                            console.log(`Skipping error marking for key ${selectedKey.id} - 400 error not related to invalid API key.`);
-                        }
-                    } else {
-                        // Record error for other status codes (500, etc.)
-                        console.log(`${geminiResponse.status} error details: ${JSON.stringify(lastError)}`);
-                        geminiKeyService.recordKeyError(selectedKey.id, geminiResponse.status)
-                             .catch(err => console.error(`Error recording key error ${geminiResponse.status} for key ${selectedKey.id} in background:`, err));
-                    }
+/**
+ * Proxies an OpenAI embeddings request to Gemini embedContent / batchEmbedContents, rotating through the key pool.
+ * Usage is counted against the model's configured category, or the 'embedding_category' setting if the model isn't configured.
+ * @param {object} openAIRequestBody - The OpenAI embeddings request body.
+ * @param {string} workerApiKey - The worker API key used for the request.
+ * @returns {Promise<{ response?: object; selectedKeyId?: string; modelId?: string; modelCategory?: string; retryCount?: number; error?: object; status?: number }>}
+ */
+async function proxyEmbeddings(openAIRequestBody, workerApiKey) {
+    const requestedModelId = openAIRequestBody?.model;
 
-                    // Retry all errors if not the last attempt
-                    if (attempt < MAX_RETRIES) {
-                        console.warn(`Attempt ${attempt}: Received ${geminiResponse.status} error, trying next key...`);
-                        if (useKeepAlive && keepAliveCallback) {
-                            console.log(`KEEPALIVE: Continuing heartbeat during retry attempt ${attempt + 1}`);
-                        }
-                        continue; // Go to the next iteration of the loop
-                    } else {
-                        console.error(`Attempt ${attempt}: Received ${geminiResponse.status} error, but max retries (${MAX_RETRIES}) reached.`);
-                        // Fall through to return the last recorded error after the loop
-                    }
-                } else {
-                    // 6. Process Successful Response
-                    console.log(`Attempt ${attempt}: Request successful with key ${selectedKey.id}.`);
-                    // Increment usage count for the actual model ID, not the -search version
-                    geminiKeyService.incrementKeyUsage(selectedKey.id, actualModelId, modelCategory)
-                          .catch(err => console.error(`Error incrementing usage for key ${selectedKey.id} in background:`, err));
-
-                    // For non-KEEPALIVE mode (正常流式)，不要提前消费 response.body，直接返回
-                    console.log(`Chat completions call completed successfully.`);
-                    return {
-                        response: geminiResponse,
-                        selectedKeyId: selectedKey.id,
-                        modelCategory: modelCategory
-                    };
-                }
+    if (!requestedModelId || typeof requestedModelId !== 'string') {
+        return { error: { message: "Missing 'model' field in request body" }, status: 400 };
+    }
+    if (openAIRequestBody.encoding_format !== undefined && !['float', 'base64'].includes(openAIRequestBody.encoding_format)) {
+        return { error: { message: "'encoding_format' must be either 'float' or 'base64'" }, status: 400 };
+    }
 
-            } catch (fetchError) {
-                 // Catch network errors or other errors during fetch/key selection within an attempt
-                 console.error(`Attempt ${attempt}: Error during proxy call:`, fetchError);
-                 lastError = { message: `Internal Proxy Error during attempt ${attempt}: ${fetchError.message}`, type: 'proxy_internal_error' };
-                 lastErrorStatus = 500;
-                 // If a network error occurs, break the loop, don't retry immediately
-                 break;
-            }
-        } // --- End Retry Loop ---
+    // Accept both "text-embedding-004" and "models/text-embedding-004"
+    const actualModelId = requestedModelId.replace(/^models\//, '');
+    const { apiAction, body: geminiRequestBody, error: transformError } = transformUtils.transformOpenAiEmbeddingsToGemini(openAIRequestBody, actualModelId);
+    if (transformError) {
+        return { error: { message: transformError }, status: 400 };
+    }
 
-        // If the loop finished without returning a success or a specific non-retryable error,
-        // it means all retries resulted in 429 or we broke due to an error. Return the last recorded error.
+    try {
+        const [modelsConfig, embeddingCategory] = await Promise.all([
+            configService.getModelsConfig(),
+            configService.getSetting('embedding_category', 'Custom')
+        ]);
 
-        // Stop keepalive heartbeat before returning error
-        if (useKeepAlive && keepAliveCallback) {
-            console.log('KEEPALIVE: Stopping heartbeat due to all attempts failed');
-            keepAliveCallback.stopHeartbeat();
+        const modelCategory = modelsConfig[actualModelId]?.category || embeddingCategory;
+
+        const result = await proxyGeminiRequest({
+            modelId: actualModelId,
+            apiAction: apiAction,
+            requestBody: geminiRequestBody,
+            modelCategory: modelCategory,
+            workerApiKey: workerApiKey
+        });
+        if (result.error) {
+            return result;
         }
 
-        console.error(`All ${MAX_RETRIES} attempts failed. Returning last recorded error (Status: ${lastErrorStatus}).`);
-        return { error: lastError, status: lastErrorStatus };
+        const geminiResponseData = await result.response.json();
+        return {
+            response: transformUtils.transformGeminiEmbeddingsToOpenAI(geminiResponseData, requestedModelId, openAIRequestBody.encoding_format),
+            selectedKeyId: result.selectedKeyId,
+            modelId: result.modelId,
+            modelCategory: result.modelCategory,
+            retryCount: result.retryCount
+        };
+
+    } catch (initialError) {
+        logger.error("Error during embeddings proxy:", initialError);
+        return {
+            error: {
+                message: `Internal Proxy Error: ${initialError.message}`,
+                type: 'proxy_internal_error'
+            },
+            status: 500
+        };
+    }
+}
 
+/**
+ * Proxies a native Gemini REST request (generateContent, streamGenerateContent, countTokens) without any
+ * OpenAI conversion. The request body and the upstream response are passed through unchanged.
+ * @param {string} modelId - The Gemini model ID (without the "models/" prefix).
+ * @param {'generateContent' | 'streamGenerateContent' | 'countTokens'} apiAction - The model method to call.
+ * @param {object} requestBody - The native Gemini request body.
+ * @param {URLSearchParams} [searchParams] - Query parameters to forward upstream (the worker key is removed).
+ * @param {string} [workerApiKey] - The worker key making the request, for sticky key selection.
+ * @returns {Promise<{ response?: import('node-fetch').Response; selectedKeyId?: string; modelId?: string; modelCategory?: string; retryCount?: number; error?: object; status?: number }>}
+ */
+async function proxyNativeGeminiRequest(modelId, apiAction, requestBody, searchParams, workerApiKey) {
+    if (!requestBody || typeof requestBody !== 'object') {
+        return { error: { code: 400, message: "Request body must be a JSON object", status: 'INVALID_ARGUMENT' }, status: 400 };
+    }
 
+    try {
+        const modelsConfig = await configService.getModelsConfig();
+        const modelCategory = resolveModelCategory(modelId, modelsConfig);
+
+        const forwardedParams = new URLSearchParams(searchParams);
+        forwardedParams.delete('key'); // Worker key, never forward it upstream
+
+        return await proxyGeminiRequest({
+            modelId: modelId,
+            apiAction: apiAction,
+            requestBody: requestBody,
+            modelCategory: modelCategory,
+            searchParams: forwardedParams,
+            // countTokens doesn't consume generation quota
+            countUsage: apiAction !== 'countTokens',
+            workerApiKey: workerApiKey
+        });
     } catch (initialError) {
-         // Catch errors happening *before* the loop starts (e.g., getting initial config)
-        console.error("Error before starting proxy attempts:", initialError);
+        logger.error("Error during native Gemini proxy:", initialError);
         return {
             error: {
                 message: `Internal Proxy Error: ${initialError.message}`,
@@ -439,5 +488,7 @@ async function proxyChatCompletions(openAIRequestBody, workerApiKey, stream, thi
 
 module.exports = {
     proxyChatCompletions,
+    proxyEmbeddings,
+    proxyNativeGeminiRequest,
     // getProxyPoolStatus is no longer needed here, it's in proxyPool.js
 };
@@ -0,0 +1,113 @@
+const dbModule = require('../db');
+const configService = require('./configService');
+const geminiKeyService = require('./geminiKeyService');
+const vertexService = require('./vertexProxyService');
+const upstreamService = require('./upstreamService');
+
+// A check that takes longer than this counts as failed
+const CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Runs a readiness check, turning exceptions and timeouts into a failed result.
+ * @param {function(): Promise<{status: 'ok'|'fail'|'disabled', message?: string}>} check
+ * @returns {Promise<{status: 'ok'|'fail'|'disabled', message?: string}>}
+ */
+async function runCheck(check) {
+    let timeoutId;
+    const timeout = new Promise(resolve => {
+        timeoutId = setTimeout(() => resolve({ status: 'fail', message: `Check timed out after ${CHECK_TIMEOUT_MS}ms` }), CHECK_TIMEOUT_MS);
+    });
+    try {
+        return await Promise.race([check(), timeout]);
+    } catch (error) {
+        return { status: 'fail', message: error.message };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// The database connection is open and answers queries
+async function checkDatabase() {
+    if (!dbModule.db) {
+        return { status: 'fail', message: 'Database is not open yet' };
+    }
+    await configService.getDb('SELECT 1');
+    return { status: 'ok' };
+}
+
+// At least one Gemini key can serve one of the configured models (not errored, cooling down or out of quota)
+async function checkGeminiKeys() {
+    const modelIds = Object.keys(await configService.getModelsConfig());
+    if (modelIds.length === 0) {
+        return { status: 'disabled' };
+    }
+    for (const modelId of modelIds) {
+        if (await geminiKeyService.getNextAvailableGeminiKey(modelId, false)) {
+            return { status: 'ok', model: modelId };
+        }
+    }
+    return { status: 'fail', message: `No Gemini key is available for any of the ${modelIds.length} configured models` };
+}
+
+// At least one enabled upstream passed its last health check
+async function checkUpstreams() {
+    const { enabled, healthy } = upstreamService.getUpstreamStatus();
+    if (healthy === 0) {
+        return { status: 'fail', message: enabled === 0 ? 'No upstream is enabled' : `None of the ${enabled} enabled upstreams is healthy` };
+    }
+    return { status: 'ok', healthy, enabled };
+}
+
+// Vertex AI initialized, when it is configured
+async function checkVertex() {
+    const vertexConfig = await configService.getSetting('vertex_config', null);
+    if (!vertexConfig || !(vertexConfig.expressApiKey || vertexConfig.vertexJson)) {
+        return { status: 'disabled' };
+    }
+    const vertexStatus = vertexService.getVertexStatus();
+    if (!vertexStatus.enabled) {
+        return {
+            status: 'fail',
+            message: vertexStatus.initialized ? 'Vertex AI is configured but failed to initialize' : 'Vertex AI is not initialized yet'
+        };
+    }
+    return { status: 'ok', mode: vertexStatus.mode };
+}
+
+// The last GitHub sync succeeded, when sync is configured
+async function checkGitHubSync() {
+    const syncStatus = dbModule.getGitHubSyncStatus();
+    if (!syncStatus.configured) {
+        return { status: 'disabled' };
+    }
+    const lastResult = syncStatus.lastResult;
+    if (lastResult && !lastResult.success) {
+        return { status: 'fail', message: `Last ${lastResult.operation} failed: ${lastResult.error}`, lastSync: lastResult.at };
+    }
+    return { status: 'ok', ...(lastResult && { lastSync: lastResult.at }) };
+}
+
+/**
+ * Runs the readiness checks. The service is ready when no check failed; disabled checks
+ * (no Gemini models, Vertex AI or GitHub sync not configured) don't count.
+ * @returns {Promise<{status: 'ok'|'fail', timestamp: string, checks: Object<string, {status: 'ok'|'fail'|'disabled', message?: string}>}>}
+ */
+async function getReadiness() {
+    const [database, geminiKeys, upstreams, vertex, githubSync] = await Promise.all([
+        runCheck(checkDatabase),
+        runCheck(checkGeminiKeys),
+        runCheck(checkUpstreams),
+        runCheck(checkVertex),
+        runCheck(checkGitHubSync),
+    ]);
+    const checks = { database, geminiKeys, upstreams, vertex, githubSync };
+    return {
+        status: Object.values(checks).some(check => check.status === 'fail') ? 'fail' : 'ok',
+        timestamp: new Date().toISOString(),
+        checks,
+    };
+}
+
+module.exports = {
+    getReadiness,
+};
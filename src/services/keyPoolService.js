@@ -0,0 +1,271 @@
+const dbModule = require('../db');
+const configService = require('./configService'); // Use configService for DB helpers and settings
+
+// How long changes may stay in memory before they are written to the database.
+// On a crash at most this much usage is lost; SIGINT/SIGTERM flush before the database closes.
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+const FLUSH_INTERVAL_MS = parseInt(process.env.KEY_POOL_FLUSH_INTERVAL_MS) || DEFAULT_FLUSH_INTERVAL_MS;
+
+// Usage state per Gemini key ID: { usageDate, modelUsage, categoryUsage, usageBuckets, consecutive429Counts,
+// cooldownUntil, failureStreak, modelCooldowns, quotaHits, minuteWindow }.
+// Loaded from gemini_keys the first time a key is seen, the in-memory copy is authoritative afterwards.
+// minuteWindow (requests and tokens of the last minute) is only kept in memory.
+const keyStates = new Map();
+// Keys whose state changed since the last flush
+const dirtyKeyIds = new Set();
+
+// Round-robin position and last selected key, persisted as the gemini_key_index / last_used_gemini_key_id settings
+let rotationIndex = null; // null until loaded from the settings table
+let lastUsedKeyId = null;
+let settingsDirty = false;
+
+let flushTimer = null;
+// Flushes run one after another, so a shutdown flush waits for the one in progress
+let flushQueue = Promise.resolve();
+
+/**
+ * Parses the usage columns of a gemini_keys row.
+ * @param {object} row
+ * @returns {object}
+ */
+function parseKeyState(row) {
+    const parseJson = (value, column) => {
+        try {
+            const parsed = JSON.parse(value || '{}');
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (e) {
+            console.warn(`Error parsing ${column} for key ${row.id}, resetting:`, e);
+            return {};
+        }
+    };
+    return {
+        usageDate: row.usage_date || '',
+        modelUsage: parseJson(row.model_usage, 'model_usage'),
+        categoryUsage: parseJson(row.category_usage, 'category_usage'),
+        usageBuckets: parseJson(row.usage_buckets, 'usage_buckets'), // { [hour]: { models, categories } }
+        consecutive429Counts: parseJson(row.consecutive_429_counts, 'consecutive_429_counts'),
+        cooldownUntil: row.cooldown_until || null, // ISO timestamp
+        failureStreak: row.failure_streak || 0,
+        modelCooldowns: parseJson(row.model_cooldowns, 'model_cooldowns'), // { [modelId]: { until, streak } }
+        quotaHits: parseJson(row.quota_hits, 'quota_hits'), // { [modelId]: last quota violation }
+        minuteWindow: {}, // { [modelId]: [{ at, requests, tokens }] }
+    };
+}
+
+/**
+ * Gets the in-memory state of a key, initializing it from its database row on first use.
+ * @param {object} row The gemini_keys row (only read when the key isn't in the pool yet).
+ * @returns {object}
+ */
+function getKeyState(row) {
+    let state = keyStates.get(row.id);
+    if (!state) {
+        state = parseKeyState(row);
+        keyStates.set(row.id, state);
+    }
+    return state;
+}
+
+/**
+ * Gets the in-memory state of a key by ID, loading it from the database if needed.
+ * @param {string} keyId
+ * @returns {Promise<object|null>} The key state, or null if the key doesn't exist.
+ */
+async function loadKeyState(keyId) {
+    if (keyStates.has(keyId)) {
+        return keyStates.get(keyId);
+    }
+    const row = await configService.getDb(
+        `SELECT id, usage_date, model_usage, category_usage, consecutive_429_counts, cooldown_until, failure_streak, model_cooldowns,
+         quota_hits, usage_buckets FROM gemini_keys WHERE id = ?`,
+        [keyId]
+    );
+    return row ? getKeyState(row) : null;
+}
+
+/**
+ * Marks a key's state as changed so the next flush writes it.
+ * @param {string} keyId
+ */
+function markKeyDirty(keyId) {
+    if (!keyStates.has(keyId)) return;
+    dirtyKeyIds.add(keyId);
+    scheduleFlush();
+}
+
+/**
+ * Drops a key from the pool, e.g. after it was deleted.
+ * @param {string} keyId
+ */
+function forgetKey(keyId) {
+    keyStates.delete(keyId);
+    dirtyKeyIds.delete(keyId);
+}
+
+/**
+ * Gets the saved round-robin position.
+ * @returns {Promise<number>}
+ */
+async function getRotationIndex() {
+    if (rotationIndex === null) {
+        const indexSetting = await configService.getSetting('gemini_key_index', 0);
+        // Another call may have set it while the setting was being read
+        if (rotationIndex === null) {
+            rotationIndex = (typeof indexSetting === 'number' && indexSetting >= 0) ? indexSetting : 0;
+        }
+    }
+    return rotationIndex;
+}
+
+/**
+ * Records the round-robin position for the next request.
+ * @param {number} index
+ */
+function setRotationIndex(index) {
+    rotationIndex = index;
+    settingsDirty = true;
+    scheduleFlush();
+}
+
+/**
+ * Records the key that was selected last.
+ * @param {string} keyId
+ */
+function setLastUsedKeyId(keyId) {
+    lastUsedKeyId = keyId;
+    settingsDirty = true;
+    scheduleFlush();
+}
+
+/**
+ * Starts the flush timer if it isn't running yet.
+ */
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flush().catch(err => console.error('Failed to flush key pool state:', err));
+    }, FLUSH_INTERVAL_MS);
+    // Don't keep the process alive just for a pending flush
+    flushTimer.unref();
+}
+
+/**
+ * Writes all pending changes to the database in a single transaction.
+ * If the write fails the changes stay pending and are retried with the next flush.
+ * @returns {Promise<boolean>} Whether anything was written.
+ */
+async function writePendingChanges() {
+    if (dirtyKeyIds.size === 0 && !settingsDirty) {
+        return false;
+    }
+
+    // Take a snapshot: changes made while writing mark the keys dirty again
+    const keyIds = [...dirtyKeyIds].filter(keyId => keyStates.has(keyId));
+    const keyRows = keyIds.map(keyId => {
+        const state = keyStates.get(keyId);
+        return [
+            state.usageDate,
+            JSON.stringify(state.modelUsage),
+            JSON.stringify(state.categoryUsage),
+            JSON.stringify(state.consecutive429Counts),
+            state.cooldownUntil,
+            state.failureStreak,
+            JSON.stringify(state.modelCooldowns),
+            JSON.stringify(state.quotaHits),
+            JSON.stringify(state.usageBuckets),
+            keyId,
+        ];
+    });
+    const writeSettings = settingsDirty;
+    const index = rotationIndex;
+    const lastUsed = lastUsedKeyId;
+    dirtyKeyIds.clear();
+    settingsDirty = false;
+
+    try {
+        await configService.serializeDb(async () => {
+            await configService.runDb('BEGIN TRANSACTION');
+
+            try {
+                for (const params of keyRows) {
+                    await configService.runDb(
+                        `UPDATE gemini_keys SET usage_date = ?, model_usage = ?, category_usage = ?, consecutive_429_counts = ?,
+                         cooldown_until = ?, failure_streak = ?, model_cooldowns = ?, quota_hits = ?, usage_buckets = ? WHERE id = ?`,
+                        params
+                    );
+                }
+                if (writeSettings) {
+                    if (index !== null) {
+                        await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)',
+                            ['gemini_key_index', String(index)]);
+                    }
+                    if (lastUsed !== null) {
+                        await configService.runDb('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)',
+                            ['last_used_gemini_key_id', lastUsed]);
+                    }
+                }
+
+                await configService.runDb('COMMIT');
+            } catch (error) {
+                await configService.runDb('ROLLBACK');
+                throw error;
+            }
+        });
+    } catch (error) {
+        keyIds.forEach(keyId => {
+            if (keyStates.has(keyId)) dirtyKeyIds.add(keyId);
+        });
+        if (writeSettings) settingsDirty = true;
+        scheduleFlush();
+        throw error;
+    }
+
+    // Sync updates to GitHub outside of serialized operation
+    dbModule.syncToGitHub().catch(err => {
+        console.warn('Failed to sync to GitHub after flushing key pool state:', err);
+    });
+    return true;
+}
+
+/**
+ * Writes pending key usage and rotation state to the database now.
+ * @returns {Promise<boolean>} Whether anything was written.
+ */
+function flush() {
+    flushQueue = flushQueue.then(writePendingChanges, writePendingChanges);
+    return flushQueue;
+}
+
+/**
+ * Stops the flush timer and writes everything that is still pending.
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    try {
+        if (await flush()) {
+            console.log('Key pool state flushed to the database.');
+        }
+    } catch (err) {
+        console.error('Failed to flush key pool state on shutdown:', err);
+    }
+}
+
+// Flush before the database is closed on SIGINT / SIGTERM
+dbModule.onShutdown(shutdown);
+
+module.exports = {
+    getKeyState,
+    loadKeyState,
+    markKeyDirty,
+    forgetKey,
+    getRotationIndex,
+    setRotationIndex,
+    setLastUsedKeyId,
+    flush,
+    shutdown,
+};
@@ -0,0 +1,257 @@
+// Metrics in the Prometheus text exposition format (version 0.0.4), served on /metrics.
+// Counters and histograms live in process memory and start from zero on restart.
+// geminiKeyService, proxyPool and upstreamService are required lazily: githubSync, which the db module loads, records metrics here.
+
+const METRIC_PREFIX = 'gemini_proxy';
+
+// Request latency buckets in seconds, streamed responses can take minutes
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// name -> { help, type, series: Map(labelKey -> { labels, value }) }
+const counters = new Map();
+// name -> { help, buckets, series: Map(labelKey -> { labels, counts, sum, count }) }
+const histograms = new Map();
+
+// Result of the last batch test run, exposed as gauges
+let lastBatchTest = null;
+
+/**
+ * Builds a stable key for a label set.
+ * @param {object} labels
+ * @returns {string}
+ */
+function labelKey(labels) {
+    return Object.keys(labels).sort().map(name => `${name}=${labels[name]}`).join(',');
+}
+
+/**
+ * Adds to a counter series, creating the counter on first use.
+ * @param {string} name Metric name without the prefix.
+ * @param {string} help
+ * @param {object} labels
+ * @param {number} [amount=1]
+ */
+function incrementCounter(name, help, labels, amount = 1) {
+    if (!counters.has(name)) {
+        counters.set(name, { help, series: new Map() });
+    }
+    const series = counters.get(name).series;
+    const key = labelKey(labels);
+    const entry = series.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    series.set(key, entry);
+}
+
+/**
+ * Records an observation in a histogram series, creating the histogram on first use.
+ * @param {string} name Metric name without the prefix.
+ * @param {string} help
+ * @param {number[]} buckets Upper bounds, ascending.
+ * @param {object} labels
+ * @param {number} value
+ */
+function observeHistogram(name, help, buckets, labels, value) {
+    if (!histograms.has(name)) {
+        histograms.set(name, { help, buckets, series: new Map() });
+    }
+    const histogram = histograms.get(name);
+    const key = labelKey(labels);
+    const entry = histogram.series.get(key) || { labels, counts: histogram.buckets.map(() => 0), sum: 0, count: 0 };
+    histogram.buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+    histogram.series.set(key, entry);
+}
+
+/**
+ * Derives the upstream label from the key that served a request.
+ * @param {string|null} keyId Gemini key ID, 'vertex-ai', a provider key ID (prov-<id>:<key hash>), or null when no upstream was reached.
+ * @returns {'gemini'|'vertex'|'provider'|'none'}
+ */
+function getUpstream(keyId) {
+    if (!keyId) return 'none';
+    if (keyId === 'vertex-ai') return 'vertex';
+    return keyId.startsWith('prov-') ? 'provider' : 'gemini';
+}
+
+/**
+ * Records a finished proxied request.
+ * @param {object} request
+ * @param {string|null} request.model The model requested by the client, null (labelled 'unknown') if it was not validated.
+ * @param {number} request.status HTTP status sent to the client (499 if it disconnected).
+ * @param {string|null} request.keyId Gemini key ID, 'vertex-ai' or a provider key ID.
+ * @param {number} request.latencyMs
+ * @param {number} [request.retryCount=0]
+ */
+function recordRequest({ model, status, keyId, latencyMs, retryCount = 0 }) {
+    const labels = { model: model || 'unknown', status: String(status), upstream: getUpstream(keyId) };
+    incrementCounter('requests_total', 'Proxied requests by model, response status and upstream.', labels);
+    observeHistogram('request_duration_seconds', 'Latency of proxied requests in seconds.', LATENCY_BUCKETS, labels, latencyMs / 1000);
+    if (retryCount > 0) {
+        incrementCounter('retries_total', 'Upstream retries (e.g. with another key after a 429) by model and upstream.',
+            { model: labels.model, upstream: labels.upstream }, retryCount);
+    }
+}
+
+/**
+ * Records the result of a batch test run.
+ * @param {{totalKeys: number, successCount: number, failureCount: number}} summary
+ */
+function recordBatchTest(summary) {
+    incrementCounter('batch_test_runs_total', 'Batch test runs.', {});
+    lastBatchTest = {
+        totalKeys: summary.totalKeys,
+        successCount: summary.successCount,
+        failureCount: summary.failureCount,
+        timestamp: Date.now() / 1000,
+    };
+}
+
+/**
+ * Records the outcome of a GitHub database sync.
+ * @param {'upload'|'download'} operation
+ * @param {boolean} success
+ */
+function recordGitHubSync(operation, success) {
+    incrementCounter('github_sync_total', 'GitHub database sync attempts by operation and result.',
+        { operation, result: success ? 'success' : 'failure' });
+}
+
+/**
+ * Escapes a label value for the text format.
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a sample line.
+ * @param {string} name Full metric name.
+ * @param {object} labels
+ * @param {number} value
+ * @returns {string}
+ */
+function formatSample(name, labels, value) {
+    const labelText = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabelValue(labelValue)}"`).join(',');
+    const valueText = Number.isFinite(value) ? String(value) : (value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+    return `${name}${labelText ? `{${labelText}}` : ''} ${valueText}`;
+}
+
+/**
+ * Formats a gauge with its HELP and TYPE lines.
+ * @param {string} name Metric name without the prefix.
+ * @param {string} help
+ * @param {Array<{labels: object, value: number}>} samples
+ * @returns {string[]}
+ */
+function formatGauge(name, help, samples) {
+    const fullName = `${METRIC_PREFIX}_${name}`;
+    return [
+        `# HELP ${fullName} ${help}`,
+        `# TYPE ${fullName} gauge`,
+        ...samples.map(sample => formatSample(fullName, sample.labels, sample.value)),
+    ];
+}
+
+/**
+ * Counts the Gemini keys per state. Each key is counted once, in the first state that applies:
+ * errored (400/401/403 marked), cooling_down (the key or one of its models), quota_exhausted
+ * (a category, model or tier quota is used up, or Gemini reported one in the last day), active.
+ * @returns {Promise<{active: number, errored: number, quota_exhausted: number, cooling_down: number}>}
+ */
+async function collectKeyPoolMetrics() {
+    const geminiKeyService = require('./geminiKeyService');
+    const keys = await geminiKeyService.getAllGeminiKeysWithUsage();
+    const counts = { active: 0, errored: 0, quota_exhausted: 0, cooling_down: 0 };
+
+    const isUsedUp = (count, quota) => typeof quota === 'number' && quota > 0 && count >= quota;
+    keys.forEach(key => {
+        if (key.errorStatus) {
+            counts.errored++;
+        } else if (key.cooldownUntil || Object.keys(key.modelCooldowns || {}).length > 0) {
+            counts.cooling_down++;
+        } else if (
+            Object.keys(key.quotaHits || {}).length > 0
+            || ['pro', 'flash'].some(category => isUsedUp(key.categoryUsage?.[category], key.categoryQuotas?.[`${category}Quota`]))
+            || Object.values(key.modelUsage || {}).some(usage => isUsedUp(usage.count, usage.quota))
+            || (key.tierUsage || []).some(usage => isUsedUp(usage.count, usage.quota))
+        ) {
+            counts.quota_exhausted++;
+        } else {
+            counts.active++;
+        }
+    });
+    return counts;
+}
+
+/**
+ * Renders all metrics in the Prometheus text format. Key pool, proxy pool and upstream gauges are read at scrape time.
+ * @returns {Promise<string>}
+ */
+async function renderMetrics() {
+    const lines = [];
+
+    counters.forEach((counter, name) => {
+        const fullName = `${METRIC_PREFIX}_${name}`;
+        lines.push(`# HELP ${fullName} ${counter.help}`, `# TYPE ${fullName} counter`);
+        counter.series.forEach(entry => lines.push(formatSample(fullName, entry.labels, entry.value)));
+    });
+
+    histograms.forEach((histogram, name) => {
+        const fullName = `${METRIC_PREFIX}_${name}`;
+        lines.push(`# HELP ${fullName} ${histogram.help}`, `# TYPE ${fullName} histogram`);
+        histogram.series.forEach(entry => {
+            // Bucket counts are cumulative: each observation was counted in every bucket it fits
+            histogram.buckets.forEach((bound, index) => {
+                lines.push(formatSample(`${fullName}_bucket`, { ...entry.labels, le: bound }, entry.counts[index]));
+            });
+            lines.push(formatSample(`${fullName}_bucket`, { ...entry.labels, le: '+Inf' }, entry.count));
+            lines.push(formatSample(`${fullName}_sum`, entry.labels, entry.sum));
+            lines.push(formatSample(`${fullName}_count`, entry.labels, entry.count));
+        });
+    });
+
+    try {
+        const keyCounts = await collectKeyPoolMetrics();
+        lines.push(...formatGauge('gemini_keys', 'Gemini keys by state (active, errored, quota_exhausted, cooling_down).',
+            Object.entries(keyCounts).map(([state, value]) => ({ labels: { state }, value }))));
+    } catch (error) {
+        console.error('Failed to collect key pool metrics:', error);
+    }
+
+    const proxyStatus = require('../utils/proxyPool').getProxyPoolStatus();
+    lines.push(...formatGauge('proxy_pool_enabled', 'Whether outgoing requests go through the proxy pool (1) or not (0).',
+        [{ labels: {}, value: proxyStatus.enabled ? 1 : 0 }]));
+    lines.push(...formatGauge('proxy_pool_proxies', 'Enabled proxies in the pool (PROXY environment variable and admin panel).',
+        [{ labels: {}, value: proxyStatus.count }]));
+    lines.push(...formatGauge('proxy_pool_healthy_proxies', 'Enabled proxies that passed their last health check and are not evicted.',
+        [{ labels: {}, value: proxyStatus.healthy }]));
+
+    const upstreamStatus = require('./upstreamService').getUpstreamStatus();
+    lines.push(...formatGauge('upstreams', 'Enabled Gemini upstreams by health (healthy, unhealthy).', [
+        { labels: { state: 'healthy' }, value: upstreamStatus.healthy },
+        { labels: { state: 'unhealthy' }, value: upstreamStatus.enabled - upstreamStatus.healthy },
+    ]));
+
+    if (lastBatchTest) {
+        lines.push(...formatGauge('batch_test_last_keys', 'Keys tested by the last batch test run, by result.', [
+            { labels: { result: 'success' }, value: lastBatchTest.successCount },
+            { labels: { result: 'failure' }, value: lastBatchTest.failureCount },
+        ]));
+        lines.push(...formatGauge('batch_test_last_run_timestamp_seconds', 'Unix time the last batch test run finished.',
+            [{ labels: {}, value: lastBatchTest.timestamp }]));
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    recordRequest,
+    recordBatchTest,
+    recordGitHubSync,
+    renderMetrics,
+};
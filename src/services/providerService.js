@@ -0,0 +1,516 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const fetch = require('node-fetch');
+const configService = require('./configService');
+const dbModule = require('../db');
+const proxyPool = require('../utils/proxyPool');
+const logger = require('../utils/logger');
+
+// OpenAI-compatible backends (vLLM, Ollama, other vendors) added in the admin panel (providers table).
+// Their models are listed as "[<prefix>]<model>", like the "[v]" models of Vertex AI, and requests for
+// them are sent to <base URL>/chat/completions as-is. Keys rotate round-robin; a key is put on a
+// cooldown after a 429 or server error and skipped after a 401/403, until the process restarts.
+
+const MODEL_ID_PATTERN = /^\[([^\]]+)\](.+)$/;
+const PREFIX_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+// Already used by the Vertex AI models
+const RESERVED_PREFIXES = ['v'];
+const REQUEST_TIMEOUT_MS = 300000;
+// The first cooldown lasts the base duration and doubles with each consecutive failure, up to the maximum
+const RATE_LIMIT_COOLDOWN_BASE_MS = 30 * 1000;
+const SERVER_ERROR_COOLDOWN_BASE_MS = 10 * 1000;
+const MAX_COOLDOWN_MS = 30 * 60 * 1000;
+
+// Key ID -> { cooldownUntil: number, streak: number, invalid: boolean }
+const keyStates = new Map();
+// Provider ID -> index of the next key in the rotation
+const rotation = new Map();
+
+/**
+ * Gets the ID a provider key is logged and tracked with: the provider ID and a hash of the key.
+ * @param {string} providerId
+ * @param {string} apiKey
+ * @returns {string}
+ */
+function getKeyId(providerId, apiKey) {
+    return `${providerId}:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 8)}`;
+}
+
+/**
+ * Parses a JSON column, falling back when it is empty or invalid.
+ * @param {string|null} value
+ * @param {any} fallback
+ * @returns {any}
+ */
+function parseJsonColumn(value, fallback) {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+/**
+ * Converts a providers row.
+ * @param {object} row
+ * @returns {{id: string, name: string, prefix: string, baseUrl: string, apiKeys: string[], models: string[], pricing: object, useProxy: boolean, enabled: boolean, createdAt: string}}
+ */
+function rowToProvider(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        baseUrl: row.base_url,
+        apiKeys: parseJsonColumn(row.api_keys, []),
+        models: parseJsonColumn(row.models, []),
+        pricing: parseJsonColumn(row.pricing, {}),
+        useProxy: row.use_proxy === 1,
+        enabled: row.enabled === 1,
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * Gets every provider, including its API keys.
+ * @returns {Promise<Array<object>>}
+ */
+async function getProviders() {
+    const rows = await configService.allDb('SELECT * FROM providers ORDER BY prefix');
+    return rows.map(rowToProvider);
+}
+
+/**
+ * Gets every provider for the admin panel, with the API keys shortened to their last 4 characters.
+ * @returns {Promise<Array<object>>}
+ */
+async function getProviderList() {
+    const providers = await getProviders();
+    return providers.map(({ apiKeys, ...provider }) => ({
+        ...provider,
+        keys: apiKeys.map(apiKey => {
+            const keyId = getKeyId(provider.id, apiKey);
+            const state = keyStates.get(keyId);
+            return {
+                id: keyId,
+                keyPreview: `...${apiKey.slice(-4)}`,
+                invalid: state?.invalid || false,
+                cooldownUntil: state && state.cooldownUntil > Date.now() ? new Date(state.cooldownUntil).toISOString() : null,
+            };
+        }),
+    }));
+}
+
+/**
+ * Gets the model IDs of the enabled providers, as listed in /v1/models.
+ * @returns {Promise<Array<{id: string, ownedBy: string}>>}
+ */
+async function getProviderModels() {
+    const providers = await getProviders();
+    return providers
+        .filter(provider => provider.enabled)
+        .flatMap(provider => provider.models.map(model => ({ id: `[${provider.prefix}]${model}`, ownedBy: provider.name })));
+}
+
+/**
+ * Whether a model ID has the prefix of a provider (it may still be unknown or disabled).
+ * @param {string} modelId
+ * @returns {boolean}
+ */
+function isProviderModel(modelId) {
+    const match = typeof modelId === 'string' ? modelId.match(MODEL_ID_PATTERN) : null;
+    return Boolean(match) && !RESERVED_PREFIXES.includes(match[1]);
+}
+
+/**
+ * Finds the enabled provider serving a "[<prefix>]<model>" ID.
+ * @param {string} modelId
+ * @returns {Promise<{provider: object, model: string}|null>}
+ */
+async function resolveProviderModel(modelId) {
+    if (!isProviderModel(modelId)) return null;
+    const [, prefix, model] = modelId.match(MODEL_ID_PATTERN);
+    const row = await configService.getDb('SELECT * FROM providers WHERE prefix = ? AND enabled = 1', [prefix]);
+    if (!row) return null;
+    const provider = rowToProvider(row);
+    return provider.models.includes(model) ? { provider, model } : null;
+}
+
+/**
+ * Checks the fields of a provider.
+ * @param {object} fields
+ * @param {boolean} [partial=false] Whether omitted fields are kept (update) instead of required (add).
+ * @returns {string|null} Why the fields are invalid, or null if they are valid.
+ */
+function validateProviderFields({ name, prefix, baseUrl, apiKeys, models, pricing, useProxy, enabled }, partial = false) {
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '' || name.length > 64) {
+            return 'name must be a non-empty string of at most 64 characters.';
+        }
+    }
+    if (!partial || prefix !== undefined) {
+        if (typeof prefix !== 'string' || !PREFIX_PATTERN.test(prefix)) {
+            return 'prefix must be 1-32 lowercase letters, digits, "-" or "_".';
+        }
+        if (RESERVED_PREFIXES.includes(prefix)) {
+            return `The prefix '${prefix}' is reserved.`;
+        }
+    }
+    if (!partial || baseUrl !== undefined) {
+        let parsed;
+        try {
+            parsed = new URL(typeof baseUrl === 'string' ? baseUrl.trim() : '');
+        } catch (e) {
+            return 'Invalid base URL.';
+        }
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+            return 'Base URL must start with https:// or http://.';
+        }
+    }
+    if (!partial || apiKeys !== undefined) {
+        // Local backends often need no key, an empty list sends requests without one
+        if (!Array.isArray(apiKeys) || apiKeys.some(apiKey => typeof apiKey !== 'string' || apiKey.trim() === '')) {
+            return 'apiKeys must be an array of non-empty strings.';
+        }
+    }
+    if (!partial || models !== undefined) {
+        if (!Array.isArray(models) || models.length === 0 || models.some(model => typeof model !== 'string' || model.trim() === '')) {
+            return 'models must be a non-empty array of model names.';
+        }
+    }
+    if (pricing !== undefined && pricing !== null) {
+        if (typeof pricing !== 'object' || Array.isArray(pricing)) {
+            return 'pricing must be an object mapping model names to {input, output} prices.';
+        }
+        const invalidModel = Object.entries(pricing).find(([, price]) =>
+            !price || typeof price !== 'object' || ['input', 'output'].some(field => typeof price[field] !== 'number' || price[field] < 0));
+        if (invalidModel) {
+            return `pricing of '${invalidModel[0]}' must have non-negative numbers input and output (USD per 1M tokens).`;
+        }
+    }
+    if (useProxy !== undefined && typeof useProxy !== 'boolean') {
+        return 'useProxy must be a boolean.';
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled must be a boolean.';
+    }
+    return null;
+}
+
+/**
+ * Removes whitespace and duplicates from a list of strings.
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+function uniqueTrimmed(values) {
+    return [...new Set(values.map(value => value.trim()))];
+}
+
+/**
+ * Runs a write on the providers table in a transaction, then syncs to GitHub.
+ * @param {string} sql
+ * @param {Array<any>} params
+ * @returns {Promise<{changes: number}>}
+ */
+async function writeProviders(sql, params) {
+    return configService.serializeDb(async () => {
+        await configService.runDb('BEGIN TRANSACTION');
+        try {
+            const result = await configService.runDb(sql, params);
+            await configService.runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+            return result;
+        } catch (error) {
+            await configService.runDb('ROLLBACK');
+            if (error.message.includes('UNIQUE constraint failed')) {
+                throw new Error(`A provider with this prefix already exists (duplicate prefix).`);
+            }
+            throw error;
+        }
+    });
+}
+
+/**
+ * Stores a provider. The fields must have passed validateProviderFields.
+ * @param {object} provider
+ * @param {string} provider.name
+ * @param {string} provider.prefix Its models are listed as "[<prefix>]<model>".
+ * @param {string} provider.baseUrl e.g. http://localhost:8000/v1, requests go to <baseUrl>/chat/completions.
+ * @param {string[]} provider.apiKeys
+ * @param {string[]} provider.models
+ * @param {object} [provider.pricing] Model name -> {input, output} in USD per 1M tokens, for the request log.
+ * @param {boolean} [provider.useProxy=false] Whether requests go through the proxy pool.
+ * @returns {Promise<{id: string}>}
+ */
+async function addProvider({ name, prefix, baseUrl, apiKeys, models, pricing, useProxy = false }) {
+    const id = `prov-${crypto.randomBytes(4).toString('hex')}`;
+    await writeProviders(
+        `INSERT INTO providers (id, name, prefix, base_url, api_keys, models, pricing, use_proxy, enabled, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP)`,
+        [id, name.trim(), prefix, baseUrl.trim().replace(/\/+$/, ''), JSON.stringify(uniqueTrimmed(apiKeys)),
+            JSON.stringify(uniqueTrimmed(models)), JSON.stringify(pricing || {}), useProxy ? 1 : 0]
+    );
+    logger.info(`Added provider ${name.trim()} with prefix [${prefix}] (${id}).`);
+    return { id };
+}
+
+/**
+ * Changes a provider. Omitted fields are kept, the fields must have passed validateProviderFields.
+ * @param {string} id
+ * @param {object} changes Same fields as addProvider, plus enabled.
+ * @returns {Promise<void>}
+ */
+async function updateProvider(id, { name, prefix, baseUrl, apiKeys, models, pricing, useProxy, enabled }) {
+    const columns = {
+        name: name !== undefined ? name.trim() : undefined,
+        prefix,
+        base_url: baseUrl !== undefined ? baseUrl.trim().replace(/\/+$/, '') : undefined,
+        api_keys: apiKeys !== undefined ? JSON.stringify(uniqueTrimmed(apiKeys)) : undefined,
+        models: models !== undefined ? JSON.stringify(uniqueTrimmed(models)) : undefined,
+        pricing: pricing !== undefined ? JSON.stringify(pricing || {}) : undefined,
+        use_proxy: useProxy !== undefined ? (useProxy ? 1 : 0) : undefined,
+        enabled: enabled !== undefined ? (enabled ? 1 : 0) : undefined,
+    };
+    const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+    if (updates.length === 0) return;
+
+    const result = await writeProviders(
+        `UPDATE providers SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...updates.map(([, value]) => value), id]
+    );
+    if (result.changes === 0) {
+        throw new Error(`Provider '${id}' not found.`);
+    }
+}
+
+/**
+ * Deletes a provider.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function deleteProvider(id) {
+    const result = await writeProviders('DELETE FROM providers WHERE id = ?', [id]);
+    if (result.changes === 0) {
+        throw new Error(`Provider '${id}' not found.`);
+    }
+    rotation.delete(id);
+}
+
+/**
+ * Picks the next usable key of a provider in round-robin order. Keys already tried for this request
+ * are only used when no other key is left.
+ * @param {object} provider
+ * @param {string[]} triedKeyIds
+ * @returns {{id: string, key: string}|null} null when every key is invalid or cooling down.
+ */
+function getNextProviderKey(provider, triedKeyIds) {
+    if (provider.apiKeys.length === 0) {
+        return { id: `${provider.id}:none`, key: null };
+    }
+    const start = rotation.get(provider.id) || 0;
+    const ordered = provider.apiKeys.map((_, i) => provider.apiKeys[(start + i) % provider.apiKeys.length]);
+    const usable = ordered
+        .map(apiKey => ({ id: getKeyId(provider.id, apiKey), key: apiKey }))
+        .filter(({ id }) => {
+            const state = keyStates.get(id);
+            return !state || (!state.invalid && state.cooldownUntil <= Date.now());
+        });
+    const selected = usable.find(({ id }) => !triedKeyIds.includes(id)) || usable[0] || null;
+    if (selected) {
+        rotation.set(provider.id, (provider.apiKeys.indexOf(selected.key) + 1) % provider.apiKeys.length);
+    }
+    return selected;
+}
+
+/**
+ * Records the effect of a failed request on the key that made it: a cooldown with exponential backoff
+ * for 429 and server errors (or the upstream's Retry-After), and a permanent mark for 401/403.
+ * @param {string} keyId
+ * @param {import('node-fetch').Response} response
+ */
+function recordKeyFailure(keyId, response) {
+    const state = keyStates.get(keyId) || { cooldownUntil: 0, streak: 0, invalid: false };
+    keyStates.set(keyId, state);
+    if (response.status === 401 || response.status === 403) {
+        state.invalid = true;
+        logger.warn(`Provider key ${keyId} answered ${response.status} and is skipped until the next restart.`);
+        return;
+    }
+    if (response.status !== 429 && response.status < 500) return;
+
+    state.streak++;
+    const retryAfterSeconds = parseInt(response.headers.get('retry-after'), 10);
+    const baseMs = response.status === 429 ? RATE_LIMIT_COOLDOWN_BASE_MS : SERVER_ERROR_COOLDOWN_BASE_MS;
+    const cooldownMs = retryAfterSeconds > 0
+        ? Math.min(retryAfterSeconds * 1000, MAX_COOLDOWN_MS)
+        : Math.min(baseMs * 2 ** (state.streak - 1), MAX_COOLDOWN_MS);
+    state.cooldownUntil = Date.now() + cooldownMs;
+    logger.warn(`Provider key ${keyId} cooling down for ${Math.round(cooldownMs / 1000)}s after ${response.status} (streak ${state.streak}).`);
+}
+
+/**
+ * Reads an error body from a failed provider response and normalizes it to an OpenAI error object.
+ * @param {import('node-fetch').Response} response
+ * @returns {Promise<object>}
+ */
+async function parseProviderErrorResponse(response) {
+    const errorBodyText = await response.text();
+    let errorObject;
+    try {
+        const parsed = JSON.parse(errorBodyText);
+        errorObject = typeof parsed.error === 'object' && parsed.error ? parsed.error : { message: parsed.error || parsed.message || errorBodyText };
+    } catch (e) {
+        errorObject = { message: errorBodyText };
+    }
+    if (!errorObject.type) errorObject.type = `provider_api_error_${response.status}`;
+    if (!errorObject.code) errorObject.code = response.status;
+    return errorObject;
+}
+
+/**
+ * Converts a provider's SSE stream to the stream of OpenAI chunk objects the Vertex service returns,
+ * with the model set to the ID the client requested.
+ * @param {string} requestedModelId
+ * @returns {Transform}
+ */
+function createChunkStream(requestedModelId) {
+    const decoder = new TextDecoder();
+    let lineBuffer = '';
+    const pushLine = (stream, line) => {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+        if (!data || data === '[DONE]') return;
+        try {
+            stream.push(JSON.stringify({ ...JSON.parse(data), model: requestedModelId }));
+        } catch (e) {
+            logger.error('Error parsing provider stream chunk:', e);
+        }
+    };
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            lineBuffer += decoder.decode(chunk, { stream: true });
+            const lines = lineBuffer.split(/\r?\n/);
+            lineBuffer = lines.pop();
+            lines.forEach(line => pushLine(this, line));
+            callback();
+        },
+        flush(callback) {
+            pushLine(this, lineBuffer);
+            callback();
+        },
+    });
+}
+
+/**
+ * Sends an OpenAI chat completions request to the provider of a "[<prefix>]<model>" model, rotating
+ * its keys and retrying on failure like the Gemini service. The response is in OpenAI format, like
+ * the one of the Vertex service.
+ * @param {object} openAIRequestBody
+ * @param {string} workerApiKey Unused, for the same signature as the Gemini and Vertex services.
+ * @param {boolean} stream
+ * @returns {Promise<{ response?: object; selectedKeyId?: string; providerId?: string; pricing?: object|null; retryCount?: number; error?: object; status?: number }>}
+ */
+async function proxyProviderChatCompletions(openAIRequestBody, workerApiKey, stream) {
+    const requestedModelId = openAIRequestBody.model;
+    const resolved = await resolveProviderModel(requestedModelId);
+    if (!resolved) {
+        return { error: { message: `No enabled provider serves the model '${requestedModelId}'.`, type: 'invalid_request_error' }, status: 400 };
+    }
+    const { provider, model } = resolved;
+    const MAX_RETRIES = await configService.getSetting('max_retry', '3').then(val => parseInt(val) || 3);
+    const requestBody = JSON.stringify({
+        ...openAIRequestBody,
+        model,
+        // Without it most OpenAI-compatible backends send no usage when streaming, and the cost stays unknown
+        ...(stream && { stream_options: { ...openAIRequestBody.stream_options, include_usage: true } }),
+    });
+
+    let lastError = null;
+    let lastErrorStatus = 500;
+    const triedKeyIds = [];
+    let attemptsMade = 0;
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+        attemptsMade = attempt;
+        const selectedKey = getNextProviderKey(provider, triedKeyIds);
+        if (!selectedKey) {
+            logger.error(`Attempt ${attempt}: No available key for provider ${provider.name}.`);
+            if (attempt === 1) {
+                return { error: { message: `All keys of provider ${provider.name} are currently rate-limited or invalid.` }, status: 503 };
+            }
+            break;
+        }
+        triedKeyIds.push(selectedKey.id);
+        logger.setRequestContext({ keyId: selectedKey.id });
+
+        try {
+            const agent = provider.useProxy ? proxyPool.getNextProxyAgent() : null;
+            logger.debug(`Attempt ${attempt}: Sending chat completions request for model ${model} to provider ${provider.name} (KeyID: ${selectedKey.id})${agent ? ` via proxy ${agent.proxyUrl}` : ''}`);
+            const response = await fetch(`${provider.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(selectedKey.key && { 'Authorization': `Bearer ${selectedKey.key}` }),
+                },
+                body: requestBody,
+                size: 100 * 1024 * 1024,
+                timeout: REQUEST_TIMEOUT_MS,
+                ...(agent && { agent }),
+            });
+
+            if (!response.ok) {
+                lastErrorStatus = response.status;
+                lastError = await parseProviderErrorResponse(response);
+                logger.error(`Attempt ${attempt}: Provider ${provider.name} API error: ${response.status} ${response.statusText}`, lastError.message);
+                recordKeyFailure(selectedKey.id, response);
+
+                // The request itself is wrong, another key won't help
+                if ([400, 404, 413, 422].includes(response.status)) {
+                    return { error: lastError, status: lastErrorStatus, retryCount: attempt - 1 };
+                }
+                if (attempt < MAX_RETRIES) {
+                    logger.warn(`Attempt ${attempt}: Received ${response.status} error, trying next key...`);
+                }
+                continue;
+            }
+
+            keyStates.delete(selectedKey.id);
+            logger.info(`Attempt ${attempt}: Request to provider ${provider.name} successful with key ${selectedKey.id}.`);
+            const result = { selectedKeyId: selectedKey.id, providerId: provider.id, pricing: provider.pricing[model] || null, retryCount: attempt - 1 };
+            if (stream) {
+                // pipeline passes an upstream error (e.g. a dropped connection) on to the returned stream, so the route can end the response
+                const body = pipeline(response.body, createChunkStream(requestedModelId), (err) => {
+                    if (err) logger.error(`Stream from provider ${provider.name} failed:`, err);
+                });
+                return { ...result, response: { body, ok: true, status: response.status } };
+            }
+            return {
+                ...result,
+                response: {
+                    json: async () => ({ ...(await response.json()), model: requestedModelId }),
+                    ok: true,
+                    status: response.status,
+                },
+            };
+        } catch (fetchError) {
+            logger.error(`Attempt ${attempt}: Error during provider call:`, fetchError);
+            lastError = { message: `Internal Proxy Error during attempt ${attempt}: ${fetchError.message}`, type: 'proxy_internal_error' };
+            lastErrorStatus = 500;
+            // If a network error occurs, break the loop, don't retry immediately
+            break;
+        }
+    }
+
+    logger.error(`All ${MAX_RETRIES} attempts for provider ${provider.name} failed. Returning last recorded error (Status: ${lastErrorStatus}).`);
+    return { error: lastError, status: lastErrorStatus, retryCount: Math.max(attemptsMade - 1, 0) };
+}
+
+module.exports = {
+    getProviderList,
+    getProviderModels,
+    isProviderModel,
+    validateProviderFields,
+    addProvider,
+    updateProvider,
+    deleteProvider,
+    proxyProviderChatCompletions,
+};
@@ -0,0 +1,170 @@
+const configService = require('./configService'); // Use configService for DB helpers and settings
+
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Inserts a row into the request_log table.
+ * The table lives in the attached local.db, which is never synced to GitHub: the request history stays
+ * on this server and is lost with local.db (e.g. on a host without persistent storage).
+ * @param {object} entry
+ * @param {string} entry.createdAt ISO timestamp of when the request was received.
+ * @param {string|null} entry.workerKey
+ * @param {string|null} entry.keyId Gemini key ID, 'vertex-ai', or the ID of a provider key.
+ * @param {string|null} entry.model
+ * @param {string} entry.endpoint
+ * @param {boolean} entry.stream
+ * @param {number} entry.status
+ * @param {number} entry.latencyMs
+ * @param {number} entry.retryCount
+ * @param {{promptTokens: number, completionTokens: number, totalTokens: number}|null} entry.usage
+ * @param {number|null} [entry.costUsd] Estimated from the provider's pricing.
+ * @returns {Promise<void>}
+ */
+async function logRequest(entry) {
+    const sql = `
+        INSERT INTO request_log
+        (created_at, worker_key, gemini_key_id, model, endpoint, stream, status, latency_ms, retry_count,
+         prompt_tokens, completion_tokens, total_tokens, cost_usd)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    await configService.serializeDb(() => configService.runDb(sql, [
+        entry.createdAt,
+        entry.workerKey || null,
+        entry.keyId || null,
+        entry.model || null,
+        entry.endpoint,
+        entry.stream ? 1 : 0,
+        entry.status,
+        entry.latencyMs,
+        entry.retryCount || 0,
+        entry.usage ? entry.usage.promptTokens : null,
+        entry.usage ? entry.usage.completionTokens : null,
+        entry.usage ? entry.usage.totalTokens : null,
+        entry.costUsd ?? null,
+    ]));
+}
+
+/**
+ * Queries the request log with optional filters, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.workerKey]
+ * @param {string} [filters.keyId] Gemini key ID or 'vertex-ai'.
+ * @param {string} [filters.model]
+ * @param {string} [filters.endpoint]
+ * @param {string|number} [filters.status] An exact HTTP status, or 'success' (< 400) / 'error' (>= 400).
+ * @param {string|boolean} [filters.stream] true / false.
+ * @param {string} [filters.from] ISO timestamp (inclusive).
+ * @param {string} [filters.to] ISO timestamp (exclusive).
+ * @param {number} [page=1]
+ * @param {number} [pageSize=50] At most 200.
+ * @returns {Promise<{logs: Array<object>, total: number, page: number, pageSize: number}>}
+ */
+async function queryRequestLogs(filters = {}, page = 1, pageSize = 50) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.workerKey) {
+        conditions.push('worker_key = ?');
+        params.push(filters.workerKey);
+    }
+    if (filters.keyId) {
+        conditions.push('gemini_key_id = ?');
+        params.push(filters.keyId);
+    }
+    if (filters.model) {
+        conditions.push('model = ?');
+        params.push(filters.model);
+    }
+    if (filters.endpoint) {
+        conditions.push('endpoint = ?');
+        params.push(filters.endpoint);
+    }
+    if (filters.status === 'success') {
+        conditions.push('status < 400');
+    } else if (filters.status === 'error') {
+        conditions.push('status >= 400');
+    } else if (filters.status !== undefined && filters.status !== '' && !isNaN(parseInt(filters.status))) {
+        conditions.push('status = ?');
+        params.push(parseInt(filters.status));
+    }
+    if (filters.stream !== undefined && filters.stream !== '') {
+        conditions.push('stream = ?');
+        params.push(String(filters.stream) === 'true' || String(filters.stream) === '1' ? 1 : 0);
+    }
+    if (filters.from) {
+        conditions.push('created_at >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push('created_at < ?');
+        params.push(filters.to);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const safePage = Math.max(parseInt(page) || 1, 1);
+    const safePageSize = Math.min(Math.max(parseInt(pageSize) || 50, 1), MAX_PAGE_SIZE);
+
+    const [countRow, rows] = await Promise.all([
+        configService.getDb(`SELECT COUNT(*) AS total FROM request_log ${whereClause}`, params),
+        configService.allDb(
+            `SELECT * FROM request_log ${whereClause} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+            [...params, safePageSize, (safePage - 1) * safePageSize]
+        ),
+    ]);
+
+    return {
+        logs: rows.map(row => ({
+            id: row.id,
+            createdAt: row.created_at,
+            workerKey: row.worker_key,
+            keyId: row.gemini_key_id,
+            model: row.model,
+            endpoint: row.endpoint,
+            stream: row.stream === 1,
+            status: row.status,
+            latencyMs: row.latency_ms,
+            retryCount: row.retry_count,
+            promptTokens: row.prompt_tokens,
+            completionTokens: row.completion_tokens,
+            totalTokens: row.total_tokens,
+            costUsd: row.cost_usd,
+        })),
+        total: countRow?.total || 0,
+        page: safePage,
+        pageSize: safePageSize,
+    };
+}
+
+/**
+ * Gets the configured request log retention in days.
+ * @returns {Promise<number>}
+ */
+async function getRetentionDays() {
+    const value = await configService.getSetting('request_log_retention_days', DEFAULT_RETENTION_DAYS);
+    return parseInt(value) || DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Deletes request log rows older than the configured retention period.
+ * @returns {Promise<number>} The number of deleted rows.
+ */
+async function pruneRequestLogs() {
+    const retentionDays = await getRetentionDays();
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const result = await configService.serializeDb(() =>
+        configService.runDb('DELETE FROM request_log WHERE created_at < ?', [cutoff])
+    );
+    if (result.changes > 0) {
+        console.log(`Pruned ${result.changes} request log entries older than ${retentionDays} days.`);
+    }
+    return result.changes;
+}
+
+module.exports = {
+    DEFAULT_RETENTION_DAYS,
+    logRequest,
+    queryRequestLogs,
+    getRetentionDays,
+    pruneRequestLogs,
+};
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const configService = require('./configService'); // Use configService for DB helpers and settings
+
+// Where cached responses are kept: in process memory (lost on restart) or in the response_cache table
+const CACHE_STORAGES = ['memory', 'sqlite'];
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Request fields that change the generated response. Everything else (stream, user, metadata...) is ignored.
+const CACHE_KEY_FIELDS = [
+    'model', 'messages', 'tools', 'tool_choice', 'functions', 'function_call', 'response_format',
+    'temperature', 'top_p', 'top_k', 'max_tokens', 'max_completion_tokens', 'stop', 'n', 'seed',
+    'presence_penalty', 'frequency_penalty', 'reasoning_effort', 'thinking_budget'
+];
+
+// In-memory storage: cache key -> { model, response, createdAt, expiresAt, hits }, least recently used first
+const memoryCache = new Map();
+
+// Counters since the process started
+const stats = { hits: 0, misses: 0, stores: 0 };
+
+/**
+ * Gets the response cache settings.
+ * @returns {Promise<{enabled: boolean, ttlSeconds: number, maxEntries: number, storage: 'memory'|'sqlite'}>}
+ */
+async function getCacheConfig() {
+    const [enabled, ttlSeconds, maxEntries, storage] = await Promise.all([
+        configService.getSetting('response_cache_enabled', '0'),
+        configService.getSetting('response_cache_ttl_seconds', DEFAULT_TTL_SECONDS),
+        configService.getSetting('response_cache_max_entries', DEFAULT_MAX_ENTRIES),
+        configService.getSetting('response_cache_storage', 'memory')
+    ]);
+    return {
+        enabled: String(enabled) === '1',
+        ttlSeconds: parseInt(ttlSeconds) > 0 ? parseInt(ttlSeconds) : DEFAULT_TTL_SECONDS,
+        maxEntries: parseInt(maxEntries) > 0 ? parseInt(maxEntries) : DEFAULT_MAX_ENTRIES,
+        storage: CACHE_STORAGES.includes(storage) ? storage : 'memory'
+    };
+}
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equal requests hash the same.
+ * @param {any} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Decides whether a chat completion request may be served from and stored in the cache.
+ * Requests are cached when they are deterministic (temperature 0) or when the client opts in
+ * with `X-Proxy-Cache: on`; `X-Proxy-Cache: off` always bypasses the cache.
+ * @param {object} requestBody The OpenAI chat completion request.
+ * @param {string|undefined} cacheHeader The X-Proxy-Cache request header.
+ * @returns {boolean}
+ */
+function isCacheable(requestBody, cacheHeader) {
+    const header = String(cacheHeader || '').toLowerCase();
+    if (header === 'off') return false;
+    if (header === 'on') return true;
+    return requestBody?.temperature === 0;
+}
+
+/**
+ * Builds the cache key for a chat completion request: a SHA-256 of the fields that affect the output.
+ * The context includes the worker key, so cached responses are never shared between worker keys.
+ * @param {object} requestBody The OpenAI chat completion request.
+ * @param {object} [context] Proxy-side options that scope the entry, e.g. { safety: true, workerKey: 'sk-...' }.
+ * @returns {string}
+ */
+function getCacheKey(requestBody, context = {}) {
+    const normalized = { context };
+    CACHE_KEY_FIELDS.forEach(field => {
+        if (requestBody[field] !== undefined && requestBody[field] !== null) {
+            normalized[field] = requestBody[field];
+        }
+    });
+    return crypto.createHash('sha256').update(stableStringify(normalized)).digest('hex');
+}
+
+/**
+ * Looks up a cached chat completion.
+ * @param {string} cacheKey
+ * @returns {Promise<object|null>} The chat.completion object, or null on a miss.
+ */
+async function getCachedResponse(cacheKey) {
+    const config = await getCacheConfig();
+    let response = null;
+
+    if (config.storage === 'sqlite') {
+        const row = await configService.getDb(
+            'SELECT response FROM response_cache WHERE cache_key = ? AND expires_at > ?',
+            [cacheKey, new Date().toISOString()]
+        );
+        if (row) {
+            try {
+                response = JSON.parse(row.response);
+                configService.runDb('UPDATE response_cache SET hits = hits + 1 WHERE cache_key = ?', [cacheKey])
+                    .catch(err => console.warn(`Failed to count response cache hit for ${cacheKey}:`, err));
+            } catch (e) {
+                console.error(`Error parsing cached response ${cacheKey}:`, e);
+            }
+        }
+    } else {
+        const entry = memoryCache.get(cacheKey);
+        if (entry && entry.expiresAt > Date.now()) {
+            entry.hits++;
+            // Move to the end: most recently used
+            memoryCache.delete(cacheKey);
+            memoryCache.set(cacheKey, entry);
+            response = entry.response;
+        } else if (entry) {
+            memoryCache.delete(cacheKey);
+        }
+    }
+
+    if (response) {
+        stats.hits++;
+    } else {
+        stats.misses++;
+    }
+    return response;
+}
+
+/**
+ * Stores a chat completion, evicting the oldest entries beyond the size limit.
+ * @param {string} cacheKey
+ * @param {string} model
+ * @param {object} response The chat.completion object.
+ * @returns {Promise<void>}
+ */
+async function storeResponse(cacheKey, model, response) {
+    const config = await getCacheConfig();
+    const now = Date.now();
+    const expiresAt = now + config.ttlSeconds * 1000;
+
+    if (config.storage === 'sqlite') {
+        await configService.serializeDb(async () => {
+            await configService.runDb('BEGIN TRANSACTION');
+
+            try {
+                await configService.runDb(
+                    `INSERT OR REPLACE INTO response_cache (cache_key, model, response, created_at, expires_at, hits)
+                     VALUES (?, ?, ?, ?, ?, 0)`,
+                    [cacheKey, model, JSON.stringify(response), new Date(now).toISOString(), new Date(expiresAt).toISOString()]
+                );
+                // Drop expired entries, then the oldest ones beyond the limit
+                await configService.runDb('DELETE FROM response_cache WHERE expires_at <= ?', [new Date(now).toISOString()]);
+                await configService.runDb(
+                    `DELETE FROM response_cache WHERE cache_key NOT IN
+                     (SELECT cache_key FROM response_cache ORDER BY created_at DESC LIMIT ?)`,
+                    [config.maxEntries]
+                );
+
+                await configService.runDb('COMMIT');
+            } catch (error) {
+                await configService.runDb('ROLLBACK');
+                throw error;
+            }
+        });
+    } else {
+        memoryCache.delete(cacheKey);
+        memoryCache.set(cacheKey, { model, response, createdAt: now, expiresAt, hits: 0 });
+        while (memoryCache.size > config.maxEntries) {
+            memoryCache.delete(memoryCache.keys().next().value);
+        }
+    }
+
+    stats.stores++;
+}
+
+/**
+ * Gets the cache settings, the hit and miss counters and the number of stored entries.
+ * @returns {Promise<object>}
+ */
+async function getCacheStats() {
+    const config = await getCacheConfig();
+    let entries = 0;
+    if (config.storage === 'sqlite') {
+        const row = await configService.getDb('SELECT COUNT(*) AS entries FROM response_cache WHERE expires_at > ?', [new Date().toISOString()]);
+        entries = row?.entries || 0;
+    } else {
+        const now = Date.now();
+        memoryCache.forEach(entry => {
+            if (entry.expiresAt > now) entries++;
+        });
+    }
+    const lookups = stats.hits + stats.misses;
+    return {
+        ...config,
+        entries,
+        hits: stats.hits,
+        misses: stats.misses,
+        stores: stats.stores,
+        hitRate: lookups > 0 ? stats.hits / lookups : 0
+    };
+}
+
+/**
+ * Removes every cached response from both storages and resets the counters.
+ * @returns {Promise<number>} The number of entries removed.
+ */
+async function purgeCache() {
+    const memoryEntries = memoryCache.size;
+    memoryCache.clear();
+    const result = await configService.serializeDb(() => configService.runDb('DELETE FROM response_cache'));
+    stats.hits = 0;
+    stats.misses = 0;
+    stats.stores = 0;
+    console.log(`Response cache purged (${memoryEntries + result.changes} entries).`);
+    return memoryEntries + result.changes;
+}
+
+/**
+ * Turns a cached chat completion into the SSE events of an equivalent streamed response.
+ * @param {object} completion The chat.completion object.
+ * @returns {string[]} The `data: ...` events, ending with [DONE].
+ */
+function completionToSseEvents(completion) {
+    const base = { id: completion.id, object: 'chat.completion.chunk', created: completion.created, model: completion.model };
+    const events = [];
+    (completion.choices || []).forEach(choice => {
+        const message = choice.message || {};
+        const delta = { role: message.role || 'assistant' };
+        if (message.content) delta.content = message.content;
+        if (message.reasoning_content) delta.reasoning_content = message.reasoning_content;
+        if (Array.isArray(message.tool_calls)) {
+            delta.tool_calls = message.tool_calls.map((toolCall, index) => ({ index, ...toolCall }));
+        }
+        events.push({ ...base, choices: [{ index: choice.index || 0, delta, finish_reason: null }] });
+        events.push({ ...base, choices: [{ index: choice.index || 0, delta: {}, finish_reason: choice.finish_reason || 'stop' }] });
+    });
+    if (completion.usage) {
+        events.push({ ...base, choices: [], usage: completion.usage });
+    }
+    return [...events.map(event => `data: ${JSON.stringify(event)}\n\n`), 'data: [DONE]\n\n'];
+}
+
+/**
+ * Collects the OpenAI SSE events of a streamed chat completion into a single chat.completion object.
+ * @returns {{push: function(string): void, toCompletion: function(boolean=): object|null}}
+ *   push takes raw SSE text; toCompletion returns null unless every choice finished, or unless
+ *   anything was collected when called with allowUnfinished.
+ */
+function createStreamCollector() {
+    let pending = '';
+    let completion = null;
+    const choices = new Map();
+
+    const applyChunk = (chunk) => {
+        if (!completion) {
+            completion = { id: chunk.id, object: 'chat.completion', created: chunk.created, model: chunk.model };
+        }
+        if (chunk.usage) completion.usage = chunk.usage;
+        (chunk.choices || []).forEach(({ index = 0, delta = {}, finish_reason }) => {
+            const choice = choices.get(index) || { index, message: { role: 'assistant', content: '' }, finish_reason: null };
+            if (delta.content) choice.message.content += delta.content;
+            if (delta.reasoning_content) choice.message.reasoning_content = (choice.message.reasoning_content || '') + delta.reasoning_content;
+            (delta.tool_calls || []).forEach(({ index: toolIndex = 0, ...toolCallDelta }) => {
+                const toolCalls = choice.message.tool_calls || (choice.message.tool_calls = []);
+                const toolCall = toolCalls[toolIndex] || (toolCalls[toolIndex] = { id: toolCallDelta.id, type: 'function', function: { name: '', arguments: '' } });
+                if (toolCallDelta.id) toolCall.id = toolCallDelta.id;
+                if (toolCallDelta.function?.name) toolCall.function.name += toolCallDelta.function.name;
+                if (toolCallDelta.function?.arguments) toolCall.function.arguments += toolCallDelta.function.arguments;
+            });
+            if (finish_reason) choice.finish_reason = finish_reason;
+            choices.set(index, choice);
+        });
+    };
+
+    return {
+        push(text) {
+            pending += text;
+            const events = pending.split('\n\n');
+            pending = events.pop();
+            events.forEach(event => {
+                const data = event.trim().replace(/^data:\s*/, '');
+                if (!data || data === '[DONE]') return;
+                try {
+                    const chunk = JSON.parse(data);
+                    if (chunk.object === 'chat.completion.chunk') applyChunk(chunk);
+                } catch (e) {
+                    // Not a JSON event (e.g. a comment), nothing to collect
+                }
+            });
+        },
+        toCompletion(allowUnfinished = false) {
+            if (!completion || choices.size === 0
+                || (!allowUnfinished && [...choices.values()].some(choice => !choice.finish_reason))) {
+                return null;
+            }
+            return { ...completion, choices: [...choices.values()].sort((a, b) => a.index - b.index) };
+        }
+    };
+}
+
+module.exports = {
+    CACHE_STORAGES,
+    getCacheConfig,
+    isCacheable,
+    getCacheKey,
+    getCachedResponse,
+    storeResponse,
+    getCacheStats,
+    purgeCache,
+    completionToSseEvents,
+    createStreamCollector,
+};
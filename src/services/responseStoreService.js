@@ -0,0 +1,118 @@
+const configService = require('./configService'); // Use configService for DB helpers
+
+// Stored responses older than this are removed when new ones are saved
+const RESPONSE_RETENTION_DAYS = 30;
+
+/**
+ * Gets a stored /v1/responses entry that belongs to the given worker key.
+ * @param {string} responseId The resp_... ID.
+ * @param {string} workerApiKey The worker key making the request.
+ * @returns {Promise<{id: string, model: string, previousResponseId: string|null, messages: Array<object>, response: object}|null>}
+ */
+async function getStoredResponse(responseId, workerApiKey) {
+    const row = await configService.getDb(
+        'SELECT * FROM responses WHERE id = ? AND worker_key = ?',
+        [responseId, workerApiKey]
+    );
+    if (!row) {
+        return null;
+    }
+    try {
+        return {
+            id: row.id,
+            model: row.model,
+            previousResponseId: row.previous_response_id,
+            messages: JSON.parse(row.messages),
+            response: JSON.parse(row.response),
+        };
+    } catch (e) {
+        console.error(`Error parsing stored response ${responseId}:`, e);
+        return null;
+    }
+}
+
+/**
+ * Rebuilds the conversation that ends with the given response by following previous_response_id.
+ * Each stored response only holds its own turn, so the turns are collected back to the first one.
+ * If an earlier response has been deleted or pruned, the conversation starts after it.
+ * @param {string} responseId The resp_... ID of the last response in the chain.
+ * @param {string} workerApiKey The worker key making the request.
+ * @returns {Promise<Array<object>|null>} The OpenAI chat messages in order, or null if the response itself is not found.
+ */
+async function getConversationMessages(responseId, workerApiKey) {
+    const turns = [];
+    const visited = new Set();
+    let currentId = responseId;
+
+    while (currentId && !visited.has(currentId)) {
+        visited.add(currentId);
+        const stored = await getStoredResponse(currentId, workerApiKey);
+        if (!stored) {
+            if (currentId === responseId) {
+                return null;
+            }
+            break;
+        }
+        turns.unshift(stored.messages);
+        currentId = stored.previousResponseId;
+    }
+
+    return turns.flat();
+}
+
+/**
+ * Saves a /v1/responses result so that later requests can continue from it with previous_response_id.
+ * Also prunes responses older than the retention period.
+ * @param {object} entry
+ * @param {string} entry.id The resp_... ID.
+ * @param {string} entry.workerApiKey The worker key that created the response.
+ * @param {string} entry.model The requested model ID.
+ * @param {string|null} entry.previousResponseId The response this one continues from.
+ * @param {Array<object>} entry.messages This turn only (the new input and the output), as OpenAI chat messages.
+ * @param {object} entry.response The Responses API response object.
+ * @returns {Promise<void>}
+ */
+async function saveResponse({ id, workerApiKey, model, previousResponseId, messages, response }) {
+    await configService.serializeDb(async () => {
+        await configService.runDb('BEGIN TRANSACTION');
+
+        try {
+            await configService.runDb(
+                `INSERT OR REPLACE INTO responses (id, worker_key, model, previous_response_id, messages, response, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                [id, workerApiKey, model, previousResponseId || null, JSON.stringify(messages), JSON.stringify(response)]
+            );
+            await configService.runDb(
+                `DELETE FROM responses WHERE created_at < datetime('now', ?)`,
+                [`-${RESPONSE_RETENTION_DAYS} days`]
+            );
+
+            await configService.runDb('COMMIT');
+        } catch (error) {
+            await configService.runDb('ROLLBACK');
+            console.error(`Transaction error while saving response ${id}:`, error);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Deletes a stored response that belongs to the given worker key.
+ * @param {string} responseId The resp_... ID.
+ * @param {string} workerApiKey The worker key making the request.
+ * @returns {Promise<boolean>} True if a response was deleted.
+ */
+async function deleteStoredResponse(responseId, workerApiKey) {
+    const result = await configService.serializeDb(() => configService.runDb(
+        'DELETE FROM responses WHERE id = ? AND worker_key = ?',
+        [responseId, workerApiKey]
+    ));
+    return result.changes > 0;
+}
+
+module.exports = {
+    getStoredResponse,
+    getConversationMessages,
+    saveResponse,
+    deleteStoredResponse,
+};
@@ -1,10 +1,17 @@
 const cron = require('node-cron');
 const configService = require('./configService');
 const batchTestService = require('./batchTestService');
+const requestLogService = require('./requestLogService');
+const auditLogService = require('./auditLogService');
+const proxyPool = require('../utils/proxyPool');
+const upstreamService = require('./upstreamService');
 
 class SchedulerService {
     constructor() {
         this.batchTestTask = null;
+        this.requestLogCleanupTask = null;
+        this.proxyHealthCheckTask = null;
+        this.upstreamHealthCheckTask = null;
         this.isInitialized = false;
     }
 
@@ -20,6 +27,15 @@ class SchedulerService {
         
         // Check if auto test is enabled and start the task if needed
         await this.updateBatchTestSchedule();
+
+        // Prune expired request log entries every hour
+        this.startRequestLogCleanup();
+
+        // Check the proxies every five minutes, evicting and restoring them
+        this.startProxyHealthChecks();
+
+        // Check the upstreams every five minutes as well
+        this.startUpstreamHealthChecks();
         
         this.isInitialized = true;
         console.log('Scheduler Service initialized.');
@@ -90,6 +106,93 @@ class SchedulerService {
         }
     }
 
+    /**
+     * Start the hourly request log and audit log cleanup (retention is read from settings on every run)
+     */
+    startRequestLogCleanup() {
+        if (this.requestLogCleanupTask) {
+            return;
+        }
+
+        this.requestLogCleanupTask = cron.schedule('0 10 * * * *', async () => {
+            try {
+                await requestLogService.pruneRequestLogs();
+            } catch (error) {
+                console.error('Error during scheduled request log cleanup:', error);
+            }
+            try {
+                await auditLogService.pruneAuditLogs();
+            } catch (error) {
+                console.error('Error during scheduled audit log cleanup:', error);
+            }
+        }, {
+            scheduled: true,
+            timezone: 'UTC'
+        });
+
+        // Also prune once at startup
+        requestLogService.pruneRequestLogs().catch(error => {
+            console.error('Error during initial request log cleanup:', error);
+        });
+        auditLogService.pruneAuditLogs().catch(error => {
+            console.error('Error during initial audit log cleanup:', error);
+        });
+
+        console.log('Request log cleanup scheduled to run hourly');
+    }
+
+    /**
+     * Start the proxy pool health checks, every five minutes and once at startup
+     */
+    startProxyHealthChecks() {
+        if (this.proxyHealthCheckTask) {
+            return;
+        }
+
+        this.proxyHealthCheckTask = cron.schedule('0 */5 * * * *', async () => {
+            try {
+                await proxyPool.runHealthChecks();
+            } catch (error) {
+                console.error('Error during scheduled proxy health check:', error);
+            }
+        }, {
+            scheduled: true,
+            timezone: 'UTC'
+        });
+
+        proxyPool.runHealthChecks().catch(error => {
+            console.error('Error during initial proxy health check:', error);
+        });
+
+        console.log('Proxy health checks scheduled to run every 5 minutes');
+    }
+
+    /**
+     * Start the upstream health checks, every five minutes (offset from the proxy checks) and once at startup
+     */
+    startUpstreamHealthChecks() {
+        if (this.upstreamHealthCheckTask) {
+            return;
+        }
+
+        this.upstreamHealthCheckTask = cron.schedule('30 */5 * * * *', async () => {
+            try {
+                await upstreamService.runHealthChecks();
+            } catch (error) {
+                console.error('Error during scheduled upstream health check:', error);
+            }
+        }, {
+            scheduled: true,
+            timezone: 'UTC'
+        });
+
+        upstreamService.runHealthChecks().catch(error => {
+            console.error('Error during initial upstream health check:', error);
+        });
+
+        console.log('Upstream health checks scheduled to run every 5 minutes');
+    }
+
     /**
      * Get the current status of the scheduler
      */
@@ -97,7 +200,10 @@ class SchedulerService {
         return {
             isInitialized: this.isInitialized,
             batchTestScheduled: !!this.batchTestTask,
-            nextBatchTestRun: this.batchTestTask ? 'Daily at 4 AM Beijing time' : 'Not scheduled'
+            nextBatchTestRun: this.batchTestTask ? 'Daily at 4 AM Beijing time' : 'Not scheduled',
+            requestLogCleanupScheduled: !!this.requestLogCleanupTask,
+            proxyHealthCheckScheduled: !!this.proxyHealthCheckTask,
+            upstreamHealthCheckScheduled: !!this.upstreamHealthCheckTask
         };
     }
 
@@ -131,6 +237,21 @@ class SchedulerService {
             this.batchTestTask.stop();
             this.batchTestTask = null;
         }
+
+        if (this.requestLogCleanupTask) {
+            this.requestLogCleanupTask.stop();
+            this.requestLogCleanupTask = null;
+        }
+
+        if (this.proxyHealthCheckTask) {
+            this.proxyHealthCheckTask.stop();
+            this.proxyHealthCheckTask = null;
+        }
+
+        if (this.upstreamHealthCheckTask) {
+            this.upstreamHealthCheckTask.stop();
+            this.upstreamHealthCheckTask = null;
+        }
         
         this.isInitialized = false;
         console.log('Scheduler Service shut down.');
@@ -0,0 +1,211 @@
+const configService = require('./configService'); // Use configService for DB helpers
+
+// Supported ranges, bucketed by hour (24h) or by day (7d / 30d). Buckets are UTC.
+const RANGES = {
+    '24h': { durationMs: 24 * 60 * 60 * 1000, bucket: 'hour' },
+    '7d': { durationMs: 7 * 24 * 60 * 60 * 1000, bucket: 'day' },
+    '30d': { durationMs: 30 * 24 * 60 * 60 * 1000, bucket: 'day' },
+};
+
+// Dimensions the stats can be broken down by, mapped to request_log columns
+const GROUP_BY_COLUMNS = {
+    model: 'model',
+    worker_key: 'worker_key',
+    gemini_key: 'gemini_key_id',
+};
+
+// Time series only keep the busiest groups, the rest is merged into "other"
+const MAX_SERIES = 8;
+
+/**
+ * Resolves a range name to its time window.
+ * @param {string} range '24h', '7d' or '30d'.
+ * @returns {{from: string, to: string, bucket: 'hour'|'day'}|null} ISO timestamps, or null for an unknown range.
+ */
+function resolveRange(range) {
+    const config = RANGES[range];
+    if (!config) return null;
+    const now = Date.now();
+    return {
+        from: new Date(now - config.durationMs).toISOString(),
+        to: new Date(now).toISOString(),
+        bucket: config.bucket,
+    };
+}
+
+/**
+ * Lists every bucket key between two timestamps, e.g. '2024-05-01T13' (hour) or '2024-05-01' (day).
+ * @param {string} from ISO timestamp.
+ * @param {string} to ISO timestamp.
+ * @param {'hour'|'day'} bucket
+ * @returns {string[]}
+ */
+function listBuckets(from, to, bucket) {
+    const keyLength = bucket === 'hour' ? 13 : 10;
+    const stepMs = bucket === 'hour' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const buckets = [];
+    let cursor = new Date(from.substring(0, keyLength) + (bucket === 'hour' ? ':00:00.000Z' : 'T00:00:00.000Z')).getTime();
+    const end = new Date(to).getTime();
+    while (cursor <= end) {
+        buckets.push(new Date(cursor).toISOString().substring(0, keyLength));
+        cursor += stepMs;
+    }
+    return buckets;
+}
+
+/**
+ * Gets the totals for a range.
+ * @param {string} range '24h', '7d' or '30d'.
+ * @returns {Promise<object>}
+ */
+async function getSummary(range) {
+    const timeWindow = resolveRange(range);
+    const row = await configService.getDb(`
+        SELECT COUNT(*) AS requests,
+               SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) AS errors,
+               SUM(COALESCE(prompt_tokens, 0)) AS promptTokens,
+               SUM(COALESCE(completion_tokens, 0)) AS completionTokens,
+               SUM(COALESCE(total_tokens, 0)) AS totalTokens,
+               AVG(latency_ms) AS avgLatencyMs
+        FROM request_log
+        WHERE created_at >= ? AND created_at < ?
+    `, [timeWindow.from, timeWindow.to]);
+
+    const requests = row?.requests || 0;
+    const errors = row?.errors || 0;
+    return {
+        range,
+        from: timeWindow.from,
+        to: timeWindow.to,
+        requests,
+        errors,
+        errorRate: requests > 0 ? errors / requests : 0,
+        promptTokens: row?.promptTokens || 0,
+        completionTokens: row?.completionTokens || 0,
+        totalTokens: row?.totalTokens || 0,
+        avgLatencyMs: row?.avgLatencyMs ? Math.round(row.avgLatencyMs) : 0,
+    };
+}
+
+/**
+ * Gets requests, errors and tokens per time bucket, optionally split by a dimension.
+ * @param {string} range '24h', '7d' or '30d'.
+ * @param {string} [groupBy] 'model', 'worker_key' or 'gemini_key'; omit for a single "all" series.
+ * @returns {Promise<{range: string, bucket: string, buckets: string[], series: Array<{key: string, requests: number[], errors: number[], tokens: number[]}>}>}
+ */
+async function getTimeSeries(range, groupBy) {
+    const timeWindow = resolveRange(range);
+    const keyLength = timeWindow.bucket === 'hour' ? 13 : 10;
+    const groupColumn = GROUP_BY_COLUMNS[groupBy];
+    const groupSelect = groupColumn ? `COALESCE(${groupColumn}, 'unknown')` : `'all'`;
+
+    const rows = await configService.allDb(`
+        SELECT substr(created_at, 1, ${keyLength}) AS bucket,
+               ${groupSelect} AS groupKey,
+               COUNT(*) AS requests,
+               SUM(CASE WHEN status >= 400 THEN 1 ELSE 0 END) AS errors,
+               SUM(COALESCE(total_tokens, 0)) AS tokens
+        FROM request_log
+        WHERE created_at >= ? AND created_at < ?
+        GROUP BY bucket, groupKey
+    `, [timeWindow.from, timeWindow.to]);
+
+    // Keep the busiest groups, merge the rest into "other"
+    const totalsByGroup = {};
+    rows.forEach(row => {
+        totalsByGroup[row.groupKey] = (totalsByGroup[row.groupKey] || 0) + row.requests;
+    });
+    const topGroups = Object.keys(totalsByGroup)
+        .sort((a, b) => totalsByGroup[b] - totalsByGroup[a])
+        .slice(0, MAX_SERIES);
+
+    const buckets = listBuckets(timeWindow.from, timeWindow.to, timeWindow.bucket);
+    const bucketIndex = Object.fromEntries(buckets.map((bucket, index) => [bucket, index]));
+    const seriesByKey = {};
+    const getSeries = (key) => {
+        if (!seriesByKey[key]) {
+            seriesByKey[key] = {
+                key,
+                requests: new Array(buckets.length).fill(0),
+                errors: new Array(buckets.length).fill(0),
+                tokens: new Array(buckets.length).fill(0),
+            };
+        }
+        return seriesByKey[key];
+    };
+
+    rows.forEach(row => {
+        const index = bucketIndex[row.bucket];
+        if (index === undefined) return;
+        const series = getSeries(topGroups.includes(row.groupKey) ? row.groupKey : 'other');
+        series.requests[index] += row.requests;
+        series.errors[index] += row.errors || 0;
+        series.tokens[index] += row.tokens || 0;
+    });
+
+    const orderedKeys = [...topGroups, ...(seriesByKey.other && !topGroups.includes('other') ? ['other'] : [])];
+    return {
+        range,
+        bucket: timeWindow.bucket,
+        buckets,
+        series: orderedKeys.map(key => seriesByKey[key]).filter(Boolean),
+    };
+}
+
+/**
+ * Gets per-group totals for a range, busiest first.
+ * Gemini keys include their name and worker keys their description, when they still exist.
+ * @param {string} range '24h', '7d' or '30d'.
+ * @param {string} groupBy 'model', 'worker_key' or 'gemini_key'.
+ * @returns {Promise<Array<object>>}
+ */
+async function getBreakdown(range, groupBy) {
+    const timeWindow = resolveRange(range);
+    const groupColumn = GROUP_BY_COLUMNS[groupBy];
+
+    let labelJoin = '';
+    let labelSelect = 'NULL';
+    if (groupBy === 'gemini_key') {
+        labelJoin = 'LEFT JOIN gemini_keys g ON g.id = r.gemini_key_id';
+        labelSelect = 'MAX(g.name)';
+    } else if (groupBy === 'worker_key') {
+        labelJoin = 'LEFT JOIN worker_keys w ON w.api_key = r.worker_key';
+        labelSelect = 'MAX(w.description)';
+    }
+
+    const rows = await configService.allDb(`
+        SELECT COALESCE(r.${groupColumn}, 'unknown') AS groupKey,
+               ${labelSelect} AS label,
+               COUNT(*) AS requests,
+               SUM(CASE WHEN r.status >= 400 THEN 1 ELSE 0 END) AS errors,
+               SUM(COALESCE(r.prompt_tokens, 0)) AS promptTokens,
+               SUM(COALESCE(r.completion_tokens, 0)) AS completionTokens,
+               SUM(COALESCE(r.total_tokens, 0)) AS totalTokens,
+               AVG(r.latency_ms) AS avgLatencyMs
+        FROM request_log r
+        ${labelJoin}
+        WHERE r.created_at >= ? AND r.created_at < ?
+        GROUP BY groupKey
+        ORDER BY requests DESC
+    `, [timeWindow.from, timeWindow.to]);
+
+    return rows.map(row => ({
+        key: row.groupKey,
+        label: row.label || null,
+        requests: row.requests,
+        errors: row.errors || 0,
+        errorRate: row.requests > 0 ? (row.errors || 0) / row.requests : 0,
+        promptTokens: row.promptTokens || 0,
+        completionTokens: row.completionTokens || 0,
+        totalTokens: row.totalTokens || 0,
+        avgLatencyMs: row.avgLatencyMs ? Math.round(row.avgLatencyMs) : 0,
+    }));
+}
+
+module.exports = {
+    RANGES,
+    GROUP_BY_COLUMNS,
+    getSummary,
+    getTimeSeries,
+    getBreakdown,
+};
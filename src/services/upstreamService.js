@@ -0,0 +1,449 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const proxyPool = require('../utils/proxyPool');
+const logger = require('../utils/logger');
+
+// Gemini API endpoints requests are sent to: the official API (or GEMINI_BASE_URL) plus relays and
+// gateways added in the admin panel (upstreams table). Requests try the upstreams in failover order,
+// moving on to the next one on network errors and gateway errors. An upstream is evicted after a
+// failed health check or MAX_CONSECUTIVE_FAILURES failures in a row, and is used again once a
+// health check passes. A Gemini key can be assigned to one upstream, it is then only sent there.
+// configService and the db module are required lazily, like in proxyPool.
+
+const DEFAULT_UPSTREAM_ID = 'default';
+const DEFAULT_BASE_URL = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com';
+// Failover order of the default upstream, stored upstreams with a lower order are tried first
+const DEFAULT_UPSTREAM_ORDER = 0;
+// Responses of a gateway that could not reach Gemini, the next upstream may
+const FAILOVER_STATUSES = [502, 504];
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+// id -> { id, name, baseUrl, order, source: 'env'|'db', enabled, healthy, latencyMs, successCount,
+//         failureCount, consecutiveFailures, lastCheckedAt, lastError }
+const upstreams = new Map();
+
+/**
+ * Checks an upstream base URL and removes its trailing slash.
+ * @param {string} baseUrl
+ * @returns {{baseUrl?: string, error?: string}}
+ */
+function normalizeBaseUrl(baseUrl) {
+    let parsed;
+    try {
+        parsed = new URL(typeof baseUrl === 'string' ? baseUrl.trim() : '');
+    } catch (e) {
+        return { error: 'Invalid base URL.' };
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        return { error: 'Base URL must start with https:// or http://.' };
+    }
+    if (parsed.search || parsed.hash) {
+        return { error: 'Base URL must not include a query string or fragment.' };
+    }
+    return { baseUrl: parsed.href.replace(/\/+$/, '') };
+}
+
+/**
+ * Adds an upstream to the pool, keeping the health state of an entry that is already there.
+ * @param {{id: string, name: string, baseUrl: string, order: number, source: 'env'|'db', enabled: boolean}} upstream
+ */
+function putEntry({ id, name, baseUrl, order, source, enabled }) {
+    const existing = upstreams.get(id);
+    if (existing && existing.baseUrl === baseUrl) {
+        Object.assign(existing, { name, order, enabled });
+        return;
+    }
+    upstreams.set(id, {
+        id,
+        name,
+        baseUrl,
+        order,
+        source,
+        enabled,
+        healthy: true,
+        latencyMs: null,
+        successCount: 0,
+        failureCount: 0,
+        consecutiveFailures: 0,
+        lastCheckedAt: null,
+        lastError: null,
+    });
+}
+
+/**
+ * Records the outcome of a request to an upstream.
+ * @param {object} entry Pool entry.
+ * @param {boolean} success
+ * @param {string} [errorMessage] On failure.
+ */
+function recordResult(entry, success, errorMessage) {
+    if (success) {
+        entry.successCount++;
+        entry.consecutiveFailures = 0;
+        return;
+    }
+    entry.failureCount++;
+    entry.consecutiveFailures++;
+    entry.lastError = errorMessage;
+    if (entry.healthy && entry.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        entry.healthy = false;
+        logger.warn(`Upstream ${entry.name} evicted after ${entry.consecutiveFailures} consecutive failures: ${errorMessage}`);
+    }
+}
+
+/**
+ * Loads the upstreams stored in the database. Called once the database is ready.
+ * @returns {Promise<void>}
+ */
+async function loadStoredUpstreams() {
+    const configService = require('./configService');
+    const rows = await configService.allDb('SELECT id, name, base_url, sort_order, enabled FROM upstreams');
+    const storedIds = new Set(rows.map(row => row.id));
+    [...upstreams.values()]
+        .filter(entry => entry.source === 'db' && !storedIds.has(entry.id))
+        .forEach(entry => upstreams.delete(entry.id));
+    rows.forEach(row => putEntry({
+        id: row.id,
+        name: row.name,
+        baseUrl: row.base_url,
+        order: row.sort_order,
+        source: 'db',
+        enabled: row.enabled === 1,
+    }));
+}
+
+/**
+ * Gets the enabled upstreams a key may use, in failover order.
+ * @param {string|null} upstreamId The key's assigned upstream, or null for any upstream.
+ * @returns {Array<object>} Pool entries.
+ */
+function getUsableEntries(upstreamId) {
+    return [...upstreams.values()]
+        .filter(entry => entry.enabled && (!upstreamId || entry.id === upstreamId))
+        .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Whether a key can be sent anywhere: its assigned upstream, or any upstream, is enabled.
+ * @param {string|null} upstreamId
+ * @returns {boolean}
+ */
+function hasUsableUpstream(upstreamId) {
+    return getUsableEntries(upstreamId).length > 0;
+}
+
+/**
+ * Gets the URL proxies are health-checked against: the model list of the first healthy upstream
+ * in failover order, or of the first enabled one when none is healthy.
+ * @returns {string|null} Null when no upstream is enabled.
+ */
+function getHealthCheckUrl() {
+    const entries = getUsableEntries(null);
+    const entry = entries.find(candidate => candidate.healthy) || entries[0];
+    return entry ? `${entry.baseUrl}/v1beta/models` : null;
+}
+
+/**
+ * Checks a Gemini key's upstream assignment.
+ * @param {string|null} upstreamId
+ * @returns {string|null} Why the assignment is invalid, or null if it is valid.
+ */
+function validateUpstreamAssignment(upstreamId) {
+    if (upstreamId === null) return null;
+    if (typeof upstreamId !== 'string' || !upstreams.has(upstreamId)) {
+        return `upstreamId must be null or the ID of an upstream.`;
+    }
+    return null;
+}
+
+/**
+ * Sends a request to the Gemini API through the upstreams the key may use. Healthy upstreams are
+ * tried in failover order (all of them when none is healthy); the next one is tried after a network
+ * error or a gateway error. Each attempt goes through a proxy within the key's proxy binding.
+ * @param {string} path Path and query string after the base URL, e.g. '/v1beta/models/gemini-2.5-pro:generateContent'.
+ * @param {object} options node-fetch options, without agent.
+ * @param {{id: string, proxyBinding?: string|null, upstreamId?: string|null}} key The Gemini key the request is sent with.
+ * @param {string} [logPrefix] Prefix for the log lines, e.g. 'Attempt 2:'.
+ * @returns {Promise<import('node-fetch').Response>} The response, with `upstreamId` set to the upstream that answered.
+ * @throws {Error} The last network error when no upstream answered, or if the key has no enabled upstream.
+ */
+async function fetchGemini(path, options, key, logPrefix = '') {
+    const usable = getUsableEntries(key.upstreamId || null);
+    if (usable.length === 0) {
+        throw new Error(key.upstreamId ? `Upstream '${key.upstreamId}' of key ${key.id} is disabled or missing.` : 'No enabled upstream.');
+    }
+    const healthy = usable.filter(entry => entry.healthy);
+    const candidates = healthy.length > 0 ? healthy : usable;
+
+    let lastError = null;
+    for (let i = 0; i < candidates.length; i++) {
+        const entry = candidates[i];
+        const isLast = i === candidates.length - 1;
+        const agent = proxyPool.getNextProxyAgent(key.proxyBinding || null);
+        const url = `${entry.baseUrl}${path}`;
+        logger.debug(`${logPrefix ? `${logPrefix} ` : ''}Sending request for key ${key.id} to upstream ${entry.name} (${url})${agent ? ` via proxy ${agent.proxyUrl}` : ''}`);
+
+        let response;
+        try {
+            response = await fetch(url, { ...options, ...(agent && { agent }) });
+        } catch (error) {
+            recordResult(entry, false, error.message);
+            lastError = error;
+            if (!isLast) {
+                logger.warn(`${logPrefix ? `${logPrefix} ` : ''}Upstream ${entry.name} failed (${error.message}), trying the next upstream...`);
+            }
+            continue;
+        }
+
+        if (FAILOVER_STATUSES.includes(response.status) && !isLast) {
+            recordResult(entry, false, `HTTP ${response.status}`);
+            logger.warn(`${logPrefix ? `${logPrefix} ` : ''}Upstream ${entry.name} answered ${response.status}, trying the next upstream...`);
+            // Discard the body so the connection is released
+            response.text().catch(() => {});
+            continue;
+        }
+
+        recordResult(entry, !FAILOVER_STATUSES.includes(response.status), `HTTP ${response.status}`);
+        response.upstreamId = entry.id;
+        return response;
+    }
+    throw lastError;
+}
+
+/**
+ * Sends a request to the models list of an upstream. Evicts it if it fails, restores it if it works.
+ * A 4xx answer (no key is sent) still shows that the upstream reaches Gemini.
+ * @param {object} entry Pool entry.
+ * @returns {Promise<void>}
+ */
+async function checkEntry(entry) {
+    entry.lastCheckedAt = new Date().toISOString();
+    const startedAt = Date.now();
+    let failure = null;
+    try {
+        const agent = proxyPool.getNextProxyAgent();
+        const response = await fetch(`${entry.baseUrl}/v1beta/models`, { timeout: HEALTH_CHECK_TIMEOUT_MS, ...(agent && { agent }) });
+        response.text().catch(() => {});
+        if (response.status >= 500) {
+            failure = `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        failure = error.message;
+    }
+
+    if (failure) {
+        if (entry.healthy) {
+            logger.warn(`Upstream ${entry.name} failed its health check and is evicted: ${failure}`);
+        }
+        entry.healthy = false;
+        entry.lastError = failure;
+        return;
+    }
+    if (!entry.healthy) {
+        logger.info(`Upstream ${entry.name} passed its health check and is used again.`);
+    }
+    entry.healthy = true;
+    entry.consecutiveFailures = 0;
+    entry.lastError = null;
+    entry.latencyMs = Date.now() - startedAt;
+}
+
+/**
+ * Runs a health check for every enabled upstream.
+ * @returns {Promise<{checked: number, healthy: number}>}
+ */
+async function runHealthChecks() {
+    const entries = [...upstreams.values()].filter(entry => entry.enabled);
+    await Promise.all(entries.map(checkEntry));
+    const healthy = entries.filter(entry => entry.healthy).length;
+    logger.debug(`Upstream health check: ${healthy}/${entries.length} upstreams healthy.`);
+    return { checked: entries.length, healthy };
+}
+
+/**
+ * Lists the upstreams in failover order with their health and stats.
+ * @returns {Array<object>}
+ */
+function getUpstreams() {
+    return [...upstreams.values()]
+        .sort((a, b) => a.order - b.order)
+        .map(entry => {
+            const total = entry.successCount + entry.failureCount;
+            return {
+                id: entry.id,
+                name: entry.name,
+                baseUrl: logger.redactSecrets(entry.baseUrl),
+                order: entry.order,
+                source: entry.source,
+                enabled: entry.enabled,
+                healthy: entry.healthy,
+                latencyMs: entry.latencyMs,
+                successCount: entry.successCount,
+                failureCount: entry.failureCount,
+                successRate: total > 0 ? entry.successCount / total : null,
+                lastCheckedAt: entry.lastCheckedAt,
+                lastError: entry.lastError ? logger.redactSecrets(entry.lastError) : null,
+            };
+        });
+}
+
+/**
+ * Counts the enabled upstreams by health, for the readiness check and metrics.
+ * @returns {{enabled: number, healthy: number}}
+ */
+function getUpstreamStatus() {
+    const enabled = [...upstreams.values()].filter(entry => entry.enabled);
+    return { enabled: enabled.length, healthy: enabled.filter(entry => entry.healthy).length };
+}
+
+/**
+ * Runs a write on the upstreams table in a transaction, then syncs to GitHub.
+ * @param {string} sql
+ * @param {Array<any>} params
+ * @returns {Promise<{changes: number}>}
+ */
+async function writeUpstreams(sql, params) {
+    const configService = require('./configService');
+    const dbModule = require('../db');
+    return configService.serializeDb(async () => {
+        await configService.runDb('BEGIN TRANSACTION');
+        try {
+            const result = await configService.runDb(sql, params);
+            await configService.runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+            return result;
+        } catch (error) {
+            await configService.runDb('ROLLBACK');
+            throw error;
+        }
+    });
+}
+
+/**
+ * Stores an upstream and adds it to the pool.
+ * @param {object} upstream
+ * @param {string} upstream.baseUrl e.g. https://gateway.ai.cloudflare.com/v1/<account>/<gateway>/google-ai-studio
+ * @param {string} [upstream.name] Shown in the admin panel and logs, defaults to the host.
+ * @param {number} [upstream.order=10] Failover order, lower first (the default upstream has 0).
+ * @returns {Promise<{id: string}>}
+ */
+async function addUpstream({ baseUrl, name, order = 10 }) {
+    const normalized = normalizeBaseUrl(baseUrl);
+    if (normalized.error) {
+        throw new Error(normalized.error);
+    }
+    if ([...upstreams.values()].some(entry => entry.baseUrl === normalized.baseUrl)) {
+        throw new Error('This upstream already exists (duplicate base URL).');
+    }
+    const upstreamName = (typeof name === 'string' && name.trim()) ? name.trim() : new URL(normalized.baseUrl).host;
+    const id = `up-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    await writeUpstreams(
+        'INSERT INTO upstreams (id, name, base_url, sort_order, enabled, created_at) VALUES (?, ?, ?, ?, 1, CURRENT_TIMESTAMP)',
+        [id, upstreamName, normalized.baseUrl, order]
+    );
+    putEntry({ id, name: upstreamName, baseUrl: normalized.baseUrl, order, source: 'db', enabled: true });
+    await checkEntry(upstreams.get(id));
+    logger.info(`Added upstream ${upstreamName} (${id}).`);
+    return { id };
+}
+
+/**
+ * Looks up an upstream that can be changed from the admin panel.
+ * @param {string} id
+ * @returns {object} Pool entry.
+ */
+function getStoredEntry(id) {
+    const entry = upstreams.get(id);
+    if (!entry) {
+        throw new Error(`Upstream '${id}' not found.`);
+    }
+    if (entry.source === 'env') {
+        throw new Error('The default upstream is set with the GEMINI_BASE_URL environment variable.');
+    }
+    return entry;
+}
+
+/**
+ * Renames, reorders, enables or disables a stored upstream.
+ * @param {string} id
+ * @param {{name?: string, order?: number, enabled?: boolean}} changes
+ * @returns {Promise<void>}
+ */
+async function updateUpstream(id, { name, order, enabled }) {
+    const entry = getStoredEntry(id);
+    const updates = [];
+    const params = [];
+    if (name !== undefined) {
+        updates.push('name = ?');
+        params.push(name.trim() || new URL(entry.baseUrl).host);
+    }
+    if (order !== undefined) {
+        updates.push('sort_order = ?');
+        params.push(order);
+    }
+    if (enabled !== undefined) {
+        updates.push('enabled = ?');
+        params.push(enabled ? 1 : 0);
+    }
+    if (updates.length === 0) return;
+
+    await writeUpstreams(`UPDATE upstreams SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+    if (name !== undefined) entry.name = name.trim() || new URL(entry.baseUrl).host;
+    if (order !== undefined) entry.order = order;
+    if (enabled !== undefined) entry.enabled = enabled;
+}
+
+/**
+ * Deletes a stored upstream. Gemini keys assigned to it can use any upstream again.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function deleteUpstream(id) {
+    getStoredEntry(id);
+    const configService = require('./configService');
+    const dbModule = require('../db');
+    await configService.serializeDb(async () => {
+        await configService.runDb('BEGIN TRANSACTION');
+        try {
+            await configService.runDb('DELETE FROM upstreams WHERE id = ?', [id]);
+            await configService.runDb('UPDATE gemini_keys SET upstream_id = NULL WHERE upstream_id = ?', [id]);
+            await configService.runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await configService.runDb('ROLLBACK');
+            throw error;
+        }
+    });
+    upstreams.delete(id);
+}
+
+// The default upstream is always there, stored upstreams are added once the database is ready
+putEntry({
+    id: DEFAULT_UPSTREAM_ID,
+    name: 'Default',
+    baseUrl: DEFAULT_BASE_URL.replace(/\/+$/, ''),
+    order: DEFAULT_UPSTREAM_ORDER,
+    source: 'env',
+    enabled: true,
+});
+
+module.exports = {
+    DEFAULT_UPSTREAM_ID,
+    loadStoredUpstreams,
+    fetchGemini,
+    hasUsableUpstream,
+    getHealthCheckUrl,
+    validateUpstreamAssignment,
+    runHealthChecks,
+    getUpstreams,
+    getUpstreamStatus,
+    addUpstream,
+    updateUpstream,
+    deleteUpstream,
+};
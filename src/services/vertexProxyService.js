@@ -7,6 +7,7 @@ const { v4: uuidv4 } = require('uuid');
 const { GoogleGenAI } = require('@google/genai');
 const configService = require('./configService');
 const transformUtils = require('../utils/transform');
+const logger = require('../utils/logger');
 
 // List of Vertex AI supported models (prefix [v] indicates it's a Vertex API model)
 const VERTEX_SUPPORTED_MODELS = [
@@ -39,24 +40,24 @@ async function initializeVertexCredentials() {
     try {
         databaseConfig = await configService.getSetting('vertex_config', null);
     } catch (error) {
-        console.warn("Failed to load Vertex config from database:", error);
+        logger.warn("Failed to load Vertex config from database:", error);
         databaseError = true;
     }
 
     // If database is not available, disable Vertex AI
     if (databaseError) {
-        console.info("Database not available for Vertex configuration, Vertex AI disabled");
+        logger.info("Database not available for Vertex configuration, Vertex AI disabled");
         isVertexInitialized = true; // Mark as initialized (but disabled)
         return;
     }
 
     // Check database configuration first
     if (databaseConfig && (databaseConfig.expressApiKey || databaseConfig.vertexJson)) {
-        console.info("Using Vertex AI configuration from database");
+        logger.info("Using Vertex AI configuration from database");
 
         if (databaseConfig.expressApiKey) {
             // Use Express Mode from database
-            console.info("Using Vertex AI Express Mode with API key from database");
+            logger.info("Using Vertex AI Express Mode with API key from database");
             isUsingExpressMode = true;
             isVertexInitialized = true;
             return;
@@ -65,7 +66,7 @@ async function initializeVertexCredentials() {
             try {
                 JSON.parse(databaseConfig.vertexJson); // Validate JSON
                 VERTEX_JSON_STRING = databaseConfig.vertexJson;
-                console.info("Using VERTEX credentials from database");
+                logger.info("Using VERTEX credentials from database");
 
                 const createdPath = await createServiceAccountFile(VERTEX_JSON_STRING);
                 if (!createdPath) {
@@ -73,12 +74,12 @@ async function initializeVertexCredentials() {
                 }
                 tempCredentialsPath = createdPath;
                 process.env.GOOGLE_APPLICATION_CREDENTIALS = tempCredentialsPath;
-                console.log(`Vertex AI credentials created and set from database: GOOGLE_APPLICATION_CREDENTIALS=${tempCredentialsPath}`);
+                logger.info(`Vertex AI credentials created and set from database: GOOGLE_APPLICATION_CREDENTIALS=${tempCredentialsPath}`);
                 isVertexInitialized = true;
                 return;
             } catch (error) {
-                console.error("Failed to initialize Vertex AI credentials from database:", error);
-                console.info("Database Vertex configuration is invalid, Vertex AI disabled");
+                logger.error("Failed to initialize Vertex AI credentials from database:", error);
+                logger.info("Database Vertex configuration is invalid, Vertex AI disabled");
                 isVertexInitialized = true; // Mark as initialized (but disabled)
                 return;
             }
@@ -86,18 +87,18 @@ async function initializeVertexCredentials() {
     } else if (databaseConfig === null) {
         // Database configuration is explicitly null (not found)
         // According to user requirements: when database has no vertex config, should not enable vertex
-        console.info("No Vertex AI configuration found in database, Vertex AI disabled");
+        logger.info("No Vertex AI configuration found in database, Vertex AI disabled");
         isVertexInitialized = true; // Mark as initialized (but disabled)
         return;
     } else {
         // Database configuration exists but is invalid
-        console.warn("Invalid Vertex AI configuration in database, Vertex AI disabled");
+        logger.warn("Invalid Vertex AI configuration in database, Vertex AI disabled");
         isVertexInitialized = true; // Mark as initialized (but disabled)
         return;
     }
 
     // This should not be reached - all cases should return above
-    console.error("Unexpected code path in Vertex AI initialization");
+    logger.error("Unexpected code path in Vertex AI initialization");
     isVertexInitialized = true; // Mark as initialized (but disabled)
     return;
 }
@@ -118,11 +119,11 @@ async function createServiceAccountFile(vertexJsonString) {
         // Basic validation
         const requiredKeys = ["type", "project_id", "private_key_id", "private_key", "client_email", "client_id"];
         if (!requiredKeys.every(key => key in serviceAccountInfo)) {
-            console.error("Invalid JSON format for Vertex database configuration. Missing required keys.");
+            logger.error("Invalid JSON format for Vertex database configuration. Missing required keys.");
             return null;
         }
         if (serviceAccountInfo.type !== "service_account") {
-            console.error("Invalid JSON format for Vertex database configuration. 'type' must be 'service_account'.");
+            logger.error("Invalid JSON format for Vertex database configuration. 'type' must be 'service_account'.");
             return null;
         }
 
@@ -132,7 +133,7 @@ async function createServiceAccountFile(vertexJsonString) {
         // console.info(`Successfully parsed 'VERTEX' JSON and created temporary credentials file: ${tempFilePath}`); // Removed log
         return tempFilePath;
     } catch (e) {
-        console.error(`Failed to create service account file from Vertex database configuration JSON: ${e}`, e);
+        logger.error(`Failed to create service account file from Vertex database configuration JSON: ${e}`, e);
         return null;
     }
 }
@@ -175,11 +176,11 @@ function parseImageDataUri(uri) {
             return { mimeType, data };
         } else {
             // Handle other encodings (e.g., URL encoding)
-            console.warn(`Unsupported data URI encoding (non-base64): ${parts.slice(1).join(';')}`); // Keep warn log in English
+            logger.warn(`Unsupported data URI encoding (non-base64): ${parts.slice(1).join(';')}`); // Keep warn log in English
             return { mimeType, data: Buffer.from(decodeURIComponent(encodedData)) }; // Attempt URL decoding
         }
     } catch (e) {
-        console.error(`Error parsing data URI: ${e}`, e); // Keep error log in English
+        logger.error(`Error parsing data URI: ${e}`, e); // Keep error log in English
         return null;
     }
 }
@@ -207,7 +208,7 @@ async function convertOpenaiPartsToVertexParts(openAIContentParts) {
                         }
                     });
                 } else {
-                    console.warn(`Could not parse data URI: ${imageUrl.substring(0, 50)}...`); // Keep warn log in English
+                    logger.warn(`Could not parse data URI: ${imageUrl.substring(0, 50)}...`); // Keep warn log in English
                     vertexParts.push({ text: `[Failed to parse image data URI]` });
                 }
             } else if (imageUrl.startsWith('gs://')) {
@@ -235,11 +236,11 @@ async function convertOpenaiPartsToVertexParts(openAIContentParts) {
                         }
                     });
                 } catch (e) {
-                    console.error(`Failed to download image from ${imageUrl}: ${e}`); // Keep error log in English
+                    logger.error(`Failed to download image from ${imageUrl}: ${e}`); // Keep error log in English
                     vertexParts.push({ text: `[Failed to load image at ${imageUrl}]` });
                 }
             } else {
-                console.warn(`Unsupported image URL format: ${imageUrl}`); // Keep warn log in English
+                logger.warn(`Unsupported image URL format: ${imageUrl}`); // Keep warn log in English
                 vertexParts.push({ text: `[Unsupported image format at ${imageUrl}]` });
             }
         }
@@ -254,6 +255,7 @@ async function convertOpenaiPartsToVertexParts(openAIContentParts) {
  */
 async function convertOpenaiMessagesToVertex(messages) {
     const vertexContents = [];
+    const toolCallNames = transformUtils.buildToolCallNameMap(messages);
     
     // Process all messages, including system messages, mapping to appropriate Vertex roles
     for (const msg of messages) {
@@ -261,71 +263,26 @@ async function convertOpenaiMessagesToVertex(messages) {
         let parts = [];
 
         if (vertexRole === 'function') { // Handle tool/function results
-            if (msg.tool_call_id && msg.content) {
-                if (msg.name) {
-                    let responseContent = {};
-                    try {
-                        // Attempt to parse the string content into an object
-                        responseContent = JSON.parse(msg.content);
-                    } catch (e) {
-                        console.warn(`Tool result content for ${msg.name} (${msg.tool_call_id}) is not valid JSON, sending as string: ${msg.content}`); // Keep warn log in English
-                        // Send as simple text if not parsable JSON
-                        parts.push({ text: `[Tool Result for ${msg.name}: ${msg.content}]` });
-                        continue; // Skip adding as functionResponse if invalid
-                    }
-                    parts.push({
-                        functionResponse: {
-                            name: msg.name,
-                            response: responseContent // Vertex SDK expects the actual object
-                        }
-                    });
-                } else {
-                    console.warn(`Tool message received without function name (expected in msg.name): ${JSON.stringify(msg)}`); // Keep warn log in English
-                    parts.push({ text: `[Tool Result for ${msg.tool_call_id}: ${msg.content}]` });
-                }
-            } else {
-                console.warn(`Tool message missing tool_call_id or content: ${JSON.stringify(msg)}`); // Keep warn log in English
-                parts.push({ text: msg.content || '[Empty Tool Message]' });
+            const responsePart = transformUtils.transformToolMessageToFunctionResponsePart(msg, toolCallNames);
+            if (!responsePart) {
+                continue;
+            }
+            // Results of parallel tool calls must be sent back together in a single turn
+            const lastContent = vertexContents[vertexContents.length - 1];
+            if (lastContent && lastContent.role === vertexRole) {
+                lastContent.parts.push(responsePart);
+                continue;
             }
+            parts.push(responsePart);
         } else if (vertexRole === 'model') { // Handle assistant messages (including potential tool calls)
+            if (typeof msg.content === 'string' && msg.content) {
+                parts.push({ text: msg.content });
+            } else if (Array.isArray(msg.content)) {
+                parts = parts.concat(await convertOpenaiPartsToVertexParts(msg.content));
+            }
             if (msg.tool_calls && msg.tool_calls.length > 0) {
-                // If assistant message contains tool calls, represent them as FunctionCallParts
-                for (const toolCall of msg.tool_calls) {
-                    if (toolCall.type === 'function' && toolCall.function) {
-                        let args = {};
-                        try {
-                            // Arguments from OpenAI are a JSON string, Vertex expects an object
-                            args = JSON.parse(toolCall.function.arguments || '{}');
-                        } catch (e) {
-                            console.error(`Failed to parse tool call arguments for ${toolCall.function.name}: ${e}`); // Keep error log in English
-                            args = { _error: "Failed to parse arguments", raw_arguments: toolCall.function.arguments };
-                        }
-                        parts.push({
-                            functionCall: {
-                                name: toolCall.function.name,
-                                args: args // Pass the parsed object
-                            }
-                        });
-                    }
-                }
-                // If there's also text content along with tool calls, add it as a separate text part
-                if (msg.content && typeof msg.content === 'string') {
-                    parts.push({ text: msg.content });
-                } else if (Array.isArray(msg.content)) {
-                    // Handle multi-part assistant messages (rare but possible)
-                    const textParts = msg.content.filter(p => p.type === 'text').map(p => p.text).join('\n');
-                    if (textParts) {
-                        parts.push({ text: textParts });
-                    }
-                    // Note: Image parts from assistant messages are generally not expected/handled here.
-                }
-            } else {
-                // Normal assistant message (text or potentially multimodal)
-                if (typeof msg.content === 'string') {
-                    parts.push({ text: msg.content });
-                } else if (Array.isArray(msg.content)) {
-                    parts = parts.concat(await convertOpenaiPartsToVertexParts(msg.content));
-                }
+                // Function calls follow any text the assistant produced, same as the Gemini path
+                parts = parts.concat(transformUtils.transformToolCallsToFunctionCallParts(msg.tool_calls));
             }
         } else { // Handle 'user' messages (can be text or multimodal)
             if (typeof msg.content === 'string') {
@@ -340,7 +297,7 @@ async function convertOpenaiMessagesToVertex(messages) {
             const finalVertexRole = mapOpenaiRoleToVertex(msg.role);
             vertexContents.push({ role: finalVertexRole, parts });
         } else {
-            console.warn(`Message resulted in empty parts, skipping: ${JSON.stringify(msg)}`); // Keep warn log in English
+            logger.warn(`Message resulted in empty parts, skipping: ${JSON.stringify(msg)}`); // Keep warn log in English
         }
     }
 
@@ -368,7 +325,7 @@ function convertOpenaiToolsToVertex(tools) {
                 parameters: func.parameters || { type: 'object', properties: {} } // Provide default empty schema if none
             });
         } else {
-            console.warn(`Unsupported tool type encountered: ${tool.type}`); // Keep warn log in English
+            logger.warn(`Unsupported tool type encountered: ${tool.type}`); // Keep warn log in English
         }
     }
 
@@ -408,7 +365,7 @@ function convertVertexFinishReasonToOpenai(reason) {
  */
 function convertVertexToolCallToOpenai(functionCall, index = 0) {
     if (!functionCall || !functionCall.name) {
-        console.error("Invalid functionCall object received from Vertex", functionCall); // Keep error log in English
+        logger.error("Invalid functionCall object received from Vertex", functionCall); // Keep error log in English
         return null;
     }
     return {
@@ -453,7 +410,7 @@ function createSafetySettings(blockLevel = 'OFF') {
  * Handles chat completion requests for the Vertex API.
  */
 async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, stream, keepAliveCallback = null) {
-    console.log("Using Vertex AI proxy service"); // Keep log in English
+    logger.debug("Using Vertex AI proxy service"); // Keep log in English
 
     // Whether to use KEEPALIVE in streaming mode - get from database only
     const keepAliveEnabled = String(await configService.getSetting('keepalive', '0')) === '1';
@@ -478,7 +435,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
     try {
         isSafetyEnabled = await configService.getWorkerKeySafetySetting(workerApiKey);
     } catch (error) {
-        console.error("Error getting worker key safety setting:", error); // Keep error log in English
+        logger.error("Error getting worker key safety setting:", error); // Keep error log in English
         isSafetyEnabled = true; // Default to enabled safety settings
     }
 
@@ -504,12 +461,12 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 const databaseConfig = await configService.getSetting('vertex_config', null);
                 if (databaseConfig && databaseConfig.expressApiKey) {
                     expressApiKey = databaseConfig.expressApiKey;
-                    console.log("Using Express API Key from database");
+                    logger.debug("Using Express API Key from database");
                 } else {
                     throw new Error("Express API Key not found in database configuration");
                 }
             } catch (error) {
-                console.error("Failed to load Express API Key from database:", error);
+                logger.error("Failed to load Express API Key from database:", error);
                 throw new Error("EXPRESS_API_KEY is not available in database configuration.");
             }
 
@@ -522,7 +479,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 apiKey: expressApiKey
             });
 
-            console.log("Vertex AI Client initialized with Express Mode API Key"); // Keep log in English
+            logger.info("Vertex AI Client initialized with Express Mode API Key"); // Keep log in English
         } else {
             // Standard mode with service account
             if (!tempCredentialsPath) {
@@ -551,7 +508,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 location: region
             });
             
-            console.log(`Vertex AI Client initialized for project '${project_id}' in region '${region}'.`); // Keep log in English
+            logger.info(`Vertex AI Client initialized for project '${project_id}' in region '${region}'.`); // Keep log in English
         }
 
         // Convert OpenAI format to Vertex format
@@ -631,7 +588,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
         
         // Log KEEPALIVE mode
         if (useKeepAlive) {
-            console.log(`Using KEEPALIVE mode: Client requested streaming but sending non-streaming request to Vertex (safety settings disabled)`); // Keep log in English
+            logger.info(`Using KEEPALIVE mode: Client requested streaming but sending non-streaming request to Vertex (safety settings disabled)`); // Keep log in English
         }
 
         // Handle response
@@ -640,7 +597,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 // KEEPALIVE mode: Asynchronous handling with internal retry logic
                 if (keepAliveCallback) {
                     const keepAliveRunner = async () => {
-                        console.log('KEEPALIVE (Vertex): Starting heartbeat and async request process.');
+                        logger.info('KEEPALIVE (Vertex): Starting heartbeat and async request process.');
                         keepAliveCallback.startHeartbeat();
 
                         let lastKeepAliveError = null;
@@ -648,7 +605,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
 
                         for (let kAttempt = 1; kAttempt <= MAX_RETRIES; kAttempt++) {
                             try {
-                                console.log(`KEEPALIVE (Vertex) Attempt ${kAttempt}: Sending request.`);
+                                logger.debug(`KEEPALIVE (Vertex) Attempt ${kAttempt}: Sending request.`);
                                 const response = await ai.models.generateContent(requestPayload);
 
                                 // Check for valid response
@@ -668,13 +625,13 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                                 }
 
                                 // Success case
-                                console.log(`KEEPALIVE (Vertex): Request successful on attempt ${kAttempt}. Stopping heartbeat.`);
+                                logger.info(`KEEPALIVE (Vertex): Request successful on attempt ${kAttempt}. Stopping heartbeat.`);
                                 keepAliveCallback.stopHeartbeat();
                                 keepAliveCallback.sendFinalResponse(response);
                                 return; // Exit runner on success
 
                             } catch (error) {
-                                console.error(`KEEPALIVE (Vertex) Attempt ${kAttempt} failed:`, error.message);
+                                logger.error(`KEEPALIVE (Vertex) Attempt ${kAttempt} failed:`, error.message);
                                 try {
                                    // Try to parse the error message as it might be a JSON string
                                    lastKeepAliveError = JSON.parse(error.message).error || { message: error.message };
@@ -684,13 +641,13 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                                 }
                                 
                                 if (kAttempt < MAX_RETRIES) {
-                                    console.warn(`KEEPALIVE (Vertex): Retrying...`);
+                                    logger.warn(`KEEPALIVE (Vertex): Retrying...`);
                                 }
                             }
                         }
 
                         // If loop finishes, all retries have failed
-                        console.error(`KEEPALIVE (Vertex): All ${MAX_RETRIES} attempts failed. Sending last error.`);
+                        logger.error(`KEEPALIVE (Vertex): All ${MAX_RETRIES} attempts failed. Sending last error.`);
                         keepAliveCallback.stopHeartbeat();
                         keepAliveCallback.sendError(lastKeepAliveError || { message: "All Vertex keepalive attempts failed." });
                     };
@@ -705,7 +662,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                         requestedModelId: requestedModelId
                     };
                 } else {
-                     console.error('KEEPALIVE: No callback available for Vertex KEEPALIVE mode');
+                     logger.error('KEEPALIVE: No callback available for Vertex KEEPALIVE mode');
                      return {
                          error: {
                              message: 'KEEPALIVE callback not available for Vertex',
@@ -819,7 +776,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                     };
 
                 } catch (error) {
-                    console.error(`Error during Vertex AI stream generation: ${error}`, error); // Keep error log in English
+                    logger.error(`Error during Vertex AI stream generation: ${error}`, error); // Keep error log in English
                     return {
                         error: {
                             message: `Vertex AI stream generation failed: ${error.message}`,
@@ -840,7 +797,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                     const promptFeedback = response?.promptFeedback;
                     if (promptFeedback?.blockReason) {
                         const blockMessage = promptFeedback.blockReasonMessage || `Blocked due to ${promptFeedback.blockReason}`;
-                        console.warn(`Request blocked by safety filters: ${blockMessage}`); // Keep warn log in English
+                        logger.warn(`Request blocked by safety filters: ${blockMessage}`); // Keep warn log in English
                         return {
                             error: {
                                 message: `Request blocked by Vertex AI safety filters: ${blockMessage}`,
@@ -882,7 +839,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                     const safetyRatings = candidate.safetyRatings || [];
                     const blockMessages = safetyRatings.filter(r => r.blocked).map(r => `${r.category}: ${r.severity || 'Blocked'}`);
                     const message = `Response blocked by Vertex AI safety filters. Reasons: ${blockMessages.join(' ') || finishReasonVertex}`;
-                    console.warn(message); // Keep warn log in English
+                    logger.warn(message); // Keep warn log in English
                     return {
                         error: {
                             message: message,
@@ -937,7 +894,7 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
                 };
 
             } catch (error) {
-                console.error(`Error during Vertex AI non-stream generation: ${error}`, error); // Keep error log in English
+                logger.error(`Error during Vertex AI non-stream generation: ${error}`, error); // Keep error log in English
                 return {
                     error: {
                         message: `Vertex AI non-stream generation failed: ${error.message}`,
@@ -948,15 +905,15 @@ async function proxyVertexChatCompletions(openAIRequestBody, workerApiKey, strea
             }
         }
     } catch (error) {
-        console.error(`Error in Vertex AI proxy: ${error}`, error); // Keep error log in English
+        logger.error(`Error in Vertex AI proxy: ${error}`, error); // Keep error log in English
         // Clean up temporary file
         if (tempCredentialsPath) {
             try {
                 const dirPath = path.dirname(tempCredentialsPath);
                 await fs.rm(dirPath, { recursive: true, force: true });
-                console.info(`Cleaned up temporary credentials directory: ${dirPath}`); 
+                logger.info(`Cleaned up temporary credentials directory: ${dirPath}`); 
             } catch (e) {
-                console.warn(`Failed to delete temporary credentials directory: ${e}`); // Keep warn log in English
+                logger.warn(`Failed to delete temporary credentials directory: ${e}`); // Keep warn log in English
             }
         }
         return {
@@ -988,12 +945,24 @@ function isVertexEnabled() {
     return !!VERTEX_JSON_STRING || isUsingExpressMode;
 }
 
+/**
+ * Gets the Vertex initialization state, for the readiness check.
+ * @returns {{initialized: boolean, enabled: boolean, mode: 'express'|'service_account'|null}}
+ */
+function getVertexStatus() {
+    return {
+        initialized: isVertexInitialized,
+        enabled: isVertexEnabled(),
+        mode: isUsingExpressMode ? 'express' : (VERTEX_JSON_STRING ? 'service_account' : null)
+    };
+}
+
 /**
  * Reinitializes Vertex credentials with database configuration.
  * This function is called when the configuration is updated via the admin panel.
  */
 async function reinitializeWithDatabaseConfig() {
-    console.log("Reinitializing Vertex AI with database configuration...");
+    logger.info("Reinitializing Vertex AI with database configuration...");
 
     // Reset initialization state
     isVertexInitialized = false;
@@ -1005,9 +974,9 @@ async function reinitializeWithDatabaseConfig() {
         try {
             const fs = require('fs').promises;
             await fs.unlink(tempCredentialsPath);
-            console.log("Cleaned up previous credentials file");
+            logger.info("Cleaned up previous credentials file");
         } catch (error) {
-            console.warn("Failed to clean up previous credentials file:", error);
+            logger.warn("Failed to clean up previous credentials file:", error);
         }
         tempCredentialsPath = null;
     }
@@ -1018,13 +987,14 @@ async function reinitializeWithDatabaseConfig() {
     // Reinitialize with new configuration
     await initializeVertexCredentials();
 
-    console.log("Vertex AI reinitialization completed");
+    logger.info("Vertex AI reinitialization completed");
 }
 
 module.exports = {
     proxyVertexChatCompletions,
     getVertexSupportedModels,
     isVertexEnabled, // Export check function
+    getVertexStatus,
     reinitializeWithDatabaseConfig, // Export reinitialization function
     initializeVertexCredentials // Export initialization function for delayed init
 };
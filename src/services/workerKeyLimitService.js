@@ -0,0 +1,182 @@
+const configService = require('./configService'); // Use configService for DB helpers
+const { getQuotaDay } = require('../utils/helpers');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Timestamps of the requests admitted in the last minute, per worker key
+const recentRequests = new Map();
+// Requests admitted but not yet in request_log, per worker key.
+// Daily usage is read from request_log, so these are added on top to stop bursts from overshooting.
+const pendingRequests = new Map();
+
+/**
+ * Formats a number of seconds the way OpenAI's x-ratelimit-reset-* headers do, e.g. '1m30s'.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatResetDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+    return `${hours > 0 ? `${hours}h` : ''}${hours > 0 || minutes > 0 ? `${minutes}m` : ''}${secs}s`;
+}
+
+/**
+ * Checks whether a requested model is in a worker key's allow-list.
+ * Search and non-thinking variants are allowed when their base model is.
+ * @param {string[]|null} allowedModels null when every model is allowed.
+ * @param {string|null} modelId
+ * @returns {boolean}
+ */
+function isModelAllowed(allowedModels, modelId) {
+    if (!allowedModels || !modelId) return true;
+    const normalized = modelId.startsWith('models/') ? modelId.substring(7) : modelId;
+    const baseModel = normalized.replace(/:non-thinking$/, '').replace(/-search$/, '');
+    return allowedModels.includes(normalized) || allowedModels.includes(baseModel);
+}
+
+/**
+ * Gets the requests and tokens a worker key has used since the start of the daily window.
+ * @param {string} apiKey
+ * @param {Date} windowStart
+ * @returns {Promise<{requests: number, tokens: number, oldest: string|null}>} oldest is the first request's ISO timestamp.
+ */
+async function getDailyUsage(apiKey, windowStart) {
+    const row = await configService.getDb(
+        `SELECT COUNT(*) AS requests, SUM(COALESCE(total_tokens, 0)) AS tokens, MIN(created_at) AS oldest
+         FROM request_log WHERE worker_key = ? AND created_at >= ?`,
+        [apiKey, windowStart.toISOString()]
+    );
+    return { requests: row?.requests || 0, tokens: row?.tokens || 0, oldest: row?.oldest || null };
+}
+
+/**
+ * Gets the current daily window for the configured quota reset.
+ * Rolling windows cover the last 24 hours and free up as their oldest request ages out.
+ * @param {{timeZone: string, resetTime: string, window: 'daily'|'rolling_24h'}} resetConfig
+ * @param {number} now
+ * @returns {{start: Date, getResetTime: function(string|null): number}}
+ */
+function getDailyWindow(resetConfig, now) {
+    if (resetConfig.window === 'rolling_24h') {
+        return {
+            start: new Date(now - DAY_MS),
+            getResetTime: (oldest) => (oldest ? Date.parse(oldest) : now) + DAY_MS,
+        };
+    }
+    const { start, end } = getQuotaDay(resetConfig, now);
+    return { start, getResetTime: () => end.getTime() };
+}
+
+/**
+ * Checks a worker key's limits for a new request and, if it is within them, admits it.
+ * Returns the x-ratelimit-* headers to send either way; rejected requests also get a Retry-After.
+ * Admitted requests must call `release()` once the response has closed and its request_log row is written.
+ * @param {object} workerKey
+ * @param {string} workerKey.apiKey
+ * @param {number|null} workerKey.rpmLimit
+ * @param {number|null} workerKey.rpdLimit
+ * @param {number|null} workerKey.tpdLimit
+ * @param {string[]|null} workerKey.allowedModels
+ * @param {string|null} modelId The requested model, if known.
+ * @returns {Promise<{allowed: true, headers: object, release: function(): void}|{allowed: false, status: number, error: object, headers: object}>}
+ */
+async function acquire({ apiKey, rpmLimit, rpdLimit, tpdLimit, allowedModels }, modelId) {
+    if (!isModelAllowed(allowedModels, modelId)) {
+        return {
+            allowed: false,
+            status: 403,
+            headers: {},
+            error: {
+                message: `This API key is not allowed to use the model '${modelId}'.`,
+                type: 'invalid_request_error',
+                param: 'model',
+                code: 'model_not_allowed',
+            },
+        };
+    }
+
+    const limits = [];
+
+    // Daily limits (read first: everything after this await runs without yielding)
+    if (rpdLimit || tpdLimit) {
+        const dailyWindow = getDailyWindow(await configService.getQuotaResetConfig(), Date.now());
+        const usage = await getDailyUsage(apiKey, dailyWindow.start);
+        const resetSeconds = Math.max(Math.ceil((dailyWindow.getResetTime(usage.oldest) - Date.now()) / 1000), 1);
+        if (rpdLimit) {
+            const used = usage.requests + (pendingRequests.get(apiKey) || 0);
+            limits.push({ header: 'requests-day', type: 'requests', limit: rpdLimit, used, countsRequest: true, resetSeconds,
+                message: `Rate limit reached: ${rpdLimit} requests per day. Used ${used}.` });
+        }
+        if (tpdLimit) {
+            limits.push({ header: 'tokens', type: 'tokens', limit: tpdLimit, used: usage.tokens, countsRequest: false, resetSeconds,
+                message: `Rate limit reached: ${tpdLimit} tokens per day. Used ${usage.tokens}.` });
+        }
+    }
+
+    // Requests per minute (sliding window)
+    const now = Date.now();
+    const window = (recentRequests.get(apiKey) || []).filter(timestamp => timestamp > now - MINUTE_MS);
+    if (rpmLimit) {
+        const resetSeconds = window.length > 0 ? Math.max(Math.ceil((window[0] + MINUTE_MS - now) / 1000), 1) : 0;
+        limits.push({ header: 'requests', type: 'requests', limit: rpmLimit, used: window.length, countsRequest: true, resetSeconds,
+            message: `Rate limit reached: ${rpmLimit} requests per minute.` });
+    }
+
+    // When several limits are exceeded, report the one with the longest wait
+    const exceeded = limits
+        .filter(limit => limit.used >= limit.limit)
+        .sort((a, b) => b.resetSeconds - a.resetSeconds)[0];
+
+    const headers = {};
+    limits.forEach(limit => {
+        const used = limit.used + (!exceeded && limit.countsRequest ? 1 : 0);
+        headers[`x-ratelimit-limit-${limit.header}`] = String(limit.limit);
+        headers[`x-ratelimit-remaining-${limit.header}`] = String(Math.max(limit.limit - used, 0));
+        headers[`x-ratelimit-reset-${limit.header}`] = formatResetDuration(limit.resetSeconds);
+    });
+
+    if (exceeded) {
+        if (window.length > 0) {
+            recentRequests.set(apiKey, window);
+        } else {
+            recentRequests.delete(apiKey);
+        }
+        headers['Retry-After'] = String(exceeded.resetSeconds);
+        return {
+            allowed: false,
+            status: 429,
+            headers,
+            error: {
+                message: exceeded.message,
+                type: exceeded.type,
+                param: null,
+                code: 'rate_limit_exceeded',
+            },
+        };
+    }
+
+    window.push(now);
+    recentRequests.set(apiKey, window);
+    pendingRequests.set(apiKey, (pendingRequests.get(apiKey) || 0) + 1);
+
+    let released = false;
+    const release = () => {
+        if (released) return;
+        released = true;
+        const remaining = (pendingRequests.get(apiKey) || 1) - 1;
+        if (remaining > 0) {
+            pendingRequests.set(apiKey, remaining);
+        } else {
+            pendingRequests.delete(apiKey);
+        }
+    };
+
+    return { allowed: true, headers, release };
+}
+
+module.exports = {
+    acquire,
+    isModelAllowed,
+};
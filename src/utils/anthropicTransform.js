@@ -0,0 +1,416 @@
+// --- Anthropic Messages API <-> OpenAI chat completions transformation ---
+// Requests are converted to the OpenAI format so they can reuse the Gemini / Vertex chat completion
+// pipeline, and the resulting OpenAI responses are converted back to the Anthropic format.
+
+// Maps OpenAI finish reasons to Anthropic stop reasons
+const STOP_REASON_MAP = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    tool_calls: 'tool_use',
+    content_filter: 'refusal',
+};
+
+/**
+ * Generates an Anthropic style message ID.
+ * @returns {string}
+ */
+function generateMessageId() {
+    return `msg_${Date.now()}${Math.random().toString(36).substring(2, 10)}`;
+}
+
+/**
+ * Maps an HTTP status code to an Anthropic error type.
+ * @param {number} status - The HTTP status code.
+ * @returns {string} The Anthropic error type.
+ */
+function getAnthropicErrorType(status) {
+    switch (status) {
+        case 400: return 'invalid_request_error';
+        case 401: return 'authentication_error';
+        case 403: return 'permission_error';
+        case 404: return 'not_found_error';
+        case 413: return 'request_too_large';
+        case 429: return 'rate_limit_error';
+        case 503:
+        case 529: return 'overloaded_error';
+        default: return 'api_error';
+    }
+}
+
+/**
+ * Builds an Anthropic error response body.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The error message.
+ * @returns {{type: 'error', error: {type: string, message: string}}}
+ */
+function createAnthropicError(status, message) {
+    return {
+        type: 'error',
+        error: { type: getAnthropicErrorType(status), message: message || 'Unknown error' }
+    };
+}
+
+/**
+ * Joins the text of an Anthropic content value (a string or an array of content blocks).
+ * Non-text blocks are ignored.
+ * @param {string|Array<object>|undefined} content
+ * @returns {string}
+ */
+function extractAnthropicText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+        .map(block => block.text)
+        .join('\n\n');
+}
+
+/**
+ * Converts an Anthropic image block to an OpenAI image_url part.
+ * @param {object} block - The Anthropic image block.
+ * @returns {object|null} The image_url part, or null if the source is unsupported.
+ */
+function transformImageBlock(block) {
+    const source = block.source || {};
+    if (source.type === 'base64' && source.data) {
+        return { type: 'image_url', image_url: { url: `data:${source.media_type || 'image/png'};base64,${source.data}` } };
+    }
+    if (source.type === 'url' && source.url) {
+        return { type: 'image_url', image_url: { url: source.url } };
+    }
+    console.warn(`Unsupported Anthropic image source type: ${source.type}. Skipping image block.`);
+    return null;
+}
+
+/**
+ * Converts an Anthropic tool_result block to an OpenAI tool message.
+ * Errors reported by the client are passed to the model as {"error": "..."}.
+ * @param {object} block - The Anthropic tool_result block.
+ * @returns {object} The OpenAI tool message.
+ */
+function transformToolResultBlock(block) {
+    if (Array.isArray(block.content) && block.content.some(part => part.type !== 'text')) {
+        console.warn(`Non-text content in tool_result ${block.tool_use_id} is not supported. Only text is forwarded.`);
+    }
+    const text = extractAnthropicText(block.content);
+    return {
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: block.is_error ? JSON.stringify({ error: text }) : text
+    };
+}
+
+/**
+ * Converts a single Anthropic message to one or more OpenAI messages.
+ * tool_result blocks become separate tool messages placed before the remaining user content.
+ * @param {object} message - The Anthropic message ({role, content}).
+ * @returns {Array<object>} The OpenAI messages.
+ */
+function transformAnthropicMessage(message) {
+    if (typeof message.content === 'string') {
+        return [{ role: message.role, content: message.content }];
+    }
+    if (!Array.isArray(message.content)) {
+        console.warn(`Unsupported content type for role ${message.role}: ${typeof message.content}. Skipping message.`);
+        return [];
+    }
+
+    if (message.role === 'assistant') {
+        const text = extractAnthropicText(message.content);
+        const toolCalls = message.content
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({
+                id: block.id,
+                type: 'function',
+                function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+            }));
+        const assistantMessage = { role: 'assistant', content: text || (toolCalls.length > 0 ? null : '') };
+        if (toolCalls.length > 0) {
+            assistantMessage.tool_calls = toolCalls;
+        }
+        return [assistantMessage];
+    }
+
+    const toolMessages = [];
+    const parts = [];
+    message.content.forEach(block => {
+        if (block.type === 'tool_result') {
+            toolMessages.push(transformToolResultBlock(block));
+        } else if (block.type === 'text') {
+            parts.push({ type: 'text', text: block.text });
+        } else if (block.type === 'image') {
+            const imagePart = transformImageBlock(block);
+            if (imagePart) parts.push(imagePart);
+        } else {
+            console.warn(`Unknown Anthropic content block type: ${block.type}. Skipping block.`);
+        }
+    });
+
+    const result = [...toolMessages];
+    if (parts.length > 0) {
+        result.push({ role: message.role, content: parts });
+    }
+    return result;
+}
+
+/**
+ * Maps an Anthropic tool_choice to the OpenAI tool_choice format.
+ * @param {object|undefined} toolChoice - The Anthropic tool_choice ({type: 'auto'|'any'|'tool'|'none'}).
+ * @returns {string|object|undefined}
+ */
+function transformToolChoice(toolChoice) {
+    if (!toolChoice || typeof toolChoice !== 'object') return undefined;
+    switch (toolChoice.type) {
+        case 'auto': return 'auto';
+        case 'any': return 'required';
+        case 'none': return 'none';
+        case 'tool': return { type: 'function', function: { name: toolChoice.name } };
+        default: return undefined;
+    }
+}
+
+/**
+ * Transforms an Anthropic Messages API request body into an OpenAI chat completions request body.
+ * @param {object} requestBody - The Anthropic request body.
+ * @returns {{body: object} | {error: string}} The OpenAI request body, or an error message if the request is invalid.
+ */
+function transformAnthropicRequestToOpenAI(requestBody) {
+    if (!requestBody || !Array.isArray(requestBody.messages) || requestBody.messages.length === 0) {
+        return { error: 'messages: field required and must be a non-empty array.' };
+    }
+
+    const messages = [];
+    const systemText = extractAnthropicText(requestBody.system);
+    if (systemText) {
+        messages.push({ role: 'system', content: systemText });
+    }
+    for (const message of requestBody.messages) {
+        if (message.role !== 'user' && message.role !== 'assistant') {
+            return { error: `messages: unexpected role "${message.role}". Allowed roles are "user" and "assistant".` };
+        }
+        messages.push(...transformAnthropicMessage(message));
+    }
+
+    const body = {
+        model: requestBody.model,
+        messages,
+        stream: requestBody.stream === true,
+        ...(requestBody.max_tokens !== undefined && { max_tokens: requestBody.max_tokens }),
+        ...(requestBody.temperature !== undefined && { temperature: requestBody.temperature }),
+        ...(requestBody.top_p !== undefined && { top_p: requestBody.top_p }),
+        ...(requestBody.top_k !== undefined && { top_k: requestBody.top_k }),
+        ...(Array.isArray(requestBody.stop_sequences) && requestBody.stop_sequences.length > 0 && { stop: requestBody.stop_sequences }),
+    };
+
+    if (Array.isArray(requestBody.tools) && requestBody.tools.length > 0) {
+        // Server tools (web search etc.) have no input_schema and cannot be mapped to Gemini functions
+        const tools = requestBody.tools
+            .filter(tool => tool.input_schema)
+            .map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+            }));
+        if (tools.length > 0) {
+            body.tools = tools;
+            const toolChoice = transformToolChoice(requestBody.tool_choice);
+            if (toolChoice) body.tool_choice = toolChoice;
+        }
+    }
+
+    return { body };
+}
+
+/**
+ * Parses the JSON arguments of an OpenAI tool call into an object.
+ * @param {string|object|undefined} args
+ * @returns {object}
+ */
+function parseToolArguments(args) {
+    if (args && typeof args === 'object') return args;
+    try {
+        return args ? JSON.parse(args) : {};
+    } catch (e) {
+        console.warn(`Failed to parse tool call arguments as JSON: ${args}`);
+        return {};
+    }
+}
+
+/**
+ * Transforms a complete OpenAI chat completion response into an Anthropic message.
+ * @param {object} openaiResponse - The parsed OpenAI chat completion response.
+ * @param {string} modelId - The model ID requested by the client.
+ * @returns {object} The Anthropic message object.
+ */
+function transformOpenAIResponseToAnthropic(openaiResponse, modelId) {
+    const choice = openaiResponse?.choices?.[0] || {};
+    const message = choice.message || {};
+    const content = [];
+
+    if (typeof message.content === 'string' && message.content.length > 0) {
+        content.push({ type: 'text', text: message.content });
+    }
+    if (Array.isArray(message.tool_calls)) {
+        message.tool_calls.forEach(toolCall => {
+            content.push({
+                type: 'tool_use',
+                id: toolCall.id,
+                name: toolCall.function?.name,
+                input: parseToolArguments(toolCall.function?.arguments)
+            });
+        });
+    }
+
+    return {
+        id: generateMessageId(),
+        type: 'message',
+        role: 'assistant',
+        model: modelId,
+        content,
+        stop_reason: STOP_REASON_MAP[choice.finish_reason] || 'end_turn',
+        stop_sequence: null,
+        usage: {
+            input_tokens: openaiResponse?.usage?.prompt_tokens || 0,
+            output_tokens: openaiResponse?.usage?.completion_tokens || 0
+        }
+    };
+}
+
+/**
+ * Formats a single Anthropic SSE event.
+ * @param {string} type - The event type.
+ * @param {object} data - The event payload (its "type" field is set to the event type).
+ * @returns {string}
+ */
+function formatSseEvent(type, data) {
+    return `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+}
+
+/**
+ * Creates a converter that turns a sequence of OpenAI chat completion chunks into the Anthropic
+ * SSE event stream (message_start, content_block_start/delta/stop, message_delta, message_stop).
+ * Each method returns the SSE text to write to the client (possibly an empty string).
+ * @param {string} modelId - The model ID requested by the client.
+ */
+function createAnthropicStreamConverter(modelId) {
+    const messageId = generateMessageId();
+    let currentBlock = null; // { index, type }
+    let nextBlockIndex = 0;
+    let stopReason = null;
+    let hasToolUse = false;
+    const usage = { input_tokens: 0, output_tokens: 0 };
+
+    const closeCurrentBlock = () => {
+        if (!currentBlock) return '';
+        const event = formatSseEvent('content_block_stop', { index: currentBlock.index });
+        currentBlock = null;
+        return event;
+    };
+
+    const openBlock = (type, contentBlock) => {
+        let events = closeCurrentBlock();
+        currentBlock = { index: nextBlockIndex++, type };
+        events += formatSseEvent('content_block_start', { index: currentBlock.index, content_block: contentBlock });
+        return events;
+    };
+
+    return {
+        start() {
+            return formatSseEvent('message_start', {
+                message: {
+                    id: messageId,
+                    type: 'message',
+                    role: 'assistant',
+                    model: modelId,
+                    content: [],
+                    stop_reason: null,
+                    stop_sequence: null,
+                    usage: { ...usage }
+                }
+            }) + formatSseEvent('ping', {});
+        },
+
+        /**
+         * @param {{input_tokens?: number, output_tokens?: number}} newUsage
+         */
+        setUsage(newUsage) {
+            if (newUsage.input_tokens !== undefined) usage.input_tokens = newUsage.input_tokens;
+            if (newUsage.output_tokens !== undefined) usage.output_tokens = newUsage.output_tokens;
+        },
+
+        /**
+         * @param {object} chunk - A parsed OpenAI chat.completion.chunk object.
+         */
+        processOpenAIChunk(chunk) {
+            let events = '';
+            const choice = chunk?.choices?.[0];
+            if (chunk?.usage) {
+                this.setUsage({ input_tokens: chunk.usage.prompt_tokens, output_tokens: chunk.usage.completion_tokens });
+            }
+            if (!choice) return events;
+
+            const delta = choice.delta || {};
+            if (typeof delta.content === 'string' && delta.content.length > 0) {
+                if (!currentBlock || currentBlock.type !== 'text') {
+                    events += openBlock('text', { type: 'text', text: '' });
+                }
+                events += formatSseEvent('content_block_delta', {
+                    index: currentBlock.index,
+                    delta: { type: 'text_delta', text: delta.content }
+                });
+            }
+
+            if (Array.isArray(delta.tool_calls)) {
+                delta.tool_calls.forEach(toolCall => {
+                    // A new id starts a new tool_use block, later fragments only carry arguments
+                    if (toolCall.id || !currentBlock || currentBlock.type !== 'tool_use') {
+                        hasToolUse = true;
+                        events += openBlock('tool_use', {
+                            type: 'tool_use',
+                            id: toolCall.id || `toolu_${Date.now()}_${nextBlockIndex}`,
+                            name: toolCall.function?.name,
+                            input: {}
+                        });
+                    }
+                    const args = toolCall.function?.arguments;
+                    if (args) {
+                        events += formatSseEvent('content_block_delta', {
+                            index: currentBlock.index,
+                            delta: { type: 'input_json_delta', partial_json: typeof args === 'string' ? args : JSON.stringify(args) }
+                        });
+                    }
+                });
+            }
+
+            if (choice.finish_reason) {
+                stopReason = STOP_REASON_MAP[choice.finish_reason] || 'end_turn';
+            }
+            return events;
+        },
+
+        finish() {
+            // Gemini reports STOP for turns that end with function calls
+            const finalStopReason = hasToolUse && (!stopReason || stopReason === 'end_turn') ? 'tool_use' : (stopReason || 'end_turn');
+            return closeCurrentBlock()
+                + formatSseEvent('message_delta', {
+                    delta: { stop_reason: finalStopReason, stop_sequence: null },
+                    usage: { input_tokens: usage.input_tokens, output_tokens: usage.output_tokens }
+                })
+                + formatSseEvent('message_stop', {});
+        },
+
+        /**
+         * @param {number} status - The HTTP status code of the failure.
+         * @param {string} message - The error message.
+         */
+        error(status, message) {
+            return formatSseEvent('error', { error: createAnthropicError(status, message).error });
+        }
+    };
+}
+
+module.exports = {
+    createAnthropicError,
+    transformAnthropicRequestToOpenAI,
+    transformOpenAIResponseToAnthropic,
+    createAnthropicStreamConverter,
+};
@@ -2,6 +2,7 @@ const { Octokit } = require('@octokit/rest');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const metricsService = require('../services/metricsService');
 
 class GitHubSync {
   constructor(repoName, token, dbPath, encryptKey) {
@@ -26,17 +27,21 @@ class GitHubSync {
       });
     }
 
-    // Log if encryption is enabled with a valid key
-    if (this.isConfigured() && this.isEncryptionEnabled()) {
-      console.log(`Using encrypt key: ${this.encryptKey}`);
-    }
-
     this.initialSyncCompleted = false;
     
     // Sync scheduling variables
     this.pendingSync = false;
     this.syncTimer = null;
     this.syncDelay = 300000; // 5 minute delay
+
+    // Outcome of the last upload or download, for the readiness check
+    this.lastSyncResult = null;
+  }
+
+  // Remember the outcome of a sync and count it in the metrics
+  recordSyncResult(operation, success, error = null) {
+    this.lastSyncResult = { operation, success, error, at: new Date().toISOString() };
+    metricsService.recordGitHubSync(operation, success);
   }
 
   // Check if GitHub sync is configured and enabled
@@ -196,6 +201,7 @@ class GitHubSync {
             } catch (decryptError) {
               console.error('Failed to decrypt database:', decryptError.message);
               console.error('Database file may be corrupted or encryption key is incorrect');
+              this.recordSyncResult('download', false, `Failed to decrypt database: ${decryptError.message}`);
               return false; // Don't save corrupted data
             }
           } else if (this.isEncryptionEnabled() && !isEncrypted) {
@@ -210,9 +216,11 @@ class GitHubSync {
             await fs.writeFile(this.dbPath, buffer);
             console.log('Database successfully downloaded and saved locally');
             this.initialSyncCompleted = true;
+            this.recordSyncResult('download', true);
             return true;
           } else {
             console.error('Downloaded database file has invalid SQLite header, not saving');
+            this.recordSyncResult('download', false, 'Downloaded database file has an invalid SQLite header');
             return false;
           }
         }
@@ -224,11 +232,13 @@ class GitHubSync {
           this.initialSyncCompleted = true;
         } else {
           console.error('Error checking database file on GitHub:', error.message);
+          this.recordSyncResult('download', false, error.message);
         }
         return false;
       }
     } catch (error) {
       console.error('Error downloading database from GitHub:', error.message);
+      this.recordSyncResult('download', false, error.message);
       return false;
     }
   }
@@ -325,9 +335,11 @@ class GitHubSync {
       });
       
       console.log('Database successfully uploaded to GitHub');
+      this.recordSyncResult('upload', true);
       return true;
     } catch (error) {
       console.error('Error uploading database to GitHub:', error.message);
+      this.recordSyncResult('upload', false, error.message);
       return false;
     }
   }
@@ -1,16 +1,41 @@
+// Where daily quotas reset unless configured otherwise: midnight Pacific time, like Google's own quotas
+const DEFAULT_QUOTA_RESET = { timeZone: 'America/Los_Angeles', resetTime: '00:00' };
+
+/**
+ * Checks whether a string is an IANA time zone name known to the runtime, e.g. 'Asia/Shanghai'.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+	if (!timeZone || typeof timeZone !== 'string') return false;
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone });
+		return true;
+	} catch (e) {
+		return false;
+	}
+}
+
 /**
- * Helper function to get today's date in Los Angeles timezone (YYYY-MM-DD format)
- * Uses a more reliable method for timezone conversion
+ * Helper to get the current quota day, which starts at the reset time in the reset time zone.
+ * @param {{timeZone?: string, resetTime?: string}} [resetConfig] Defaults to midnight in Los Angeles.
+ * @param {number} [now] Milliseconds since the epoch.
+ * @returns {{date: string, start: Date, end: Date}} The day's date (YYYY-MM-DD) in the reset time zone and its bounds.
  */
-function getTodayInLA() {
-	// Get current date in Los Angeles timezone
-	const date = new Date().toLocaleString('en-US', { timeZone: 'America/Los_Angeles' });
-	// Parse the date string into a Date object
-	const laDate = new Date(date);
-	// Format as YYYY-MM-DD
-	return laDate.getFullYear() + '-' +
-		String(laDate.getMonth() + 1).padStart(2, '0') + '-' +
-		String(laDate.getDate()).padStart(2, '0');
+function getQuotaDay(resetConfig = DEFAULT_QUOTA_RESET, now = Date.now()) {
+	const timeZone = isValidTimeZone(resetConfig.timeZone) ? resetConfig.timeZone : DEFAULT_QUOTA_RESET.timeZone;
+	const [hours, minutes] = (resetConfig.resetTime || DEFAULT_QUOTA_RESET.resetTime).split(':').map(Number);
+	const resetOffsetMs = ((hours || 0) * 60 + (minutes || 0)) * 60 * 1000;
+
+	const nowDate = new Date(now);
+	// Difference between the wall clock in the time zone and UTC, e.g. -7 hours in Los Angeles during DST
+	const offsetMs = new Date(nowDate.toLocaleString('en-US', { timeZone })).getTime() -
+		new Date(nowDate.toLocaleString('en-US', { timeZone: 'UTC' })).getTime();
+	// Wall clock time since the last reset, as a UTC date
+	const shifted = new Date(now + offsetMs - resetOffsetMs);
+	const date = shifted.toISOString().substring(0, 10);
+	const start = new Date(Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate()) + resetOffsetMs - offsetMs);
+	return { date, start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
 }
 
 /**
@@ -55,7 +80,9 @@ async function readRequestBody(req) {
 // }
 
 module.exports = {
-    getTodayInLA,
+    DEFAULT_QUOTA_RESET,
+    isValidTimeZone,
+    getQuotaDay,
     readRequestBody,
     // corsHeaders // Not exporting as it's handled by middleware
 };
@@ -1,3 +1,16 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const logger = require('./logger');
+
+// Outgoing proxies for Gemini requests: the PROXY environment variable (read-only) plus the ones
+// added in the admin panel (proxies table). Each request picks a healthy proxy, favoring low latency.
+// A proxy is evicted after a failed health check or MAX_CONSECUTIVE_FAILURES failed connections
+// in a row, and is used again once a health check passes.
+// A Gemini key can be bound to one proxy or a proxy group, so it always leaves from the same
+// egress IPs; its requests then only fail over within that binding.
+// configService is required lazily: proxyPool is loaded by modules the db module depends on.
+// upstreamService is required lazily as well, it loads proxyPool itself.
+
 let SocksProxyAgent; // Declare variable
 try {
     SocksProxyAgent = require('socks-proxy-agent').SocksProxyAgent; // Try importing
@@ -6,62 +19,489 @@ try {
     SocksProxyAgent = null; // Set to null if import fails
 }
 
-let proxies = [];
-let currentProxyIndex = 0;
+let HttpsProxyAgent;
+try {
+    HttpsProxyAgent = require('https-proxy-agent').HttpsProxyAgent;
+} catch (e) {
+    console.warn("Optional dependency 'https-proxy-agent' not found. HTTP(S) proxy functionality will be unavailable unless this dependency is installed.");
+    HttpsProxyAgent = null;
+}
+
+const SUPPORTED_PROTOCOLS = ['http:', 'https:', 'socks5:', 'socks5h:'];
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+const MAX_CONSECUTIVE_FAILURES = 3;
+// Latency assumed for proxies that have not connected yet
+const DEFAULT_LATENCY_MS = 1000;
+// Latencies below this are weighted the same, so a proxy on localhost doesn't take all requests
+const MIN_WEIGHTED_LATENCY_MS = 10;
+// Weight of the newest connection time in the moving average
+const LATENCY_SMOOTHING = 0.3;
+// Proxy binding of a Gemini key: 'proxy:<proxy id>' or 'group:<group name>'
+const BINDING_PATTERN = /^(proxy|group):(.+)$/;
+const MAX_GROUP_NAME_LENGTH = 64;
+
+// id -> { id, url, source: 'env'|'db', group, enabled, agent, healthy, latencyMs, successCount, failureCount,
+//         consecutiveFailures, lastCheckedAt, lastError }
+const proxies = new Map();
+
+/**
+ * Checks that a proxy URL can be used by the pool.
+ * @param {string} proxyUrl
+ * @returns {string|null} Why the URL is invalid, or null if it is valid.
+ */
+function validateProxyUrl(proxyUrl) {
+    let parsed;
+    try {
+        parsed = new URL(proxyUrl);
+    } catch (e) {
+        return 'Invalid proxy URL.';
+    }
+    if (!SUPPORTED_PROTOCOLS.includes(parsed.protocol)) {
+        return `Unsupported proxy protocol "${parsed.protocol}". Use http://, https://, socks5:// or socks5h://.`;
+    }
+    if (!parsed.hostname || !parsed.port) {
+        return 'Proxy URL must include a host and a port.';
+    }
+    return null;
+}
+
+/**
+ * Normalizes a proxy group name.
+ * @param {any} group
+ * @returns {string|null} The trimmed name, or null for no group.
+ * @throws {Error} If the name is not a string or too long.
+ */
+function normalizeGroupName(group) {
+    if (group === null || group === undefined) return null;
+    if (typeof group !== 'string' || group.trim().length > MAX_GROUP_NAME_LENGTH) {
+        throw new Error(`Proxy group must be a string of at most ${MAX_GROUP_NAME_LENGTH} characters.`);
+    }
+    return group.trim() || null;
+}
+
+/**
+ * Checks a Gemini key's proxy binding.
+ * @param {string|null} binding 'proxy:<id>', 'group:<name>', or null for any proxy.
+ * @returns {string|null} Why the binding is invalid, or null if it is valid.
+ */
+function validateProxyBinding(binding) {
+    if (binding === null) return null;
+    const match = typeof binding === 'string' ? binding.match(BINDING_PATTERN) : null;
+    if (!match) {
+        return 'proxyBinding must be null, "proxy:<id>" or "group:<name>".';
+    }
+    if (match[1] === 'proxy' && !proxies.has(match[2])) {
+        return `Proxy '${match[2]}' does not exist.`;
+    }
+    if (match[1] === 'group' && match[2].length > MAX_GROUP_NAME_LENGTH) {
+        return `Proxy group names have at most ${MAX_GROUP_NAME_LENGTH} characters.`;
+    }
+    return null;
+}
+
+/**
+ * Gets the enabled proxies with a loaded agent that a binding allows.
+ * @param {string|null} binding
+ * @returns {Array<object>} Pool entries.
+ */
+function getUsableEntries(binding) {
+    const match = binding ? binding.match(BINDING_PATTERN) : null;
+    return [...proxies.values()].filter(entry => {
+        if (!entry.enabled || !entry.agent) return false;
+        if (!match) return true;
+        return match[1] === 'proxy' ? entry.id === match[2] : entry.group === match[2];
+    });
+}
+
+/**
+ * Whether a request with a binding can get a proxy. Unbound keys always can (without proxies
+ * they connect directly); bound keys need an enabled proxy in their binding.
+ * @param {string|null} binding
+ * @returns {boolean}
+ */
+function hasUsableProxy(binding) {
+    return !binding || getUsableEntries(binding).length > 0;
+}
+
+/**
+ * Hides the password of a proxy URL, for logs and the admin panel.
+ * @param {string} proxyUrl
+ * @returns {string}
+ */
+function maskProxyUrl(proxyUrl) {
+    try {
+        const parsed = new URL(proxyUrl);
+        if (parsed.password) parsed.password = '***';
+        return parsed.href.replace(/\/$/, '');
+    } catch (e) {
+        return proxyUrl;
+    }
+}
+
+/**
+ * Records the outcome of a connection through a proxy.
+ * @param {object} entry Pool entry.
+ * @param {boolean} success
+ * @param {number} [latencyMs] Time to connect, on success.
+ * @param {string} [errorMessage] On failure.
+ */
+function recordResult(entry, success, latencyMs, errorMessage) {
+    if (success) {
+        entry.successCount++;
+        entry.consecutiveFailures = 0;
+        entry.latencyMs = entry.latencyMs === null
+            ? latencyMs
+            : Math.round(entry.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+        return;
+    }
+    entry.failureCount++;
+    entry.consecutiveFailures++;
+    entry.lastError = errorMessage || 'Connection failed';
+    if (entry.healthy && entry.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        entry.healthy = false;
+        logger.warn(`Proxy ${maskProxyUrl(entry.url)} evicted after ${entry.consecutiveFailures} consecutive failures: ${entry.lastError}`);
+    }
+}
+
+/**
+ * Creates the agent of a pool entry. Its connections are timed and counted in the entry's stats.
+ * @param {object} entry Pool entry.
+ * @returns {import('http').Agent|null} Null if the dependency for the protocol is not installed.
+ */
+function createAgent(entry) {
+    const protocol = new URL(entry.url).protocol;
+    const AgentClass = protocol.startsWith('socks') ? SocksProxyAgent : HttpsProxyAgent;
+    if (!AgentClass) return null;
+
+    let agent;
+    try {
+        agent = new AgentClass(entry.url);
+    } catch (e) {
+        logger.error(`Error creating proxy agent for ${maskProxyUrl(entry.url)}:`, e);
+        return null;
+    }
+    const connect = agent.connect.bind(agent);
+    agent.connect = async (req, options) => {
+        const startedAt = Date.now();
+        try {
+            const socket = await connect(req, options);
+            recordResult(entry, true, Date.now() - startedAt);
+            return socket;
+        } catch (error) {
+            recordResult(entry, false, undefined, error.message);
+            throw error;
+        }
+    };
+    // Shown in the "via proxy" log lines of the callers
+    agent.proxyUrl = maskProxyUrl(entry.url);
+    return agent;
+}
+
+/**
+ * Adds a proxy to the pool, keeping the stats of an entry that is already there.
+ * @param {{id: string, url: string, source: 'env'|'db', group?: string|null, enabled: boolean}} proxy
+ */
+function putEntry({ id, url, source, group = null, enabled }) {
+    const existing = proxies.get(id);
+    if (existing && existing.url === url) {
+        existing.enabled = enabled;
+        existing.group = group;
+        return;
+    }
+    const entry = {
+        id,
+        url,
+        source,
+        group,
+        enabled,
+        agent: null,
+        healthy: true,
+        latencyMs: null,
+        successCount: 0,
+        failureCount: 0,
+        consecutiveFailures: 0,
+        lastCheckedAt: null,
+        lastError: null,
+    };
+    entry.agent = createAgent(entry);
+    proxies.set(id, entry);
+}
 
+/**
+ * (Re)loads the proxies of the PROXY environment variable. Called when the module loads.
+ */
 function initializeProxyPool() {
-    proxies = []; // Reset proxies on re-initialization
-    currentProxyIndex = 0;
+    [...proxies.values()].filter(entry => entry.source === 'env').forEach(entry => proxies.delete(entry.id));
     const proxyEnv = process.env.PROXY;
-    if (proxyEnv) {
-        proxies = proxyEnv.split(',')
-            .map(proxyStr => proxyStr.trim())
-            .filter(proxyStr => {
-                if (proxyStr.startsWith('socks5://')) {
-                    return true;
-                }
-                if (proxyStr) { // Log invalid format only if non-empty string
-                    console.warn(`Invalid proxy format skipped: "${proxyStr}". Only socks5:// is supported.`);
-                }
-                return false;
-            });
-
-        if (proxies.length > 0) {
-             // This log will now be printed by index.js using getProxyPoolStatus
-            // console.log(`Initialized proxy pool with ${proxies.length} SOCKS5 proxies.`);
-        } else {
-             // This log will now be printed by index.js using getProxyPoolStatus
-            // console.log('PROXY environment variable found but contains no valid SOCKS5 proxies.');
+    if (!proxyEnv) return;
+
+    proxyEnv.split(',')
+        .map(proxyStr => proxyStr.trim())
+        .filter(Boolean)
+        .forEach(proxyStr => {
+            const invalidReason = validateProxyUrl(proxyStr);
+            if (invalidReason) {
+                logger.warn(`Invalid proxy "${maskProxyUrl(proxyStr)}" in PROXY skipped: ${invalidReason}`);
+                return;
+            }
+            // Stable across restarts, so the admin panel can refer to it
+            const id = `env-${crypto.createHash('sha256').update(proxyStr).digest('hex').slice(0, 8)}`;
+            putEntry({ id, url: proxyStr, source: 'env', enabled: true });
+        });
+}
+
+/**
+ * Loads the proxies stored in the database. Called once the database is ready.
+ * @returns {Promise<void>}
+ */
+async function loadStoredProxies() {
+    const configService = require('../services/configService');
+    const rows = await configService.allDb('SELECT id, url, group_name, enabled FROM proxies ORDER BY created_at');
+    const storedIds = new Set(rows.map(row => row.id));
+    [...proxies.values()]
+        .filter(entry => entry.source === 'db' && !storedIds.has(entry.id))
+        .forEach(entry => proxies.delete(entry.id));
+    rows.forEach(row => putEntry({ id: row.id, url: row.url, source: 'db', group: row.group_name || null, enabled: row.enabled === 1 }));
+}
+
+/**
+ * Picks the proxy for the next request: a random healthy, enabled proxy, weighted by the inverse
+ * of its latency. When every proxy is evicted, all enabled proxies are candidates again rather
+ * than sending requests without a proxy.
+ * @param {string|null} [binding] The Gemini key's proxy binding; only proxies in it are candidates.
+ * @returns {import('http').Agent|undefined} Undefined when no proxy is usable and the key is not bound.
+ * @throws {Error} If the key is bound and none of its proxies is enabled.
+ */
+function getNextProxyAgent(binding = null) {
+    const usable = getUsableEntries(binding);
+    if (usable.length === 0) {
+        if (binding) {
+            // Connecting directly or through another proxy would change the key's egress IP
+            throw new Error(`No enabled proxy for proxy binding '${binding}'.`);
         }
-    } else {
-         // This log will now be printed by index.js using getProxyPoolStatus
-        // console.log('PROXY environment variable not set. No proxy will be used.');
+        return undefined;
+    }
+    const healthy = usable.filter(entry => entry.healthy);
+    const candidates = healthy.length > 0 ? healthy : usable;
+
+    const weights = candidates.map(entry => 1 / Math.max(entry.latencyMs ?? DEFAULT_LATENCY_MS, MIN_WEIGHTED_LATENCY_MS));
+    let pick = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < candidates.length; i++) {
+        pick -= weights[i];
+        if (pick <= 0) return candidates[i].agent;
     }
+    return candidates[candidates.length - 1].agent;
 }
 
-function getNextProxyAgent() {
-    if (proxies.length === 0 || !SocksProxyAgent) {
-        return undefined; // No proxies configured or agent not available
+/**
+ * Sends a request to the Gemini upstream through a proxy. Evicts the proxy if it fails, restores it if it works.
+ * Any HTTP response (even 403 without a key) proves the proxy reaches the upstream. Without an enabled
+ * upstream there is nothing to reach, and the proxy keeps its state.
+ * @param {object} entry Pool entry.
+ * @returns {Promise<void>}
+ */
+async function checkEntry(entry) {
+    const healthCheckUrl = require('../services/upstreamService').getHealthCheckUrl();
+    if (!healthCheckUrl) {
+        return;
+    }
+    entry.lastCheckedAt = new Date().toISOString();
+    if (!entry.agent) {
+        entry.healthy = false;
+        entry.lastError = 'Proxy agent dependency not installed';
+        return;
     }
-    const proxyUrl = proxies[currentProxyIndex];
-    currentProxyIndex = (currentProxyIndex + 1) % proxies.length; // Rotate index
     try {
-        // Log proxy usage within the service where it's called for better context
-        // console.log(`Using proxy: ${proxyUrl}`); 
-        return new SocksProxyAgent(proxyUrl);
-    } catch (e) {
-        console.error(`Error creating proxy agent for ${proxyUrl}:`, e);
-        return undefined; // Return undefined if agent creation fails
+        await fetch(healthCheckUrl, { agent: entry.agent, timeout: HEALTH_CHECK_TIMEOUT_MS });
+        if (!entry.healthy) {
+            logger.info(`Proxy ${maskProxyUrl(entry.url)} passed its health check and is used again.`);
+        }
+        entry.healthy = true;
+        entry.consecutiveFailures = 0;
+        entry.lastError = null;
+    } catch (error) {
+        if (entry.healthy) {
+            logger.warn(`Proxy ${maskProxyUrl(entry.url)} failed its health check and is evicted: ${error.message}`);
+        }
+        entry.healthy = false;
+        entry.lastError = error.message;
     }
 }
 
+/**
+ * Runs a health check for every enabled proxy.
+ * @returns {Promise<{checked: number, healthy: number}>}
+ */
+async function runHealthChecks() {
+    const entries = [...proxies.values()].filter(entry => entry.enabled);
+    await Promise.all(entries.map(checkEntry));
+    const healthy = entries.filter(entry => entry.healthy).length;
+    if (entries.length > 0) {
+        logger.debug(`Proxy health check: ${healthy}/${entries.length} proxies healthy.`);
+    }
+    return { checked: entries.length, healthy };
+}
+
+/**
+ * Lists the proxies with their health and stats, passwords masked.
+ * @returns {Array<object>}
+ */
+function getProxies() {
+    return [...proxies.values()].map(entry => {
+        const total = entry.successCount + entry.failureCount;
+        return {
+            id: entry.id,
+            url: maskProxyUrl(entry.url),
+            protocol: new URL(entry.url).protocol.slice(0, -1),
+            source: entry.source,
+            group: entry.group,
+            enabled: entry.enabled,
+            agentLoaded: !!entry.agent,
+            healthy: entry.healthy,
+            latencyMs: entry.latencyMs,
+            successCount: entry.successCount,
+            failureCount: entry.failureCount,
+            successRate: total > 0 ? entry.successCount / total : null,
+            lastCheckedAt: entry.lastCheckedAt,
+            lastError: entry.lastError ? logger.redactSecrets(entry.lastError) : null,
+        };
+    });
+}
+
+/**
+ * Stores a proxy and adds it to the pool.
+ * @param {string} proxyUrl
+ * @param {string|null} [group] Proxy group that Gemini keys can be bound to.
+ * @returns {Promise<{id: string}>}
+ */
+async function addProxy(proxyUrl, group = null) {
+    const groupName = normalizeGroupName(group);
+    const url = typeof proxyUrl === 'string' ? proxyUrl.trim() : '';
+    const invalidReason = validateProxyUrl(url);
+    if (invalidReason) {
+        throw new Error(invalidReason);
+    }
+    if ([...proxies.values()].some(entry => entry.url === url)) {
+        throw new Error('This proxy is already in the pool (duplicate).');
+    }
+
+    const configService = require('../services/configService');
+    const dbModule = require('../db');
+    const id = `px-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await configService.serializeDb(async () => {
+        await configService.runDb('BEGIN TRANSACTION');
+        try {
+            await configService.runDb('INSERT INTO proxies (id, url, group_name, enabled, created_at) VALUES (?, ?, ?, 1, CURRENT_TIMESTAMP)', [id, url, groupName]);
+            await configService.runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await configService.runDb('ROLLBACK');
+            throw error;
+        }
+    });
+
+    putEntry({ id, url, source: 'db', group: groupName, enabled: true });
+    const entry = proxies.get(id);
+    await checkEntry(entry);
+    logger.info(`Added proxy ${maskProxyUrl(url)} (${id}).`);
+    return { id };
+}
+
+/**
+ * Looks up a proxy that can be changed from the admin panel.
+ * @param {string} id
+ * @returns {object} Pool entry.
+ */
+function getStoredEntry(id) {
+    const entry = proxies.get(id);
+    if (!entry) {
+        throw new Error(`Proxy '${id}' not found.`);
+    }
+    if (entry.source === 'env') {
+        throw new Error('Proxies from the PROXY environment variable can only be changed there.');
+    }
+    return entry;
+}
+
+/**
+ * Enables or disables a stored proxy, or moves it to another group.
+ * @param {string} id
+ * @param {object} changes
+ * @param {boolean} [changes.enabled]
+ * @param {string|null} [changes.group] Null or an empty string removes the proxy from its group.
+ * @returns {Promise<void>}
+ */
+async function updateProxy(id, { enabled, group }) {
+    const entry = getStoredEntry(id);
+    const updates = [];
+    const params = [];
+    if (enabled !== undefined) {
+        updates.push('enabled = ?');
+        params.push(enabled ? 1 : 0);
+    }
+    const groupName = group !== undefined ? normalizeGroupName(group) : undefined;
+    if (groupName !== undefined) {
+        updates.push('group_name = ?');
+        params.push(groupName);
+    }
+    if (updates.length === 0) return;
+
+    const configService = require('../services/configService');
+    const dbModule = require('../db');
+    await configService.serializeDb(async () => {
+        await configService.runDb('BEGIN TRANSACTION');
+        try {
+            await configService.runDb(`UPDATE proxies SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+            await configService.runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await configService.runDb('ROLLBACK');
+            throw error;
+        }
+    });
+    if (enabled !== undefined) entry.enabled = enabled;
+    if (groupName !== undefined) entry.group = groupName;
+}
+
+/**
+ * Deletes a stored proxy and removes it from the pool. Gemini keys bound to it are unbound.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function deleteProxy(id) {
+    getStoredEntry(id);
+    const configService = require('../services/configService');
+    const dbModule = require('../db');
+    await configService.serializeDb(async () => {
+        await configService.runDb('BEGIN TRANSACTION');
+        try {
+            await configService.runDb('DELETE FROM proxies WHERE id = ?', [id]);
+            await configService.runDb('UPDATE gemini_keys SET proxy_binding = NULL WHERE proxy_binding = ?', [`proxy:${id}`]);
+            await configService.runDb('COMMIT');
+
+            // Sync updates to GitHub (outside transaction)
+            await dbModule.syncToGitHub();
+        } catch (error) {
+            await configService.runDb('ROLLBACK');
+            throw error;
+        }
+    });
+    proxies.delete(id);
+}
+
 // Function to get the status of the proxy pool
 function getProxyPoolStatus() {
-    const enabled = proxies.length > 0 && !!SocksProxyAgent; // Enabled if proxies exist AND agent is loaded
+    const enabledEntries = [...proxies.values()].filter(entry => entry.enabled);
+    const usable = enabledEntries.filter(entry => entry.agent);
     return {
-        enabled: enabled,
-        count: proxies.length,
-        agentLoaded: !!SocksProxyAgent // Explicitly indicate if the agent dependency loaded
+        enabled: usable.length > 0, // Enabled if at least one proxy has its agent dependency loaded
+        count: enabledEntries.length,
+        healthy: usable.filter(entry => entry.healthy).length,
+        agentLoaded: usable.length === enabledEntries.length // False if a proxy's agent dependency is missing
     };
 }
 
@@ -69,7 +509,17 @@ function getProxyPoolStatus() {
 initializeProxyPool();
 
 module.exports = {
+    SUPPORTED_PROTOCOLS,
+    validateProxyUrl,
+    validateProxyBinding,
+    hasUsableProxy,
     initializeProxyPool, // Export for potential re-initialization if needed
+    loadStoredProxies,
     getNextProxyAgent,
+    runHealthChecks,
+    getProxies,
+    addProxy,
+    updateProxy,
+    deleteProxy,
     getProxyPoolStatus,
 };
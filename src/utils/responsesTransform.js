@@ -0,0 +1,405 @@
+// --- OpenAI Responses API <-> chat completions transformation ---
+// Responses API requests are converted to chat completion requests so they can reuse the Gemini / Vertex
+// pipeline. The conversation is kept as chat messages, which is also the format stored for previous_response_id.
+
+const crypto = require('crypto');
+
+/**
+ * Generates a Responses API style ID (e.g. resp_..., msg_..., fc_...).
+ * @param {string} prefix
+ * @returns {string}
+ */
+function generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(16).toString('hex')}`;
+}
+
+/**
+ * Converts the content of a Responses API message item to chat message content.
+ * @param {string|Array<object>} content - A string or an array of input_text / output_text / input_image parts.
+ * @param {string} role - The chat role the content belongs to.
+ * @returns {string|Array<object>}
+ */
+function transformItemContent(content, role) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+
+    const parts = [];
+    content.forEach(part => {
+        if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+            parts.push({ type: 'text', text: part.text || '' });
+        } else if (part.type === 'input_image' && part.image_url) {
+            parts.push({ type: 'image_url', image_url: { url: part.image_url } });
+        } else {
+            console.warn(`Unsupported Responses API content part type: ${part.type}. Skipping part.`);
+        }
+    });
+
+    // Only user messages can carry images, other roles are sent as plain text
+    if (role !== 'user') {
+        return parts.filter(part => part.type === 'text').map(part => part.text).join('');
+    }
+    return parts;
+}
+
+/**
+ * Converts the Responses API `input` (a string or a list of items) to chat messages.
+ * function_call items are attached to the preceding assistant message, as a chat completion client would send them.
+ * @param {string|Array<object>} input
+ * @returns {{messages: Array<object>} | {error: string}}
+ */
+function transformResponsesInputToMessages(input) {
+    if (typeof input === 'string') {
+        return { messages: [{ role: 'user', content: input }] };
+    }
+    if (!Array.isArray(input)) {
+        return { error: "'input' must be a string or an array of input items." };
+    }
+
+    const messages = [];
+    for (const item of input) {
+        const type = item.type || (item.role ? 'message' : undefined);
+        if (type === 'message') {
+            const role = item.role === 'developer' || item.role === 'system' ? 'system' : item.role;
+            if (!['system', 'user', 'assistant'].includes(role)) {
+                return { error: `Invalid role '${item.role}' in input item.` };
+            }
+            messages.push({ role, content: transformItemContent(item.content, role) });
+        } else if (type === 'function_call') {
+            const toolCall = {
+                id: item.call_id,
+                type: 'function',
+                function: { name: item.name, arguments: item.arguments || '{}' }
+            };
+            const lastMessage = messages[messages.length - 1];
+            if (lastMessage && lastMessage.role === 'assistant') {
+                lastMessage.tool_calls = [...(lastMessage.tool_calls || []), toolCall];
+            } else {
+                messages.push({ role: 'assistant', content: null, tool_calls: [toolCall] });
+            }
+        } else if (type === 'function_call_output') {
+            messages.push({
+                role: 'tool',
+                tool_call_id: item.call_id,
+                content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+            });
+        } else {
+            console.warn(`Unsupported Responses API input item type: ${type}. Skipping item.`);
+        }
+    }
+    return { messages };
+}
+
+/**
+ * Transforms a Responses API request body into a chat completions request body.
+ * @param {object} requestBody - The Responses API request body.
+ * @param {Array<object>} [previousMessages=[]] - The stored conversation of previous_response_id, if any.
+ * @returns {{body: object, inputMessages: Array<object>} | {error: string}}
+ *          The chat request body and the new messages taken from `input`, or an error message.
+ */
+function transformResponsesRequestToOpenAI(requestBody, previousMessages = []) {
+    if (requestBody.input === undefined || requestBody.input === null) {
+        return { error: "Missing required parameter: 'input'." };
+    }
+    const converted = transformResponsesInputToMessages(requestBody.input);
+    if (converted.error) {
+        return converted;
+    }
+
+    // Instructions apply to this request only and are not carried over to chained responses
+    const messages = [
+        ...(requestBody.instructions ? [{ role: 'system', content: requestBody.instructions }] : []),
+        ...previousMessages,
+        ...converted.messages,
+    ];
+
+    const body = {
+        model: requestBody.model,
+        messages,
+        stream: requestBody.stream === true,
+        ...(requestBody.max_output_tokens !== undefined && { max_tokens: requestBody.max_output_tokens }),
+        ...(requestBody.temperature !== undefined && { temperature: requestBody.temperature }),
+        ...(requestBody.top_p !== undefined && { top_p: requestBody.top_p }),
+    };
+
+    if (Array.isArray(requestBody.tools) && requestBody.tools.length > 0) {
+        const tools = [];
+        requestBody.tools.forEach(tool => {
+            if (tool.type === 'function') {
+                tools.push({
+                    type: 'function',
+                    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+                });
+            } else if (typeof tool.type === 'string' && tool.type.startsWith('web_search')) {
+                body.web_search = 1; // Handled by the Gemini proxy as Google Search grounding
+            } else {
+                console.warn(`Unsupported Responses API tool type: ${tool.type}. Skipping tool.`);
+            }
+        });
+        if (tools.length > 0) {
+            body.tools = tools;
+            if (typeof requestBody.tool_choice === 'string') {
+                body.tool_choice = requestBody.tool_choice;
+            } else if (requestBody.tool_choice?.type === 'function') {
+                body.tool_choice = { type: 'function', function: { name: requestBody.tool_choice.name } };
+            }
+        }
+    }
+
+    return { body, inputMessages: converted.messages };
+}
+
+/**
+ * Converts an assistant chat message to Responses API output items.
+ * @param {object} message - The assistant message ({content, tool_calls}).
+ * @returns {Array<object>}
+ */
+function messageToOutputItems(message) {
+    const output = [];
+    if (typeof message?.content === 'string' && message.content.length > 0) {
+        output.push({
+            type: 'message',
+            id: generateId('msg'),
+            status: 'completed',
+            role: 'assistant',
+            content: [{ type: 'output_text', text: message.content, annotations: [] }]
+        });
+    }
+    (message?.tool_calls || []).forEach(toolCall => {
+        output.push({
+            type: 'function_call',
+            id: generateId('fc'),
+            call_id: toolCall.id,
+            name: toolCall.function?.name,
+            arguments: toolCall.function?.arguments || '{}',
+            status: 'completed'
+        });
+    });
+    return output;
+}
+
+/**
+ * Converts Responses API output items back to an assistant chat message, for storing the conversation.
+ * @param {Array<object>} output
+ * @returns {object}
+ */
+function outputItemsToMessage(output) {
+    const text = output
+        .filter(item => item.type === 'message')
+        .map(item => item.content.map(part => part.text).join(''))
+        .join('');
+    const toolCalls = output
+        .filter(item => item.type === 'function_call')
+        .map(item => ({ id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments } }));
+
+    const message = { role: 'assistant', content: text || (toolCalls.length > 0 ? null : '') };
+    if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls;
+    }
+    return message;
+}
+
+/**
+ * Builds a Responses API response object.
+ * @param {object} params
+ * @param {string} params.id - The resp_... ID.
+ * @param {number} params.createdAt - Creation time in seconds.
+ * @param {string} params.model - The model ID requested by the client.
+ * @param {object} params.requestBody - The original Responses API request body.
+ * @param {Array<object>} params.output - The output items.
+ * @param {string} params.status - 'in_progress', 'completed' or 'incomplete'.
+ * @param {{prompt_tokens?: number, completion_tokens?: number}|null} [params.usage] - Chat completion usage.
+ * @returns {object}
+ */
+function buildResponseObject({ id, createdAt, model, requestBody, output, status, usage }) {
+    const inputTokens = usage?.prompt_tokens || 0;
+    const outputTokens = usage?.completion_tokens || 0;
+    return {
+        id,
+        object: 'response',
+        created_at: createdAt,
+        status,
+        error: null,
+        incomplete_details: status === 'incomplete' ? { reason: 'max_output_tokens' } : null,
+        instructions: requestBody.instructions ?? null,
+        max_output_tokens: requestBody.max_output_tokens ?? null,
+        model,
+        output,
+        parallel_tool_calls: true,
+        previous_response_id: requestBody.previous_response_id ?? null,
+        store: requestBody.store !== false,
+        temperature: requestBody.temperature ?? null,
+        text: { format: { type: 'text' } },
+        tool_choice: requestBody.tool_choice ?? 'auto',
+        tools: requestBody.tools ?? [],
+        top_p: requestBody.top_p ?? null,
+        usage: status === 'in_progress' ? null : {
+            input_tokens: inputTokens,
+            input_tokens_details: { cached_tokens: 0 },
+            output_tokens: outputTokens,
+            output_tokens_details: { reasoning_tokens: 0 },
+            total_tokens: inputTokens + outputTokens
+        },
+        metadata: requestBody.metadata ?? {}
+    };
+}
+
+/**
+ * Transforms a complete chat completion response into a Responses API response object.
+ * @param {object} openaiResponse - The parsed chat completion response.
+ * @param {object} requestBody - The original Responses API request body.
+ * @param {string} responseId - The resp_... ID to use.
+ * @returns {object}
+ */
+function transformOpenAIResponseToResponses(openaiResponse, requestBody, responseId) {
+    const choice = openaiResponse?.choices?.[0] || {};
+    return buildResponseObject({
+        id: responseId,
+        createdAt: Math.floor(Date.now() / 1000),
+        model: requestBody.model,
+        requestBody,
+        output: messageToOutputItems(choice.message),
+        status: choice.finish_reason === 'length' ? 'incomplete' : 'completed',
+        usage: openaiResponse?.usage
+    });
+}
+
+/**
+ * Creates a converter that turns a sequence of chat completion chunks into Responses API semantic
+ * SSE events (response.created, response.output_item.added, response.output_text.delta, ...,
+ * response.completed). Each method returns the SSE text to write to the client.
+ * @param {object} requestBody - The original Responses API request body.
+ * @param {string} responseId - The resp_... ID to use.
+ * @param {function(object): void} [onComplete] - Called with the final response object when the stream finishes.
+ */
+function createResponsesStreamConverter(requestBody, responseId, onComplete) {
+    const createdAt = Math.floor(Date.now() / 1000);
+    const output = [];
+    let currentItem = null; // The output item being streamed
+    let sequenceNumber = 0;
+    let finishReason = null;
+    let usage = null;
+
+    const formatEvent = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequenceNumber++, ...data })}\n\n`;
+
+    const snapshot = (status) => buildResponseObject({
+        id: responseId, createdAt, model: requestBody.model, requestBody, output, status, usage
+    });
+
+    const closeCurrentItem = () => {
+        if (!currentItem) return '';
+        const item = currentItem;
+        const outputIndex = output.length;
+        let events = '';
+        currentItem = null;
+
+        if (item.type === 'message') {
+            const text = item.content[0].text;
+            events += formatEvent('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text });
+            events += formatEvent('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part: item.content[0] });
+        } else {
+            events += formatEvent('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+        }
+        item.status = 'completed';
+        output.push(item);
+        events += formatEvent('response.output_item.done', { output_index: outputIndex, item });
+        return events;
+    };
+
+    const openItem = (item) => {
+        let events = closeCurrentItem();
+        currentItem = item;
+        events += formatEvent('response.output_item.added', { output_index: output.length, item: { ...item, content: item.content ? [] : undefined } });
+        if (item.type === 'message') {
+            events += formatEvent('response.content_part.added', { item_id: item.id, output_index: output.length, content_index: 0, part: { type: 'output_text', text: '', annotations: [] } });
+        }
+        return events;
+    };
+
+    return {
+        start() {
+            const response = snapshot('in_progress');
+            return formatEvent('response.created', { response }) + formatEvent('response.in_progress', { response });
+        },
+
+        /**
+         * @param {object} chunk - A parsed chat.completion.chunk object.
+         */
+        processOpenAIChunk(chunk) {
+            let events = '';
+            if (chunk?.usage) {
+                usage = chunk.usage;
+            }
+            const choice = chunk?.choices?.[0];
+            if (!choice) return events;
+
+            const delta = choice.delta || {};
+            if (typeof delta.content === 'string' && delta.content.length > 0) {
+                if (!currentItem || currentItem.type !== 'message') {
+                    events += openItem({
+                        type: 'message',
+                        id: generateId('msg'),
+                        status: 'in_progress',
+                        role: 'assistant',
+                        content: [{ type: 'output_text', text: '', annotations: [] }]
+                    });
+                }
+                currentItem.content[0].text += delta.content;
+                events += formatEvent('response.output_text.delta', { item_id: currentItem.id, output_index: output.length, content_index: 0, delta: delta.content });
+            }
+
+            if (Array.isArray(delta.tool_calls)) {
+                delta.tool_calls.forEach(toolCall => {
+                    // A new id starts a new function_call item, later fragments only carry arguments
+                    if (toolCall.id || !currentItem || currentItem.type !== 'function_call') {
+                        events += openItem({
+                            type: 'function_call',
+                            id: generateId('fc'),
+                            call_id: toolCall.id || generateId('call'),
+                            name: toolCall.function?.name,
+                            arguments: '',
+                            status: 'in_progress'
+                        });
+                    }
+                    const args = toolCall.function?.arguments;
+                    if (args) {
+                        const argsText = typeof args === 'string' ? args : JSON.stringify(args);
+                        currentItem.arguments += argsText;
+                        events += formatEvent('response.function_call_arguments.delta', { item_id: currentItem.id, output_index: output.length, delta: argsText });
+                    }
+                });
+            }
+
+            if (choice.finish_reason) {
+                finishReason = choice.finish_reason;
+            }
+            return events;
+        },
+
+        finish() {
+            let events = closeCurrentItem();
+            const status = finishReason === 'length' ? 'incomplete' : 'completed';
+            const response = snapshot(status);
+            events += formatEvent(status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response });
+            if (onComplete) {
+                onComplete(response);
+            }
+            return events;
+        },
+
+        /**
+         * @param {number} status - The HTTP status code of the failure.
+         * @param {string} message - The error message.
+         */
+        error(status, message) {
+            return formatEvent('error', { code: String(status), message, param: null });
+        }
+    };
+}
+
+module.exports = {
+    generateId,
+    transformResponsesRequestToOpenAI,
+    transformOpenAIResponseToResponses,
+    createResponsesStreamConverter,
+    outputItemsToMessage,
+};
@@ -12,6 +12,82 @@ function parseDataUri(dataUri) {
 	return { mimeType: match[1], data: match[2] };
 }
 
+/**
+ * Builds a lookup of tool_call_id -> function name from the assistant messages in an OpenAI conversation.
+ * OpenAI tool result messages only carry the tool_call_id, while Gemini's functionResponse needs the function name.
+ * @param {object[]} messages - The OpenAI messages array.
+ * @returns {Map<string, string>} Map of tool call IDs to function names.
+ */
+function buildToolCallNameMap(messages) {
+	const toolCallNames = new Map();
+	(messages || []).forEach((msg) => {
+		if (msg.role !== 'assistant' || !Array.isArray(msg.tool_calls)) return;
+		msg.tool_calls.forEach((toolCall) => {
+			if (toolCall.id && toolCall.function?.name) {
+				toolCallNames.set(toolCall.id, toolCall.function.name);
+			}
+		});
+	});
+	return toolCallNames;
+}
+
+/**
+ * Converts the tool_calls of an OpenAI assistant message into Gemini functionCall parts.
+ * @param {object[]} toolCalls - The OpenAI tool_calls array.
+ * @returns {object[]} Array of { functionCall: { name, args } } parts.
+ */
+function transformToolCallsToFunctionCallParts(toolCalls) {
+	const parts = [];
+	(toolCalls || []).forEach((toolCall) => {
+		if (toolCall.type !== 'function' || !toolCall.function?.name) {
+			console.warn(`Unsupported tool call encountered: ${JSON.stringify(toolCall)}. Skipping.`);
+			return;
+		}
+		let args = {};
+		try {
+			// OpenAI sends arguments as a JSON string, Gemini expects an object
+			args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+		} catch (e) {
+			console.error(`Failed to parse tool call arguments for ${toolCall.function.name}: ${e.message}`);
+			args = { _error: "Failed to parse arguments", raw_arguments: toolCall.function.arguments };
+		}
+		parts.push({ functionCall: { name: toolCall.function.name, args } });
+	});
+	return parts;
+}
+
+/**
+ * Converts an OpenAI tool result message (role "tool") into a Gemini functionResponse part.
+ * @param {object} msg - The OpenAI tool message.
+ * @param {Map<string, string>} toolCallNames - Lookup built by buildToolCallNameMap.
+ * @returns {object | null} A { functionResponse: { name, response } } part, or null if the function name can't be resolved.
+ */
+function transformToolMessageToFunctionResponsePart(msg, toolCallNames) {
+	const name = (msg.tool_call_id && toolCallNames.get(msg.tool_call_id)) || msg.name;
+	if (!name) {
+		console.warn(`Tool message could not be matched to a function call (tool_call_id: ${msg.tool_call_id}). Skipping message.`);
+		return null;
+	}
+
+	let content = msg.content;
+	if (Array.isArray(content)) {
+		content = content.filter((p) => p.type === 'text').map((p) => p.text).join('\n');
+	}
+
+	// Gemini expects the response to be a JSON object, so wrap anything that isn't one
+	let response;
+	try {
+		response = typeof content === 'string' ? JSON.parse(content) : content;
+	} catch (e) {
+		response = content;
+	}
+	if (response === null || typeof response !== 'object' || Array.isArray(response)) {
+		response = { content: response ?? '' };
+	}
+
+	return { functionResponse: { name, response } };
+}
+
 /**
  * Transforms an OpenAI-compatible request body to the Gemini API format.
  * @param {object} requestBody - The OpenAI request body.
@@ -28,6 +104,7 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 	const contents = [];
 	let systemInstruction = undefined;
 	let systemMessageLogPrinted = false; // Add flag to track if log has been printed
+	const toolCallNames = buildToolCallNameMap(messages);
 
 	messages.forEach((msg) => {
 		let role = undefined;
@@ -65,6 +142,18 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
                     return; // Skip adding this message to 'contents' when creating systemInstruction
                 }
                 break; // Break for 'system' role (safety disabled/gemma case falls through to content processing)
+			case 'tool': {
+				const responsePart = transformToolMessageToFunctionResponsePart(msg, toolCallNames);
+				if (!responsePart) return;
+				// Results of parallel tool calls must be sent back together in a single turn
+				const lastContent = contents[contents.length - 1];
+				if (lastContent && lastContent.role === 'user' && lastContent.parts.every((p) => p.functionResponse)) {
+					lastContent.parts.push(responsePart);
+				} else {
+					contents.push({ role: 'user', parts: [responsePart] });
+				}
+				return; // Tool results don't go through the regular content mapping below
+			}
 			default:
 				console.warn(`Unknown role encountered: ${msg.role}. Skipping message.`);
 				return; // Skip unknown roles
@@ -103,11 +192,18 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 					console.warn(`Unknown content part type: ${part.type}. Skipping part.`);
 				}
 			});
-		} else {
+		} else if (!(role === 'model' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0)) {
+			// Assistant messages that only carry tool_calls have null content, anything else is unsupported
 			console.warn(`Unsupported content type for role ${msg.role}: ${typeof msg.content}. Skipping message.`);
 			return;
 		}
 
+		// Append function calls made by the assistant after any text it produced
+		if (role === 'model' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+			parts = parts.filter((part) => part.text !== ''); // Clients often send content: "" alongside tool_calls
+			parts.push(...transformToolCallsToFunctionCallParts(msg.tool_calls));
+		}
+
 		// Add the transformed message to contents if it has a role and parts
 		if (role && parts.length > 0) {
 			contents.push({ role, parts });
@@ -152,8 +248,11 @@ function transformOpenAiToGemini(requestBody, requestedModelId, isSafetyEnabled
 				case 'none':
 					functionCallingConfig.mode = 'NONE';
 					break;
+				case 'required':
+					functionCallingConfig.mode = 'ANY';
+					break;
 				default:
-					// If it's a string but not 'auto' or 'none', treat it as a specific function name
+					// If it's a string but not 'auto', 'none' or 'required', treat it as a specific function name
 					functionCallingConfig.mode = 'ANY';
 					functionCallingConfig.allowedFunctionNames = [openAiToolChoice];
 					break;
@@ -459,9 +558,84 @@ function transformGeminiResponseToOpenAI(geminiResponse, modelId) {
 }
 
 
+/**
+ * Transforms an OpenAI embeddings request body to a Gemini embedContent / batchEmbedContents request.
+ * A single string input uses embedContent, an array of strings uses batchEmbedContents.
+ * @param {object} requestBody - The OpenAI embeddings request body.
+ * @param {string} modelId - The Gemini embedding model ID (without the "models/" prefix).
+ * @returns {{ apiAction?: string; body?: object; error?: string }} The Gemini API action and request body, or an error message.
+ */
+function transformOpenAiEmbeddingsToGemini(requestBody, modelId) {
+	const input = requestBody.input;
+	const outputDimensionality = requestBody.dimensions;
+
+	const buildRequest = (text) => ({
+		content: { parts: [{ text }] },
+		...(outputDimensionality !== undefined && { outputDimensionality }),
+	});
+
+	if (typeof input === 'string') {
+		if (input.length === 0) {
+			return { error: "'input' cannot be an empty string" };
+		}
+		return { apiAction: 'embedContent', body: buildRequest(input) };
+	}
+
+	if (Array.isArray(input) && input.length > 0) {
+		// Token ID arrays (number[] or number[][]) can't be mapped, Gemini only accepts text
+		if (!input.every((item) => typeof item === 'string' && item.length > 0)) {
+			return { error: "'input' must be a non-empty string or an array of non-empty strings. Token arrays are not supported." };
+		}
+		return {
+			apiAction: 'batchEmbedContents',
+			body: {
+				requests: input.map((text) => ({ model: `models/${modelId}`, ...buildRequest(text) })),
+			},
+		};
+	}
+
+	return { error: "'input' must be a non-empty string or an array of non-empty strings" };
+}
+
+/**
+ * Transforms a Gemini embedContent / batchEmbedContents response into the OpenAI embeddings response format.
+ * @param {object} geminiResponse - The parsed JSON object from the Gemini API response.
+ * @param {string} modelId - The model ID used for the request.
+ * @param {'float' | 'base64'} [encodingFormat='float'] - The requested OpenAI encoding format.
+ * @returns {object} The OpenAI-compatible embeddings response object.
+ */
+function transformGeminiEmbeddingsToOpenAI(geminiResponse, modelId, encodingFormat = 'float') {
+	// embedContent returns { embedding }, batchEmbedContents returns { embeddings: [] }
+	const embeddings = geminiResponse.embeddings || (geminiResponse.embedding ? [geminiResponse.embedding] : []);
+
+	const data = embeddings.map((embedding, index) => {
+		const values = embedding.values || [];
+		return {
+			object: "embedding",
+			index: index,
+			// base64 is the little-endian float32 buffer, same as OpenAI
+			embedding: encodingFormat === 'base64' ? Buffer.from(new Float32Array(values).buffer).toString('base64') : values,
+		};
+	});
+
+	return {
+		object: "list",
+		data: data,
+		model: modelId,
+		// Gemini doesn't report token counts for embeddings
+		usage: { prompt_tokens: 0, total_tokens: 0 },
+	};
+}
+
+
 module.exports = {
     parseDataUri,
+    buildToolCallNameMap,
+    transformToolCallsToFunctionCallParts,
+    transformToolMessageToFunctionResponsePart,
     transformOpenAiToGemini,
     transformGeminiStreamChunk,
     transformGeminiResponseToOpenAI,
+    transformOpenAiEmbeddingsToGemini,
+    transformGeminiEmbeddingsToOpenAI,
 };